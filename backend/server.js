@@ -2,6 +2,9 @@ const app = require('./src/app');
 
 const PORT = process.env.PORT || 3000;
 
+// Exit normally on Ctrl+C and SIGTERM so the file store writes its pending changes
+['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, () => process.exit(0)));
+
 app.listen(PORT, () => {
   console.log(`AI Chatbot Backend server is running on port ${PORT}`);
   console.log(`Health check available at http://localhost:${PORT}/health`);
@@ -7,6 +7,10 @@ require('dotenv').config();
 const providerRoutes = require('./routes/providers');
 const apiKeyRoutes = require('./routes/apikeys');
 const proxyRoutes = require('./routes/proxy');
+const authRoutes = require('./routes/auth');
+const conversationRoutes = require('./routes/conversations');
+const usageRoutes = require('./routes/usage');
+const budgetRoutes = require('./routes/budgets');
 
 const app = express();
 
@@ -21,14 +25,19 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware; attachmentUtil keeps chat attachments within this limit
+const JSON_BODY_LIMIT_MB = 10;
+app.use(express.json({ limit: `${JSON_BODY_LIMIT_MB}mb` }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/providers', providerRoutes);
 app.use('/api/apikeys', apiKeyRoutes);
 app.use('/api/proxy', proxyRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/budgets', budgetRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -37,6 +46,11 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: `Request body is larger than the ${JSON_BODY_LIMIT_MB} MB limit; send fewer or smaller attachments`
+    });
+  }
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -1,9 +1,7 @@
 // backend/src/controllers/apiKeyController.js
 const crypto = require('crypto');
 const APIKey = require('../models/APIKey');
-
-// In-memory storage for API keys (in production, this would be a database)
-let apiKeys = new Map();
+const { apiKeyRepository } = require('../repositories');
 
 // Generate a unique ID for API keys
 function generateId() {
@@ -22,8 +20,36 @@ function decryptApiKey(encryptedApiKey, iv, encryptionKey) {
   return utilDecryptApiKey(encryptedApiKey, iv, encryptionKey);
 }
 
+// The configured encryption key, or null when it is missing or still the placeholder
+function getEncryptionKey() {
+  const encryptionKey = process.env.ENCRYPTION_KEY;
+  if (!encryptionKey || encryptionKey === '32_character_encryption_key_here') {
+    return null;
+  }
+  return encryptionKey;
+}
+
+// Shape an API key for responses without exposing the key itself
+function toSummary(key) {
+  return {
+    id: key.id,
+    providerId: key.providerId,
+    scope: key.userId ? 'user' : 'shared',
+    ...(key.userId ? { userId: key.userId } : {}),
+    createdAt: key.createdAt,
+    updatedAt: key.updatedAt,
+    lastUsedAt: key.lastUsedAt
+  };
+}
+
+// Providers a user can store their own key for
+function getKnownProviderIds() {
+  const providersConfig = require('../../config/providers.json');
+  return providersConfig.providers.map(provider => provider.id);
+}
+
 const APIKeyController = {
-  // Create or update an API key
+  // Create or update a shared API key
   async createApiKey(req, res) {
     try {
       const { providerId, apiKey } = req.body;
@@ -40,8 +66,8 @@ const APIKeyController = {
       }
 
       // Encrypt the API key before storing
-      const encryptionKey = process.env.ENCRYPTION_KEY || '32_character_encryption_key_here'; // Use the same key as in .env
-      if (!process.env.ENCRYPTION_KEY || process.env.ENCRYPTION_KEY === '32_character_encryption_key_here') {
+      const encryptionKey = getEncryptionKey();
+      if (!encryptionKey) {
         return res.status(500).json({
           error: 'Encryption key not properly configured. Set ENCRYPTION_KEY in your environment variables.'
         });
@@ -50,24 +76,27 @@ const APIKeyController = {
       try {
         const { encrypted, iv } = encryptApiKey(apiKey, encryptionKey);
 
-        const id = generateId();
+        // A provider has one shared key; setting it again rotates that key
+        const existingKey = apiKeyRepository.findOne(key => key.providerId === providerId && !key.userId);
         const newApiKey = new APIKey({
-          id,
+          id: existingKey ? existingKey.id : generateId(),
           providerId,
+          userId: null, // Keys created by admins are shared with every user
           encryptedKey: JSON.stringify({ encrypted, iv }),
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString()
+          createdAt: existingKey ? existingKey.createdAt : new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          lastUsedAt: existingKey ? existingKey.lastUsedAt : null
         });
 
-        apiKeys.set(id, newApiKey);
+        apiKeyRepository.save(newApiKey);
 
         // Return success response without exposing the actual API key
-        res.status(201).json({
+        res.status(existingKey ? 200 : 201).json({
           id: newApiKey.id,
           providerId: newApiKey.providerId,
           createdAt: newApiKey.createdAt,
           updatedAt: newApiKey.updatedAt,
-          message: 'API key configured successfully'
+          message: existingKey ? 'API key updated successfully' : 'API key configured successfully'
         });
       } catch (encryptError) {
         console.error('Encryption error:', encryptError);
@@ -79,16 +108,10 @@ const APIKeyController = {
     }
   },
 
-  // Get all API keys (without the actual keys for security)
+  // Get all API keys, shared and per-user (without the actual keys for security)
   async getAllApiKeys(req, res) {
     try {
-      const keys = Array.from(apiKeys.values()).map(key => ({
-        id: key.id,
-        providerId: key.providerId,
-        createdAt: key.createdAt,
-        updatedAt: key.updatedAt,
-        lastUsedAt: key.lastUsedAt
-      }));
+      const keys = apiKeyRepository.findAll().map(toSummary);
       
       res.json({ apiKeys: keys });
     } catch (error) {
@@ -102,7 +125,7 @@ const APIKeyController = {
     try {
       const { id } = req.params;
       
-      const apiKey = apiKeys.get(id);
+      const apiKey = apiKeyRepository.findById(id);
       if (!apiKey) {
         return res.status(404).json({ error: 'API key not found' });
       }
@@ -126,7 +149,7 @@ const APIKeyController = {
       const { id } = req.params;
       const { providerId, apiKey } = req.body;
       
-      const existingKey = apiKeys.get(id);
+      const existingKey = apiKeyRepository.findById(id);
       if (!existingKey) {
         return res.status(404).json({ error: 'API key not found' });
       }
@@ -134,7 +157,12 @@ const APIKeyController = {
       // If a new API key is provided, encrypt it
       let encryptedKey = existingKey.encryptedKey;
       if (apiKey) {
-        const encryptionKey = process.env.ENCRYPTION_KEY || 'fallback_encryption_key';
+        const encryptionKey = getEncryptionKey();
+        if (!encryptionKey) {
+          return res.status(500).json({
+            error: 'Encryption key not properly configured. Set ENCRYPTION_KEY in your environment variables.'
+          });
+        }
         const { encrypted, iv } = encryptApiKey(apiKey, encryptionKey);
         encryptedKey = JSON.stringify({ encrypted, iv });
       }
@@ -143,12 +171,14 @@ const APIKeyController = {
       const updatedKey = new APIKey({
         id: existingKey.id,
         providerId: providerId || existingKey.providerId,
+        userId: existingKey.userId, // A user's own key stays theirs
         encryptedKey,
         createdAt: existingKey.createdAt,
-        updatedAt: new Date().toISOString()
+        updatedAt: new Date().toISOString(),
+        lastUsedAt: existingKey.lastUsedAt
       });
 
-      apiKeys.set(id, updatedKey);
+      apiKeyRepository.save(updatedKey);
       
       res.json({
         id: updatedKey.id,
@@ -168,11 +198,10 @@ const APIKeyController = {
     try {
       const { id } = req.params;
       
-      if (!apiKeys.has(id)) {
+      if (!apiKeyRepository.delete(id)) {
         return res.status(404).json({ error: 'API key not found' });
       }
-      
-      apiKeys.delete(id);
+
       res.json({ message: 'API key deleted successfully' });
     } catch (error) {
       console.error('Error deleting API key:', error);
@@ -180,16 +209,108 @@ const APIKeyController = {
     }
   },
 
-  // Validate an API key (for internal use)
-  validateApiKey: (providerId, apiKey) => {
-    for (const [id, key] of apiKeys) {
-      if (key.providerId === providerId) {
-        // In a real implementation, we would decrypt and verify the key
-        // For now, we just return the key ID if one exists for the provider
-        return key;
+  // List the signed-in user's own keys and the providers that have a shared key
+  async getMyApiKeys(req, res) {
+    try {
+      const userId = req.user.id;
+      const apiKeys = apiKeyRepository.findAll(key => key.userId === userId).map(toSummary);
+      const sharedProviders = [...new Set(
+        apiKeyRepository.findAll(key => !key.userId).map(key => key.providerId)
+      )];
+
+      res.json({ apiKeys, sharedProviders });
+    } catch (error) {
+      console.error('Error getting user API keys:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+
+  // Store (or replace) the signed-in user's own key for a provider
+  async setMyApiKey(req, res) {
+    try {
+      const userId = req.user.id;
+      const { providerId } = req.params;
+      const { apiKey } = req.body;
+
+      if (!apiKey) {
+        return res.status(400).json({ error: 'apiKey is required' });
+      }
+
+      if (!getKnownProviderIds().includes(providerId)) {
+        return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+      }
+
+      try {
+        APIKey.validate({ providerId, encryptedKey: apiKey });
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
       }
+
+      const encryptionKey = getEncryptionKey();
+      if (!encryptionKey) {
+        return res.status(500).json({
+          error: 'Encryption key not properly configured. Set ENCRYPTION_KEY in your environment variables.'
+        });
+      }
+
+      const { encrypted, iv } = encryptApiKey(apiKey, encryptionKey);
+      const existingKey = apiKeyRepository.findOne(key => key.userId === userId && key.providerId === providerId);
+
+      const savedKey = apiKeyRepository.save(new APIKey({
+        id: existingKey ? existingKey.id : generateId(),
+        providerId,
+        userId,
+        encryptedKey: JSON.stringify({ encrypted, iv }),
+        createdAt: existingKey ? existingKey.createdAt : new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        lastUsedAt: existingKey ? existingKey.lastUsedAt : null
+      }));
+
+      res.status(existingKey ? 200 : 201).json({
+        ...toSummary(savedKey),
+        message: existingKey ? 'API key updated successfully' : 'API key configured successfully'
+      });
+    } catch (error) {
+      console.error('Error saving user API key:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    return null;
+  },
+
+  // Remove the signed-in user's own key for a provider; the shared key applies again
+  async deleteMyApiKey(req, res) {
+    try {
+      const userId = req.user.id;
+      const { providerId } = req.params;
+
+      const existingKey = apiKeyRepository.findOne(key => key.userId === userId && key.providerId === providerId);
+      if (!existingKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      apiKeyRepository.delete(existingKey.id);
+      res.json({ message: 'API key deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting user API key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  },
+
+  // Find the key to use for a provider: the user's own key first, then the shared key
+  resolveApiKey: (providerId, userId = null) => {
+    if (userId) {
+      const ownKey = apiKeyRepository.findOne(key => key.providerId === providerId && key.userId === userId);
+      if (ownKey) {
+        return ownKey;
+      }
+    }
+    return apiKeyRepository.findOne(key => key.providerId === providerId && !key.userId);
+  },
+
+  // Validate an API key (for internal use)
+  validateApiKey: (providerId, apiKey, userId = null) => {
+    // In a real implementation, we would decrypt and verify the key
+    // For now, we just return the key that would be used for the provider
+    return APIKeyController.resolveApiKey(providerId, userId);
   }
 };
 
@@ -0,0 +1,92 @@
+// backend/src/controllers/authController.js
+const authService = require('../services/authService');
+
+// Send an auth failure back to the client
+function sendAuthError(res, error) {
+  if (error.status) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const AuthController = {
+  // Create an account and return a token pair
+  async register(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          error: 'username and password are required'
+        });
+      }
+
+      res.status(201).json(authService.register({ username, password }));
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+
+  // Exchange credentials for a token pair
+  async login(req, res) {
+    try {
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return res.status(400).json({
+          error: 'username and password are required'
+        });
+      }
+
+      res.json(authService.login({ username, password }));
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+
+  // Exchange a refresh token for a new token pair
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          error: 'refreshToken is required'
+        });
+      }
+
+      res.json(authService.refresh(refreshToken));
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+
+  // Revoke the refresh token so it cannot be used again
+  async logout(req, res) {
+    try {
+      authService.logout(req.body.refreshToken);
+      res.status(204).end();
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  },
+
+  // Get the signed-in user
+  async me(req, res) {
+    try {
+      const user = authService.getUserById(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      res.json({ user: user.toPublic() });
+    } catch (error) {
+      sendAuthError(res, error);
+    }
+  }
+};
+
+module.exports = AuthController;
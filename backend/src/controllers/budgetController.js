@@ -0,0 +1,62 @@
+// backend/src/controllers/budgetController.js
+const budgetService = require('../services/budgetService');
+
+// Send a budget failure back to the client
+function sendBudgetError(res, error) {
+  if (error.status) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('Budget error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const BudgetController = {
+  // List every budget with this month's usage (admin only)
+  async list(req, res) {
+    try {
+      res.json({ budgets: budgetService.listBudgets() });
+    } catch (error) {
+      sendBudgetError(res, error);
+    }
+  },
+
+  // List the budgets that apply to the signed-in user
+  async listMine(req, res) {
+    try {
+      res.json({ budgets: budgetService.getBudgetsFor(req.user.id) });
+    } catch (error) {
+      sendBudgetError(res, error);
+    }
+  },
+
+  // Create a budget (admin only)
+  async create(req, res) {
+    try {
+      res.status(201).json({ budget: budgetService.createBudget(req.body) });
+    } catch (error) {
+      sendBudgetError(res, error);
+    }
+  },
+
+  // Change a budget's limit, scope or exhaustion behavior (admin only)
+  async update(req, res) {
+    try {
+      res.json({ budget: budgetService.updateBudget(req.params.id, req.body) });
+    } catch (error) {
+      sendBudgetError(res, error);
+    }
+  },
+
+  // Delete a budget (admin only)
+  async delete(req, res) {
+    try {
+      budgetService.deleteBudget(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendBudgetError(res, error);
+    }
+  }
+};
+
+module.exports = BudgetController;
@@ -0,0 +1,91 @@
+// backend/src/controllers/conversationController.js
+const conversationService = require('../services/conversationService');
+
+// Send a conversation failure back to the client
+function sendConversationError(res, error) {
+  if (error.status) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('Conversation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const ConversationController = {
+  // List the signed-in user's conversations
+  async list(req, res) {
+    try {
+      res.json({ conversations: conversationService.listConversations(req.user.id) });
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  },
+
+  // Get one conversation with its messages
+  async get(req, res) {
+    try {
+      res.json({ conversation: conversationService.getConversation(req.user.id, req.params.id) });
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  },
+
+  // Create a conversation, optionally with an id, title and initial messages
+  async create(req, res) {
+    try {
+      const { id, title, messages } = req.body;
+      const conversation = conversationService.createConversation(req.user.id, { id, title, messages });
+      res.status(201).json({ conversation });
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  },
+
+  // Append a message to a conversation
+  async appendMessage(req, res) {
+    try {
+      const { id, role, content, metadata } = req.body;
+
+      if (!role || !content) {
+        return res.status(400).json({
+          error: 'role and content are required'
+        });
+      }
+
+      const message = conversationService.appendMessage(req.user.id, req.params.id, { id, role, content, metadata });
+      res.status(201).json({ message });
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  },
+
+  // Rename a conversation
+  async rename(req, res) {
+    try {
+      const { title } = req.body;
+
+      if (!title) {
+        return res.status(400).json({
+          error: 'title is required'
+        });
+      }
+
+      const conversation = conversationService.renameConversation(req.user.id, req.params.id, title);
+      res.json({ conversation: conversation.toSummary() });
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  },
+
+  // Delete a conversation and its messages
+  async delete(req, res) {
+    try {
+      conversationService.deleteConversation(req.user.id, req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendConversationError(res, error);
+    }
+  }
+};
+
+module.exports = ConversationController;
@@ -3,22 +3,53 @@ const crypto = require('crypto');
 const ProviderConfiguration = require('../models/ProviderConfiguration');
 const APIKey = require('../models/APIKey');
 const apiKeyController = require('./apiKeyController');
+const providerHealthService = require('../services/providerHealthService');
+const upstreamRateLimitService = require('../services/upstreamRateLimitService');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const embeddingUtil = require('../utils/embeddingUtil');
+const imageUtil = require('../utils/imageUtil');
+const audioUtil = require('../utils/audioUtil');
 
-// In-memory storage for provider configurations (in production, this would be a database)
-let providerConfigs = new Map();
+const providerService = require('../services/providerService'); // Seeds providers from providers.json
+const { providerConfigurationRepository } = require('../repositories');
 
 // Generate a unique ID for providers
 function generateId() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+// Proxy endpoints besides chat that a provider has a model configured for
+function getProviderCapabilities(providerId) {
+  return [
+    ['embeddings', embeddingUtil.getEmbeddingProviders()],
+    ['images', imageUtil.getImageProviders()],
+    ['transcription', audioUtil.getTranscriptionProviders()],
+    ['speech', audioUtil.getSpeechProviders()]
+  ].filter(([, providerIds]) => providerIds.includes(providerId)).map(([capability]) => capability);
+}
+
 const ProviderController = {
   // Get all available providers
   async getAvailableProviders(req, res) {
     try {
       // Load providers from configuration file
       const providersConfig = require('../../config/providers.json');
-      const providers = providersConfig.providers;
+      // Attach live health so clients can grey out providers with an open circuit,
+      // and the capabilities so they only offer tasks the provider can do
+      const providers = providersConfig.providers.map(provider => {
+        const health = providerHealthService.getHealth(provider.id);
+        return {
+          ...provider,
+          capabilities: getProviderCapabilities(provider.id),
+          available: health.available,
+          health: {
+            circuit: health.circuit,
+            errorRate: health.errorRate,
+            averageLatencyMs: health.averageLatencyMs,
+            retryAt: health.retryAt
+          }
+        };
+      });
 
       res.json({ providers });
     } catch (error) {
@@ -49,14 +80,42 @@ const ProviderController = {
       const apiKey = apiKeyController.validateApiKey(providerId, null);
       const hasApiKey = !!apiKey;
       
-      // In a real implementation, you would make a test request to the provider API
-      // to check its actual status
+      // Health is tracked from real proxy traffic
+      const health = providerHealthService.getHealth(providerId);
+      // The quota the provider last reported for the shared key
+      const upstreamQuota = upstreamRateLimitService.getQuota(providerId);
+
+      let status = 'available';
+      let message = 'Provider is available to use';
+      if (!hasApiKey) {
+        status = 'missing_api_key';
+        message = 'API key needs to be configured to use this provider';
+      } else if (health.circuit === providerHealthService.CIRCUIT_STATES.OPEN) {
+        status = 'unavailable';
+        message = `Provider is failing; requests are paused until ${health.retryAt}`;
+      } else if (health.circuit === providerHealthService.CIRCUIT_STATES.HALF_OPEN) {
+        status = 'degraded';
+        message = 'Provider is recovering; probe requests are being sent';
+      } else if (upstreamQuota && upstreamQuota.throttledUntil) {
+        status = 'rate_limited';
+        message = `Provider rate limit is used up; requests resume at ${upstreamQuota.throttledUntil}`;
+      }
+
       res.json({
         id: providerId,
         name: provider.name,
-        status: hasApiKey ? 'available' : 'missing_api_key',
+        status,
         hasApiKey,
-        message: hasApiKey ? 'Provider is available to use' : 'API key needs to be configured to use this provider'
+        message,
+        health,
+        // Our own per-user limits for the provider, and what the provider says is left
+        rateLimits: rateLimitMiddleware.getProviderLimits(providerId).map(({ name, unit, windowMs, maxRequests }) => ({
+          name,
+          unit,
+          windowMs,
+          limit: maxRequests
+        })),
+        upstreamQuota
       });
     } catch (error) {
       console.error('Error getting provider status:', error);
@@ -130,7 +189,7 @@ const ProviderController = {
         updatedAt: new Date().toISOString()
       });
 
-      providerConfigs.set(id, newProviderConfig);
+      providerConfigurationRepository.save(newProviderConfig);
       
       res.status(201).json({
         id: newProviderConfig.id,
@@ -152,7 +211,7 @@ const ProviderController = {
   // Get all provider configurations
   async getAllProviderConfigs(req, res) {
     try {
-      const configs = Array.from(providerConfigs.values()).map(config => ({
+      const configs = providerConfigurationRepository.findAll().map(config => ({
         id: config.id,
         providerId: config.providerId,
         name: config.name,
@@ -175,7 +234,7 @@ const ProviderController = {
     try {
       const { id } = req.params;
       
-      const config = providerConfigs.get(id);
+      const config = providerConfigurationRepository.findById(id);
       if (!config) {
         return res.status(404).json({ error: 'Provider configuration not found' });
       }
@@ -202,7 +261,7 @@ const ProviderController = {
       const { id } = req.params;
       const { name, endpoint, config, isActive } = req.body;
       
-      const existingConfig = providerConfigs.get(id);
+      const existingConfig = providerConfigurationRepository.findById(id);
       if (!existingConfig) {
         return res.status(404).json({ error: 'Provider configuration not found' });
       }
@@ -220,7 +279,7 @@ const ProviderController = {
         updatedAt: new Date().toISOString()
       });
 
-      providerConfigs.set(id, updatedConfig);
+      providerConfigurationRepository.save(updatedConfig);
       
       res.json({
         id: updatedConfig.id,
@@ -244,12 +303,12 @@ const ProviderController = {
     try {
       const { id } = req.params;
       
-      if (!providerConfigs.has(id)) {
+      const config = providerConfigurationRepository.findById(id);
+      if (!config) {
         return res.status(404).json({ error: 'Provider configuration not found' });
       }
       
-      const config = providerConfigs.get(id);
-      providerConfigs.delete(id);
+      providerConfigurationRepository.delete(id);
       
       // Also remove the associated API key
       // Note: In a real implementation, you might want to be more selective about
@@ -278,18 +337,8 @@ const ProviderController = {
       // and has an API key configured.
       
       // Check if the provider exists and has an API key
-      let providerExists = false;
-      let hasApiKey = false;
-      
-      for (const [id, config] of providerConfigs) {
-        if (config.providerId === providerId) {
-          providerExists = true;
-          // Check if there's an API key for this provider
-          const apiKey = apiKeyController.validateApiKey(providerId, null);
-          hasApiKey = !!apiKey;
-          break;
-        }
-      }
+      const providerExists = !!providerService.getProviderById(providerId);
+      const hasApiKey = providerExists && !!apiKeyController.validateApiKey(providerId, null);
       
       if (!providerExists) {
         return res.status(404).json({ error: 'Provider not found' });
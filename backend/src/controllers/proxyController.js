@@ -1,193 +1,372 @@
 // backend/src/controllers/proxyController.js
-const axios = require('axios');
 const crypto = require('crypto');
-const RateLimitLog = require('../models/RateLimitLog');
-const apiKeyController = require('./apiKeyController');
-const configService = require('../services/configService');
-
-// In-memory storage for rate limit logs (in production, this would be a database)
-let rateLimitLogs = new Map();
-
-// Provider endpoints configuration
-const providerEndpoints = {
-  openai: process.env.OPENAI_API_BASE_URL || 'https://api.openai.com/v1',
-  groq: process.env.GROQ_API_BASE_URL || 'https://api.groq.com/openai/v1',
-  gemini: process.env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
-  openrouter: process.env.OPENROUTER_API_BASE_URL || 'https://openrouter.ai/api/v1',
-};
+const apiProxyService = require('../services/apiProxyService');
+const failoverService = require('../services/failoverService');
+const providerHealthService = require('../services/providerHealthService');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const {
+  createSSEParser,
+  normalizeStreamChunk,
+  writeSSE
+} = require('../utils/streamUtil');
+const toolUtil = require('../utils/toolUtil');
+const embeddingUtil = require('../utils/embeddingUtil');
+const imageUtil = require('../utils/imageUtil');
+const audioUtil = require('../utils/audioUtil');
+const attachmentUtil = require('../utils/attachmentUtil');
+const contextUtil = require('../utils/contextUtil');
+const tokenEstimator = require('../utils/tokenEstimator');
+const usageService = require('../services/usageService');
+const budgetService = require('../services/budgetService');
+
+// Image generation is much slower than chat, so it gets its own timeout
+const IMAGE_REQUEST_TIMEOUT = parseInt(process.env.IMAGE_REQUEST_TIMEOUT) || 120000;
+// Uploading and transcribing a long recording, or speaking a long reply, also
+// outlasts the chat timeout
+const AUDIO_REQUEST_TIMEOUT = parseInt(process.env.AUDIO_REQUEST_TIMEOUT) || 120000;
+
+// Look up the configured default model for a provider
+function getDefaultModel(providerId) {
+  const providersConfig = require('../../config/providers.json');
+  return providersConfig.defaultModels[providerId];
+}
+
+// Identify the caller for rate limiting and cache scoping
+function getUserId(req) {
+  return (req.user && req.user.id) || req.ip || 'anonymous';
+}
+
+// Make one provider call on behalf of the client. Cached responses are served
+// without touching the provider; otherwise the call counts against that
+// provider's per-user rate limits before it is sent, with options.tokens (the
+// estimated token count) counted against its token limits.
+async function callProvider(req, res, providerId, requestData, options = {}) {
+  const userId = getUserId(req);
+  const { tokens = 0, ...requestOptions } = options;
 
-class APIProxyService {
-  constructor() {
-    this.requestTimeout = configService.get('requestTimeout') || 30000; // 30 seconds
+  if (!requestOptions.stream && requestOptions.cache !== false) {
+    const cached = apiProxyService.getCachedResponse(apiProxyService.getCacheKey(providerId, requestData, userId));
+    if (cached) {
+      return { ...cached, cached: true };
+    }
   }
 
-  // Decrypt API key when needed
-  decryptApiKey(encryptedApiKey, iv, encryptionKey) {
-    try {
-      const algorithm = 'aes-256-cbc';
-      const key = crypto.scryptSync(encryptionKey, 'GfG', 32);
-      const decipher = crypto.createDecipher(algorithm, key);
-      let decrypted = decipher.update(encryptedApiKey, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      return decrypted;
-    } catch (error) {
-      console.error('Error decrypting API key:', error);
-      return null;
+  const quota = await rateLimitMiddleware.consumeProviderQuota(providerId, userId, req.originalUrl || req.url, tokens);
+  if (!quota.allowed) {
+    throw {
+      status: 429,
+      message: quota.message,
+      data: { provider: providerId, limit: quota.exceeded, retryAfter: quota.retryAfter }
+    };
+  }
+  res.set(rateLimitMiddleware.getProviderRateLimitHeaders(providerId, quota));
+
+  // Signed-in users' own API keys take precedence over the shared keys
+  const keyOwnerId = req.user ? req.user.id : null;
+  return apiProxyService.makeCachedRequest(providerId, requestData, { ...requestOptions, userId, keyOwnerId });
+}
+
+// Tokens a chat request counts against the provider's token limits before the
+// reply is known: the prompt plus the room reserved for the reply
+function estimateChatTokens(providerId, data) {
+  const { tokenizer } = contextUtil.getModelMetadata(providerId, data.model);
+  return tokenEstimator.estimateMessagesTokens(data.messages, tokenizer) + (data.max_tokens || 0);
+}
+
+// Replace the estimate a provider call was counted with by the tokens it used
+function reconcileTokens(req, providerId, estimatedTokens, usedTokens) {
+  rateLimitMiddleware.reconcileProviderTokens(providerId, getUserId(req), estimatedTokens, usedTokens);
+}
+
+// Send a provider error back to the client
+function sendProxyError(res, error) {
+  if (error.status) {
+    // Provider API returned an error
+    if (error.status === 429 && error.data && error.data.retryAfter) {
+      res.set('Retry-After', String(error.data.retryAfter));
     }
+    res.status(error.status).json({
+      error: error.message,
+      ...(error.code ? { code: error.code } : {}),
+      ...(error.quota ? { quota: error.quota } : {}),
+      ...(error.data ? { providerResponse: error.data } : {}),
+      ...(error.attempts ? { attempts: error.attempts } : {})
+    });
+  } else if (error.message && /^(No API key configured|Unsupported provider|Unsupported HTTP method)/.test(error.message)) {
+    // The request cannot be sent as asked
+    res.status(400).json({ error: error.message });
+  } else {
+    // Unexpected error
+    console.error('Proxy error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error during proxy request' 
+    });
   }
+}
 
-  // Extract and store rate limit information from response headers
-  logRateLimit(providerId, userId, endpoint, responseHeaders) {
-    try {
-      // Extract rate limit information from headers (these vary by provider)
-      const rateLimitHeaders = {
-        'x-ratelimit-limit-requests': responseHeaders['x-ratelimit-limit-requests'] || 
-                                       responseHeaders['x-ratelimit-limit'] ||
-                                       responseHeaders['x-ratelimit-reset'] ||
-                                       responseHeaders['retry-after'],
-        'x-ratelimit-remaining-requests': responseHeaders['x-ratelimit-remaining-requests'] ||
-                                          responseHeaders['x-ratelimit-remaining'] ||
-                                          responseHeaders['remaining'],
-        'x-ratelimit-reset': responseHeaders['x-ratelimit-reset'] ||
-                             responseHeaders['x-ratelimit-reset-requests'] ||
-                             responseHeaders['retry-after']
-      };
+// Copy the request for another provider/model in the failover chain
+function withModel(requestData, model) {
+  return {
+    ...requestData,
+    data: { ...requestData.data, model }
+  };
+}
 
-      // Create a rate limit log entry
-      const id = crypto.randomBytes(16).toString('hex');
-      const log = new RateLimitLog({
-        id,
-        providerId,
-        userId,
-        endpoint,
-        limit: parseInt(rateLimitHeaders['x-ratelimit-limit-requests']) || 0,
-        remaining: parseInt(rateLimitHeaders['x-ratelimit-remaining-requests']) || 0,
-        resetTime: rateLimitHeaders['x-ratelimit-reset']
-      });
+// Copy a chat request for a candidate in the failover chain. max_tokens is capped
+// at the model's output limit and, unless the client opted out, the oldest turns
+// are dropped when the conversation would overflow the model's context window.
+// Returns { requestData, context }; context is null when trimming is off.
+function prepareChatRequest(res, requestData, candidate, trimContext) {
+  const metadata = contextUtil.getModelMetadata(candidate.providerId, candidate.model);
+  const prepared = withModel(requestData, candidate.model);
+  const data = prepared.data;
+  let context = null;
 
-      rateLimitLogs.set(id, log);
-    } catch (error) {
-      console.error('Error logging rate limit:', error);
+  if (data.max_tokens > metadata.maxOutputTokens) {
+    data.max_tokens = metadata.maxOutputTokens;
+  }
+
+  if (trimContext) {
+    const fitted = contextUtil.fitMessagesToContext(data.messages, {
+      contextWindow: metadata.contextWindow,
+      reservedOutputTokens: data.max_tokens || contextUtil.DEFAULT_RESERVED_OUTPUT_TOKENS,
+      tokenizer: metadata.tokenizer
+    });
+    if (!fitted.fits) {
+      throw {
+        status: 400,
+        message: `The latest message does not fit the ${metadata.contextWindow} token context window of ${candidate.model}`
+      };
     }
+
+    data.messages = fitted.messages;
+    context = { estimatedPromptTokens: fitted.promptTokens, droppedMessages: fitted.droppedCount };
+    res.set('X-Context-Dropped-Messages', String(fitted.droppedCount));
+  }
+
+  return { requestData: prepared, context };
+}
+
+// Charge a provider call to the signed-in user
+function recordUsage(req, entry) {
+  if (req.user) {
+    usageService.recordUsage({ userId: req.user.id, ...entry });
   }
+}
 
-  // Format the request for different providers
-  formatRequest(providerId, requestData) {
-    // Some providers may require request transformations
-    let formattedData = { ...requestData };
+// Reject a call from a signed-in user whose budget for the provider is used up.
+// Chat completions go through applyBudgets instead, which can also downgrade.
+function checkBudget(req, providerId) {
+  if (req.user) {
+    budgetService.assertWithinBudget(req.user.id, providerId);
+  }
+}
+
+// Charge a chat completion using the provider's usage block, or an estimate
+// from the prompt and reply when the provider did not report one.
+// Returns the total tokens charged.
+function recordChatUsage(req, providerId, model, messages, usage, replyMessage) {
+  if (usage && (usage.prompt_tokens || usage.completion_tokens)) {
+    recordUsage(req, {
+      providerId,
+      model,
+      endpoint: 'chat',
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    });
+    return (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+  }
 
-    // For example, OpenRouter might need special headers
-    if (providerId === 'openrouter') {
-      if (!formattedData.headers) formattedData.headers = {};
-      formattedData.headers['HTTP-Referer'] = 'http://localhost:3000';
-      formattedData.headers['X-Title'] = 'AI Chatbot';
+  const { tokenizer } = contextUtil.getModelMetadata(providerId, model);
+  const promptTokens = tokenEstimator.estimateMessagesTokens(messages, tokenizer);
+  const completionTokens = replyMessage ? tokenEstimator.estimateMessageTokens(replyMessage, tokenizer) : 0;
+  recordUsage(req, {
+    providerId,
+    model,
+    endpoint: 'chat',
+    promptTokens,
+    completionTokens,
+    estimated: true
+  });
+  return promptTokens + completionTokens;
+}
+
+// Apply the caller's monthly budgets to the failover chain. An exhausted budget
+// on the requested provider rejects the request with 402 or, when the budget
+// allows it, swaps in a cheaper model; fallbacks that are over budget are skipped.
+function applyBudgets(req, chain) {
+  if (!req.user) return chain;
+
+  return chain.reduce((allowed, candidate, index) => {
+    try {
+      const decision = budgetService.checkBudget(req.user.id, candidate.providerId, candidate.model);
+      allowed.push(decision.downgradedFrom ? { ...candidate, model: decision.model, downgradedFrom: decision.downgradedFrom } : candidate);
+    } catch (error) {
+      if (index === 0 || error.code !== 'QUOTA_EXCEEDED') throw error;
     }
+    return allowed;
+  }, []);
+}
 
-    // For Gemini, we may need to adjust the structure
-    if (providerId === 'gemini') {
-      // Convert OpenAI-style request to Gemini format if needed
-      if (formattedData.url && formattedData.url.includes('/chat/completions')) {
-        formattedData.url = formattedData.url.replace('/chat/completions', ':generateContent');
-      }
+// The model a budget downgrade replaced for the candidate that answered, if any
+function getDowngradedFrom(chain, result) {
+  const candidate = chain.find(c => c.providerId === result.providerId && c.model === result.model);
+  return candidate ? candidate.downgradedFrom : undefined;
+}
+
+// Record which provider actually answered the request
+function setServedByHeaders(res, result, downgradedFrom) {
+  res.set({
+    'X-Served-By-Provider': result.providerId,
+    'X-Served-By-Model': result.model || '',
+    'X-Failover-Attempts': String(result.attempts.length),
+    ...(downgradedFrom ? { 'X-Budget-Downgraded-From': downgradedFrom } : {})
+  });
+}
+
+// Relay a provider SSE stream to the client as OpenAI-style chunks.
+// Failover only happens before the first byte is sent to the client.
+async function streamChatCompletion(req, res, chain, requestData, trimContext) {
+  const abortController = new AbortController();
+  let upstream = null;
+
+  // Stop talking to the provider as soon as the browser goes away
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+      if (upstream) upstream.destroy();
     }
+  });
 
-    return formattedData;
+  let result;
+  let sentMessages = requestData.data.messages;
+  let estimatedTokens = 0;
+  try {
+    result = await failoverService.execute(chain, candidate => {
+      if (abortController.signal.aborted) {
+        throw { status: 499, message: 'Client closed the request' };
+      }
+      const prepared = prepareChatRequest(res, requestData, candidate, trimContext).requestData;
+      // OpenAI-compatible providers only report usage on a stream when asked
+      if (candidate.providerId !== 'gemini' && !prepared.data.stream_options) {
+        prepared.data.stream_options = { include_usage: true };
+      }
+      sentMessages = prepared.data.messages;
+      estimatedTokens = estimateChatTokens(candidate.providerId, prepared.data);
+      return callProvider(req, res, candidate.providerId, prepared, {
+        stream: true,
+        signal: abortController.signal,
+        tokens: estimatedTokens
+      });
+    });
+  } catch (error) {
+    if (abortController.signal.aborted) return;
+    throw error;
   }
 
-  // Make a request to the provider API
-  async makeRequest(providerId, requestData) {
-    const { url, method = 'POST', headers = {}, data } = requestData;
+  const { response, providerId } = result;
+  const downgradedFrom = getDowngradedFrom(chain, result);
+  upstream = response.data;
+  const context = {
+    id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+    created: Math.floor(Date.now() / 1000),
+    model: result.model
+  };
 
-    // Get the API key for the specified provider
-    const apiKey = apiKeyController.validateApiKey(providerId, null);
-    if (!apiKey) {
-      throw new Error(`No API key configured for provider: ${providerId}`);
-    }
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  setServedByHeaders(res, result, downgradedFrom);
+  res.flushHeaders();
+
+  // Let the client know up front which provider is answering
+  writeSSE(res, {
+    providerId,
+    model: result.model,
+    attempts: result.attempts,
+    ...(downgradedFrom ? { budget: { downgradedFrom } } : {})
+  }, 'metadata');
+
+  // What the stream has produced so far, for usage accounting
+  const reply = { role: 'assistant', content: '', tool_calls: [] };
+  let usage = null;
+  let usageRecorded = false;
+  const recordStreamUsage = () => {
+    if (usageRecorded) return;
+    usageRecorded = true;
+    const usedTokens = recordChatUsage(req, providerId, result.model, sentMessages, usage, reply);
+    reconcileTokens(req, providerId, estimatedTokens, usedTokens);
+  };
+  // A client that hangs up mid-stream still pays for what was generated
+  res.on('close', recordStreamUsage);
+
+  let finished = false;
+  const finish = () => {
+    if (finished || res.writableEnded) return;
+    finished = true;
+    recordStreamUsage();
+    writeSSE(res, '[DONE]');
+    res.end();
+  };
 
-    // Determine the base endpoint for this provider
-    const baseEndpoint = providerEndpoints[providerId];
-    if (!baseEndpoint) {
-      throw new Error(`Unknown provider: ${providerId}`);
+  const parse = createSSEParser(({ data }) => {
+    if (data === '[DONE]') {
+      finish();
+      return;
     }
 
-    // Build the full URL by combining the base endpoint with the requested path
-    let fullUrl = url;
-    if (!url.startsWith('http')) {
-      fullUrl = `${baseEndpoint}${url}`;
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      console.error(`Unparseable stream event from ${providerId}:`, data);
+      return;
     }
 
-    // Parse and decrypt the API key
-    const encryptedData = JSON.parse(apiKey.encryptedKey);
-    const encryptionKey = process.env.ENCRYPTION_KEY;
-    if (!encryptionKey) {
-      throw new Error('Encryption key not configured');
+    if (payload.error) {
+      writeSSE(res, { error: payload.error.message || 'Provider stream error' }, 'error');
+      return;
     }
 
-    // Import the decrypt function from the encryption utility
-    const { decryptApiKey } = require('../utils/encryptionUtil');
-    const decryptedApiKey = decryptApiKey(encryptedData.encrypted, encryptedData.iv, encryptionKey);
-
-    // Format the request based on provider requirements
-    const formattedRequest = this.formatRequest(providerId, {
-      url: fullUrl,
-      method,
-      headers: {
-        ...headers,
-        'Authorization': `Bearer ${decryptedApiKey}`,
-        'Content-Type': 'application/json',
-      },
-      data
-    });
+    const chunk = normalizeStreamChunk(providerId, payload, context);
+    if (!chunk) return;
 
-    try {
-      // Make the request to the provider API
-      const response = await axios({
-        method: formattedRequest.method,
-        url: formattedRequest.url,
-        headers: formattedRequest.headers,
-        data: formattedRequest.data,
-        timeout: this.requestTimeout
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    chunk.choices.forEach(choice => {
+      const delta = choice.delta || {};
+      if (delta.content) reply.content += delta.content;
+      (delta.tool_calls || []).forEach(call => {
+        if (call.function) reply.tool_calls.push({ function: call.function });
       });
+    });
 
-      // Log rate limit information if available
-      // Note: The actual API key decryption would be needed here, which is skipped for now
-      // to avoid security issues in this example
-      
-      return response;
-    } catch (error) {
-      if (error.response) {
-        // Server responded with error status
-        throw {
-          status: error.response.status,
-          message: error.response.data.error?.message || 'Provider API error',
-          data: error.response.data
-        };
-      } else if (error.request) {
-        // Request was made but no response received
-        throw {
-          status: 503,
-          message: 'Provider API is not responding',
-          error: error.message
-        };
-      } else {
-        // Something else happened
-        throw {
-          status: 500,
-          message: 'Error making request to provider API',
-          error: error.message
-        };
-      }
+    if (!res.writableEnded) {
+      writeSSE(res, chunk);
     }
-  }
-}
+  });
 
-const apiProxyService = new APIProxyService();
+  upstream.on('data', parse);
+  // Gemini ends its stream without a [DONE] marker
+  upstream.on('end', finish);
+  upstream.on('error', (error) => {
+    if (abortController.signal.aborted || res.writableEnded) return;
+    console.error('Provider stream error:', error);
+    providerHealthService.recordFailure(providerId, 0, null, error.message);
+    writeSSE(res, { error: 'Provider stream interrupted' }, 'error');
+    finish();
+  });
+}
 
 const ProxyController = {
   // Proxy chat completion requests to different providers
   async chatCompletion(req, res) {
     try {
-      const { providerId, model, messages, ...requestParams } = req.body;
+      const { providerId, model, messages, fallback, cache, trimContext = true, ...requestParams } = req.body;
       
       if (!providerId || !messages) {
         return res.status(400).json({
@@ -195,6 +374,19 @@ const ProxyController = {
         });
       }
 
+      // Attachments arrive as OpenAI content parts for every provider
+      const contentError = attachmentUtil.validateMessageContent(messages);
+      if (contentError) {
+        return res.status(400).json({ error: contentError });
+      }
+
+      // Tools use the OpenAI format for every provider; the service translates them
+      const toolParams = toolUtil.upgradeLegacyFunctions(requestParams);
+      const toolError = toolUtil.validateTools(toolParams.tools, toolParams.tool_choice);
+      if (toolError) {
+        return res.status(400).json({ error: toolError });
+      }
+
       // Prepare the request data for the provider
       const requestData = {
         url: '/chat/completions',
@@ -202,38 +394,359 @@ const ProxyController = {
         data: {
           model: model || null,  // May be null initially, will be set below
           messages,
-          ...requestParams
+          ...toolParams
         }
       };
 
       // If no model is specified or it's null, try to get the default model for this provider
       if (!requestData.data.model) {
         // Load default models from configuration file
-        const providersConfig = require('../../config/providers.json');
-        const defaultModels = providersConfig.defaultModels;
+        requestData.data.model = getDefaultModel(providerId) || 'openai/gpt-oss-120b';
+      }
 
-        requestData.data.model = defaultModels[providerId] || 'openai/gpt-oss-120b';
+      // Images only go to models marked with vision in providers.json
+      const withImages = attachmentUtil.hasImages(messages);
+      if (withImages && !contextUtil.getModelMetadata(providerId, requestData.data.model).vision) {
+        return res.status(400).json({
+          error: `${requestData.data.model} cannot read images. Choose a model with image support or remove the images.`
+        });
+      }
+
+      // Gemini only reads images sent inline, not links
+      const withLinkedImages = withImages && attachmentUtil.hasLinkedImages(messages);
+      if (withLinkedImages && providerId === 'gemini') {
+        return res.status(400).json({
+          error: 'Gemini cannot fetch linked images. Send them as base64 data URLs instead.'
+        });
+      }
+
+      // Ordered provider/model candidates: the requested one first, then the fallbacks,
+      // with the caller's budgets applied. Fallbacks that cannot read the images are skipped.
+      const chain = applyBudgets(req, failoverService.buildChain(providerId, requestData.data.model, fallback, req.user ? req.user.id : null))
+        .filter((candidate, index) => index === 0 || !withImages ||
+          (contextUtil.getModelMetadata(candidate.providerId, candidate.model).vision &&
+            !(withLinkedImages && candidate.providerId === 'gemini')));
+
+      // Relay the provider's SSE stream when the client asked for one
+      if (requestData.data.stream) {
+        await streamChatCompletion(req, res, chain, requestData, trimContext !== false);
+        return;
+      }
+
+      // Make the request, moving down the chain on retryable provider errors
+      let context = null;
+      let sentMessages = messages;
+      let estimatedTokens = 0;
+      const result = await failoverService.execute(chain, candidate => {
+        const prepared = prepareChatRequest(res, requestData, candidate, trimContext !== false);
+        context = prepared.context;
+        sentMessages = prepared.requestData.data.messages;
+        estimatedTokens = estimateChatTokens(candidate.providerId, prepared.requestData.data);
+        return callProvider(req, res, candidate.providerId, prepared.requestData, { cache, tokens: estimatedTokens });
+      });
+
+      const completion = toolUtil.normalizeChatCompletion(result.response.data);
+      // Cached responses cost the provider nothing
+      if (!result.response.cached) {
+        const choice = (completion.choices || [])[0];
+        const usedTokens = recordChatUsage(req, result.providerId, result.model, sentMessages, completion.usage, choice && choice.message);
+        reconcileTokens(req, result.providerId, estimatedTokens, usedTokens);
       }
 
-      // Make the request to the provider API
-      const response = await apiProxyService.makeRequest(providerId, requestData);
-      
       // Send the provider's response back to the client
-      res.status(response.status).json(response.data);
+      const downgradedFrom = getDowngradedFrom(chain, result);
+      setServedByHeaders(res, result, downgradedFrom);
+      res.set('X-Cache', result.response.cached ? 'HIT' : 'MISS');
+      res.status(result.response.status).json({
+        ...completion,
+        metadata: {
+          providerId: result.providerId,
+          model: result.model,
+          attempts: result.attempts,
+          cached: !!result.response.cached,
+          ...(context ? { context } : {}),
+          ...(downgradedFrom ? { budget: { downgradedFrom } } : {})
+        }
+      });
     } catch (error) {
-      if (error.status) {
-        // Provider API returned an error
-        res.status(error.status).json({
-          error: error.message,
-          ...(error.data ? { providerResponse: error.data } : {})
-        });
+      if (res.headersSent) {
+        // The stream already started, so report the failure in-band
+        console.error('Proxy stream error:', error);
+        writeSSE(res, { error: error.message || 'Proxy stream error' }, 'error');
+        res.end();
       } else {
-        // Unexpected error
-        console.error('Proxy error:', error);
-        res.status(500).json({ 
-          error: 'Internal server error during proxy request' 
+        sendProxyError(res, error);
+      }
+    }
+  },
+
+  // Create embeddings for a batch of texts. Vectors from different models are not
+  // comparable, so embeddings never fail over to another provider.
+  async embeddings(req, res) {
+    try {
+      const { providerId, model, input, dimensions, cache } = req.body;
+
+      if (!providerId || input === undefined) {
+        return res.status(400).json({
+          error: 'providerId and input are required'
+        });
+      }
+
+      const embeddingModel = embeddingUtil.getEmbeddingModel(providerId, model);
+      if (!embeddingModel) {
+        return res.status(400).json({
+          error: `Embeddings are not supported for provider: ${providerId}`,
+          supportedProviders: embeddingUtil.getEmbeddingProviders()
         });
       }
+
+      const inputError = embeddingUtil.validateEmbeddingInput(input);
+      if (inputError) {
+        return res.status(400).json({ error: inputError });
+      }
+
+      const requestData = {
+        url: '/embeddings',
+        method: 'POST',
+        data: {
+          model: embeddingModel,
+          input,
+          // Always ask for float vectors rather than base64
+          encoding_format: 'float',
+          ...(dimensions ? { dimensions } : {})
+        }
+      };
+
+      checkBudget(req, providerId);
+
+      const inputs = Array.isArray(input) ? input : [input];
+      const estimatedTokens = inputs.reduce((total, text) => total + tokenEstimator.estimateTextTokens(text), 0);
+      const response = await callProvider(req, res, providerId, requestData, { cache, tokens: estimatedTokens });
+      const embeddingResponse = embeddingUtil.normalizeEmbeddingResponse(response.data, embeddingModel);
+
+      if (!response.cached) {
+        // Gemini does not report embedding usage, so fall back to an estimate
+        const reportedTokens = (embeddingResponse.usage || {}).prompt_tokens;
+        recordUsage(req, {
+          providerId,
+          model: embeddingModel,
+          endpoint: 'embeddings',
+          promptTokens: reportedTokens || estimatedTokens,
+          estimated: !reportedTokens
+        });
+        if (reportedTokens) {
+          reconcileTokens(req, providerId, estimatedTokens, reportedTokens);
+        }
+      }
+
+      res.set('X-Cache', response.cached ? 'HIT' : 'MISS');
+      res.status(response.status).json({
+        ...embeddingResponse,
+        metadata: {
+          providerId,
+          model: embeddingModel,
+          cached: !!response.cached
+        }
+      });
+    } catch (error) {
+      sendProxyError(res, error);
+    }
+  },
+
+  // Generate images from a text prompt. Each call is a fresh generation, so
+  // responses are never cached.
+  async imageGeneration(req, res) {
+    try {
+      const { providerId, model, prompt, n, size, response_format } = req.body;
+
+      if (!providerId || prompt === undefined) {
+        return res.status(400).json({
+          error: 'providerId and prompt are required'
+        });
+      }
+
+      const imageModel = imageUtil.getImageModel(providerId, model);
+      if (!imageModel) {
+        return res.status(400).json({
+          error: `Image generation is not supported for provider: ${providerId}`,
+          supportedProviders: imageUtil.getImageProviders()
+        });
+      }
+
+      const requestError = imageUtil.validateImageRequest({ prompt, n, size, response_format });
+      if (requestError) {
+        return res.status(400).json({ error: requestError });
+      }
+
+      checkBudget(req, providerId);
+
+      const requestData = {
+        url: '/images/generations',
+        method: 'POST',
+        data: {
+          model: imageModel,
+          prompt,
+          ...(n ? { n } : {}),
+          ...(size ? { size } : {}),
+          ...(response_format ? { response_format } : {})
+        }
+      };
+
+      const response = await callProvider(req, res, providerId, requestData, {
+        cache: false,
+        timeout: IMAGE_REQUEST_TIMEOUT
+      });
+
+      const imageResponse = imageUtil.normalizeImageResponse(response.data);
+      recordUsage(req, {
+        providerId,
+        model: imageModel,
+        endpoint: 'images',
+        images: (imageResponse.data || []).length
+      });
+
+      res.status(response.status).json({
+        ...imageResponse,
+        metadata: {
+          providerId,
+          model: imageModel
+        }
+      });
+    } catch (error) {
+      sendProxyError(res, error);
+    }
+  },
+
+  // Transcribe an uploaded recording with a Whisper model. The upload arrives as
+  // multipart/form-data (see uploadMiddleware) and is forwarded the same way;
+  // recordings are never cached.
+  async audioTranscription(req, res) {
+    try {
+      const { providerId, model, language, prompt, temperature } = req.body;
+
+      if (!providerId || !req.file) {
+        return res.status(400).json({
+          error: 'providerId and file are required'
+        });
+      }
+
+      const transcriptionModel = audioUtil.getTranscriptionModel(providerId, model);
+      if (!transcriptionModel) {
+        return res.status(400).json({
+          error: `Speech-to-text is not supported for provider: ${providerId}`,
+          supportedProviders: audioUtil.getTranscriptionProviders()
+        });
+      }
+
+      const requestError = audioUtil.validateAudioFile(req.file) ||
+        audioUtil.validateTranscriptionRequest({ language, temperature });
+      if (requestError) {
+        return res.status(400).json({ error: requestError });
+      }
+
+      checkBudget(req, providerId);
+
+      const form = new FormData();
+      form.append('file', new Blob([req.file.buffer], { type: req.file.mimetype }), audioUtil.getAudioFilename(req.file));
+      form.append('model', transcriptionModel);
+      // verbose_json also reports the language and the duration we are charged for
+      form.append('response_format', 'verbose_json');
+      if (language) form.append('language', language.toLowerCase());
+      if (prompt) form.append('prompt', prompt);
+      if (temperature !== undefined) form.append('temperature', String(temperature));
+
+      const requestData = {
+        url: '/audio/transcriptions',
+        method: 'POST',
+        data: form
+      };
+
+      const response = await callProvider(req, res, providerId, requestData, {
+        cache: false,
+        timeout: AUDIO_REQUEST_TIMEOUT
+      });
+
+      const transcription = audioUtil.normalizeTranscriptionResponse(response.data);
+      recordUsage(req, {
+        providerId,
+        model: transcriptionModel,
+        endpoint: 'audio',
+        audioSeconds: transcription.duration || 0
+      });
+
+      res.status(response.status).json({
+        ...transcription,
+        metadata: {
+          providerId,
+          model: transcriptionModel
+        }
+      });
+    } catch (error) {
+      sendProxyError(res, error);
+    }
+  },
+
+  // Turn text into speech. The audio is relayed as is with its Content-Type;
+  // the provider and model that made it are reported in X-Served-By headers.
+  async audioSpeech(req, res) {
+    try {
+      const { providerId, model, input, voice, response_format, speed } = req.body;
+
+      if (!providerId || input === undefined) {
+        return res.status(400).json({
+          error: 'providerId and input are required'
+        });
+      }
+
+      const speechModel = audioUtil.getSpeechModel(providerId, model);
+      if (!speechModel) {
+        return res.status(400).json({
+          error: `Text-to-speech is not supported for provider: ${providerId}`,
+          supportedProviders: audioUtil.getSpeechProviders()
+        });
+      }
+
+      const requestError = audioUtil.validateSpeechRequest({ input, voice, response_format, speed });
+      if (requestError) {
+        return res.status(400).json({ error: requestError });
+      }
+
+      checkBudget(req, providerId);
+
+      const format = response_format || 'mp3';
+      const requestData = {
+        url: '/audio/speech',
+        method: 'POST',
+        data: {
+          model: speechModel,
+          input,
+          voice: voice || audioUtil.DEFAULT_SPEECH_VOICE,
+          response_format: format,
+          ...(speed !== undefined ? { speed } : {})
+        }
+      };
+
+      const response = await callProvider(req, res, providerId, requestData, {
+        cache: false,
+        timeout: AUDIO_REQUEST_TIMEOUT,
+        responseType: 'arraybuffer'
+      });
+
+      recordUsage(req, {
+        providerId,
+        model: speechModel,
+        endpoint: 'audio',
+        characters: input.length
+      });
+
+      res.set({
+        'Content-Type': audioUtil.getSpeechContentType(format),
+        'X-Served-By-Provider': providerId,
+        'X-Served-By-Model': speechModel
+      });
+      res.status(response.status).send(Buffer.from(response.data));
+    } catch (error) {
+      sendProxyError(res, error);
     }
   },
 
@@ -255,25 +768,14 @@ const ProxyController = {
         data
       };
 
-      // Make the request to the provider API
-      const response = await apiProxyService.makeRequest(providerId, requestData);
+      // Make the request to the provider API (rate limited and cached like chat completions)
+      const response = await callProvider(req, res, providerId, requestData, { cache: req.body.cache });
       
       // Send the provider's response back to the client
+      res.set('X-Cache', response.cached ? 'HIT' : 'MISS');
       res.status(response.status).json(response.data);
     } catch (error) {
-      if (error.status) {
-        // Provider API returned an error
-        res.status(error.status).json({
-          error: error.message,
-          ...(error.data ? { providerResponse: error.data } : {})
-        });
-      } else {
-        // Unexpected error
-        console.error('Proxy error:', error);
-        res.status(500).json({ 
-          error: 'Internal server error during proxy request' 
-        });
-      }
+      sendProxyError(res, error);
     }
   }
 };
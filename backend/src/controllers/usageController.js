@@ -0,0 +1,90 @@
+// backend/src/controllers/usageController.js
+const usageService = require('../services/usageService');
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+// Build a 400 error for a bad query parameter
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Turn a date or timestamp into an ISO timestamp. A bare date as the upper
+// bound covers the whole of that day (UTC).
+function parseDateParam(value, name, endOfDay = false) {
+  if (!value) return undefined;
+
+  const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const timestamp = Date.parse(isDateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+  if (Number.isNaN(timestamp)) {
+    throw queryError(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+  }
+  return new Date(timestamp).toISOString();
+}
+
+// Filters from the query string. Only admins may look at other users' usage;
+// everyone else always sees their own.
+function getFilters(req) {
+  const { userId, providerId, model, from, to } = req.query;
+  const isAdmin = req.user.role === 'admin';
+
+  return {
+    userId: isAdmin ? userId : req.user.id,
+    providerId,
+    model,
+    from: parseDateParam(from, 'from'),
+    to: parseDateParam(to, 'to', true)
+  };
+}
+
+// Send a usage failure back to the client
+function sendUsageError(res, error) {
+  if (error.status) {
+    res.status(error.status).json({ error: error.message });
+  } else {
+    console.error('Usage error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+const UsageController = {
+  // List individual usage records, newest first
+  async list(req, res) {
+    try {
+      const filters = getFilters(req);
+
+      const limit = req.query.limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(req.query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        throw queryError(`limit must be between 1 and ${MAX_LIST_LIMIT}`);
+      }
+
+      res.json(usageService.listUsage(filters, limit));
+    } catch (error) {
+      sendUsageError(res, error);
+    }
+  },
+
+  // Token and cost totals, grouped by any of user, provider, model and day
+  async summary(req, res) {
+    try {
+      const filters = getFilters(req);
+
+      // groupBy=provider,day and groupBy=provider&groupBy=day mean the same
+      const dimensions = usageService.getGroupDimensions();
+      const groupBy = req.query.groupBy
+        ? [].concat(req.query.groupBy).join(',').split(',').map(dimension => dimension.trim()).filter(Boolean)
+        : undefined;
+      if (groupBy && groupBy.some(dimension => !dimensions.includes(dimension))) {
+        throw queryError(`groupBy must be a comma-separated list of: ${dimensions.join(', ')}`);
+      }
+
+      res.json(usageService.summarize(filters, groupBy));
+    } catch (error) {
+      sendUsageError(res, error);
+    }
+  }
+};
+
+module.exports = UsageController;
@@ -1,20 +1,28 @@
 // backend/src/middleware/authMiddleware.js
-const jwt = require('jsonwebtoken');
+const authService = require('../services/authService');
+
+// Read the bearer token from the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
 
 const authMiddleware = {
-  // Middleware to authenticate requests
+  // Middleware to authenticate requests with an access token from /api/auth/login
   authenticate: (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
     try {
-      // For now, we'll use a simple approach for demo purposes
-      // In a real implementation, you would validate JWT tokens or API keys
-      
-      // Allow all requests for now to enable development
-      // In a production system, you would have proper authentication
-      req.user = { id: 'demo-user', role: 'user' }; // Demo user
+      req.user = authService.verifyAccessToken(token);
       next();
     } catch (error) {
-      console.error('Authentication error:', error);
-      res.status(401).json({ error: 'Authentication required' });
+      if (!error.status) {
+        console.error('Authentication error:', error);
+      }
+      res.status(401).json({ error: error.status ? error.message : 'Authentication required' });
     }
   },
 
@@ -25,7 +33,7 @@ const authMiddleware = {
       if (!req.user || !roles.includes(req.user.role)) {
         return res.status(403).json({ error: 'Insufficient permissions' });
       }
-      
+
       next();
     };
   },
@@ -33,36 +41,35 @@ const authMiddleware = {
   // Middleware to authenticate admin users for provider configuration
   adminAuth: (req, res, next) => {
     try {
-      // In a real implementation, you would validate JWT tokens
-      // For demo purposes, we'll allow admin access if a specific header is provided
-      const isAdmin = req.headers['x-admin-access'] === process.env.ADMIN_ACCESS_KEY;
-      
-      if (isAdmin) {
+      // Deployments and scripts can use the shared admin access key instead of a user token
+      const adminAccessKey = process.env.ADMIN_ACCESS_KEY;
+      if (adminAccessKey && req.headers['x-admin-access'] === adminAccessKey) {
         req.user = { id: 'admin-user', role: 'admin' };
         next();
         return;
       }
-      
-      // Fallback: check for JWT token
-      const token = req.headers.authorization?.replace('Bearer ', '');
+
+      // Otherwise require an access token belonging to an admin
+      const token = getBearerToken(req);
       if (!token) {
         return res.status(401).json({ error: 'Authentication token required' });
       }
 
-      const jwtSecret = process.env.JWT_SECRET || 'fallback_jwt_secret_for_dev';
-      const decoded = jwt.verify(token, jwtSecret);
-      
-      if (decoded.role !== 'admin') {
+      const user = authService.verifyAccessToken(token);
+
+      if (user.role !== 'admin') {
         return res.status(403).json({ error: 'Admin access required' });
       }
-      
-      req.user = decoded;
+
+      req.user = user;
       next();
     } catch (error) {
-      console.error('Admin authentication error:', error);
+      if (!error.status) {
+        console.error('Admin authentication error:', error);
+      }
       res.status(401).json({ error: 'Invalid or expired token' });
     }
   }
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
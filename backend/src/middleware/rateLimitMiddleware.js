@@ -1,13 +1,26 @@
 // backend/src/middleware/rateLimitMiddleware.js
-const RateLimitLog = require('../models/RateLimitLog');
+const { createRateLimitStore } = require('./rateLimitStores');
+const { msUntilTokens } = require('./rateLimitStores/tokenBucket');
+const { requiredUnits } = require('./rateLimitStores/hitCost');
 
-// In-memory storage for rate limiting (in production, this would use Redis or similar)
-let rateLimitStorage = new Map();
+const ALGORITHMS = ['sliding-log', 'token-bucket'];
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// The limits a provider's `rateLimits` can set besides windowMs/maxRequests.
+// Token limits are charged the estimated tokens of a request up front and
+// corrected once the provider reports what it actually used.
+const PROVIDER_LIMIT_DIMENSIONS = [
+  { name: 'requestsPerDay', header: 'Requests-Day', unit: 'requests', windowMs: DAY_MS, message: 'Daily request limit reached for' },
+  { name: 'tokensPerMinute', header: 'Tokens', unit: 'tokens', windowMs: MINUTE_MS, message: 'Token limit per minute reached for' },
+  { name: 'tokensPerDay', header: 'Tokens-Day', unit: 'tokens', windowMs: DAY_MS, message: 'Daily token limit reached for' }
+];
 
 class RateLimitMiddleware {
   constructor() {
     // Load configuration
-    const providersConfig = require('../config/providers.json');
+    const providersConfig = require('../../config/providers.json');
 
     // Default rate limits per provider (loaded from config)
     this.defaultLimits = providersConfig.defaultRateLimits;
@@ -19,138 +32,238 @@ class RateLimitMiddleware {
         this.providerLimits[provider.id] = provider.rateLimits;
       }
     });
+
+    // 'sliding-log' counts requests in the last window; 'token-bucket' allows the
+    // same average rate with short bursts. Limits can pick their own with `algorithm`.
+    this.defaultAlgorithm = process.env.RATE_LIMIT_ALGORITHM || 'sliding-log';
+    if (!ALGORITHMS.includes(this.defaultAlgorithm)) {
+      throw new Error(`Unknown rate limit algorithm: ${this.defaultAlgorithm}`);
+    }
+
+    // Where request history lives; see rateLimitStores
+    this.store = createRateLimitStore();
+  }
+
+  // Use another store, e.g. Redis shared by several instances
+  setStore(store) {
+    this.store = store;
+  }
+
+  // Count a request for key against limits ({ windowMs, maxRequests, algorithm }).
+  // With consume false the request is only checked, not counted. `cost` is how
+  // much the hit counts (1 unless it is a number of tokens; negative gives some
+  // back) and with `force` it is counted even over the limit.
+  // Returns { allowed, limit, remaining, resetTime, retryAfter }. When the store
+  // cannot be reached, requests are let through rather than failing the API.
+  async hit(key, limits, consume = true, { cost = 1, force = false } = {}) {
+    const now = Date.now();
+    const options = { now, windowMs: limits.windowMs, limit: limits.maxRequests, consume, cost, force };
+    const algorithm = limits.algorithm || this.defaultAlgorithm;
+
+    try {
+      if (algorithm === 'token-bucket') {
+        const { allowed, tokens } = await this.store.tokenBucket(key, options);
+        return {
+          allowed,
+          limit: limits.maxRequests,
+          remaining: Math.max(0, Math.floor(tokens)),
+          resetTime: new Date(now + msUntilTokens(tokens, limits.maxRequests, options)).toISOString(),
+          retryAfter: allowed ? 0 : Math.ceil(msUntilTokens(tokens, requiredUnits(cost, limits.maxRequests), options) / 1000)
+        };
+      }
+
+      const { allowed, count, oldest } = await this.store.slidingLog(key, options);
+      return {
+        allowed,
+        limit: limits.maxRequests,
+        remaining: Math.max(0, limits.maxRequests - count),
+        resetTime: new Date(allowed || oldest === null ? now + limits.windowMs : oldest + limits.windowMs).toISOString(),
+        retryAfter: allowed || oldest === null ? 0 : Math.ceil((oldest - now + limits.windowMs) / 1000)
+      };
+    } catch (error) {
+      console.error(`Rate limit store error for ${key}; allowing the request:`, error.message);
+      return {
+        allowed: true,
+        limit: limits.maxRequests,
+        remaining: limits.maxRequests,
+        resetTime: new Date(now + limits.windowMs).toISOString(),
+        retryAfter: 0
+      };
+    }
   }
 
   // Generic rate limiter middleware
   createRateLimiter(options = {}) {
     const opts = { ...this.defaultLimits, ...options };
     
-    return (req, res, next) => {
+    return async (req, res, next) => {
       // Determine the rate limit key (IP address, user ID, etc.)
       const key = opts.keyFn ? opts.keyFn(req) : req.ip;
-      const now = Date.now();
-      const windowStart = now - opts.windowMs;
-      
-      // Get or create the request record for this key
-      if (!rateLimitStorage.has(key)) {
-        rateLimitStorage.set(key, []);
-      }
-      
-      // Get the request history for this key
-      let requests = rateLimitStorage.get(key);
-      
-      // Remove requests outside the current window
-      requests = requests.filter(timestamp => timestamp > windowStart);
+      const result = await this.hit(key, opts);
       
       // Check if the limit has been exceeded
-      if (requests.length >= opts.maxRequests) {
+      if (!result.allowed) {
         return res.status(429).json({
           error: 'Rate limit exceeded',
           message: `Too many requests, please try again later`,
-          retryAfter: Math.ceil((requests[0] - now + opts.windowMs) / 1000)
+          retryAfter: result.retryAfter
         });
       }
       
-      // Add current request timestamp
-      requests.push(now);
-      rateLimitStorage.set(key, requests);
-      
       // Add rate limit headers to the response
       res.set({
-        'X-RateLimit-Limit': opts.maxRequests,
-        'X-RateLimit-Remaining': opts.maxRequests - requests.length,
-        'X-RateLimit-Reset': new Date(now + opts.windowMs).toISOString()
+        'X-RateLimit-Limit': result.limit,
+        'X-RateLimit-Remaining': result.remaining,
+        'X-RateLimit-Reset': result.resetTime
       });
       
       next();
     };
   }
 
-  // Rate limiter specifically for provider API calls
-  providerRateLimiter(providerId) {
+  // Every limit configured for a provider as { name, header, unit, windowMs, maxRequests, algorithm }.
+  // windowMs/maxRequests is the 'requests' limit; see PROVIDER_LIMIT_DIMENSIONS for the others.
+  getProviderLimits(providerId) {
     const limits = this.providerLimits[providerId] || this.defaultLimits;
-    
-    return (req, res, next) => {
-      // Determine the rate limit key (could be user ID or IP)
-      const userId = req.user?.id || req.ip;
-      const key = `provider_${providerId}_${userId}`;
-      const now = Date.now();
-      const windowStart = now - limits.windowMs;
-      
-      // Get or create the request record for this provider/user combination
-      if (!rateLimitStorage.has(key)) {
-        rateLimitStorage.set(key, []);
+    const configured = [];
+
+    if (limits.maxRequests) {
+      configured.push({
+        name: 'requests',
+        header: 'Requests',
+        unit: 'requests',
+        windowMs: limits.windowMs,
+        maxRequests: limits.maxRequests,
+        message: 'Too many requests to'
+      });
+    }
+    PROVIDER_LIMIT_DIMENSIONS.forEach(dimension => {
+      if (limits[dimension.name]) {
+        configured.push({ ...dimension, maxRequests: limits[dimension.name] });
       }
-      
-      // Get the request history
-      let requests = rateLimitStorage.get(key);
-      
-      // Remove requests outside the current window
-      requests = requests.filter(timestamp => timestamp > windowStart);
-      
-      // Check if the limit has been exceeded
-      if (requests.length >= limits.maxRequests) {
-        console.log(`Rate limit exceeded for provider ${providerId} by user ${userId}`);
-        
-        return res.status(429).json({
-          error: 'Provider rate limit exceeded',
-          message: `Too many requests to ${providerId}, please try again later`,
-          provider: providerId,
-          retryAfter: Math.ceil((requests[0] - now + limits.windowMs) / 1000)
-        });
+    });
+
+    return configured.map(limit => ({ ...limit, algorithm: limits.algorithm }));
+  }
+
+  // Store key for a user's usage of one of a provider's limits
+  getProviderLimitKey(providerId, userId, limit) {
+    const key = `provider_${providerId}_${userId}`;
+    return limit.name === 'requests' ? key : `${key}_${limit.name}`;
+  }
+
+  // Count a request against every one of a provider's limits for a user without
+  // touching the response. `tokens` is the request's estimated token count.
+  // A request refused by one limit is not counted against the others.
+  // Returns { allowed, limit, remaining, resetTime, retryAfter, limits } where the
+  // top-level figures are for the 'requests' limit and `limits` has each limit's
+  // own by name. A refused request also names the limit it hit in `exceeded`.
+  async consumeProviderQuota(providerId, userId, endpoint = null, tokens = 0) {
+    const results = {};
+    const counted = [];
+    let exceeded = null;
+
+    for (const limit of this.getProviderLimits(providerId)) {
+      const cost = limit.unit === 'tokens' ? tokens : 1;
+      const result = await this.hit(this.getProviderLimitKey(providerId, userId, limit), limit, true, { cost });
+      results[limit.name] = result;
+      if (!result.allowed) {
+        exceeded = limit;
+        break;
       }
-      
-      // Add current request timestamp
-      requests.push(now);
-      rateLimitStorage.set(key, requests);
-      
-      // Add provider-specific rate limit headers to the response
-      res.set({
-        'X-Provider-RateLimit-Limit': limits.maxRequests,
-        'X-Provider-RateLimit-Remaining': limits.maxRequests - requests.length,
-        'X-Provider-RateLimit-Reset': new Date(now + limits.windowMs).toISOString(),
-        'X-Provider': providerId
-      });
-      
-      // Log this rate limit event
-      const logId = require('crypto').randomBytes(16).toString('hex');
-      const rateLimitLog = new RateLimitLog({
-        id: logId,
-        providerId,
-        userId,
-        endpoint: req.url,
-        limit: limits.maxRequests,
-        remaining: limits.maxRequests - requests.length,
-        resetTime: new Date(now + limits.windowMs).toISOString()
-      });
-      
-      // In a real implementation, you might store these logs in a database
-      console.log(`Rate limit log: ${JSON.stringify(rateLimitLog)}`);
-      
-      next();
+      counted.push({ limit, cost });
+    }
+
+    if (exceeded) {
+      // Give back what the refused request already took from the other limits
+      for (const { limit, cost } of counted) {
+        results[limit.name] = await this.hit(this.getProviderLimitKey(providerId, userId, limit), limit, true, { cost: -cost, force: true });
+      }
+      console.log(`Rate limit (${exceeded.name}) exceeded for provider ${providerId} by user ${userId}`);
+      return {
+        ...this.summarizeProviderQuota(results),
+        allowed: false,
+        retryAfter: results[exceeded.name].retryAfter,
+        exceeded: exceeded.name,
+        message: `${exceeded.message} ${providerId}, please try again later`
+      };
+    }
+
+    return this.summarizeProviderQuota(results);
+  }
+
+  // Correct a provider's token limits once the real token count of a request is
+  // known. The difference from the estimate is charged or given back even when
+  // it takes the user over the limit, since the tokens have already been used.
+  async reconcileProviderTokens(providerId, userId, estimatedTokens, actualTokens) {
+    const difference = actualTokens - estimatedTokens;
+    if (!difference) return;
+
+    const tokenLimits = this.getProviderLimits(providerId).filter(limit => limit.unit === 'tokens');
+    for (const limit of tokenLimits) {
+      await this.hit(this.getProviderLimitKey(providerId, userId, limit), limit, true, { cost: difference, force: true });
+    }
+  }
+
+  // Top-level figures from the 'requests' limit (or the first one configured)
+  // plus every limit's own
+  summarizeProviderQuota(results) {
+    const names = Object.keys(results);
+    const primary = results.requests || results[names[0]] || {};
+    return {
+      allowed: names.every(name => results[name].allowed),
+      limit: primary.limit,
+      remaining: primary.remaining,
+      resetTime: primary.resetTime,
+      retryAfter: primary.retryAfter || 0,
+      limits: names.reduce((limits, name) => {
+        const { limit, remaining, resetTime } = results[name];
+        limits[name] = { limit, remaining, resetTime };
+        return limits;
+      }, {})
     };
   }
 
-  // Get rate limit information for a user/provider
-  getRateLimitInfo(providerId, userId) {
-    const key = `provider_${providerId}_${userId}`;
-    const requests = rateLimitStorage.get(key) || [];
-    const limits = this.providerLimits[providerId] || this.defaultLimits;
-    const now = Date.now();
-    const windowStart = now - limits.windowMs;
-    
-    // Filter to only requests in the current window
-    const currentRequests = requests.filter(timestamp => timestamp > windowStart);
+  // Provider-specific rate limit headers for a response, with the remaining
+  // quota of each limit in X-Provider-RateLimit-Remaining-<Requests|Requests-Day|Tokens|Tokens-Day>
+  getProviderRateLimitHeaders(providerId, quota) {
+    const headers = {
+      'X-Provider-RateLimit-Limit': quota.limit,
+      'X-Provider-RateLimit-Remaining': quota.remaining,
+      'X-Provider-RateLimit-Reset': quota.resetTime,
+      'X-Provider': providerId
+    };
+
+    const configured = this.getProviderLimits(providerId);
+    Object.entries(quota.limits || {}).forEach(([name, result]) => {
+      const limit = configured.find(l => l.name === name);
+      if (!limit) return;
+      headers[`X-Provider-RateLimit-Limit-${limit.header}`] = result.limit;
+      headers[`X-Provider-RateLimit-Remaining-${limit.header}`] = result.remaining;
+      headers[`X-Provider-RateLimit-Reset-${limit.header}`] = result.resetTime;
+    });
+
+    return headers;
+  }
+
+  // Get rate limit information for a user/provider without counting a request
+  async getRateLimitInfo(providerId, userId) {
+    const results = {};
+    for (const limit of this.getProviderLimits(providerId)) {
+      results[limit.name] = await this.hit(this.getProviderLimitKey(providerId, userId, limit), limit, false);
+    }
+    const result = this.summarizeProviderQuota(results);
     
     return {
       providerId,
       userId,
-      limit: limits.maxRequests,
-      remaining: limits.maxRequests - currentRequests.length,
-      resetTime: new Date(now + limits.windowMs).toISOString(),
-      currentRequests: currentRequests.length
+      limit: result.limit,
+      remaining: result.remaining,
+      resetTime: result.resetTime,
+      currentRequests: result.limit - result.remaining,
+      limits: result.limits
     };
   }
 }
 
-module.exports = new RateLimitMiddleware();
\ No newline at end of file
+module.exports = new RateLimitMiddleware();
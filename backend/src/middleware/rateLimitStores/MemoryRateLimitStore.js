@@ -0,0 +1,87 @@
+// backend/src/middleware/rateLimitStores/MemoryRateLimitStore.js
+const { takeToken, bucketTtl } = require('./tokenBucket');
+const { requiredUnits, logTotal } = require('./hitCost');
+
+const DEFAULT_SWEEP_INTERVAL_MS = 60000;
+
+// Keeps rate limit state in this process. Every key expires once its window
+// has passed without requests, and a periodic sweep drops idle keys so memory
+// does not grow with every client ever seen. Limits are per instance.
+class MemoryRateLimitStore {
+  constructor(options = {}) {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepIntervalMs || DEFAULT_SWEEP_INTERVAL_MS);
+    // Never keep the process alive just to sweep
+    if (this.sweepTimer.unref) this.sweepTimer.unref();
+  }
+
+  get(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  set(key, value, expiresAt) {
+    this.entries.set(key, { value, expiresAt });
+  }
+
+  // Drop every expired key
+  sweep(now = Date.now()) {
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+
+  // Sliding log: [timestamp, cost] for each hit in the last windowMs.
+  // Returns { allowed, count, oldest } with count including this hit when allowed.
+  async slidingLog(key, { now, windowMs, limit, consume = true, cost = 1, force = false }) {
+    const hits = (this.get(key, now) || []).filter(([timestamp]) => timestamp > now - windowMs);
+
+    const allowed = force || logTotal(hits.map(([, weight]) => weight)) + requiredUnits(cost, limit) <= limit;
+    if (allowed && consume && cost !== 0) {
+      hits.push([now, cost]);
+    }
+    if (hits.length > 0) {
+      this.set(key, hits, hits[hits.length - 1][0] + windowMs);
+    } else {
+      this.entries.delete(key);
+    }
+
+    return {
+      allowed,
+      count: logTotal(hits.map(([, weight]) => weight)),
+      oldest: hits.length > 0 ? hits[0][0] : null
+    };
+  }
+
+  // Token bucket: returns { allowed, tokens } with tokens left after this request
+  async tokenBucket(key, options) {
+    const { now } = options;
+    const state = takeToken(this.get(key, now), options);
+    // A bucket that has refilled is the same as no entry
+    this.set(key, { tokens: state.tokens, updatedAt: state.updatedAt }, now + bucketTtl(state.tokens, options));
+
+    return { allowed: state.allowed, tokens: state.tokens };
+  }
+
+  // Number of keys currently held
+  size() {
+    return this.entries.size;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+module.exports = MemoryRateLimitStore;
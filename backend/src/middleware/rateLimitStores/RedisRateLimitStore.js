@@ -0,0 +1,112 @@
+// backend/src/middleware/rateLimitStores/RedisRateLimitStore.js
+const crypto = require('crypto');
+const { RedisClient } = require('../../utils/redisClient');
+const { takeToken, bucketTtl } = require('./tokenBucket');
+const { requiredUnits, logTotal } = require('./hitCost');
+
+const MAX_TRANSACTION_RETRIES = 5;
+
+// Keeps rate limit state in Redis (or anything speaking its protocol) so every
+// instance of the backend shares the same limits. Keys expire with their window.
+// Members are `${timestamp}:${random}:${cost}`; older ones without a cost count 1
+function memberCost(hit) {
+  const cost = hit.member.split(':')[2];
+  return cost === undefined ? 1 : Number(cost);
+}
+
+class RedisRateLimitStore {
+  constructor(options = {}) {
+    this.client = options.client || new RedisClient(options.url || process.env.REDIS_URL, {
+      commandTimeout: options.commandTimeout
+    });
+    this.prefix = options.prefix || 'ratelimit:';
+    // WATCH and EXEC apply to the whole connection, so operations take turns
+    this.queue = Promise.resolve();
+  }
+
+  // Run operations on the shared connection one at a time
+  exclusive(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Sliding log as a sorted set of hits scored by timestamp, each member
+  // carrying the hit's cost. The hit is added optimistically in the same
+  // transaction that reads the window, and taken out again when it went over
+  // the limit.
+  async slidingLog(key, { now, windowMs, limit, consume = true, cost = 1, force = false }) {
+    const redisKey = this.prefix + key;
+    const member = `${now}:${crypto.randomBytes(6).toString('hex')}:${cost}`;
+    const add = consume && cost !== 0;
+
+    return this.exclusive(async () => {
+      let results = null;
+      for (let attempt = 0; attempt < MAX_TRANSACTION_RETRIES && !results; attempt++) {
+        // EXEC answers null when a key WATCHed on this connection changed; nothing ran
+        results = await this.client.multi([
+          ['ZREMRANGEBYSCORE', redisKey, '-inf', now - windowMs],
+          add ? ['ZADD', redisKey, now, member] : ['ZCARD', redisKey],
+          ['ZRANGE', redisKey, 0, -1, 'WITHSCORES'],
+          ['PEXPIRE', redisKey, windowMs]
+        ]);
+      }
+      if (!results) {
+        throw new Error(`Rate limit log ${key} is too contended to update`);
+      }
+
+      const range = results[2];
+      const hits = [];
+      for (let index = 0; index < range.length; index += 2) {
+        hits.push({ member: range[index], timestamp: Number(range[index + 1]) });
+      }
+      const earlier = hits.filter(hit => hit.member !== member);
+
+      const allowed = force || logTotal(earlier.map(memberCost)) + requiredUnits(cost, limit) <= limit;
+      let kept = hits;
+      if (add && !allowed) {
+        await this.client.command('ZREM', redisKey, member);
+        kept = earlier;
+      }
+
+      return {
+        allowed,
+        count: logTotal(kept.map(memberCost)),
+        oldest: kept.length > 0 ? kept[0].timestamp : null
+      };
+    });
+  }
+
+  // Token bucket as a hash of { tokens, updatedAt }, updated with WATCH/MULTI so
+  // concurrent instances cannot both spend the last token
+  async tokenBucket(key, options) {
+    const redisKey = this.prefix + key;
+
+    return this.exclusive(async () => {
+      for (let attempt = 0; attempt < MAX_TRANSACTION_RETRIES; attempt++) {
+        await this.client.command('WATCH', redisKey);
+        const [tokens, updatedAt] = await this.client.command('HMGET', redisKey, 'tokens', 'updatedAt');
+        const stored = tokens === null ? null : { tokens: Number(tokens), updatedAt: Number(updatedAt) };
+
+        const state = takeToken(stored, options);
+        const results = await this.client.multi([
+          ['HSET', redisKey, 'tokens', state.tokens, 'updatedAt', state.updatedAt],
+          ['PEXPIRE', redisKey, bucketTtl(state.tokens, options)]
+        ]);
+
+        if (results) {
+          return { allowed: state.allowed, tokens: state.tokens };
+        }
+        // Another instance changed the bucket in the meantime; read it again
+      }
+
+      throw new Error(`Rate limit bucket ${key} is too contended to update`);
+    });
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisRateLimitStore;
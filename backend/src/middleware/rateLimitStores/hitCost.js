@@ -0,0 +1,17 @@
+// backend/src/middleware/rateLimitStores/hitCost.js
+
+// A hit costs 1 for a request limit and its token count for a token limit.
+// It needs at least one free unit, and a hit costing more than the whole limit
+// only waits for an empty window rather than being refused for ever.
+function requiredUnits(cost, limit) {
+  return Math.min(Math.max(cost, 1), limit);
+}
+
+// Total of a sliding log's weights, oldest first. Refunds are negative weights;
+// the total never drops below zero, so a refund whose charge has already left
+// the window gives nothing extra back.
+function logTotal(weights) {
+  return weights.reduce((total, weight) => Math.max(0, total + weight), 0);
+}
+
+module.exports = { requiredUnits, logTotal };
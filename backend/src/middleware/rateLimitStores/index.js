@@ -0,0 +1,22 @@
+// backend/src/middleware/rateLimitStores/index.js
+const MemoryRateLimitStore = require('./MemoryRateLimitStore');
+const RedisRateLimitStore = require('./RedisRateLimitStore');
+
+// Pick where rate limit state lives: RATE_LIMIT_STORE=memory|redis, memory by default.
+// Use redis (with REDIS_URL) when more than one instance serves traffic.
+function createRateLimitStore(driver = process.env.RATE_LIMIT_STORE || 'memory', options = {}) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryRateLimitStore(options);
+    case 'redis':
+      return new RedisRateLimitStore(options);
+    default:
+      throw new Error(`Unknown rate limit store: ${driver}`);
+  }
+}
+
+module.exports = {
+  createRateLimitStore,
+  MemoryRateLimitStore,
+  RedisRateLimitStore
+};
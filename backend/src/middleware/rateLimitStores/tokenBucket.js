@@ -0,0 +1,34 @@
+// backend/src/middleware/rateLimitStores/tokenBucket.js
+const { requiredUnits } = require('./hitCost');
+
+// A bucket holds up to `limit` tokens and refills at limit per windowMs, so it
+// allows the same average rate as the sliding log but lets short bursts through.
+// Takes the stored { tokens, updatedAt } (or null for a full bucket) and returns
+// the new state plus whether `cost` tokens were taken. With force the tokens are
+// taken regardless, which can leave the bucket in debt; a negative cost gives
+// tokens back.
+function takeToken(state, { now, windowMs, limit, consume = true, cost = 1, force = false }) {
+  const ratePerMs = limit / windowMs;
+  const stored = state || { tokens: limit, updatedAt: now };
+  const elapsed = Math.max(0, now - stored.updatedAt);
+  let tokens = Math.min(limit, stored.tokens + elapsed * ratePerMs);
+
+  const allowed = force || tokens >= requiredUnits(cost, limit);
+  if (allowed && consume) {
+    tokens = Math.min(limit, tokens - cost);
+  }
+
+  return { allowed, tokens, updatedAt: now };
+}
+
+// How long until the bucket holds `needed` tokens again
+function msUntilTokens(tokens, needed, { windowMs, limit }) {
+  return tokens >= needed ? 0 : Math.ceil((needed - tokens) * windowMs / limit);
+}
+
+// How long to keep a bucket: until it is full again, and at least a window
+function bucketTtl(tokens, options) {
+  return Math.max(options.windowMs, msUntilTokens(tokens, options.limit, options));
+}
+
+module.exports = { takeToken, msUntilTokens, bucketTtl };
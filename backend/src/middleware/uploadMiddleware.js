@@ -0,0 +1,46 @@
+// backend/src/middleware/uploadMiddleware.js
+const express = require('express');
+const { getBoundary, parseMultipart } = require('../utils/multipartUtil');
+
+// Room for the boundaries, part headers and text fields around the file
+const MULTIPART_OVERHEAD_BYTES = 64 * 1024;
+
+class UploadMiddleware {
+  // Accept a multipart/form-data upload of at most maxBytes. Text fields end up
+  // in req.body and the file sent as fileField in req.file as
+  // { fieldName, originalname, mimetype, size, buffer } (null when none was sent).
+  single(fileField, { maxBytes }) {
+    const readBody = express.raw({ type: 'multipart/form-data', limit: maxBytes + MULTIPART_OVERHEAD_BYTES });
+
+    return (req, res, next) => {
+      readBody(req, res, (error) => {
+        if (error) {
+          if (error.type === 'entity.too.large') {
+            return res.status(413).json({
+              error: `Upload is larger than the ${Math.floor(maxBytes / (1024 * 1024))} MB limit`
+            });
+          }
+          return res.status(400).json({ error: 'Could not read the upload' });
+        }
+
+        const boundary = getBoundary(req.headers['content-type']);
+        if (!boundary || !Buffer.isBuffer(req.body)) {
+          return res.status(400).json({ error: 'Expected a multipart/form-data upload' });
+        }
+
+        let parsed;
+        try {
+          parsed = parseMultipart(req.body, boundary);
+        } catch (parseError) {
+          return res.status(400).json({ error: `Malformed upload: ${parseError.message}` });
+        }
+
+        req.body = parsed.fields;
+        req.file = parsed.files.find(file => file.fieldName === fileField) || null;
+        next();
+      });
+    };
+  }
+}
+
+module.exports = new UploadMiddleware();
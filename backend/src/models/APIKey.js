@@ -1,8 +1,9 @@
 // backend/src/models/APIKey.js
 class APIKey {
-  constructor({ id, providerId, encryptedKey, createdAt, updatedAt, lastUsedAt }) {
+  constructor({ id, providerId, userId, encryptedKey, createdAt, updatedAt, lastUsedAt }) {
     this.id = id;
     this.providerId = providerId;
+    this.userId = userId || null; // null for shared keys managed by admins
     this.encryptedKey = encryptedKey;
     this.createdAt = createdAt || new Date().toISOString();
     this.updatedAt = updatedAt || new Date().toISOString();
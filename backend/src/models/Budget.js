@@ -0,0 +1,62 @@
+// backend/src/models/Budget.js
+const METRICS = ['tokens', 'cost'];
+const ACTIONS = ['reject', 'downgrade'];
+
+// A monthly spending limit. userId and providerId narrow who and what it
+// covers; leaving one out applies the budget to every user or every provider.
+class Budget {
+  constructor({ id, userId, providerId, metric, limit, onExhausted, downgradeModel, hardLimit, createdAt, updatedAt }) {
+    this.id = id;
+    this.userId = userId || null;
+    this.providerId = providerId || null;
+    this.metric = metric; // 'tokens' or 'cost' (in the pricing currency)
+    this.limit = limit;
+    this.onExhausted = onExhausted || 'reject'; // 'reject' or 'downgrade' to a cheaper model
+    this.downgradeModel = downgradeModel || null; // Cheaper model to use instead; the cheapest priced one when unset
+    this.hardLimit = typeof hardLimit === 'number' ? hardLimit : null; // Usage at which downgraded requests are rejected too; none when unset
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || new Date().toISOString();
+  }
+
+  static validate(data) {
+    const required = ['metric', 'limit'];
+    for (const field of required) {
+      if (data[field] === undefined || data[field] === null || data[field] === '') {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (!data.userId && !data.providerId) {
+      throw new Error('A budget needs a userId, a providerId or both');
+    }
+
+    if (!METRICS.includes(data.metric)) {
+      throw new Error(`metric must be one of: ${METRICS.join(', ')}`);
+    }
+
+    if (typeof data.limit !== 'number' || !Number.isFinite(data.limit) || data.limit < 0) {
+      throw new Error('limit must be a non-negative number');
+    }
+
+    if (data.onExhausted !== undefined && !ACTIONS.includes(data.onExhausted)) {
+      throw new Error(`onExhausted must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    if (data.downgradeModel && !data.providerId) {
+      throw new Error('downgradeModel requires a providerId');
+    }
+
+    if (data.hardLimit !== undefined && data.hardLimit !== null) {
+      if (data.onExhausted !== 'downgrade') {
+        throw new Error('hardLimit only applies to budgets that downgrade');
+      }
+      if (typeof data.hardLimit !== 'number' || !Number.isFinite(data.hardLimit) || data.hardLimit < data.limit) {
+        throw new Error('hardLimit must be a number no lower than limit');
+      }
+    }
+
+    return true;
+  }
+}
+
+module.exports = Budget;
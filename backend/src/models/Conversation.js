@@ -0,0 +1,69 @@
+// backend/src/models/Conversation.js
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+class Conversation {
+  constructor({ id, userId, title, messages, createdAt, updatedAt }) {
+    this.id = id;
+    this.userId = userId;
+    this.title = title || 'New conversation';
+    this.messages = messages || []; // { id, role, content, createdAt, metadata }
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || new Date().toISOString();
+  }
+
+  static validate(data) {
+    const required = ['id', 'userId'];
+    for (const field of required) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (typeof data.id !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(data.id)) {
+      throw new Error('id must be 1-64 letters, digits, "_" or "-"');
+    }
+
+    if (data.title !== undefined && (typeof data.title !== 'string' || data.title.trim().length === 0 || data.title.length > 200)) {
+      throw new Error('title must be a non-empty string of at most 200 characters');
+    }
+
+    if (data.messages !== undefined && !Array.isArray(data.messages)) {
+      throw new Error('messages must be an array');
+    }
+
+    (data.messages || []).forEach(message => Conversation.validateMessage(message));
+
+    return true;
+  }
+
+  static validateMessage(message) {
+    if (!message || !MESSAGE_ROLES.includes(message.role)) {
+      throw new Error(`message role must be one of: ${MESSAGE_ROLES.join(', ')}`);
+    }
+
+    if (typeof message.content !== 'string' || message.content.length === 0) {
+      throw new Error('message content must be a non-empty string');
+    }
+
+    if (message.metadata !== undefined && (typeof message.metadata !== 'object' || Array.isArray(message.metadata))) {
+      throw new Error('message metadata must be an object');
+    }
+
+    return true;
+  }
+
+  // The conversation without its messages, for listings
+  toSummary() {
+    const lastMessage = this.messages[this.messages.length - 1];
+    return {
+      id: this.id,
+      title: this.title,
+      messageCount: this.messages.length,
+      lastMessageAt: lastMessage ? lastMessage.createdAt : null,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Conversation;
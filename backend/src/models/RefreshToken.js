@@ -0,0 +1,19 @@
+// backend/src/models/RefreshToken.js
+// A refresh token issued to a user, keyed by the token's jti claim so it can be
+// rotated and revoked
+class RefreshToken {
+  constructor({ id, userId, expiresAt, createdAt, revokedAt, replacedBy }) {
+    this.id = id;
+    this.userId = userId;
+    this.expiresAt = expiresAt;
+    this.createdAt = createdAt || new Date().toISOString();
+    this.revokedAt = revokedAt || null;
+    this.replacedBy = replacedBy || null;
+  }
+
+  isActive() {
+    return !this.revokedAt && new Date(this.expiresAt).getTime() > Date.now();
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,25 @@
+// backend/src/models/UsageCounter.js
+// Running totals of one user's usage of one provider in one calendar month
+// (UTC). Budgets read these instead of the usage records, which are pruned.
+class UsageCounter {
+  constructor({ id, userId, providerId, month, totalTokens, cost, updatedAt }) {
+    this.id = id || UsageCounter.getId(month, userId, providerId);
+    this.userId = userId;
+    this.providerId = providerId;
+    this.month = month; // 'YYYY-MM'
+    this.totalTokens = totalTokens || 0;
+    this.cost = cost || 0; // Priced usage only, in the pricing currency
+    this.updatedAt = updatedAt || new Date().toISOString();
+  }
+
+  static getId(month, userId, providerId) {
+    return `${month}:${userId}:${providerId}`;
+  }
+
+  // The counter month of an ISO timestamp
+  static getMonth(timestamp) {
+    return timestamp.slice(0, 7);
+  }
+}
+
+module.exports = UsageCounter;
@@ -0,0 +1,59 @@
+// backend/src/models/UsageRecord.js
+const ENDPOINTS = ['chat', 'embeddings', 'images', 'audio'];
+
+class UsageRecord {
+  constructor({
+    id,
+    userId,
+    providerId,
+    model,
+    endpoint,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    images,
+    audioSeconds,
+    characters,
+    cost,
+    estimated,
+    createdAt
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.providerId = providerId;
+    this.model = model;
+    this.endpoint = endpoint;
+    this.promptTokens = promptTokens || 0;
+    this.completionTokens = completionTokens || 0;
+    this.totalTokens = totalTokens || this.promptTokens + this.completionTokens;
+    this.images = images || 0;
+    this.audioSeconds = audioSeconds || 0; // Length of transcribed audio
+    this.characters = characters || 0; // Text turned into speech
+    this.cost = cost === undefined ? null : cost; // null when the model has no price
+    this.estimated = !!estimated; // true when the provider reported no usage
+    this.createdAt = createdAt || new Date().toISOString();
+  }
+
+  static validate(data) {
+    const required = ['userId', 'providerId', 'model', 'endpoint'];
+    for (const field of required) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (!ENDPOINTS.includes(data.endpoint)) {
+      throw new Error(`endpoint must be one of: ${ENDPOINTS.join(', ')}`);
+    }
+
+    ['promptTokens', 'completionTokens', 'images', 'audioSeconds', 'characters'].forEach(field => {
+      if (data[field] !== undefined && (typeof data[field] !== 'number' || data[field] < 0)) {
+        throw new Error(`${field} must be a non-negative number`);
+      }
+    });
+
+    return true;
+  }
+}
+
+module.exports = UsageRecord;
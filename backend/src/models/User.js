@@ -0,0 +1,44 @@
+// backend/src/models/User.js
+class User {
+  constructor({ id, username, passwordHash, role, createdAt, updatedAt, lastLoginAt }) {
+    this.id = id;
+    this.username = username;
+    this.passwordHash = passwordHash;
+    this.role = role || 'user';
+    this.createdAt = createdAt || new Date().toISOString();
+    this.updatedAt = updatedAt || new Date().toISOString();
+    this.lastLoginAt = lastLoginAt || null;
+  }
+
+  static validate(data) {
+    const required = ['username', 'passwordHash'];
+    for (const field of required) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (typeof data.username !== 'string' || !/^[a-zA-Z0-9_.-]{3,64}$/.test(data.username)) {
+      throw new Error('username must be 3-64 characters of letters, digits, ".", "_" or "-"');
+    }
+
+    if (data.role && !['user', 'admin'].includes(data.role)) {
+      throw new Error('role must be "user" or "admin"');
+    }
+
+    return true;
+  }
+
+  // The user as exposed to clients (never includes the password hash)
+  toPublic() {
+    return {
+      id: this.id,
+      username: this.username,
+      role: this.role,
+      createdAt: this.createdAt,
+      lastLoginAt: this.lastLoginAt
+    };
+  }
+}
+
+module.exports = User;
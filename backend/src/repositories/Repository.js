@@ -0,0 +1,71 @@
+// backend/src/repositories/Repository.js
+// Generic repository over one store collection. Records are stored as plain
+// objects and returned as model instances.
+class Repository {
+  constructor(store, collection, Model, options = {}) {
+    this.store = store;
+    this.collection = collection;
+    this.Model = Model;
+    this.maxEntries = options.maxEntries || null; // Oldest records are dropped beyond this
+  }
+
+  records() {
+    return this.store.getCollection(this.collection);
+  }
+
+  toEntity(record) {
+    return record ? new this.Model(record) : null;
+  }
+
+  findById(id) {
+    return this.toEntity(this.records()[id]);
+  }
+
+  findAll(predicate = null) {
+    const entities = Object.values(this.records()).map(record => this.toEntity(record));
+    return predicate ? entities.filter(predicate) : entities;
+  }
+
+  findOne(predicate) {
+    return this.findAll().find(predicate) || null;
+  }
+
+  // Insert or replace a record by id
+  save(entity) {
+    const records = this.records();
+    records[entity.id] = JSON.parse(JSON.stringify(entity));
+
+    if (this.maxEntries) {
+      const ids = Object.keys(records);
+      ids.slice(0, Math.max(0, ids.length - this.maxEntries)).forEach(id => {
+        delete records[id];
+      });
+    }
+
+    this.store.commit();
+    return this.toEntity(records[entity.id]);
+  }
+
+  delete(id) {
+    const records = this.records();
+    if (!records[id]) {
+      return false;
+    }
+
+    delete records[id];
+    this.store.commit();
+    return true;
+  }
+
+  count() {
+    return Object.keys(this.records()).length;
+  }
+
+  clear() {
+    const records = this.records();
+    Object.keys(records).forEach(id => delete records[id]);
+    this.store.commit();
+  }
+}
+
+module.exports = Repository;
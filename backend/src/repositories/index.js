@@ -0,0 +1,51 @@
+// backend/src/repositories/index.js
+const path = require('path');
+const Repository = require('./Repository');
+const MemoryStore = require('./stores/MemoryStore');
+const JsonFileStore = require('./stores/JsonFileStore');
+const APIKey = require('../models/APIKey');
+const ProviderConfiguration = require('../models/ProviderConfiguration');
+const RateLimitLog = require('../models/RateLimitLog');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Conversation = require('../models/Conversation');
+const UsageRecord = require('../models/UsageRecord');
+const UsageCounter = require('../models/UsageCounter');
+const Budget = require('../models/Budget');
+
+const DEFAULT_STORAGE_PATH = path.join(__dirname, '../../data/store.json');
+
+// Pick the storage backend: STORAGE_DRIVER=memory|file, memory by default under tests
+function createStore(driver = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'file')) {
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore().init();
+    case 'file':
+    case 'json':
+      return new JsonFileStore(process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH, {
+        flushDelayMs: process.env.STORAGE_FLUSH_MS !== undefined ? parseInt(process.env.STORAGE_FLUSH_MS) || 0 : 1000
+      }).init();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+const store = createStore();
+
+module.exports = {
+  store,
+  createStore,
+  apiKeyRepository: new Repository(store, 'apiKeys', APIKey),
+  providerConfigurationRepository: new Repository(store, 'providerConfigurations', ProviderConfiguration),
+  rateLimitLogRepository: new Repository(store, 'rateLimitLogs', RateLimitLog, {
+    maxEntries: parseInt(process.env.RATE_LIMIT_LOG_RETENTION) || 1000
+  }),
+  userRepository: new Repository(store, 'users', User),
+  refreshTokenRepository: new Repository(store, 'refreshTokens', RefreshToken),
+  conversationRepository: new Repository(store, 'conversations', Conversation),
+  usageRecordRepository: new Repository(store, 'usageRecords', UsageRecord, {
+    maxEntries: parseInt(process.env.USAGE_RECORD_RETENTION) || 10000
+  }),
+  usageCounterRepository: new Repository(store, 'usageCounters', UsageCounter),
+  budgetRepository: new Repository(store, 'budgets', Budget)
+};
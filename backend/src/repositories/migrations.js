@@ -0,0 +1,69 @@
+// backend/src/repositories/migrations.js
+// Ordered schema migrations for the storage backend. Each migration runs once,
+// in order, and receives the raw store data ({ schemaVersion, collections }).
+// Append new migrations to the end; never edit or reorder existing ones.
+module.exports = [
+  {
+    version: 1,
+    description: 'Create collections for API keys, provider configurations and rate limit logs',
+    up(data) {
+      ['apiKeys', 'providerConfigurations', 'rateLimitLogs'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Create collections for user accounts and refresh tokens',
+    up(data) {
+      ['users', 'refreshTokens'].forEach(name => {
+        data.collections[name] = data.collections[name] || {};
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Scope API keys to users; existing keys become shared keys',
+    up(data) {
+      Object.values(data.collections.apiKeys || {}).forEach(key => {
+        key.userId = key.userId || null;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Create the collection for conversations',
+    up(data) {
+      data.collections.conversations = data.collections.conversations || {};
+    }
+  },
+  {
+    version: 5,
+    description: 'Create the collection for usage records',
+    up(data) {
+      data.collections.usageRecords = data.collections.usageRecords || {};
+    }
+  },
+  {
+    version: 6,
+    description: 'Create the collection for budgets',
+    up(data) {
+      data.collections.budgets = data.collections.budgets || {};
+    }
+  },
+  {
+    version: 7,
+    description: 'Create monthly usage counters for budgets from the usage records kept so far',
+    up(data) {
+      const counters = data.collections.usageCounters = data.collections.usageCounters || {};
+      Object.values(data.collections.usageRecords || {}).forEach(record => {
+        const month = record.createdAt.slice(0, 7);
+        const id = `${month}:${record.userId}:${record.providerId}`;
+        const counter = counters[id] = counters[id] ||
+          { id, userId: record.userId, providerId: record.providerId, month, totalTokens: 0, cost: 0, updatedAt: record.createdAt };
+        counter.totalTokens += record.totalTokens || 0;
+        counter.cost += record.cost || 0;
+      });
+    }
+  }
+];
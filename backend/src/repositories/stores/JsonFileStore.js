@@ -0,0 +1,75 @@
+// backend/src/repositories/stores/JsonFileStore.js
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./MemoryStore');
+
+// Persists all collections to a single JSON file so data survives restarts.
+// Commits are batched: the file is rewritten at most once per flushDelayMs, so a
+// busy proxy does not block the event loop on every usage record it saves.
+// Pending changes are written when the process exits.
+class JsonFileStore extends MemoryStore {
+  constructor(filePath, { flushDelayMs = 1000 } = {}) {
+    super();
+    this.filePath = filePath;
+    this.flushDelayMs = flushDelayMs;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.exitHandler = null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return { schemaVersion: 0, collections: {} };
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return {
+        schemaVersion: data.schemaVersion || 0,
+        collections: data.collections || {}
+      };
+    } catch (error) {
+      // Refuse to start over an unreadable file rather than silently losing keys
+      throw new Error(`Unable to read storage file ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // Mark the data changed and schedule a write
+  commit() {
+    this.dirty = true;
+    if (this.flushDelayMs <= 0) {
+      this.flush();
+      return;
+    }
+
+    if (!this.exitHandler) {
+      this.exitHandler = () => this.flush();
+      process.on('exit', this.exitHandler);
+    }
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.flushDelayMs);
+      // A pending write must not keep the process alive; the exit handler writes it
+      this.flushTimer.unref();
+    }
+  }
+
+  // Write pending changes now, to a temporary file first so a crash never leaves a half-written store
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.dirty) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+    this.dirty = false;
+  }
+}
+
+module.exports = JsonFileStore;
@@ -0,0 +1,58 @@
+// backend/src/repositories/stores/MemoryStore.js
+const migrations = require('../migrations');
+
+// Keeps all collections in memory. Used for tests and as the base for file storage.
+class MemoryStore {
+  constructor() {
+    this.data = { schemaVersion: 0, collections: {} };
+  }
+
+  // Load existing data and bring it up to the latest schema version
+  init() {
+    this.data = this.load();
+    if (this.migrate()) {
+      this.commit();
+      this.flush();
+    }
+    return this;
+  }
+
+  load() {
+    return { schemaVersion: 0, collections: {} };
+  }
+
+  // Apply pending migrations; returns true if any ran
+  migrate() {
+    const pending = migrations.filter(migration => migration.version > this.data.schemaVersion);
+
+    pending.forEach(migration => {
+      migration.up(this.data);
+      this.data.schemaVersion = migration.version;
+    });
+
+    return pending.length > 0;
+  }
+
+  // Records keyed by id for a collection
+  getCollection(name) {
+    if (!this.data.collections[name]) {
+      this.data.collections[name] = {};
+    }
+    return this.data.collections[name];
+  }
+
+  // Persist pending changes (nothing to do in memory)
+  commit() {}
+
+  // Write pending changes right away (nothing to do in memory)
+  flush() {}
+
+  // Drop all data (used by tests)
+  clear() {
+    Object.keys(this.data.collections).forEach(name => {
+      this.data.collections[name] = {};
+    });
+  }
+}
+
+module.exports = MemoryStore;
@@ -19,6 +19,25 @@ router.get('/',
   apiKeyController.getAllApiKeys
 );
 
+// List the signed-in user's own API keys
+router.get('/me',
+  authMiddleware.authenticate,
+  apiKeyController.getMyApiKeys
+);
+
+// Store or replace the signed-in user's own key for a provider
+router.put('/me/:providerId',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.createRateLimiter({ windowMs: 1 * 60 * 1000, maxRequests: 20, keyFn: req => `apikeys-me:${req.user.id}` }), // 20 requests per minute
+  apiKeyController.setMyApiKey
+);
+
+// Remove the signed-in user's own key for a provider
+router.delete('/me/:providerId',
+  authMiddleware.authenticate,
+  apiKeyController.deleteMyApiKey
+);
+
 // Get specific API key by ID (admin only)
 router.get('/:id', 
   authMiddleware.adminAuth,
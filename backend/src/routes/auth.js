@@ -0,0 +1,44 @@
+// backend/src/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+
+// Credential endpoints share a tight per-IP limit to slow down password guessing
+const credentialLimiter = rateLimitMiddleware.createRateLimiter({
+  windowMs: 1 * 60 * 1000,
+  maxRequests: 10, // 10 requests per minute
+  keyFn: req => `auth:${req.ip}`
+});
+
+// Create an account
+router.post('/register',
+  credentialLimiter,
+  authController.register
+);
+
+// Sign in with username and password
+router.post('/login',
+  credentialLimiter,
+  authController.login
+);
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh',
+  rateLimitMiddleware.createRateLimiter({ windowMs: 1 * 60 * 1000, maxRequests: 30, keyFn: req => `auth-refresh:${req.ip}` }),
+  authController.refresh
+);
+
+// Revoke a refresh token
+router.post('/logout',
+  authController.logout
+);
+
+// Get the signed-in user
+router.get('/me',
+  authMiddleware.authenticate,
+  authController.me
+);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// backend/src/routes/budgets.js
+const express = require('express');
+const router = express.Router();
+const budgetController = require('../controllers/budgetController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Budgets that apply to the signed-in user, with what is left this month
+router.get('/me',
+  authMiddleware.authenticate,
+  budgetController.listMine
+);
+
+// List all budgets (admin only)
+router.get('/',
+  authMiddleware.adminAuth,
+  budgetController.list
+);
+
+// Create a budget (admin only)
+router.post('/',
+  authMiddleware.adminAuth,
+  budgetController.create
+);
+
+// Update a budget (admin only)
+router.put('/:id',
+  authMiddleware.adminAuth,
+  budgetController.update
+);
+
+// Delete a budget (admin only)
+router.delete('/:id',
+  authMiddleware.adminAuth,
+  budgetController.delete
+);
+
+module.exports = router;
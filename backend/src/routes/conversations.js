@@ -0,0 +1,40 @@
+// backend/src/routes/conversations.js
+const express = require('express');
+const router = express.Router();
+const conversationController = require('../controllers/conversationController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Every conversation belongs to the signed-in user
+router.use(authMiddleware.authenticate);
+
+// List conversations
+router.get('/',
+  conversationController.list
+);
+
+// Create a conversation
+router.post('/',
+  conversationController.create
+);
+
+// Get a conversation with its messages
+router.get('/:id',
+  conversationController.get
+);
+
+// Rename a conversation
+router.patch('/:id',
+  conversationController.rename
+);
+
+// Delete a conversation
+router.delete('/:id',
+  conversationController.delete
+);
+
+// Append a message to a conversation
+router.post('/:id/messages',
+  conversationController.appendMessage
+);
+
+module.exports = router;
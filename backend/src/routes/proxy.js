@@ -4,6 +4,8 @@ const router = express.Router();
 const proxyController = require('../controllers/proxyController');
 const authMiddleware = require('../middleware/authMiddleware');
 const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+const audioUtil = require('../utils/audioUtil');
 
 // Proxy chat completion requests
 router.post('/chat/completions', 
@@ -18,7 +20,31 @@ router.post('/',
   proxyController.proxyRequest
 );
 
+// Create embeddings for a batch of texts
+router.post('/embeddings',
+  authMiddleware.authenticate, // Basic authentication required
+  proxyController.embeddings
+);
+
+// Generate images from a text prompt
+router.post('/images/generations',
+  authMiddleware.authenticate, // Basic authentication required
+  proxyController.imageGeneration
+);
+
+// Transcribe recorded speech (multipart upload with the audio in "file")
+router.post('/audio/transcriptions',
+  authMiddleware.authenticate, // Basic authentication required
+  uploadMiddleware.single('file', { maxBytes: audioUtil.MAX_AUDIO_BYTES }),
+  proxyController.audioTranscription
+);
+
+// Turn text into speech; responds with the audio itself
+router.post('/audio/speech',
+  authMiddleware.authenticate, // Basic authentication required
+  proxyController.audioSpeech
+);
+
 // Additional endpoints can be added as needed for specific provider functionality
-// For example, embeddings, image generation, etc.
 
 module.exports = router;
\ No newline at end of file
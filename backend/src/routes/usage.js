@@ -0,0 +1,20 @@
+// backend/src/routes/usage.js
+const express = require('express');
+const router = express.Router();
+const usageController = require('../controllers/usageController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Users see their own usage; admins can see everyone's
+router.use(authMiddleware.authenticate);
+
+// Token and cost totals grouped by user, provider, model and/or day
+router.get('/summary',
+  usageController.summary
+);
+
+// Individual usage records
+router.get('/',
+  usageController.list
+);
+
+module.exports = router;
@@ -4,15 +4,34 @@ const crypto = require('crypto');
 const RateLimitLog = require('../models/RateLimitLog');
 const apiKeyController = require('../controllers/apiKeyController');
 const configService = require('./configService');
+const providerHealthService = require('./providerHealthService');
+const upstreamRateLimitService = require('./upstreamRateLimitService');
+const geminiTranslator = require('../utils/geminiTranslator');
+const { decryptApiKey } = require('../utils/encryptionUtil');
+const { readStreamBody } = require('../utils/streamUtil');
+const providersConfig = require('../../config/providers.json');
 
-// In-memory storage for rate limit logs and request tracking
-let rateLimitLogs = new Map();
+const { rateLimitLogRepository } = require('../repositories');
+
+// In-memory request tracking
 let requestCache = new Map();  // For caching responses (optional)
 
+// Error bodies of binary requests arrive as a Buffer; providers still send JSON
+function parseBinaryBody(body) {
+  if (!Buffer.isBuffer(body) && !(body instanceof ArrayBuffer)) return body;
+  const text = Buffer.from(body).toString('utf8');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
 class APIProxyService {
   constructor() {
     this.requestTimeout = configService.get('requestTimeout') || 30000; // 30 seconds
     this.maxConcurrentRequests = configService.get('maxConcurrentRequests') || 100;
+    this.cacheTtl = parseInt(process.env.RESPONSE_CACHE_TTL) || 300000; // 5 minutes
     
     // Provider endpoints configuration
     this.providerEndpoints = {
@@ -23,23 +42,35 @@ class APIProxyService {
     };
   }
 
-  // Decrypt API key using stored encryption key
-  decryptApiKey(encryptedDataStr, encryptionKey) {
-    try {
-      const encryptedData = JSON.parse(encryptedDataStr);
-      const { encrypted, iv } = encryptedData;
-      
-      const algorithm = 'aes-256-cbc';
-      const key = crypto.scryptSync(encryptionKey, 'GfG', 32);
-      const decipher = crypto.createDecipher(algorithm, key);
-      let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-      decrypted += decipher.final('utf8');
-      
-      return decrypted;
-    } catch (error) {
-      console.error('Error decrypting API key:', error);
-      return null;
+  // Look up the key for a provider and decrypt it. A signed-in user's own key
+  // takes precedence over the shared key.
+  getDecryptedApiKey(providerId, keyOwnerId = null) {
+    const apiKey = apiKeyController.resolveApiKey(providerId, keyOwnerId);
+    if (!apiKey) {
+      throw new Error(`No API key configured for provider: ${providerId}`);
+    }
+
+    const encryptionKey = process.env.ENCRYPTION_KEY;
+    if (!encryptionKey) {
+      throw new Error('Encryption key not configured');
     }
+
+    const { encrypted, iv } = JSON.parse(apiKey.encryptedKey);
+    return decryptApiKey(encrypted, iv, encryptionKey);
+  }
+
+  // Whose key a request will use (null for the shared key); upstream quotas belong to the key
+  getKeyOwner(providerId, keyOwnerId = null) {
+    const apiKey = apiKeyController.resolveApiKey(providerId, keyOwnerId);
+    return (apiKey && apiKey.userId) || null;
+  }
+
+  // Build the authentication headers each provider expects
+  getAuthHeaders(providerId, apiKey) {
+    if (providerId === 'gemini') {
+      return { 'x-goog-api-key': apiKey };
+    }
+    return { 'Authorization': `Bearer ${apiKey}` };
   }
 
   // Format the request data for different providers
@@ -50,18 +81,37 @@ class APIProxyService {
     // Some providers may need different request formatting
     switch (providerId) {
       case 'gemini':
-        // Gemini might need different endpoint or body format
+        // Gemini uses a model-scoped generateContent endpoint with its own body format
         if (formattedData.url.includes('/chat/completions')) {
-          formattedData.url = formattedData.url.replace('/chat/completions', ':generateContent');
-          // Additional transformation might be needed based on Gemini's API
+          const model = (formattedData.data && formattedData.data.model) || providersConfig.defaultModels.gemini;
+          formattedData.url = formattedData.url.replace(
+            '/chat/completions',
+            geminiTranslator.getGenerateContentPath(model, formattedData.stream)
+          );
+          formattedData.data = geminiTranslator.toGeminiRequest(formattedData.data);
+          formattedData.translateResponse = data => geminiTranslator.fromGeminiResponse(data, model);
+        } else if (formattedData.url.includes('/embeddings')) {
+          // Embeddings go through batchEmbedContents so a whole batch is one request
+          const model = (formattedData.data && formattedData.data.model) || providersConfig.embeddingModels.gemini;
+          formattedData.url = formattedData.url.replace('/embeddings', geminiTranslator.getBatchEmbedContentsPath(model));
+          formattedData.data = geminiTranslator.toGeminiEmbeddingRequest({ ...formattedData.data, model });
+          formattedData.translateResponse = data => geminiTranslator.fromGeminiEmbeddingResponse(data, model);
+        } else if (formattedData.url.includes('/images/generations')) {
+          // Images are generated by Imagen through the predict endpoint
+          const model = (formattedData.data && formattedData.data.model) || providersConfig.imageModels.gemini;
+          formattedData.url = formattedData.url.replace('/images/generations', geminiTranslator.getPredictPath(model));
+          formattedData.data = geminiTranslator.toImagenRequest(formattedData.data);
+          formattedData.translateResponse = data => geminiTranslator.fromImagenResponse(data);
         }
         break;
         
       case 'openrouter':
         // OpenRouter might need special headers
-        if (!formattedData.headers) formattedData.headers = {};
-        formattedData.headers['HTTP-Referer'] = 'http://localhost:3000';
-        formattedData.headers['X-Title'] = 'AI Chatbot';
+        formattedData.headers = {
+          ...(formattedData.headers || {}),
+          'HTTP-Referer': 'http://localhost:3000',
+          'X-Title': 'AI Chatbot'
+        };
         break;
         
       default:
@@ -73,7 +123,7 @@ class APIProxyService {
   }
 
   // Validate and prepare request data
-  validateAndPrepareRequest(providerId, requestData) {
+  validateAndPrepareRequest(providerId, requestData, options = {}) {
     // Check if the provider is supported
     if (!this.providerEndpoints[providerId]) {
       throw new Error(`Unsupported provider: ${providerId}`);
@@ -96,69 +146,130 @@ class APIProxyService {
       fullUrl = `${this.providerEndpoints[providerId]}${fullUrl}`;
     }
     
-    // Get the API key for this provider
-    const apiKey = apiKeyController.validateApiKey(providerId, null);
-    if (!apiKey) {
-      throw new Error(`No API key configured for provider: ${providerId}`);
-    }
-    
-    // Prepare headers with the API key
+    // Prepare headers with the decrypted API key. Uploads are sent as
+    // multipart, for which axios sets the Content-Type with its boundary.
+    const isUpload = requestData.data instanceof FormData;
     const headers = {
-      'Authorization': `Bearer ${this.decryptApiKey(apiKey.encryptedKey, process.env.ENCRYPTION_KEY || 'fallback_encryption_key')}`,
-      'Content-Type': 'application/json',
-      ...(requestData.headers || {})
+      ...(requestData.headers || {}),
+      ...this.getAuthHeaders(providerId, this.getDecryptedApiKey(providerId, options.keyOwnerId)),
+      ...(isUpload ? {} : { 'Content-Type': 'application/json' })
     };
     
     // Format the request specifically for this provider
-    const formattedRequest = this.formatRequestForProvider(providerId, {
+    return this.formatRequestForProvider(providerId, {
       url: fullUrl,
       method,
       headers,
-      data: requestData.data
+      data: requestData.data,
+      stream: !!options.stream
     });
-    
-    return formattedRequest;
   }
 
-  // Make a request to the provider API
-  async makeRequest(providerId, requestData, userId = 'anonymous') {
+  // Make a request to the provider API.
+  // options.userId attributes the request, options.keyOwnerId selects whose API key
+  // to use (null for the shared key), options.stream returns the raw response
+  // stream, options.responseType 'arraybuffer' returns binary bodies such as audio
+  // as a Buffer, options.signal allows aborting it and options.timeout overrides the
+  // request timeout. Provider failures are thrown as { status, message, data } so
+  // callers can fail over or relay them. Requests wait for the provider's own
+  // quota to reset once its rate limit headers say it is used up.
+  async makeRequest(providerId, requestData, options = {}) {
+    const { userId = 'anonymous', keyOwnerId = null, stream = false, responseType, signal, timeout = this.requestTimeout } = options;
+
+    // Validate and prepare the request
+    const preparedRequest = this.validateAndPrepareRequest(providerId, requestData, { stream, keyOwnerId });
+    const quotaOwner = this.getKeyOwner(providerId, keyOwnerId);
+
+    await upstreamRateLimitService.waitForCapacity(providerId, quotaOwner, { signal });
+
+    // Skip providers whose circuit is open; 503 lets failover move on
+    if (!providerHealthService.acquire(providerId)) {
+      const health = providerHealthService.getHealth(providerId);
+      throw {
+        status: 503,
+        message: `Provider ${providerId} is temporarily unavailable after repeated failures`,
+        data: { circuit: health.circuit, retryAt: health.retryAt }
+      };
+    }
+
+    const startedAt = Date.now();
     try {
-      // Validate and prepare the request
-      const preparedRequest = this.validateAndPrepareRequest(providerId, requestData);
-      
       // Make the request to the provider API
       const response = await axios({
         method: preparedRequest.method,
         url: preparedRequest.url,
         headers: preparedRequest.headers,
         data: preparedRequest.data,
-        timeout: this.requestTimeout
+        timeout,
+        ...(stream ? { responseType: 'stream' } : responseType ? { responseType } : {}),
+        ...(signal ? { signal } : {})
       });
-      
+
+      providerHealthService.recordSuccess(providerId, Date.now() - startedAt);
+
       // Log rate limit information if available in response headers
-      this.logRateLimit(providerId, userId, preparedRequest.url, response.headers);
+      this.logRateLimit(providerId, userId, preparedRequest.url, response.headers || {});
+      upstreamRateLimitService.recordHeaders(providerId, quotaOwner, response.headers || {});
+
+      // Map Gemini responses back to the OpenAI format
+      const data = preparedRequest.translateResponse && !stream
+        ? preparedRequest.translateResponse(response.data)
+        : response.data;
       
       return {
         status: response.status,
-        data: response.data,
+        data,
         headers: response.headers
       };
     } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        // The client went away; this says nothing about the provider's health
+        providerHealthService.release(providerId);
+        throw error;
+      }
+
+      providerHealthService.recordFailure(
+        providerId,
+        Date.now() - startedAt,
+        error.response ? error.response.status : null,
+        error.message
+      );
+
       // Handle different types of errors
       if (error.response) {
-        // Server responded with error status
-        return {
+        // A 429 says how long the provider wants us to back off
+        upstreamRateLimitService.recordHeaders(providerId, quotaOwner, error.response.headers || {});
+
+        // Server responded with error status (in stream mode the body is still a stream)
+        const errorData = stream
+          ? await readStreamBody(error.response.data)
+          : parseBinaryBody(error.response.data);
+        throw {
           status: error.response.status,
-          data: error.response.data,
-          headers: error.response.headers,
-          error: true
+          message: errorData?.error?.message || 'Provider API error',
+          data: errorData
+        };
+      } else if (error.code === 'ECONNABORTED') {
+        // The request exceeded requestTimeout
+        throw {
+          status: 504,
+          message: 'Provider API timed out',
+          error: error.message
         };
       } else if (error.request) {
         // Request was made but no response received
-        throw new Error(`Provider API is not responding: ${error.message}`);
+        throw {
+          status: 503,
+          message: 'Provider API is not responding',
+          error: error.message
+        };
       } else {
         // Something else happened
-        throw new Error(`Error making request to provider API: ${error.message}`);
+        throw {
+          status: 500,
+          message: 'Error making request to provider API',
+          error: error.message
+        };
       }
     }
   }
@@ -170,8 +281,6 @@ class APIProxyService {
       const rateLimitHeaders = {
         limit: responseHeaders['x-ratelimit-limit-requests'] || 
                responseHeaders['x-ratelimit-limit'] ||
-               responseHeaders['x-ratelimit-reset'] ||
-               responseHeaders['retry-after'] ||
                responseHeaders['ratelimit-limit'],
         remaining: responseHeaders['x-ratelimit-remaining-requests'] ||
                    responseHeaders['x-ratelimit-remaining'] ||
@@ -195,7 +304,7 @@ class APIProxyService {
           resetTime: rateLimitHeaders.reset
         });
 
-        rateLimitLogs.set(id, log);
+        rateLimitLogRepository.save(log);
       }
     } catch (error) {
       console.error('Error logging rate limit:', error);
@@ -206,7 +315,7 @@ class APIProxyService {
   getRateLimitLogs(providerId, userId = null) {
     const logs = [];
     
-    for (const [id, log] of rateLimitLogs) {
+    for (const log of rateLimitLogRepository.findAll()) {
       if (log.providerId === providerId && (!userId || log.userId === userId)) {
         logs.push({
           id: log.id,
@@ -225,7 +334,7 @@ class APIProxyService {
   }
 
   // Cache API responses (optional, for performance)
-  cacheResponse(cacheKey, response, ttl = 300000) { // Default TTL: 5 minutes
+  cacheResponse(cacheKey, response, ttl = this.cacheTtl) {
     const expiry = Date.now() + ttl;
     requestCache.set(cacheKey, { response, expiry });
   }
@@ -244,24 +353,31 @@ class APIProxyService {
     return null;
   }
 
-  // Make a cached request (optional functionality)
-  async makeCachedRequest(providerId, requestData, userId = 'anonymous', cacheKey = null) {
-    // If no cache key provided, generate one based on provider, endpoint, and data
-    if (!cacheKey) {
-      const dataHash = crypto.createHash('md5')
-        .update(JSON.stringify(requestData))
-        .digest('hex');
-      cacheKey = `${providerId}_${requestData.url}_${dataHash}`;
+  // Cache keys are scoped per user so responses never leak between users
+  getCacheKey(providerId, requestData, userId = 'anonymous') {
+    const dataHash = crypto.createHash('md5')
+      .update(JSON.stringify({ method: requestData.method, data: requestData.data }))
+      .digest('hex');
+    return `${userId}_${providerId}_${requestData.url}_${dataHash}`;
+  }
+
+  // Make a request, serving identical non-streaming requests from the cache.
+  // Returns the response with cached: true when it came from the cache.
+  async makeCachedRequest(providerId, requestData, options = {}) {
+    if (options.stream || options.cache === false) {
+      return this.makeRequest(providerId, requestData, options);
     }
+
+    const cacheKey = options.cacheKey || this.getCacheKey(providerId, requestData, options.userId);
     
     // Try to get from cache first
     const cachedResponse = this.getCachedResponse(cacheKey);
     if (cachedResponse) {
-      return cachedResponse;
+      return { ...cachedResponse, cached: true };
     }
     
     // Make the actual request
-    const response = await this.makeRequest(providerId, requestData, userId);
+    const response = await this.makeRequest(providerId, requestData, options);
     
     // Cache the response if it was successful
     if (response.status >= 200 && response.status < 300) {
@@ -270,6 +386,11 @@ class APIProxyService {
     
     return response;
   }
+
+  // Drop every cached response (used by tests)
+  clearCache() {
+    requestCache.clear();
+  }
 }
 
-module.exports = new APIProxyService();
\ No newline at end of file
+module.exports = new APIProxyService();
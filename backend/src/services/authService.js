@@ -0,0 +1,229 @@
+// backend/src/services/authService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const { userRepository, refreshTokenRepository } = require('../repositories');
+
+const PASSWORD_MIN_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Auth failures carry the HTTP status the controller should answer with
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+class AuthService {
+  constructor() {
+    this.accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.refreshTokenTtl = process.env.REFRESH_TOKEN_TTL || '7d';
+  }
+
+  // Tokens must not be signed with a guessable secret outside development
+  getJwtSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET is not configured');
+    }
+    return 'fallback_jwt_secret_for_dev';
+  }
+
+  // Usernames listed in ADMIN_USERNAMES get the admin role when they register
+  getAdminUsernames() {
+    return (process.env.ADMIN_USERNAMES || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  // Hash a password with a random salt: scrypt$<salt>$<hash>
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  findUserByUsername(username) {
+    const normalized = String(username || '').toLowerCase();
+    return userRepository.findOne(user => user.username.toLowerCase() === normalized);
+  }
+
+  getUserById(id) {
+    return userRepository.findById(id);
+  }
+
+  // Create an account and sign the user in
+  register({ username, password }) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw authError(400, `password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+
+    try {
+      User.validate({ username, passwordHash: 'pending' });
+    } catch (error) {
+      throw authError(400, error.message);
+    }
+
+    if (this.findUserByUsername(username)) {
+      throw authError(409, 'Username is already taken');
+    }
+
+    const user = userRepository.save(new User({
+      id: crypto.randomBytes(16).toString('hex'),
+      username,
+      passwordHash: this.hashPassword(password),
+      role: this.getAdminUsernames().includes(username.toLowerCase()) ? 'admin' : 'user'
+    }));
+
+    return this.startSession(user);
+  }
+
+  // Check credentials and sign the user in
+  login({ username, password }) {
+    const user = this.findUserByUsername(username);
+
+    // Same message for unknown users and wrong passwords
+    if (!user || typeof password !== 'string' || !this.verifyPassword(password, user.passwordHash)) {
+      throw authError(401, 'Invalid username or password');
+    }
+
+    return this.startSession(user);
+  }
+
+  startSession(user) {
+    user.lastLoginAt = new Date().toISOString();
+    userRepository.save(user);
+    return this.issueTokens(user);
+  }
+
+  // Sign a short-lived access token and a long-lived refresh token
+  issueTokens(user) {
+    const secret = this.getJwtSecret();
+    const jti = crypto.randomBytes(16).toString('hex');
+
+    const accessToken = jwt.sign(
+      { sub: user.id, username: user.username, role: user.role, type: 'access' },
+      secret,
+      { expiresIn: this.accessTokenTtl }
+    );
+    const refreshToken = jwt.sign(
+      { sub: user.id, type: 'refresh' },
+      secret,
+      { expiresIn: this.refreshTokenTtl, jwtid: jti }
+    );
+
+    const { exp, iat } = jwt.decode(accessToken);
+    const refreshClaims = jwt.decode(refreshToken);
+    refreshTokenRepository.save(new RefreshToken({
+      id: jti,
+      userId: user.id,
+      expiresAt: new Date(refreshClaims.exp * 1000).toISOString()
+    }));
+
+    return {
+      user: user.toPublic(),
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: exp - iat,
+      refreshToken
+    };
+  }
+
+  // Exchange a refresh token for a new token pair. The old refresh token is
+  // revoked; presenting a revoked token again revokes every session of that user.
+  refresh(refreshToken) {
+    const claims = this.verifyToken(refreshToken, 'refresh');
+    const stored = refreshTokenRepository.findById(claims.jti);
+
+    if (!stored) {
+      throw authError(401, 'Invalid or expired refresh token');
+    }
+
+    if (stored.revokedAt) {
+      this.revokeAllForUser(stored.userId);
+      throw authError(401, 'Refresh token has already been used');
+    }
+
+    const user = this.getUserById(stored.userId);
+    if (!user) {
+      throw authError(401, 'Invalid or expired refresh token');
+    }
+
+    const session = this.issueTokens(user);
+    stored.revokedAt = new Date().toISOString();
+    stored.replacedBy = jwt.decode(session.refreshToken).jti;
+    refreshTokenRepository.save(stored);
+
+    return session;
+  }
+
+  // Revoke a refresh token; unknown or expired tokens are ignored
+  logout(refreshToken) {
+    let claims;
+    try {
+      claims = this.verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return false;
+    }
+
+    const stored = refreshTokenRepository.findById(claims.jti);
+    if (!stored || stored.revokedAt) {
+      return false;
+    }
+
+    stored.revokedAt = new Date().toISOString();
+    refreshTokenRepository.save(stored);
+    return true;
+  }
+
+  revokeAllForUser(userId) {
+    const now = new Date().toISOString();
+    refreshTokenRepository.findAll(token => token.userId === userId && !token.revokedAt).forEach(token => {
+      token.revokedAt = now;
+      refreshTokenRepository.save(token);
+    });
+  }
+
+  // Verify an access token and return the user it identifies
+  verifyAccessToken(accessToken) {
+    const claims = this.verifyToken(accessToken, 'access');
+    return { id: claims.sub, username: claims.username, role: claims.role };
+  }
+
+  verifyToken(token, type) {
+    if (!token || typeof token !== 'string') {
+      throw authError(401, type === 'refresh' ? 'Refresh token required' : 'Authentication token required');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.getJwtSecret());
+    } catch (error) {
+      throw authError(401, type === 'refresh' ? 'Invalid or expired refresh token' : 'Invalid or expired token');
+    }
+
+    // An access token must never be accepted as a refresh token and vice versa
+    if (claims.type !== type) {
+      throw authError(401, type === 'refresh' ? 'Invalid or expired refresh token' : 'Invalid or expired token');
+    }
+
+    return claims;
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,187 @@
+// backend/src/services/budgetService.js
+const crypto = require('crypto');
+const Budget = require('../models/Budget');
+const { budgetRepository } = require('../repositories');
+const usageService = require('./usageService');
+const providersConfig = require('../../config/providers.json');
+
+// Fields an admin may set on a budget
+const BUDGET_FIELDS = ['userId', 'providerId', 'metric', 'limit', 'onExhausted', 'downgradeModel', 'hardLimit'];
+
+// Budget failures carry the HTTP status the controller should answer with
+function budgetError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Budgets run per calendar month (UTC)
+function getPeriod(now = new Date()) {
+  return {
+    month: now.toISOString().slice(0, 7),
+    resetAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString()
+  };
+}
+
+// Price of a model per million input plus output tokens, or null when unpriced
+function getModelRate(providerId, model) {
+  const price = usageService.getPrice(providerId, model);
+  return price ? (price.inputPerMillion || 0) + (price.outputPerMillion || 0) : null;
+}
+
+class BudgetService {
+  listBudgets() {
+    return budgetRepository.findAll()
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(budget => this.getStatus(budget));
+  }
+
+  getBudget(id) {
+    const budget = budgetRepository.findById(id);
+    if (!budget) {
+      throw budgetError(404, 'Budget not found');
+    }
+    return budget;
+  }
+
+  createBudget(data) {
+    const fields = this.pickFields(data);
+    this.validate(fields);
+
+    return this.getStatus(budgetRepository.save(new Budget({ ...fields, id: crypto.randomUUID() })));
+  }
+
+  updateBudget(id, data) {
+    const budget = this.getBudget(id);
+    const fields = { ...this.pickFields(budget), ...this.pickFields(data) };
+    this.validate(fields);
+
+    return this.getStatus(budgetRepository.save(new Budget({
+      ...budget,
+      ...fields,
+      updatedAt: new Date().toISOString()
+    })));
+  }
+
+  deleteBudget(id) {
+    this.getBudget(id);
+    budgetRepository.delete(id);
+  }
+
+  pickFields(data) {
+    return BUDGET_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) fields[field] = data[field];
+      return fields;
+    }, {});
+  }
+
+  validate(fields) {
+    try {
+      Budget.validate(fields);
+    } catch (error) {
+      throw budgetError(400, error.message);
+    }
+  }
+
+  // How much of a budget this month's usage has taken, from the monthly usage
+  // counters. stopsAt is the usage at which requests are rejected: the limit,
+  // the hardLimit of a downgrade budget, or null when a downgrade budget keeps
+  // serving cheaper models until the month ends.
+  getStatus(budget, now = new Date()) {
+    const { month, resetAt } = getPeriod(now);
+    const totals = usageService.getMonthlyTotals({ userId: budget.userId, providerId: budget.providerId, month });
+    const used = budget.metric === 'cost' ? totals.cost : totals.totalTokens;
+    const hardLimit = typeof budget.hardLimit === 'number' ? budget.hardLimit : null;
+
+    return {
+      ...budget,
+      hardLimit,
+      used,
+      remaining: Math.max(0, budget.limit - used),
+      exhausted: used >= budget.limit,
+      stopsAt: budget.onExhausted === 'downgrade' ? hardLimit : budget.limit,
+      resetAt
+    };
+  }
+
+  // Budgets covering a user, optionally narrowed to one provider
+  getBudgetsFor(userId, providerId = null, now = new Date()) {
+    return budgetRepository.findAll(budget =>
+      (!budget.userId || budget.userId === userId) &&
+      (!providerId || !budget.providerId || budget.providerId === providerId)
+    ).map(budget => this.getStatus(budget, now));
+  }
+
+  // Decide whether a user may call a provider/model. Returns { model } when the
+  // budgets allow it, { model, downgradedFrom } when an exhausted budget moved
+  // the request to a cheaper model, and throws a 402 QUOTA_EXCEEDED otherwise.
+  checkBudget(userId, providerId, model, now = new Date()) {
+    const exhausted = this.getBudgetsFor(userId, providerId, now).filter(status => status.exhausted);
+    if (exhausted.length === 0) {
+      return { model };
+    }
+
+    const rejecting = exhausted.find(status => status.stopsAt !== null && status.used >= status.stopsAt);
+    const cheaperModel = rejecting ? null : this.findCheaperModel(providerId, model, exhausted);
+    if (!cheaperModel) {
+      throw this.quotaExceeded(rejecting || exhausted[0]);
+    }
+
+    return { model: cheaperModel, downgradedFrom: model };
+  }
+
+  // Reject a request that cannot move to another model (embeddings, images,
+  // audio) with a 402 QUOTA_EXCEEDED when a budget covering it is used up
+  assertWithinBudget(userId, providerId, now = new Date()) {
+    const exhausted = this.getBudgetsFor(userId, providerId, now).filter(status => status.exhausted);
+    if (exhausted.length > 0) {
+      throw this.quotaExceeded(exhausted[0]);
+    }
+  }
+
+  // The model to downgrade to: a budget's downgradeModel, otherwise the
+  // provider's cheapest priced chat model. Only models cheaper than the
+  // requested one count; null when there is none.
+  findCheaperModel(providerId, model, budgets) {
+    const provider = providersConfig.providers.find(p => p.id === providerId);
+    const models = provider ? provider.models : [];
+    const currentRate = getModelRate(providerId, model);
+    const isCheaper = candidate => {
+      const rate = getModelRate(providerId, candidate);
+      return candidate !== model && rate !== null && (currentRate === null || rate < currentRate);
+    };
+
+    const configured = budgets.find(budget => budget.downgradeModel && isCheaper(budget.downgradeModel));
+    if (configured) {
+      return configured.downgradeModel;
+    }
+
+    const cheapest = models
+      .filter(isCheaper)
+      .sort((a, b) => getModelRate(providerId, a) - getModelRate(providerId, b))[0];
+    return cheapest || null;
+  }
+
+  // The 402 error for an exhausted budget, with what is left and when it resets
+  quotaExceeded(status) {
+    const scope = [status.userId ? 'your account' : null, status.providerId ? status.providerId : null]
+      .filter(Boolean)
+      .join(' on ');
+    const error = budgetError(402, `The monthly ${status.metric === 'cost' ? 'spending' : 'token'} budget for ${scope} is used up until ${status.resetAt.slice(0, 10)}`);
+    error.code = 'QUOTA_EXCEEDED';
+    error.quota = {
+      budgetId: status.id,
+      providerId: status.providerId,
+      metric: status.metric,
+      limit: status.limit,
+      ...(status.hardLimit !== null ? { hardLimit: status.hardLimit } : {}),
+      used: status.used,
+      remaining: status.remaining,
+      resetAt: status.resetAt,
+      ...(status.metric === 'cost' ? { currency: usageService.pricing.currency || 'USD' } : {})
+    };
+    return error;
+  }
+}
+
+module.exports = new BudgetService();
@@ -0,0 +1,100 @@
+// backend/src/services/conversationService.js
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
+const { conversationRepository } = require('../repositories');
+
+// Conversation failures carry the HTTP status the controller should answer with
+function conversationError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Run a model validation and report its failure as a 400
+function validate(check) {
+  try {
+    check();
+  } catch (error) {
+    throw conversationError(400, error.message);
+  }
+}
+
+// Keep only the fields a client may set on a message
+function toMessage(message) {
+  return {
+    id: message.id || crypto.randomUUID(),
+    role: message.role,
+    content: message.content,
+    createdAt: message.createdAt || new Date().toISOString(),
+    ...(message.metadata ? { metadata: message.metadata } : {})
+  };
+}
+
+class ConversationService {
+  // The user's conversations, most recently updated first, without messages
+  listConversations(userId) {
+    return conversationRepository.findAll(conversation => conversation.userId === userId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(conversation => conversation.toSummary());
+  }
+
+  // Other users' conversations are reported as missing rather than forbidden
+  getConversation(userId, conversationId) {
+    const conversation = conversationRepository.findById(conversationId);
+    if (!conversation || conversation.userId !== userId) {
+      throw conversationError(404, 'Conversation not found');
+    }
+    return conversation;
+  }
+
+  // Clients may pass their own id so a conversation created offline keeps it
+  createConversation(userId, { id, title, messages = [] } = {}) {
+    const conversationId = id || crypto.randomUUID();
+    validate(() => Conversation.validate({ id: conversationId, userId, title, messages }));
+
+    if (conversationRepository.findById(conversationId)) {
+      throw conversationError(409, 'Conversation already exists');
+    }
+
+    return conversationRepository.save(new Conversation({
+      id: conversationId,
+      userId,
+      title: title && title.trim(),
+      messages: messages.map(toMessage)
+    }));
+  }
+
+  // Appending a message id that is already stored returns the stored message,
+  // so clients can safely retry a sync
+  appendMessage(userId, conversationId, message) {
+    const conversation = this.getConversation(userId, conversationId);
+    validate(() => Conversation.validateMessage(message));
+
+    const existing = message.id && conversation.messages.find(m => m.id === message.id);
+    if (existing) {
+      return existing;
+    }
+
+    const stored = toMessage(message);
+    conversation.messages.push(stored);
+    conversation.updatedAt = new Date().toISOString();
+    conversationRepository.save(conversation);
+    return stored;
+  }
+
+  renameConversation(userId, conversationId, title) {
+    const conversation = this.getConversation(userId, conversationId);
+    validate(() => Conversation.validate({ ...conversation, title }));
+
+    conversation.title = title.trim();
+    conversation.updatedAt = new Date().toISOString();
+    return conversationRepository.save(conversation);
+  }
+
+  deleteConversation(userId, conversationId) {
+    this.getConversation(userId, conversationId);
+    conversationRepository.delete(conversationId);
+  }
+}
+
+module.exports = new ConversationService();
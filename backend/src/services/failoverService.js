@@ -0,0 +1,114 @@
+// backend/src/services/failoverService.js
+const apiKeyController = require('../controllers/apiKeyController');
+const providersConfig = require('../../config/providers.json');
+
+const DEFAULT_RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+class FailoverService {
+  constructor() {
+    const failoverConfig = providersConfig.failover || {};
+
+    // Failover can move a request to a provider the user did not pick, possibly a
+    // paid one, so the configured chain is only used when it is switched on
+    this.enabled = failoverConfig.enabled === true;
+    this.retryableStatusCodes = failoverConfig.retryableStatusCodes || DEFAULT_RETRYABLE_STATUS_CODES;
+    this.defaultChain = failoverConfig.chain || [];
+    this.defaultModels = providersConfig.defaultModels || {};
+  }
+
+  // Accept either 'groq' or { providerId: 'groq', model: '...' } as a chain entry
+  normalizeEntry(entry) {
+    if (typeof entry === 'string' && entry.trim().length > 0) {
+      return { providerId: entry.trim(), model: null };
+    }
+    if (entry && typeof entry.providerId === 'string') {
+      return { providerId: entry.providerId, model: entry.model || null };
+    }
+    return null;
+  }
+
+  // Build the ordered list of provider/model candidates for a request.
+  // requestedFallback: array overrides the configured chain, true opts in to the
+  // configured chain when it is not enabled, false disables failover.
+  // keyOwnerId: the signed-in user, whose own API keys also make a provider usable.
+  buildChain(providerId, model, requestedFallback, keyOwnerId = null) {
+    const primary = { providerId, model: model || this.defaultModels[providerId] || null };
+    const chain = [primary];
+    const seen = new Set([`${primary.providerId}:${primary.model}`]);
+
+    let fallbacks = [];
+    if (Array.isArray(requestedFallback)) {
+      fallbacks = requestedFallback;
+    } else if (requestedFallback === true || (requestedFallback !== false && this.enabled)) {
+      fallbacks = this.defaultChain;
+    }
+
+    fallbacks.forEach(rawEntry => {
+      const entry = this.normalizeEntry(rawEntry);
+      if (!entry) return;
+
+      // Only fail over to providers that can actually be called with this user's keys
+      if (!apiKeyController.validateApiKey(entry.providerId, null, keyOwnerId)) return;
+
+      const candidate = {
+        providerId: entry.providerId,
+        model: entry.model || this.defaultModels[entry.providerId] || null
+      };
+      const key = `${candidate.providerId}:${candidate.model}`;
+      if (seen.has(key)) return;
+
+      seen.add(key);
+      chain.push(candidate);
+    });
+
+    return chain;
+  }
+
+  // Whether an error from a provider should move on to the next candidate
+  isRetryable(error) {
+    return !!error && this.retryableStatusCodes.includes(error.status);
+  }
+
+  // Try each candidate in turn until one succeeds or a non-retryable error occurs.
+  // attemptFn(candidate) must resolve with a response or throw an error with a status.
+  async execute(chain, attemptFn) {
+    const attempts = [];
+
+    for (let index = 0; index < chain.length; index++) {
+      const candidate = chain[index];
+      const startedAt = Date.now();
+
+      try {
+        const response = await attemptFn(candidate);
+        attempts.push({
+          providerId: candidate.providerId,
+          model: candidate.model,
+          status: response.status,
+          durationMs: Date.now() - startedAt
+        });
+
+        return { response, providerId: candidate.providerId, model: candidate.model, attempts };
+      } catch (error) {
+        attempts.push({
+          providerId: candidate.providerId,
+          model: candidate.model,
+          status: error.status || 500,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        });
+
+        const next = chain[index + 1];
+        if (!next || !this.isRetryable(error)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        console.warn(`Provider ${candidate.providerId} failed with status ${error.status}, failing over to ${next.providerId}`);
+      }
+    }
+
+    throw { status: 500, message: 'No providers available for this request', attempts };
+  }
+}
+
+module.exports = new FailoverService();
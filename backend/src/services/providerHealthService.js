@@ -0,0 +1,195 @@
+// backend/src/services/providerHealthService.js
+const providersConfig = require('../../config/providers.json');
+
+const DEFAULT_CIRCUIT_BREAKER = {
+  windowMs: 300000,
+  minimumRequests: 5,
+  failureRateThreshold: 0.5,
+  consecutiveFailureThreshold: 3,
+  openDurationMs: 30000,
+  halfOpenMaxProbes: 1
+};
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+// Tracks rolling error rates and latency per provider from proxy traffic and
+// trips a circuit breaker so broken providers are skipped until they recover
+class ProviderHealthService {
+  constructor() {
+    this.config = { ...DEFAULT_CIRCUIT_BREAKER, ...(providersConfig.circuitBreaker || {}) };
+    this.providers = new Map();
+  }
+
+  getState(providerId) {
+    if (!this.providers.has(providerId)) {
+      this.providers.set(providerId, {
+        circuit: CIRCUIT_STATES.CLOSED,
+        samples: [], // { timestamp, latencyMs, success, status }
+        consecutiveFailures: 0,
+        openedAt: null,
+        probesInFlight: 0,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null
+      });
+    }
+    return this.providers.get(providerId);
+  }
+
+  // Drop samples that fell out of the rolling window
+  pruneSamples(state, now = Date.now()) {
+    const cutoff = now - this.config.windowMs;
+    while (state.samples.length > 0 && state.samples[0].timestamp < cutoff) {
+      state.samples.shift();
+    }
+  }
+
+  // Move an open circuit to half-open once the cool-down has elapsed
+  refreshCircuit(state, now = Date.now()) {
+    if (state.circuit === CIRCUIT_STATES.OPEN && now - state.openedAt >= this.config.openDurationMs) {
+      state.circuit = CIRCUIT_STATES.HALF_OPEN;
+      state.probesInFlight = 0;
+    }
+  }
+
+  // Only server-side problems count against a provider, not bad requests. A 429
+  // means one key's quota ran out while the provider is up; the rate limiters
+  // already hold requests back until it resets.
+  isProviderFailure(status) {
+    return !status || status >= 500 || status === 408;
+  }
+
+  // Ask permission to send a request. In half-open state only a limited number
+  // of probe requests are let through; everything else is rejected.
+  acquire(providerId) {
+    const state = this.getState(providerId);
+    this.refreshCircuit(state);
+
+    if (state.circuit === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+
+    if (state.circuit === CIRCUIT_STATES.HALF_OPEN && state.probesInFlight < this.config.halfOpenMaxProbes) {
+      state.probesInFlight++;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Release a probe slot without recording an outcome (e.g. the client cancelled)
+  release(providerId) {
+    const state = this.getState(providerId);
+    if (state.probesInFlight > 0) {
+      state.probesInFlight--;
+    }
+  }
+
+  recordSuccess(providerId, latencyMs) {
+    const state = this.getState(providerId);
+    const now = Date.now();
+
+    state.samples.push({ timestamp: now, latencyMs, success: true, status: 200 });
+    this.pruneSamples(state, now);
+    state.consecutiveFailures = 0;
+    state.lastSuccessAt = new Date(now).toISOString();
+
+    // A successful probe closes the circuit again
+    if (state.circuit === CIRCUIT_STATES.HALF_OPEN) {
+      state.circuit = CIRCUIT_STATES.CLOSED;
+      state.openedAt = null;
+      state.probesInFlight = 0;
+    }
+  }
+
+  recordFailure(providerId, latencyMs, status, message = null) {
+    if (!this.isProviderFailure(status)) {
+      // The request itself was rejected, which says nothing either way about
+      // the provider: free the probe slot and leave the circuit as it is
+      this.release(providerId);
+      return;
+    }
+
+    const state = this.getState(providerId);
+    const now = Date.now();
+
+    state.samples.push({ timestamp: now, latencyMs, success: false, status: status || null });
+    this.pruneSamples(state, now);
+    state.consecutiveFailures++;
+    state.lastFailureAt = new Date(now).toISOString();
+    state.lastError = { status: status || null, message };
+
+    if (state.circuit === CIRCUIT_STATES.HALF_OPEN) {
+      // A failed probe re-opens the circuit for another cool-down period
+      this.openCircuit(state, now);
+      return;
+    }
+
+    const failures = state.samples.filter(sample => !sample.success).length;
+    const failureRate = failures / state.samples.length;
+    const tooManyConsecutive = state.consecutiveFailures >= this.config.consecutiveFailureThreshold;
+    const tooHighRate = state.samples.length >= this.config.minimumRequests &&
+      failureRate >= this.config.failureRateThreshold;
+
+    if (state.circuit === CIRCUIT_STATES.CLOSED && (tooManyConsecutive || tooHighRate)) {
+      this.openCircuit(state, now);
+      console.warn(`Circuit opened for provider ${providerId} after ${state.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  openCircuit(state, now) {
+    state.circuit = CIRCUIT_STATES.OPEN;
+    state.openedAt = now;
+    state.probesInFlight = 0;
+  }
+
+  // Summary used by the provider status endpoints
+  getHealth(providerId) {
+    const state = this.getState(providerId);
+    const now = Date.now();
+    this.pruneSamples(state, now);
+    this.refreshCircuit(state, now);
+
+    const requestCount = state.samples.length;
+    const failureCount = state.samples.filter(sample => !sample.success).length;
+    const latencies = state.samples.map(sample => sample.latencyMs).sort((a, b) => a - b);
+    const averageLatencyMs = requestCount > 0
+      ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / requestCount)
+      : null;
+    const p95LatencyMs = requestCount > 0
+      ? latencies[Math.min(requestCount - 1, Math.ceil(requestCount * 0.95) - 1)]
+      : null;
+
+    return {
+      circuit: state.circuit,
+      available: state.circuit !== CIRCUIT_STATES.OPEN,
+      requestCount,
+      failureCount,
+      errorRate: requestCount > 0 ? failureCount / requestCount : 0,
+      averageLatencyMs,
+      p95LatencyMs,
+      consecutiveFailures: state.consecutiveFailures,
+      lastError: state.lastError,
+      lastSuccessAt: state.lastSuccessAt,
+      lastFailureAt: state.lastFailureAt,
+      retryAt: state.circuit === CIRCUIT_STATES.OPEN
+        ? new Date(state.openedAt + this.config.openDurationMs).toISOString()
+        : null,
+      windowMs: this.config.windowMs
+    };
+  }
+
+  // Forget all recorded traffic (used by tests)
+  reset() {
+    this.providers.clear();
+  }
+}
+
+const providerHealthService = new ProviderHealthService();
+providerHealthService.CIRCUIT_STATES = CIRCUIT_STATES;
+
+module.exports = providerHealthService;
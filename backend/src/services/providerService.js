@@ -2,9 +2,7 @@
 const crypto = require('crypto');
 const ProviderConfiguration = require('../models/ProviderConfiguration');
 const apiKeyController = require('../controllers/apiKeyController');
-
-// In-memory storage for providers (in production, this would be a database)
-let providers = new Map();
+const { providerConfigurationRepository } = require('../repositories');
 
 class ProviderService {
   constructor() {
@@ -12,7 +10,8 @@ class ProviderService {
     this.initializeDefaultProviders();
   }
 
-  // Initialize default providers
+  // Seed providers from the configuration file that are not stored yet.
+  // Stored providers keep their settings (e.g. isActive) across restarts.
   initializeDefaultProviders() {
     // Load providers from configuration file
     const providersConfig = require('../../config/providers.json');
@@ -28,6 +27,10 @@ class ProviderService {
     }));
 
     defaultProviders.forEach(provider => {
+      if (this.findStoredProvider(provider.id)) {
+        return;
+      }
+
       const id = crypto.randomUUID();
       const providerConfig = new ProviderConfiguration({
         id,
@@ -38,13 +41,18 @@ class ProviderService {
         isActive: true
       });
 
-      providers.set(providerConfig.id, providerConfig);
+      providerConfigurationRepository.save(providerConfig);
     });
   }
 
+  // Find the stored configuration for a provider
+  findStoredProvider(providerId) {
+    return providerConfigurationRepository.findOne(provider => provider.providerId === providerId);
+  }
+
   // Get all available providers
   getAllProviders() {
-    return Array.from(providers.values()).map(provider => ({
+    return providerConfigurationRepository.findAll().map(provider => ({
       id: provider.id,
       providerId: provider.providerId,
       name: provider.name,
@@ -56,19 +64,19 @@ class ProviderService {
 
   // Get a provider by ID
   getProviderById(providerId) {
-    for (const [id, provider] of providers) {
-      if (provider.providerId === providerId) {
-        return {
-          id: provider.id,
-          providerId: provider.providerId,
-          name: provider.name,
-          endpoint: provider.endpoint,
-          config: provider.config,
-          isActive: provider.isActive
-        };
-      }
+    const provider = this.findStoredProvider(providerId);
+    if (!provider) {
+      return null;
     }
-    return null;
+
+    return {
+      id: provider.id,
+      providerId: provider.providerId,
+      name: provider.name,
+      endpoint: provider.endpoint,
+      config: provider.config,
+      isActive: provider.isActive
+    };
   }
 
   // Check if a provider is available (has API key and is active)
@@ -93,35 +101,34 @@ class ProviderService {
 
   // Update provider status (active/inactive)
   async updateProviderStatus(providerId, isActive) {
-    for (const [id, provider] of providers) {
-      if (provider.providerId === providerId) {
-        const updatedProvider = new ProviderConfiguration({
-          id: provider.id,
-          providerId: provider.providerId,
-          name: provider.name,
-          endpoint: provider.endpoint,
-          apiKeyId: provider.apiKeyId,
-          config: provider.config,
-          isActive: isActive,
-          createdAt: provider.createdAt,
-          updatedAt: new Date().toISOString()
-        });
-        
-        providers.set(id, updatedProvider);
-        
-        return {
-          id: updatedProvider.id,
-          providerId: updatedProvider.providerId,
-          name: updatedProvider.name,
-          endpoint: updatedProvider.endpoint,
-          config: updatedProvider.config,
-          isActive: updatedProvider.isActive,
-          message: `Provider ${providerId} ${isActive ? 'activated' : 'deactivated'}`
-        };
-      }
+    const provider = this.findStoredProvider(providerId);
+    if (!provider) {
+      throw new Error(`Provider with ID ${providerId} not found`);
     }
-    
-    throw new Error(`Provider with ID ${providerId} not found`);
+
+    const updatedProvider = new ProviderConfiguration({
+      id: provider.id,
+      providerId: provider.providerId,
+      name: provider.name,
+      endpoint: provider.endpoint,
+      apiKeyId: provider.apiKeyId,
+      config: provider.config,
+      isActive: isActive,
+      createdAt: provider.createdAt,
+      updatedAt: new Date().toISOString()
+    });
+
+    providerConfigurationRepository.save(updatedProvider);
+
+    return {
+      id: updatedProvider.id,
+      providerId: updatedProvider.providerId,
+      name: updatedProvider.name,
+      endpoint: updatedProvider.endpoint,
+      config: updatedProvider.config,
+      isActive: updatedProvider.isActive,
+      message: `Provider ${providerId} ${isActive ? 'activated' : 'deactivated'}`
+    };
   }
 
   // Get provider status information
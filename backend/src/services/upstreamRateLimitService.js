@@ -0,0 +1,187 @@
+// backend/src/services/upstreamRateLimitService.js
+
+// How long a request may be held back waiting for a provider's quota to reset
+// before it is refused with 429 instead (which lets failover move on)
+const MAX_QUEUE_WAIT_MS = parseInt(process.env.UPSTREAM_QUEUE_MAX_WAIT_MS) || 10000;
+
+// Parse a reset value: a duration such as "6m0s" or "120ms" (OpenAI, Groq),
+// epoch seconds or milliseconds (OpenRouter), or seconds from now.
+// Returns the reset as epoch milliseconds, or null.
+function parseReset(value, now) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (number > 1e12) return number;
+    if (number > 1e9) return number * 1000;
+    return now + number * 1000;
+  }
+
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) return null;
+  const unitMs = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  return now + Math.ceil(parts.reduce((total, [, amount, unit]) => total + Number(amount) * unitMs[unit], 0));
+}
+
+// Parse Retry-After: seconds or an HTTP date. Returns epoch milliseconds, or null.
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return now + Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+function parseCount(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+// One quota from a set of headers, or null when the provider sent none
+function parseQuota(headers, names, now) {
+  const limit = parseCount(names.limit.map(name => headers[name]).find(value => value !== undefined));
+  const remaining = parseCount(names.remaining.map(name => headers[name]).find(value => value !== undefined));
+  if (limit === null && remaining === null) return null;
+
+  return {
+    limit,
+    remaining,
+    resetAt: parseReset(names.reset.map(name => headers[name]).find(value => value !== undefined), now)
+  };
+}
+
+// Remembers the quota providers report in their rate limit headers and holds
+// requests back until the reset time once it is used up, instead of sending
+// requests that are bound to come back with 429. Quotas belong to an API key,
+// so they are tracked per provider and key owner (null for the shared key).
+class UpstreamRateLimitService {
+  constructor() {
+    this.maxQueueWaitMs = MAX_QUEUE_WAIT_MS;
+    this.quotas = new Map();
+  }
+
+  getKey(providerId, keyOwnerId = null) {
+    return `${providerId}:${keyOwnerId || ''}`;
+  }
+
+  // Take in the headers of a provider response, successful or not
+  recordHeaders(providerId, keyOwnerId, headers = {}, now = Date.now()) {
+    const lower = {};
+    Object.keys(headers || {}).forEach(name => {
+      lower[name.toLowerCase()] = headers[name];
+    });
+
+    const requests = parseQuota(lower, {
+      limit: ['x-ratelimit-limit-requests', 'x-ratelimit-limit', 'ratelimit-limit'],
+      remaining: ['x-ratelimit-remaining-requests', 'x-ratelimit-remaining', 'ratelimit-remaining'],
+      reset: ['x-ratelimit-reset-requests', 'x-ratelimit-reset', 'ratelimit-reset']
+    }, now);
+    const tokens = parseQuota(lower, {
+      limit: ['x-ratelimit-limit-tokens'],
+      remaining: ['x-ratelimit-remaining-tokens'],
+      reset: ['x-ratelimit-reset-tokens']
+    }, now);
+    const retryAt = parseRetryAfter(lower['retry-after'], now);
+
+    if (!requests && !tokens && !retryAt) return;
+
+    const key = this.getKey(providerId, keyOwnerId);
+    const previous = this.quotas.get(key) || {};
+    this.quotas.set(key, {
+      requests: requests || previous.requests || null,
+      tokens: tokens || previous.tokens || null,
+      retryAt: retryAt || previous.retryAt || null,
+      updatedAt: new Date(now).toISOString()
+    });
+  }
+
+  // Milliseconds until the provider will take another request with this key
+  getWaitMs(providerId, keyOwnerId = null, now = Date.now()) {
+    const quota = this.quotas.get(this.getKey(providerId, keyOwnerId));
+    if (!quota) return 0;
+
+    const until = [quota.requests, quota.tokens]
+      .filter(limit => limit && limit.remaining !== null && limit.remaining <= 0 && limit.resetAt)
+      .map(limit => limit.resetAt)
+      .concat(quota.retryAt ? [quota.retryAt] : [])
+      .reduce((latest, time) => Math.max(latest, time), now);
+
+    return until - now;
+  }
+
+  // Wait until the provider has quota for one more request, then count it so
+  // concurrent requests do not all spend the last one. A wait longer than
+  // maxQueueWaitMs is refused with a 429 carrying retryAfter.
+  async waitForCapacity(providerId, keyOwnerId = null, { signal } = {}) {
+    let waitMs = this.getWaitMs(providerId, keyOwnerId);
+    while (waitMs > 0) {
+      if (waitMs > this.maxQueueWaitMs) {
+        throw {
+          status: 429,
+          message: `Provider ${providerId} rate limit is used up until ${new Date(Date.now() + waitMs).toISOString()}`,
+          data: { provider: providerId, retryAfter: Math.ceil(waitMs / 1000), upstream: true }
+        };
+      }
+      await sleep(waitMs, signal);
+      waitMs = this.getWaitMs(providerId, keyOwnerId);
+    }
+
+    const quota = this.quotas.get(this.getKey(providerId, keyOwnerId));
+    const requests = quota && quota.requests;
+    if (requests && requests.remaining !== null && (!requests.resetAt || requests.resetAt > Date.now())) {
+      requests.remaining -= 1;
+    }
+  }
+
+  // The last quota a provider reported for a key, or null when it never sent one.
+  // Quotas whose reset time has passed no longer say anything about what is left.
+  getQuota(providerId, keyOwnerId = null, now = Date.now()) {
+    const quota = this.quotas.get(this.getKey(providerId, keyOwnerId));
+    if (!quota) return null;
+
+    const describe = limit => limit && {
+      limit: limit.limit,
+      remaining: limit.resetAt && limit.resetAt <= now ? null : limit.remaining,
+      resetAt: limit.resetAt ? new Date(limit.resetAt).toISOString() : null
+    };
+    const waitMs = this.getWaitMs(providerId, keyOwnerId, now);
+
+    return {
+      requests: describe(quota.requests),
+      tokens: describe(quota.tokens),
+      retryAt: quota.retryAt && quota.retryAt > now ? new Date(quota.retryAt).toISOString() : null,
+      throttledUntil: waitMs > 0 ? new Date(now + waitMs).toISOString() : null,
+      updatedAt: quota.updatedAt
+    };
+  }
+
+  // Forget every quota (used by tests)
+  reset() {
+    this.quotas.clear();
+  }
+}
+
+// Resolve after ms, or reject like a cancelled axios request when signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const canceled = () => {
+      clearTimeout(timer);
+      reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' }));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', canceled);
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) return canceled();
+      signal.addEventListener('abort', canceled, { once: true });
+    }
+  });
+}
+
+const upstreamRateLimitService = new UpstreamRateLimitService();
+upstreamRateLimitService.parseReset = parseReset;
+
+module.exports = upstreamRateLimitService;
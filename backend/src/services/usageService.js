@@ -0,0 +1,177 @@
+// backend/src/services/usageService.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const UsageRecord = require('../models/UsageRecord');
+const UsageCounter = require('../models/UsageCounter');
+const { usageRecordRepository, usageCounterRepository } = require('../repositories');
+
+const DEFAULT_PRICING_PATH = path.join(__dirname, '../../config/pricing.json');
+
+// Dimensions usage can be grouped by, and how each is read from a record
+const GROUP_FIELDS = {
+  user: record => ({ userId: record.userId }),
+  provider: record => ({ providerId: record.providerId }),
+  model: record => ({ model: record.model }),
+  day: record => ({ day: record.createdAt.slice(0, 10) })
+};
+
+// Round money to a millionth of the currency unit
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, images: 0, audioSeconds: 0, characters: 0, cost: 0, unpricedRequests: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.requests += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.images += record.images;
+  // Records from before audio transcription and speech have no audioSeconds or characters
+  totals.audioSeconds += record.audioSeconds || 0;
+  totals.characters += record.characters || 0;
+  if (record.cost === null) {
+    totals.unpricedRequests += 1;
+  } else {
+    totals.cost = roundCost(totals.cost + record.cost);
+  }
+}
+
+class UsageService {
+  constructor() {
+    this.pricing = this.loadPricing();
+  }
+
+  // Prices per model come from config/pricing.json, or PRICING_CONFIG_PATH when set
+  loadPricing() {
+    const pricingPath = process.env.PRICING_CONFIG_PATH || DEFAULT_PRICING_PATH;
+    try {
+      return JSON.parse(fs.readFileSync(pricingPath, 'utf8'));
+    } catch (error) {
+      console.error(`Could not load pricing from ${pricingPath}; costs will not be calculated:`, error.message);
+      return { currency: 'USD', models: {} };
+    }
+  }
+
+  getPrice(providerId, model) {
+    const providerPrices = this.pricing.models[providerId] || {};
+    return providerPrices[model] || null;
+  }
+
+  // Cost of one request, or null when the model has no price
+  calculateCost(providerId, model, { promptTokens = 0, completionTokens = 0, images = 0, audioSeconds = 0, characters = 0 } = {}) {
+    const price = this.getPrice(providerId, model);
+    if (!price) {
+      return null;
+    }
+
+    const cost = (promptTokens * (price.inputPerMillion || 0) +
+      completionTokens * (price.outputPerMillion || 0) +
+      characters * (price.perMillionCharacters || 0)) / 1e6 +
+      images * (price.perImage || 0) +
+      audioSeconds / 60 * (price.perMinute || 0);
+    return roundCost(cost);
+  }
+
+  // Record one provider call. Accounting must never break the request it
+  // describes, so failures are logged and swallowed.
+  recordUsage({ userId, providerId, model, endpoint, promptTokens = 0, completionTokens = 0, images = 0, audioSeconds = 0, characters = 0, estimated = false }) {
+    try {
+      const data = { userId, providerId, model, endpoint, promptTokens, completionTokens, images, audioSeconds, characters };
+      UsageRecord.validate(data);
+
+      const record = usageRecordRepository.save(new UsageRecord({
+        ...data,
+        id: crypto.randomUUID(),
+        totalTokens: promptTokens + completionTokens,
+        cost: this.calculateCost(providerId, model, { promptTokens, completionTokens, images, audioSeconds, characters }),
+        estimated
+      }));
+      this.addToCounter(record);
+      return record;
+    } catch (error) {
+      console.error('Error recording usage:', error);
+      return null;
+    }
+  }
+
+  // Add a record to its user's monthly counter for the provider
+  addToCounter(record) {
+    const month = UsageCounter.getMonth(record.createdAt);
+    const counter = usageCounterRepository.findById(UsageCounter.getId(month, record.userId, record.providerId)) ||
+      new UsageCounter({ userId: record.userId, providerId: record.providerId, month });
+
+    counter.totalTokens += record.totalTokens;
+    counter.cost = roundCost(counter.cost + (record.cost || 0));
+    counter.updatedAt = new Date().toISOString();
+    usageCounterRepository.save(counter);
+  }
+
+  // Tokens and cost in a month ('YYYY-MM') from the counters, for one user
+  // and/or provider or, when left out, all of them. Unlike summarize, this
+  // still counts usage whose records were pruned.
+  getMonthlyTotals({ userId = null, providerId = null, month }) {
+    return usageCounterRepository.findAll(counter =>
+      counter.month === month &&
+      (!userId || counter.userId === userId) &&
+      (!providerId || counter.providerId === providerId)
+    ).reduce((totals, counter) => ({
+      totalTokens: totals.totalTokens + counter.totalTokens,
+      cost: roundCost(totals.cost + counter.cost)
+    }), { totalTokens: 0, cost: 0 });
+  }
+
+  // Records matching userId, providerId, model and a from/to date range (inclusive)
+  findRecords({ userId, providerId, model, from, to } = {}) {
+    return usageRecordRepository.findAll(record =>
+      (!userId || record.userId === userId) &&
+      (!providerId || record.providerId === providerId) &&
+      (!model || record.model === model) &&
+      (!from || record.createdAt >= from) &&
+      (!to || record.createdAt <= to)
+    );
+  }
+
+  // Matching records, newest first
+  listUsage(filters = {}, limit = 100) {
+    const records = this.findRecords(filters)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return { total: records.length, records: records.slice(0, limit) };
+  }
+
+  // Totals for the matching records, plus one row per combination of the groupBy
+  // dimensions (user, provider, model, day), most expensive first
+  summarize(filters = {}, groupBy = ['user', 'provider', 'day']) {
+    const totals = emptyTotals();
+    const groups = new Map();
+
+    this.findRecords(filters).forEach(record => {
+      addToTotals(totals, record);
+
+      const keys = groupBy.reduce((fields, dimension) => ({ ...fields, ...GROUP_FIELDS[dimension](record) }), {});
+      const groupKey = JSON.stringify(keys);
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { ...keys, ...emptyTotals() });
+      }
+      addToTotals(groups.get(groupKey), record);
+    });
+
+    return {
+      currency: this.pricing.currency || 'USD',
+      groupBy,
+      totals,
+      groups: [...groups.values()].sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+    };
+  }
+
+  getGroupDimensions() {
+    return Object.keys(GROUP_FIELDS);
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,128 @@
+// backend/src/utils/attachmentUtil.js
+// Provider-neutral attachment contract: messages carry attachments as OpenAI
+// content parts ({ type: 'text' } and { type: 'image_url' }), which the Gemini
+// adapter translates to inlineData parts. Gemini cannot fetch linked images,
+// so those are only sent to the OpenAI-compatible providers
+
+// Image formats every vision provider accepts
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Limits after base64 decoding. Base64 grows data by a third, so 6 MB of images
+// is 8 MB of JSON, which leaves room for the text within the 10 MB body limit (app.js)
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_IMAGE_BYTES = 6 * 1024 * 1024;
+const MAX_IMAGES_PER_REQUEST = 10;
+
+const DATA_URL_PATTERN = /^data:([^;,]+);base64,([A-Za-z0-9+/=\s]*)$/;
+
+// Split a base64 data URL into { mimeType, data }; null when it is not one
+function parseDataUrl(url) {
+  const match = typeof url === 'string' ? url.match(DATA_URL_PATTERN) : null;
+  if (!match) return null;
+  return { mimeType: match[1].toLowerCase(), data: match[2].replace(/\s/g, '') };
+}
+
+// Decoded size of base64 data without decoding it
+function getBase64Bytes(data) {
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor(data.length * 3 / 4) - padding;
+}
+
+// Validate one image_url part; returns an error message or null
+function validateImagePart(part, path) {
+  const url = part.image_url && part.image_url.url;
+  if (typeof url !== 'string' || !url) {
+    return `${path}.image_url.url must be a string`;
+  }
+
+  if (/^https?:\/\//i.test(url)) {
+    return null;
+  }
+
+  const image = parseDataUrl(url);
+  if (!image) {
+    return `${path}.image_url.url must be an http(s) URL or a base64 data URL`;
+  }
+  if (!IMAGE_MIME_TYPES.includes(image.mimeType)) {
+    return `${path} must be one of ${IMAGE_MIME_TYPES.join(', ')}`;
+  }
+  if (getBase64Bytes(image.data) > MAX_IMAGE_BYTES) {
+    return `${path} can be at most ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`;
+  }
+  return null;
+}
+
+// Whether any message carries an image part
+function hasImages(messages) {
+  return messages.some(message => Array.isArray(message && message.content) &&
+    message.content.some(part => part && part.type === 'image_url'));
+}
+
+// Whether any message links to an image by http(s) URL instead of embedding it
+function hasLinkedImages(messages) {
+  return messages.some(message => Array.isArray(message && message.content) &&
+    message.content.some(part => part && part.type === 'image_url' && part.image_url &&
+      /^https?:\/\//i.test(part.image_url.url)));
+}
+
+// Validate the content of chat messages: a string, null (assistant tool calls)
+// or an array of text and image_url parts; returns an error message or null
+function validateMessageContent(messages) {
+  if (!Array.isArray(messages)) {
+    return 'messages must be an array';
+  }
+
+  let images = 0;
+  let imageBytes = 0;
+  for (let index = 0; index < messages.length; index++) {
+    const message = messages[index];
+    const content = message && message.content;
+    if (content === undefined || content === null || typeof content === 'string') continue;
+
+    if (!Array.isArray(content)) {
+      return `messages[${index}].content must be a string or an array of content parts`;
+    }
+
+    for (let partIndex = 0; partIndex < content.length; partIndex++) {
+      const part = content[partIndex];
+      const path = `messages[${index}].content[${partIndex}]`;
+
+      if (part && part.type === 'text') {
+        if (typeof part.text !== 'string') {
+          return `${path}.text must be a string`;
+        }
+      } else if (part && part.type === 'image_url') {
+        if (message.role !== 'user') {
+          return `${path}: only user messages can contain images`;
+        }
+        const error = validateImagePart(part, path);
+        if (error) return error;
+        images++;
+        // Linked images are not part of the request body
+        const image = parseDataUrl(part.image_url.url);
+        imageBytes += image ? getBase64Bytes(image.data) : 0;
+      } else {
+        return `${path}.type must be "text" or "image_url"`;
+      }
+    }
+  }
+
+  if (images > MAX_IMAGES_PER_REQUEST) {
+    return `a request can contain at most ${MAX_IMAGES_PER_REQUEST} images`;
+  }
+  if (imageBytes > MAX_TOTAL_IMAGE_BYTES) {
+    return `the images in a request can be at most ${MAX_TOTAL_IMAGE_BYTES / (1024 * 1024)} MB together`;
+  }
+  return null;
+}
+
+module.exports = {
+  IMAGE_MIME_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_TOTAL_IMAGE_BYTES,
+  MAX_IMAGES_PER_REQUEST,
+  parseDataUrl,
+  hasImages,
+  hasLinkedImages,
+  validateMessageContent
+};
@@ -0,0 +1,168 @@
+// backend/src/utils/audioUtil.js
+// Provider-neutral audio contract: speech-to-text uploads follow the OpenAI
+// audio/transcriptions format, which Groq's Whisper endpoint shares, and
+// text-to-speech requests follow OpenAI's audio/speech format
+const providersConfig = require('../../config/providers.json');
+
+// Both OpenAI and Groq refuse files over 25 MB
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+// Formats the Whisper endpoints accept, by mime type; the extension tells the
+// provider which one it is, so uploads named "blob" get one added
+const AUDIO_FORMATS = {
+  'audio/flac': 'flac',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/webm': 'webm',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm'
+};
+const AUDIO_EXTENSIONS = ['flac', 'mp3', 'mp4', 'mpeg', 'mpga', 'm4a', 'ogg', 'opus', 'wav', 'webm'];
+
+// OpenAI reads at most 4096 characters per speech request
+const MAX_SPEECH_INPUT_CHARS = 4096;
+
+// Speech output formats and the Content-Type they are served with
+const SPEECH_FORMATS = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+};
+const SPEECH_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer', 'verse'];
+const DEFAULT_SPEECH_VOICE = 'alloy';
+
+// Providers with a transcription model configured
+function getTranscriptionProviders() {
+  return Object.keys(providersConfig.transcriptionModels || {});
+}
+
+// Resolve the transcription model for a provider; null when it cannot transcribe
+function getTranscriptionModel(providerId, model) {
+  const defaultModel = (providersConfig.transcriptionModels || {})[providerId];
+  if (!defaultModel) return null;
+  return model || defaultModel;
+}
+
+// Mime type without parameters such as ";codecs=opus"
+function getBaseMimeType(mimetype) {
+  return String(mimetype || '').split(';')[0].trim().toLowerCase();
+}
+
+function getExtension(filename) {
+  const match = String(filename || '').match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Validate an uploaded audio file; returns an error message or null
+function validateAudioFile(file) {
+  if (!file || file.size === 0) {
+    return 'file must be a non-empty audio file';
+  }
+  if (file.size > MAX_AUDIO_BYTES) {
+    return `file can be at most ${MAX_AUDIO_BYTES / (1024 * 1024)} MB`;
+  }
+  if (!AUDIO_FORMATS[getBaseMimeType(file.mimetype)] && !AUDIO_EXTENSIONS.includes(getExtension(file.originalname))) {
+    return `file must be one of ${AUDIO_EXTENSIONS.join(', ')}`;
+  }
+  return null;
+}
+
+// Validate the optional transcription fields (multipart fields are strings);
+// returns an error message or null
+function validateTranscriptionRequest({ language, temperature }) {
+  if (language !== undefined && !/^[a-z]{2}$/i.test(language)) {
+    return 'language must be an ISO-639-1 code such as "en"';
+  }
+  if (temperature !== undefined) {
+    const value = Number(temperature);
+    if (temperature === '' || Number.isNaN(value) || value < 0 || value > 1) {
+      return 'temperature must be a number between 0 and 1';
+    }
+  }
+  return null;
+}
+
+// File name to send upstream, with an extension matching the audio format
+function getAudioFilename(file) {
+  if (AUDIO_EXTENSIONS.includes(getExtension(file.originalname))) {
+    return file.originalname;
+  }
+  return `audio.${AUDIO_FORMATS[getBaseMimeType(file.mimetype)] || 'webm'}`;
+}
+
+// Normalize a verbose_json transcription to { text, language, duration }
+function normalizeTranscriptionResponse(body) {
+  if (!body || typeof body !== 'object') {
+    return { text: typeof body === 'string' ? body.trim() : '' };
+  }
+
+  return {
+    text: (body.text || '').trim(),
+    ...(body.language ? { language: body.language } : {}),
+    ...(typeof body.duration === 'number' ? { duration: body.duration } : {})
+  };
+}
+
+// Providers with a speech model configured
+function getSpeechProviders() {
+  return Object.keys(providersConfig.speechModels || {});
+}
+
+// Resolve the text-to-speech model for a provider; null when it cannot speak
+function getSpeechModel(providerId, model) {
+  const defaultModel = (providersConfig.speechModels || {})[providerId];
+  if (!defaultModel) return null;
+  return model || defaultModel;
+}
+
+// Validate a text-to-speech request; returns an error message or null
+function validateSpeechRequest({ input, voice, response_format: responseFormat, speed }) {
+  if (typeof input !== 'string' || !input.trim()) {
+    return 'input must be a non-empty string';
+  }
+  if (input.length > MAX_SPEECH_INPUT_CHARS) {
+    return `input can be at most ${MAX_SPEECH_INPUT_CHARS} characters`;
+  }
+  if (voice !== undefined && !SPEECH_VOICES.includes(voice)) {
+    return `voice must be one of ${SPEECH_VOICES.join(', ')}`;
+  }
+  if (responseFormat !== undefined && !SPEECH_FORMATS[responseFormat]) {
+    return `response_format must be one of ${Object.keys(SPEECH_FORMATS).join(', ')}`;
+  }
+  if (speed !== undefined && (typeof speed !== 'number' || speed < 0.25 || speed > 4)) {
+    return 'speed must be a number between 0.25 and 4';
+  }
+  return null;
+}
+
+// Content-Type of generated speech in the given format
+function getSpeechContentType(responseFormat = 'mp3') {
+  return SPEECH_FORMATS[responseFormat] || SPEECH_FORMATS.mp3;
+}
+
+module.exports = {
+  MAX_AUDIO_BYTES,
+  MAX_SPEECH_INPUT_CHARS,
+  DEFAULT_SPEECH_VOICE,
+  getTranscriptionProviders,
+  getTranscriptionModel,
+  validateAudioFile,
+  validateTranscriptionRequest,
+  getAudioFilename,
+  normalizeTranscriptionResponse,
+  getSpeechProviders,
+  getSpeechModel,
+  validateSpeechRequest,
+  getSpeechContentType
+};
@@ -0,0 +1,82 @@
+// backend/src/utils/contextUtil.js
+// Context-window management for chat requests: model metadata from
+// config/providers.json and trimming of old turns that would not fit
+const providersConfig = require('../../config/providers.json');
+const { getTokenizerFamily, estimateMessageTokens, estimateMessagesTokens } = require('./tokenEstimator');
+
+// Room left for the reply when the client does not set max_tokens
+const DEFAULT_RESERVED_OUTPUT_TOKENS = 1024;
+
+// Context window, output limit, tokenizer family and image support for a model.
+// Unknown models get the conservative defaults from defaultModelMetadata and
+// are not sent images.
+function getModelMetadata(providerId, model) {
+  const provider = providersConfig.providers.find(p => p.id === providerId);
+  const known = provider && provider.modelMetadata ? provider.modelMetadata[model] : null;
+  const defaults = providersConfig.defaultModelMetadata || { contextWindow: 8192, maxOutputTokens: 4096 };
+
+  return {
+    contextWindow: (known && known.contextWindow) || defaults.contextWindow,
+    maxOutputTokens: (known && known.maxOutputTokens) || defaults.maxOutputTokens,
+    tokenizer: (known && known.tokenizer) || getTokenizerFamily(model),
+    vision: !!(known && known.vision),
+    known: !!known
+  };
+}
+
+// Split the conversation into units that must be kept or dropped together:
+// an assistant message with tool_calls travels with the tool results that follow it
+function groupTurns(messages) {
+  const groups = [];
+  messages.forEach(message => {
+    const previous = groups[groups.length - 1];
+    if (message.role === 'tool' && previous) {
+      previous.push(message);
+    } else {
+      groups.push([message]);
+    }
+  });
+  return groups;
+}
+
+// Drop the oldest turns until the prompt plus the reply allowance fits the context
+// window. System messages and the newest turn are always kept. When turns are
+// dropped, system messages are moved to the front and the remaining history
+// never starts with an assistant or tool message; a conversation that fits is
+// sent as is.
+// Returns { messages, droppedCount, promptTokens, fits }.
+function fitMessagesToContext(messages, { contextWindow, reservedOutputTokens = DEFAULT_RESERVED_OUTPUT_TOKENS, tokenizer = 'default' }) {
+  const systemMessages = messages.filter(message => message.role === 'system');
+  const groups = groupTurns(messages.filter(message => message.role !== 'system'));
+
+  let budget = contextWindow - reservedOutputTokens - estimateMessagesTokens(systemMessages, tokenizer);
+
+  const kept = [];
+  for (let i = groups.length - 1; i >= 0; i--) {
+    const tokens = groups[i].reduce((total, message) => total + estimateMessageTokens(message, tokenizer), 0);
+    if (kept.length > 0 && tokens > budget) {
+      break;
+    }
+    kept.unshift(groups[i]);
+    budget -= tokens;
+  }
+
+  const trimmed = kept.length < groups.length;
+  while (trimmed && kept.length > 1 && kept[0][0].role !== 'user') {
+    kept.shift();
+  }
+
+  const fitted = trimmed ? [...systemMessages, ...kept.flat()] : messages;
+  return {
+    messages: fitted,
+    droppedCount: messages.length - fitted.length,
+    promptTokens: estimateMessagesTokens(fitted, tokenizer),
+    fits: budget >= 0
+  };
+}
+
+module.exports = {
+  DEFAULT_RESERVED_OUTPUT_TOKENS,
+  getModelMetadata,
+  fitMessagesToContext
+};
@@ -0,0 +1,73 @@
+// backend/src/utils/embeddingUtil.js
+// Provider-neutral embeddings contract: requests and responses use the OpenAI
+// embeddings format, which the Gemini adapter translates to batchEmbedContents
+const providersConfig = require('../../config/providers.json');
+
+// Gemini's batchEmbedContents accepts at most 100 requests per call
+const MAX_EMBEDDING_INPUTS = 100;
+
+// Providers with an embedding model configured
+function getEmbeddingProviders() {
+  return Object.keys(providersConfig.embeddingModels || {});
+}
+
+// Resolve the embedding model for a provider; null when it has no embeddings
+function getEmbeddingModel(providerId, model) {
+  const defaultModel = (providersConfig.embeddingModels || {})[providerId];
+  if (!defaultModel) return null;
+  return model || defaultModel;
+}
+
+// Validate the text batch; returns an error message or null
+function validateEmbeddingInput(input) {
+  const inputs = Array.isArray(input) ? input : [input];
+
+  if (inputs.length === 0) {
+    return 'input must contain at least one text';
+  }
+  if (inputs.length > MAX_EMBEDDING_INPUTS) {
+    return `input can contain at most ${MAX_EMBEDDING_INPUTS} texts`;
+  }
+  if (inputs.some(text => typeof text !== 'string' || text.trim() === '')) {
+    return 'input must be a non-empty string or an array of non-empty strings';
+  }
+
+  return null;
+}
+
+// Normalize an embeddings response: vectors as plain number arrays ordered by
+// input index, and usage always present
+function normalizeEmbeddingResponse(body, model) {
+  if (!body || !Array.isArray(body.data)) {
+    return body;
+  }
+
+  const data = body.data
+    .map((item, position) => ({
+      object: 'embedding',
+      index: item.index !== undefined ? item.index : position,
+      embedding: Array.from(item.embedding || [], Number)
+    }))
+    .sort((a, b) => a.index - b.index);
+
+  const usage = body.usage || {};
+
+  return {
+    object: 'list',
+    data,
+    model: body.model || model,
+    dimensions: data.length > 0 ? data[0].embedding.length : 0,
+    usage: {
+      prompt_tokens: usage.prompt_tokens || 0,
+      total_tokens: usage.total_tokens || usage.prompt_tokens || 0
+    }
+  };
+}
+
+module.exports = {
+  MAX_EMBEDDING_INPUTS,
+  getEmbeddingProviders,
+  getEmbeddingModel,
+  validateEmbeddingInput,
+  normalizeEmbeddingResponse
+};
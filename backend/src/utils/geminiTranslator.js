@@ -0,0 +1,444 @@
+// backend/src/utils/geminiTranslator.js
+// Translates between OpenAI-style chat completions and the Gemini generateContent API
+const { parseDataUrl } = require('./attachmentUtil');
+
+// Map Gemini finish reasons to their OpenAI equivalents
+const FINISH_REASONS = {
+  STOP: 'stop',
+  MAX_TOKENS: 'length',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  BLOCKLIST: 'content_filter',
+  PROHIBITED_CONTENT: 'content_filter',
+  SPII: 'content_filter',
+  IMAGE_SAFETY: 'content_filter'
+};
+
+function mapFinishReason(finishReason) {
+  if (!finishReason || finishReason === 'FINISH_REASON_UNSPECIFIED') {
+    return null;
+  }
+  return FINISH_REASONS[finishReason] || 'stop';
+}
+
+// Build the model-scoped path that replaces /chat/completions for Gemini
+function getGenerateContentPath(model, stream = false) {
+  const modelName = String(model || '').replace(/^models\//, '');
+  const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+  return `/models/${modelName}:${method}`;
+}
+
+// Flatten OpenAI message content (string or content parts) to plain text
+function contentToText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return content ? String(content) : '';
+}
+
+// Convert an OpenAI image_url part holding a data URL into inlineData. Gemini
+// only reads fileData from its own Files API, so the proxy rejects linked images
+// before they get here
+function imageToPart(imageUrl) {
+  const image = parseDataUrl(imageUrl && imageUrl.url);
+  return image ? { inlineData: { mimeType: image.mimeType, data: image.data } } : null;
+}
+
+// Convert OpenAI message content into Gemini parts, keeping the order of text and images
+function contentToParts(content) {
+  if (Array.isArray(content)) {
+    return content
+      .map(part => {
+        if (part && part.type === 'text') return part.text ? { text: part.text } : null;
+        if (part && part.type === 'image_url') return imageToPart(part.image_url);
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  const text = contentToText(content);
+  return text ? [{ text }] : [];
+}
+
+// Tool call arguments arrive as a JSON string in the OpenAI format
+function parseArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { input: args };
+  }
+}
+
+// Gemini expects functionResponse.response to be an object
+function toFunctionResponse(content) {
+  const text = contentToText(content);
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      return parsed;
+    }
+  } catch (error) {
+    // Plain text tool output
+  }
+  return { content: text };
+}
+
+// JSON Schema keywords Gemini's OpenAPI-style schema does not accept
+const UNSUPPORTED_SCHEMA_KEYS = ['$schema', '$id', '$ref', '$defs', 'definitions', 'additionalProperties', 'strict', 'examples', 'default'];
+
+// Strip JSON Schema keywords that Gemini rejects from function parameters
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  Object.keys(schema).forEach(key => {
+    if (UNSUPPORTED_SCHEMA_KEYS.includes(key)) return;
+    // properties is a map of names to schemas, not a schema itself
+    if (key === 'properties') {
+      result.properties = {};
+      Object.keys(schema.properties || {}).forEach(name => {
+        result.properties[name] = toGeminiSchema(schema.properties[name]);
+      });
+      return;
+    }
+    result[key] = toGeminiSchema(schema[key]);
+  });
+  return result;
+}
+
+// Map OpenAI tools to Gemini functionDeclarations
+function toGeminiTools(tools) {
+  const functionDeclarations = (tools || [])
+    .filter(tool => tool && tool.type === 'function' && tool.function)
+    .map(tool => {
+      const declaration = { name: tool.function.name };
+      if (tool.function.description) {
+        declaration.description = tool.function.description;
+      }
+      // Gemini rejects an object schema without properties
+      const parameters = tool.function.parameters;
+      if (parameters && !(parameters.type === 'object' && Object.keys(parameters.properties || {}).length === 0)) {
+        declaration.parameters = toGeminiSchema(parameters);
+      }
+      return declaration;
+    });
+
+  return functionDeclarations.length > 0 ? [{ functionDeclarations }] : undefined;
+}
+
+// Map OpenAI tool_choice to a Gemini toolConfig
+function toGeminiToolConfig(toolChoice) {
+  if (!toolChoice) return undefined;
+
+  if (typeof toolChoice === 'string') {
+    const modes = { auto: 'AUTO', none: 'NONE', required: 'ANY' };
+    return modes[toolChoice] ? { functionCallingConfig: { mode: modes[toolChoice] } } : undefined;
+  }
+
+  if (toolChoice.type === 'function' && toolChoice.function && toolChoice.function.name) {
+    return {
+      functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function.name] }
+    };
+  }
+
+  return undefined;
+}
+
+// Build an OpenAI tool call from a Gemini functionCall part
+function toToolCall(functionCall, index) {
+  return {
+    id: functionCall.id || `call_${Date.now().toString(36)}_${index}`,
+    type: 'function',
+    function: {
+      name: functionCall.name,
+      arguments: JSON.stringify(functionCall.args || {})
+    }
+  };
+}
+
+// Append parts to the conversation, merging consecutive turns from the same role
+function appendContent(contents, role, parts) {
+  if (parts.length === 0) return;
+
+  const previous = contents[contents.length - 1];
+  if (previous && previous.role === role) {
+    previous.parts.push(...parts);
+  } else {
+    contents.push({ role, parts });
+  }
+}
+
+// Map OpenAI sampling parameters to a Gemini generationConfig
+function toGenerationConfig(body) {
+  const config = {
+    temperature: body.temperature,
+    topP: body.top_p !== undefined ? body.top_p : body.topP,
+    topK: body.top_k !== undefined ? body.top_k : body.topK,
+    maxOutputTokens: body.max_completion_tokens || body.max_tokens || body.maxOutputTokens,
+    candidateCount: body.n,
+    presencePenalty: body.presence_penalty,
+    frequencyPenalty: body.frequency_penalty,
+    seed: body.seed
+  };
+
+  if (body.stop) {
+    config.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+
+  if (body.response_format && ['json_object', 'json_schema'].includes(body.response_format.type)) {
+    config.responseMimeType = 'application/json';
+  }
+
+  Object.keys(config).forEach(key => {
+    if (config[key] === undefined || config[key] === null) {
+      delete config[key];
+    }
+  });
+
+  return config;
+}
+
+// Translate an OpenAI chat completion body into a Gemini generateContent body
+function toGeminiRequest(body = {}) {
+  const systemTexts = [];
+  const contents = [];
+  const toolNames = {}; // tool_call_id -> function name, for tool result messages
+
+  (body.messages || []).forEach(message => {
+    switch (message.role) {
+      case 'system':
+      case 'developer': {
+        const text = contentToText(message.content);
+        if (text) systemTexts.push(text);
+        break;
+      }
+
+      case 'assistant': {
+        const parts = contentToParts(message.content);
+        (message.tool_calls || []).forEach(toolCall => {
+          const fn = toolCall.function || {};
+          toolNames[toolCall.id] = fn.name;
+          parts.push({ functionCall: { name: fn.name, args: parseArguments(fn.arguments) } });
+        });
+        appendContent(contents, 'model', parts);
+        break;
+      }
+
+      case 'tool':
+      case 'function':
+        appendContent(contents, 'user', [{
+          functionResponse: {
+            name: message.name || toolNames[message.tool_call_id] || 'unknown_function',
+            response: toFunctionResponse(message.content)
+          }
+        }]);
+        break;
+
+      default:
+        appendContent(contents, 'user', contentToParts(message.content));
+        break;
+    }
+  });
+
+  const geminiRequest = { contents };
+
+  if (systemTexts.length > 0) {
+    geminiRequest.systemInstruction = { parts: [{ text: systemTexts.join('\n\n') }] };
+  }
+
+  const tools = toGeminiTools(body.tools);
+  if (tools) {
+    geminiRequest.tools = tools;
+  }
+
+  const toolConfig = toGeminiToolConfig(body.tool_choice);
+  if (toolConfig) {
+    geminiRequest.toolConfig = toolConfig;
+  }
+
+  const generationConfig = toGenerationConfig(body);
+  if (Object.keys(generationConfig).length > 0) {
+    geminiRequest.generationConfig = generationConfig;
+  }
+
+  return geminiRequest;
+}
+
+// Map Gemini usage metadata to the OpenAI usage block
+function toUsage(usageMetadata) {
+  if (!usageMetadata) return undefined;
+
+  // OpenAI counts reasoning tokens as completion tokens
+  const completionTokens = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usageMetadata.totalTokenCount || promptTokens + completionTokens
+  };
+}
+
+// Translate a Gemini generateContent response into an OpenAI chat completion
+function fromGeminiResponse(geminiResponse = {}, model = null) {
+  const candidates = geminiResponse.candidates || [];
+
+  const choices = candidates.map((candidate, index) => {
+    const parts = (candidate.content && candidate.content.parts) || [];
+    const text = parts
+      .filter(part => typeof part.text === 'string' && !part.thought)
+      .map(part => part.text)
+      .join('');
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map((part, callIndex) => toToolCall(part.functionCall, callIndex));
+
+    const message = { role: 'assistant', content: text };
+    if (toolCalls.length > 0) {
+      message.content = text || null;
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      index: candidate.index !== undefined ? candidate.index : index,
+      message,
+      finish_reason: toolCalls.length > 0 ? 'tool_calls' : (mapFinishReason(candidate.finishReason) || 'stop')
+    };
+  });
+
+  // A blocked prompt returns no candidates at all
+  if (choices.length === 0 && geminiResponse.promptFeedback && geminiResponse.promptFeedback.blockReason) {
+    choices.push({
+      index: 0,
+      message: { role: 'assistant', content: '' },
+      finish_reason: 'content_filter'
+    });
+  }
+
+  const response = {
+    id: `gemini-${geminiResponse.responseId || Date.now()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: geminiResponse.modelVersion || model,
+    choices
+  };
+
+  const usage = toUsage(geminiResponse.usageMetadata);
+  if (usage) {
+    response.usage = usage;
+  }
+
+  return response;
+}
+
+// Build the model-scoped path that replaces /embeddings for Gemini
+function getBatchEmbedContentsPath(model) {
+  const modelName = String(model || '').replace(/^models\//, '');
+  return `/models/${modelName}:batchEmbedContents`;
+}
+
+// Translate an OpenAI embeddings body into a Gemini batchEmbedContents body
+function toGeminiEmbeddingRequest(body = {}) {
+  const modelName = `models/${String(body.model || '').replace(/^models\//, '')}`;
+  const inputs = Array.isArray(body.input) ? body.input : [body.input];
+
+  return {
+    requests: inputs.map(text => {
+      const request = { model: modelName, content: { parts: [{ text }] } };
+      if (body.dimensions) {
+        request.outputDimensionality = body.dimensions;
+      }
+      if (body.task_type) {
+        request.taskType = body.task_type;
+      }
+      return request;
+    })
+  };
+}
+
+// Translate a Gemini batchEmbedContents response into an OpenAI embeddings list.
+// Gemini does not report token usage for embeddings.
+function fromGeminiEmbeddingResponse(geminiResponse = {}, model = null) {
+  return {
+    object: 'list',
+    data: (geminiResponse.embeddings || []).map((embedding, index) => ({
+      object: 'embedding',
+      index,
+      embedding: embedding.values || []
+    })),
+    model,
+    usage: { prompt_tokens: 0, total_tokens: 0 }
+  };
+}
+
+// Imagen accepts aspect ratios rather than pixel sizes
+const IMAGE_ASPECT_RATIOS = {
+  '1024x1024': '1:1',
+  '1792x1024': '16:9',
+  '1024x1792': '9:16',
+  '1536x1024': '4:3',
+  '1024x1536': '3:4'
+};
+
+// Build the model-scoped path that replaces /images/generations for Imagen
+function getPredictPath(model) {
+  const modelName = String(model || '').replace(/^models\//, '');
+  return `/models/${modelName}:predict`;
+}
+
+// Translate an OpenAI image generation body into an Imagen predict body
+function toImagenRequest(body = {}) {
+  const parameters = { sampleCount: body.n || 1 };
+  if (body.size && IMAGE_ASPECT_RATIOS[body.size]) {
+    parameters.aspectRatio = IMAGE_ASPECT_RATIOS[body.size];
+  }
+
+  return {
+    instances: [{ prompt: body.prompt }],
+    parameters
+  };
+}
+
+// Translate an Imagen predict response into an OpenAI images response.
+// Imagen always returns base64 image data.
+function fromImagenResponse(imagenResponse = {}) {
+  return {
+    created: Math.floor(Date.now() / 1000),
+    data: (imagenResponse.predictions || [])
+      .filter(prediction => prediction.bytesBase64Encoded)
+      .map(prediction => ({
+        b64_json: prediction.bytesBase64Encoded,
+        mime_type: prediction.mimeType || 'image/png'
+      }))
+  };
+}
+
+module.exports = {
+  mapFinishReason,
+  getGenerateContentPath,
+  getBatchEmbedContentsPath,
+  toGeminiEmbeddingRequest,
+  fromGeminiEmbeddingResponse,
+  getPredictPath,
+  toImagenRequest,
+  fromImagenResponse,
+  toGeminiRequest,
+  fromGeminiResponse,
+  toGeminiTools,
+  toGeminiToolConfig,
+  toToolCall,
+  toUsage
+};
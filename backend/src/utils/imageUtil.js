@@ -0,0 +1,69 @@
+// backend/src/utils/imageUtil.js
+// Provider-neutral image generation contract: requests and responses use the
+// OpenAI images format, which the Gemini adapter translates to Imagen
+const providersConfig = require('../../config/providers.json');
+
+const MAX_IMAGES_PER_REQUEST = 4;
+const MAX_PROMPT_LENGTH = 4000;
+const IMAGE_SIZES = ['1024x1024', '1792x1024', '1024x1792', '1536x1024', '1024x1536'];
+
+// Providers with an image model configured
+function getImageProviders() {
+  return Object.keys(providersConfig.imageModels || {});
+}
+
+// Resolve the image model for a provider; null when it cannot generate images
+function getImageModel(providerId, model) {
+  const defaultModel = (providersConfig.imageModels || {})[providerId];
+  if (!defaultModel) return null;
+  return model || defaultModel;
+}
+
+// Validate an image generation request; returns an error message or null
+function validateImageRequest({ prompt, n, size, response_format: responseFormat }) {
+  if (typeof prompt !== 'string' || prompt.trim() === '') {
+    return 'prompt must be a non-empty string';
+  }
+  if (prompt.length > MAX_PROMPT_LENGTH) {
+    return `prompt can be at most ${MAX_PROMPT_LENGTH} characters`;
+  }
+  if (n !== undefined && (!Number.isInteger(n) || n < 1 || n > MAX_IMAGES_PER_REQUEST)) {
+    return `n must be an integer between 1 and ${MAX_IMAGES_PER_REQUEST}`;
+  }
+  if (size !== undefined && !IMAGE_SIZES.includes(size)) {
+    return `size must be one of ${IMAGE_SIZES.join(', ')}`;
+  }
+  if (responseFormat !== undefined && !['url', 'b64_json'].includes(responseFormat)) {
+    return 'response_format must be "url" or "b64_json"';
+  }
+  return null;
+}
+
+// Normalize an images response so every image has either a url or base64 data
+// plus a mime type the client can use to render and download it
+function normalizeImageResponse(body) {
+  if (!body || !Array.isArray(body.data)) {
+    return body;
+  }
+
+  return {
+    created: body.created || Math.floor(Date.now() / 1000),
+    data: body.data
+      .filter(image => image && (image.url || image.b64_json))
+      .map(image => ({
+        ...(image.url ? { url: image.url } : {}),
+        ...(image.b64_json ? { b64_json: image.b64_json } : {}),
+        mime_type: image.mime_type || 'image/png',
+        ...(image.revised_prompt ? { revised_prompt: image.revised_prompt } : {})
+      }))
+  };
+}
+
+module.exports = {
+  MAX_IMAGES_PER_REQUEST,
+  IMAGE_SIZES,
+  getImageProviders,
+  getImageModel,
+  validateImageRequest,
+  normalizeImageResponse
+};
@@ -0,0 +1,87 @@
+// backend/src/utils/multipartUtil.js
+// Minimal multipart/form-data parser for the few upload routes; the whole body
+// is already in memory (see uploadMiddleware), so no streaming is needed
+
+const CRLF = Buffer.from('\r\n');
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+// The boundary from a Content-Type header, or null when it is not multipart
+function getBoundary(contentType) {
+  if (!contentType || !/^multipart\/form-data/i.test(contentType)) return null;
+  const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+// Content-Disposition parameters such as name and filename
+function parseDisposition(value) {
+  const params = {};
+  const pattern = /;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+  let match;
+  while ((match = pattern.exec(value)) !== null) {
+    params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+  }
+  return params;
+}
+
+// Split a multipart body into text fields and files.
+// Returns { fields, files } where each file is { fieldName, originalname, mimetype, size, buffer }.
+// Throws when the body does not match the boundary.
+function parseMultipart(body, boundary) {
+  const delimiter = Buffer.from(`--${boundary}`);
+  const fields = {};
+  const files = [];
+
+  let position = body.indexOf(delimiter);
+  if (position === -1) {
+    throw new Error('Multipart body does not contain its boundary');
+  }
+
+  while (true) {
+    position += delimiter.length;
+    // "--" after a delimiter closes the body
+    if (body[position] === 0x2d && body[position + 1] === 0x2d) break;
+    if (body.slice(position, position + 2).equals(CRLF)) position += 2;
+
+    const next = body.indexOf(Buffer.concat([CRLF, delimiter]), position);
+    if (next === -1) {
+      throw new Error('Multipart body ends before its closing boundary');
+    }
+
+    const part = body.slice(position, next);
+    const headerEnd = part.indexOf(HEADER_END);
+    if (headerEnd === -1) {
+      throw new Error('Multipart part has no headers');
+    }
+
+    const headers = {};
+    part.slice(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    });
+    const disposition = parseDisposition(headers['content-disposition'] || '');
+    const content = part.slice(headerEnd + HEADER_END.length);
+
+    if (disposition.name !== undefined) {
+      if (disposition.filename !== undefined) {
+        files.push({
+          fieldName: disposition.name,
+          originalname: disposition.filename,
+          mimetype: headers['content-type'] || 'application/octet-stream',
+          size: content.length,
+          buffer: content
+        });
+      } else {
+        fields[disposition.name] = content.toString('utf8');
+      }
+    }
+
+    position = next + CRLF.length;
+  }
+
+  return { fields, files };
+}
+
+module.exports = {
+  getBoundary,
+  parseMultipart
+};
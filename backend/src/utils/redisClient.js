@@ -0,0 +1,226 @@
+// backend/src/utils/redisClient.js
+const net = require('net');
+const tls = require('tls');
+
+const CRLF = '\r\n';
+
+// Encode a command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let encoded = `*${args.length}${CRLF}`;
+  args.forEach(arg => {
+    const value = String(arg);
+    encoded += `$${Buffer.byteLength(value)}${CRLF}${value}${CRLF}`;
+  });
+  return encoded;
+}
+
+// Parse one RESP reply starting at offset. Returns { value, offset }, or null
+// when the buffer does not hold the whole reply yet. Error replies become Error
+// values so a failed command inside EXEC does not hide the other results.
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + CRLF.length;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-': {
+      const error = new Error(line);
+      error.redisError = true;
+      return { value: error, offset: next };
+    }
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + CRLF.length) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + CRLF.length };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let index = 0; index < count; index++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+}
+
+// Minimal Redis client speaking RESP over one connection. Commands are
+// pipelined and their replies matched in order. The connection is opened on
+// first use and again after it drops.
+//
+// Only the Redis rate limit store uses it, and that store is opt-in: most
+// deployments run the memory store and would never load a client library.
+// The store needs plain commands, pipelining and MULTI/EXEC with WATCH, which
+// fits in this file; cluster, sentinel, pub/sub and scripting are out of scope.
+// Reach for a maintained client (ioredis or redis) before adding any of those.
+class RedisClient {
+  constructor(url = 'redis://127.0.0.1:6379', options = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port) || 6379;
+    this.useTls = parsed.protocol === 'rediss:';
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.db = parsed.pathname.length > 1 ? parseInt(parsed.pathname.slice(1)) : 0;
+    this.commandTimeout = options.commandTimeout || 2000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = this.useTls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      const onConnectError = (error) => {
+        this.connecting = null;
+        reject(error);
+      };
+      socket.once('error', onConnectError);
+      socket.setTimeout(this.commandTimeout, () => socket.destroy(new Error('Redis connection timed out')));
+
+      socket.once(this.useTls ? 'secureConnect' : 'connect', async () => {
+        socket.removeListener('error', onConnectError);
+        socket.setTimeout(0);
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.onData(chunk));
+        socket.on('error', error => this.onClose(error));
+        socket.on('close', () => this.onClose(new Error('Redis connection closed')));
+
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          if (this.password) {
+            await this.sendCommand(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this.sendCommand(['SELECT', this.db]);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+    });
+
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let reply;
+    let offset = 0;
+    try {
+      while ((reply = parseReply(this.buffer, offset))) {
+        offset = reply.offset;
+        const waiting = this.pending.shift();
+        if (waiting) {
+          clearTimeout(waiting.timer);
+          waiting.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      // Replies can no longer be matched to commands once the stream is out of
+      // step, so drop the connection and fail what is still waiting
+      this.onClose(error);
+      return;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  // Fail every command still waiting for a reply; the next command reconnects
+  onClose(error) {
+    if (!this.socket) return;
+
+    this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(waiting => {
+      clearTimeout(waiting.timer);
+      waiting.reject(error);
+    });
+  }
+
+  // Write commands in one go and return a promise per reply, in order
+  sendCommands(commands) {
+    const replies = commands.map(() => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this.onClose(new Error('Redis command timed out')), this.commandTimeout);
+      this.pending.push({ resolve, reject, timer });
+    }));
+
+    this.socket.write(commands.map(encodeCommand).join(''));
+    return replies;
+  }
+
+  async sendCommand(args) {
+    const [reply] = this.sendCommands([args]);
+    const value = await reply;
+    if (value instanceof Error) throw value;
+    return value;
+  }
+
+  // Run one command, e.g. command('ZCARD', key)
+  async command(...args) {
+    await this.connect();
+    return this.sendCommand(args);
+  }
+
+  // Run commands inside MULTI/EXEC. They are written together, so commands from
+  // other callers on this connection cannot land inside the transaction.
+  // Resolves with the EXEC results, or null when a WATCHed key changed.
+  async multi(commands) {
+    await this.connect();
+
+    const replies = this.sendCommands([['MULTI'], ...commands, ['EXEC']]);
+    const values = await Promise.all(replies);
+    const failed = values.slice(0, -1).find(value => value instanceof Error);
+    if (failed) throw failed;
+
+    const results = values[values.length - 1];
+    if (results instanceof Error) throw results;
+    return results;
+  }
+
+  async quit() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    try {
+      await this.sendCommand(['QUIT']);
+    } catch (error) {
+      // The connection is going away either way
+    }
+    socket.destroy();
+  }
+}
+
+module.exports = { RedisClient, encodeCommand, parseReply };
@@ -0,0 +1,166 @@
+// backend/src/utils/streamUtil.js
+// Helpers for relaying provider Server-Sent Events (SSE) streams to the client
+const { StringDecoder } = require('string_decoder');
+const { mapFinishReason, toToolCall, toUsage } = require('./geminiTranslator');
+
+// Create an incremental SSE parser. The returned function accepts raw chunks
+// (Buffer or string) and invokes onEvent({ event, data }) for every complete event.
+function createSSEParser(onEvent) {
+  let buffer = '';
+  // Keeps a multibyte character split across chunks until its last byte arrives
+  const decoder = new StringDecoder('utf8');
+
+  return (chunk) => {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    // Events are separated by a blank line; normalize CRLF first
+    buffer = buffer.replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const dataLines = [];
+
+      rawEvent.split('\n').forEach(line => {
+        // Lines starting with ':' are comments (e.g. OpenRouter keep-alives)
+        if (!line || line.startsWith(':')) return;
+
+        const separator = line.indexOf(':');
+        const field = separator === -1 ? line : line.slice(0, separator);
+        let value = separator === -1 ? '' : line.slice(separator + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'event') event = value;
+        if (field === 'data') dataLines.push(value);
+      });
+
+      if (dataLines.length > 0) {
+        onEvent({ event, data: dataLines.join('\n') });
+      }
+
+      boundary = buffer.indexOf('\n\n');
+    }
+  };
+}
+
+// Normalize a parsed provider stream payload into an OpenAI-style chunk.
+// Returns null when the payload carries nothing worth forwarding.
+function normalizeStreamChunk(providerId, payload, context = {}) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+
+  if (providerId === 'gemini') {
+    const candidates = payload.candidates || [];
+    const chunk = {
+      id: context.id,
+      object: 'chat.completion.chunk',
+      created: context.created,
+      model: payload.modelVersion || context.model,
+      choices: candidates.map((candidate, index) => {
+        const parts = (candidate.content && candidate.content.parts) || [];
+        const text = parts
+          .filter(part => typeof part.text === 'string' && !part.thought)
+          .map(part => part.text)
+          .join('');
+
+        const delta = text ? { role: 'assistant', content: text } : {};
+
+        // Gemini sends each function call whole, so emit it as a complete tool call delta
+        const functionCalls = parts.filter(part => part.functionCall);
+        if (functionCalls.length > 0) {
+          context.toolCallCount = context.toolCallCount || 0;
+          delta.role = 'assistant';
+          delta.tool_calls = functionCalls.map(part => {
+            const toolCallIndex = context.toolCallCount++;
+            return { index: toolCallIndex, ...toToolCall(part.functionCall, toolCallIndex) };
+          });
+        }
+
+        let finishReason = mapFinishReason(candidate.finishReason);
+        if (finishReason === 'stop' && context.toolCallCount) {
+          finishReason = 'tool_calls';
+        }
+
+        return {
+          index: candidate.index !== undefined ? candidate.index : index,
+          delta,
+          finish_reason: finishReason
+        };
+      })
+    };
+
+    if (payload.usageMetadata) {
+      chunk.usage = toUsage(payload.usageMetadata);
+    }
+
+    return chunk.choices.length > 0 || chunk.usage ? chunk : null;
+  }
+
+  // OpenAI, Groq and OpenRouter already stream OpenAI-style chunks
+  const chunk = {
+    id: payload.id || context.id,
+    object: 'chat.completion.chunk',
+    created: payload.created || context.created,
+    model: payload.model || context.model,
+    choices: (payload.choices || []).map((choice, index) => ({
+      index: choice.index !== undefined ? choice.index : index,
+      delta: choice.delta || {},
+      finish_reason: choice.finish_reason || null
+    }))
+  };
+
+  // Groq reports usage under x_groq on the final chunk
+  const usage = payload.usage || (payload.x_groq && payload.x_groq.usage);
+  if (usage) {
+    chunk.usage = {
+      prompt_tokens: usage.prompt_tokens || 0,
+      completion_tokens: usage.completion_tokens || 0,
+      total_tokens: usage.total_tokens || 0
+    };
+  }
+
+  return chunk.choices.length > 0 || chunk.usage ? chunk : null;
+}
+
+// Write a single SSE event to an Express response
+function writeSSE(res, data, event = null) {
+  if (event) {
+    res.write(`event: ${event}\n`);
+  }
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  res.write(`data: ${payload}\n\n`);
+}
+
+// Read a whole stream into a string (used for provider error bodies in stream mode)
+function readStreamBody(stream) {
+  return new Promise((resolve) => {
+    if (!stream || typeof stream.on !== 'function') {
+      resolve(stream);
+      return;
+    }
+
+    let body = '';
+    const decoder = new StringDecoder('utf8');
+    stream.on('data', chunk => { body += typeof chunk === 'string' ? chunk : decoder.write(chunk); });
+    stream.on('end', () => {
+      body += decoder.end();
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        resolve(body);
+      }
+    });
+    stream.on('error', () => resolve(body));
+  });
+}
+
+module.exports = {
+  createSSEParser,
+  normalizeStreamChunk,
+  writeSSE,
+  readStreamBody
+};
@@ -0,0 +1,90 @@
+// backend/src/utils/tokenEstimator.js
+// Approximate token counts without shipping each provider's tokenizer. Every
+// tokenizer family gets an average characters-per-token ratio for ordinary text;
+// CJK characters are counted separately because they are close to one token each.
+
+const TOKENIZER_FAMILIES = {
+  openai: { charsPerToken: 4, cjkTokensPerChar: 1 }, // o200k_base / o200k_harmony
+  gemini: { charsPerToken: 4, cjkTokensPerChar: 1 },
+  llama: { charsPerToken: 3.8, cjkTokensPerChar: 1.2 },
+  qwen: { charsPerToken: 3.7, cjkTokensPerChar: 0.7 },
+  glm: { charsPerToken: 3.5, cjkTokensPerChar: 0.7 },
+  grok: { charsPerToken: 4, cjkTokensPerChar: 1 },
+  default: { charsPerToken: 3.5, cjkTokensPerChar: 1.2 } // Errs on the high side
+};
+
+// Formatting tokens each provider adds around a message and the whole prompt
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const PROMPT_OVERHEAD_TOKENS = 3;
+
+// Images are billed by size; this is a middle-of-the-road guess per image
+const IMAGE_TOKENS = 765;
+
+// Hiragana/Katakana, CJK ideographs (incl. extension A), Hangul syllables
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+// Guess the tokenizer family from a model name, e.g. "qwen/qwen3-32b" -> qwen
+function getTokenizerFamily(model) {
+  const name = String(model || '').toLowerCase();
+
+  if (/gpt|(^|\/)o\d|oss/.test(name)) return 'openai';
+  if (/gemini|gemma/.test(name)) return 'gemini';
+  if (/qwen/.test(name)) return 'qwen';
+  if (/llama/.test(name)) return 'llama';
+  if (/glm/.test(name)) return 'glm';
+  if (/grok/.test(name)) return 'grok';
+  return 'default';
+}
+
+function estimateTextTokens(text, family = 'default') {
+  if (!text) return 0;
+
+  const ratios = TOKENIZER_FAMILIES[family] || TOKENIZER_FAMILIES.default;
+  const cjkCount = (String(text).match(CJK_PATTERN) || []).length;
+  const otherCount = String(text).length - cjkCount;
+
+  return Math.ceil(otherCount / ratios.charsPerToken + cjkCount * ratios.cjkTokensPerChar);
+}
+
+// Content may be a string or an array of OpenAI content parts
+function estimateContentTokens(content, family) {
+  if (typeof content === 'string') {
+    return estimateTextTokens(content, family);
+  }
+  if (Array.isArray(content)) {
+    return content.reduce((total, part) => {
+      if (part && part.type === 'text') return total + estimateTextTokens(part.text, family);
+      if (part && part.type === 'image_url') return total + IMAGE_TOKENS;
+      return total + estimateTextTokens(JSON.stringify(part), family);
+    }, 0);
+  }
+  return content ? estimateTextTokens(JSON.stringify(content), family) : 0;
+}
+
+function estimateMessageTokens(message, family = 'default') {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(message.content, family);
+
+  if (Array.isArray(message.tool_calls)) {
+    message.tool_calls.forEach(call => {
+      const fn = call.function || {};
+      tokens += estimateTextTokens(fn.name, family) + estimateTextTokens(fn.arguments, family);
+    });
+  }
+  if (message.name) {
+    tokens += estimateTextTokens(message.name, family);
+  }
+
+  return tokens;
+}
+
+function estimateMessagesTokens(messages, family = 'default') {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message, family), PROMPT_OVERHEAD_TOKENS);
+}
+
+module.exports = {
+  TOKENIZER_FAMILIES,
+  getTokenizerFamily,
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateMessagesTokens
+};
@@ -0,0 +1,105 @@
+// backend/src/utils/toolUtil.js
+// Provider-neutral tool calling contract: requests use OpenAI-style `tools`,
+// `tool_choice` and `tool_calls`, which each provider adapter translates natively
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// Convert the legacy `functions` / `function_call` fields to `tools` / `tool_choice`
+function upgradeLegacyFunctions(body) {
+  const upgraded = { ...body };
+
+  if (Array.isArray(body.functions) && !body.tools) {
+    upgraded.tools = body.functions.map(fn => ({ type: 'function', function: fn }));
+  }
+  delete upgraded.functions;
+
+  if (body.function_call && !body.tool_choice) {
+    upgraded.tool_choice = typeof body.function_call === 'string'
+      ? body.function_call
+      : { type: 'function', function: { name: body.function_call.name } };
+  }
+  delete upgraded.function_call;
+
+  return upgraded;
+}
+
+// Validate tool definitions; returns an error message or null
+function validateTools(tools, toolChoice) {
+  if (tools === undefined) {
+    return toolChoice && toolChoice !== 'none' ? 'tool_choice requires tools' : null;
+  }
+
+  if (!Array.isArray(tools)) {
+    return 'tools must be an array';
+  }
+
+  const names = new Set();
+  for (const tool of tools) {
+    if (!tool || tool.type !== 'function' || !tool.function) {
+      return 'Each tool must have type "function" and a function definition';
+    }
+    if (!TOOL_NAME_PATTERN.test(tool.function.name || '')) {
+      return `Invalid tool name: ${tool.function.name}`;
+    }
+    if (tool.function.parameters && typeof tool.function.parameters !== 'object') {
+      return `Parameters for tool ${tool.function.name} must be a JSON Schema object`;
+    }
+    names.add(tool.function.name);
+  }
+
+  if (toolChoice && typeof toolChoice === 'object') {
+    const name = toolChoice.function && toolChoice.function.name;
+    if (!names.has(name)) {
+      return `tool_choice refers to unknown tool: ${name}`;
+    }
+  } else if (toolChoice && !['auto', 'none', 'required'].includes(toolChoice)) {
+    return `Invalid tool_choice: ${toolChoice}`;
+  }
+
+  return null;
+}
+
+// Make sure every tool call has an id, a type and string arguments
+function normalizeToolCalls(toolCalls) {
+  return toolCalls.map((toolCall, index) => {
+    const fn = toolCall.function || {};
+    return {
+      id: toolCall.id || `call_${Date.now().toString(36)}_${index}`,
+      type: 'function',
+      function: {
+        name: fn.name,
+        arguments: typeof fn.arguments === 'string' ? fn.arguments : JSON.stringify(fn.arguments || {})
+      }
+    };
+  });
+}
+
+// Normalize tool calls in a chat completion response
+function normalizeChatCompletion(response) {
+  if (!response || !Array.isArray(response.choices)) {
+    return response;
+  }
+
+  return {
+    ...response,
+    choices: response.choices.map(choice => {
+      const message = choice.message || {};
+      if (!Array.isArray(message.tool_calls) || message.tool_calls.length === 0) {
+        return choice;
+      }
+
+      return {
+        ...choice,
+        message: { ...message, tool_calls: normalizeToolCalls(message.tool_calls) },
+        finish_reason: 'tool_calls'
+      };
+    })
+  };
+}
+
+module.exports = {
+  upgradeLegacyFunctions,
+  validateTools,
+  normalizeToolCalls,
+  normalizeChatCompletion
+};
@@ -0,0 +1,225 @@
+// backend/tests/helpers/fakeRedisServer.js
+// A small in-process server speaking the Redis protocol, covering the commands
+// the Redis rate limit store uses, so it can be tested without a Redis install.
+const net = require('net');
+const { parseReply } = require('../../src/utils/redisClient');
+
+const OK = { simple: 'OK' };
+const QUEUED = { simple: 'QUEUED' };
+
+function encode(value) {
+  if (value === null || value === undefined) return '$-1\r\n';
+  if (value instanceof Error) return `-ERR ${value.message}\r\n`;
+  if (value.simple) return `+${value.simple}\r\n`;
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+function parseScore(value) {
+  if (value === '-inf') return -Infinity;
+  if (value === '+inf' || value === 'inf') return Infinity;
+  return Number(value);
+}
+
+class FakeRedisServer {
+  constructor() {
+    this.keys = new Map(); // key -> { type, value, expiresAt }
+    this.versions = new Map(); // key -> write count, for WATCH
+    this.commands = []; // Every command received, for assertions
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.onConnection(socket));
+  }
+
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        this.url = `redis://127.0.0.1:${this.server.address().port}`;
+        resolve(this);
+      });
+    });
+  }
+
+  close() {
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  onConnection(socket) {
+    this.sockets.add(socket);
+    socket.setNoDelay(true);
+    socket.on('close', () => this.sockets.delete(socket));
+
+    const connection = { queued: null, watched: new Map() };
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset);
+        const reply = this.handle(connection, parsed.value);
+        socket.write(encode(reply));
+        if (parsed.value[0].toUpperCase() === 'QUIT') {
+          socket.end();
+        }
+      }
+    });
+  }
+
+  handle(connection, args) {
+    const name = args[0].toUpperCase();
+    this.commands.push([name, ...args.slice(1)]);
+
+    switch (name) {
+      case 'MULTI':
+        connection.queued = [];
+        return OK;
+      case 'EXEC': {
+        const queued = connection.queued || [];
+        connection.queued = null;
+        const conflict = [...connection.watched].some(([key, version]) => this.version(key) !== version);
+        connection.watched.clear();
+        return conflict ? null : queued.map(command => this.run(command));
+      }
+      case 'DISCARD':
+        connection.queued = null;
+        connection.watched.clear();
+        return OK;
+      case 'WATCH':
+        args.slice(1).forEach(key => connection.watched.set(key, this.version(key)));
+        return OK;
+      case 'UNWATCH':
+        connection.watched.clear();
+        return OK;
+      default:
+        if (connection.queued) {
+          connection.queued.push(args);
+          return QUEUED;
+        }
+        return this.run(args);
+    }
+  }
+
+  version(key) {
+    this.get(key); // Expire first, which counts as a change
+    return this.versions.get(key) || 0;
+  }
+
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  get(key) {
+    const entry = this.keys.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.keys.delete(key);
+      this.touch(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  getOrCreate(key, type, create) {
+    let entry = this.get(key);
+    if (!entry) {
+      entry = { type, value: create(), expiresAt: null };
+      this.keys.set(key, entry);
+    }
+    return entry;
+  }
+
+  run([rawName, key, ...rest]) {
+    const name = rawName.toUpperCase();
+    switch (name) {
+      case 'PING':
+        return { simple: 'PONG' };
+      case 'QUIT':
+      case 'AUTH':
+      case 'SELECT':
+        return OK;
+      case 'FLUSHALL':
+        this.keys.clear();
+        return OK;
+      case 'DEL':
+        this.touch(key);
+        return this.keys.delete(key) ? 1 : 0;
+      case 'PEXPIRE': {
+        const entry = this.get(key);
+        if (!entry) return 0;
+        entry.expiresAt = Date.now() + Number(rest[0]);
+        this.touch(key);
+        return 1;
+      }
+      case 'PTTL': {
+        const entry = this.get(key);
+        if (!entry) return -2;
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+      }
+      case 'ZADD': {
+        const set = this.getOrCreate(key, 'zset', () => new Map()).value;
+        let added = 0;
+        for (let index = 0; index < rest.length; index += 2) {
+          if (!set.has(rest[index + 1])) added++;
+          set.set(rest[index + 1], Number(rest[index]));
+        }
+        this.touch(key);
+        return added;
+      }
+      case 'ZREM': {
+        const entry = this.get(key);
+        if (!entry) return 0;
+        const removed = rest.filter(member => entry.value.delete(member)).length;
+        this.touch(key);
+        return removed;
+      }
+      case 'ZREMRANGEBYSCORE': {
+        const entry = this.get(key);
+        if (!entry) return 0;
+        const [min, max] = rest.map(parseScore);
+        let removed = 0;
+        entry.value.forEach((score, member) => {
+          if (score >= min && score <= max) {
+            entry.value.delete(member);
+            removed++;
+          }
+        });
+        this.touch(key);
+        return removed;
+      }
+      case 'ZCARD': {
+        const entry = this.get(key);
+        return entry ? entry.value.size : 0;
+      }
+      case 'ZRANGE': {
+        const entry = this.get(key);
+        if (!entry) return [];
+        const sorted = [...entry.value].sort((a, b) => a[1] - b[1]);
+        const start = Number(rest[0]);
+        const stop = Number(rest[1]) < 0 ? sorted.length + Number(rest[1]) : Number(rest[1]);
+        const slice = sorted.slice(start, stop + 1);
+        return rest[2] && rest[2].toUpperCase() === 'WITHSCORES'
+          ? slice.flatMap(([member, score]) => [member, String(score)])
+          : slice.map(([member]) => member);
+      }
+      case 'HSET': {
+        const hash = this.getOrCreate(key, 'hash', () => new Map()).value;
+        let added = 0;
+        for (let index = 0; index < rest.length; index += 2) {
+          if (!hash.has(rest[index])) added++;
+          hash.set(rest[index], rest[index + 1]);
+        }
+        this.touch(key);
+        return added;
+      }
+      case 'HMGET': {
+        const entry = this.get(key);
+        return rest.map(field => (entry && entry.value.has(field) ? entry.value.get(field) : null));
+      }
+      default:
+        return new Error(`unknown command '${rawName}'`);
+    }
+  }
+}
+
+module.exports = FakeRedisServer;
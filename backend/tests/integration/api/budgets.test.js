@@ -0,0 +1,70 @@
+// backend/tests/integration/api/budgets.test.js
+const request = require('supertest');
+const app = require('../../../src/app');
+const authService = require('../../../src/services/authService');
+const { budgetRepository } = require('../../../src/repositories');
+
+describe('Budgets API Integration', () => {
+  let adminToken;
+  let aliceToken;
+  let aliceId;
+
+  beforeAll(() => {
+    process.env.ADMIN_USERNAMES = 'budget-admin';
+    ({ accessToken: adminToken } = authService.register({ username: 'budget-admin', password: 'password123' }));
+    const alice = authService.register({ username: 'budget-alice', password: 'password123' });
+    aliceToken = alice.accessToken;
+    aliceId = alice.user.id;
+    delete process.env.ADMIN_USERNAMES;
+  });
+
+  beforeEach(() => {
+    budgetRepository.clear();
+  });
+
+  it('should only let admins manage budgets', async () => {
+    await request(app)
+      .post('/api/budgets')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ userId: aliceId, metric: 'tokens', limit: 1000 })
+      .expect(403);
+  });
+
+  it('should create, update and list budgets and show users their own', async () => {
+    const created = await request(app)
+      .post('/api/budgets')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userId: aliceId, metric: 'tokens', limit: 1000 })
+      .expect(201);
+
+    expect(created.body.budget).toEqual(expect.objectContaining({ used: 0, remaining: 1000, exhausted: false }));
+
+    await request(app)
+      .put(`/api/budgets/${created.body.budget.id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ limit: 2000, onExhausted: 'downgrade' })
+      .expect(200);
+
+    const listed = await request(app)
+      .get('/api/budgets')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(listed.body.budgets).toHaveLength(1);
+
+    const mine = await request(app)
+      .get('/api/budgets/me')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    expect(mine.body.budgets[0]).toEqual(expect.objectContaining({ limit: 2000, onExhausted: 'downgrade', remaining: 2000 }));
+  });
+
+  it('should reject invalid budgets', async () => {
+    await request(app)
+      .post('/api/budgets')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ userId: aliceId, metric: 'tokens', limit: -5 })
+      .expect(400);
+  });
+});
@@ -0,0 +1,109 @@
+// backend/tests/integration/api/conversations.test.js
+const request = require('supertest');
+const app = require('../../../src/app');
+const authService = require('../../../src/services/authService');
+
+describe('Conversations API Integration', () => {
+  let aliceToken;
+  let bobToken;
+
+  beforeAll(() => {
+    ({ accessToken: aliceToken } = authService.register({ username: 'conversation-alice', password: 'password123' }));
+    ({ accessToken: bobToken } = authService.register({ username: 'conversation-bob', password: 'password123' }));
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/conversations')
+      .expect(401);
+  });
+
+  it('should create, append to, rename, list and delete a conversation', async () => {
+    const created = await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ id: 'alice-chat-1', title: 'First chat' })
+      .expect(201);
+
+    expect(created.body.conversation.id).toBe('alice-chat-1');
+
+    await request(app)
+      .post('/api/conversations/alice-chat-1/messages')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ role: 'user', content: 'Hello' })
+      .expect(201);
+
+    await request(app)
+      .patch('/api/conversations/alice-chat-1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ title: 'Greetings' })
+      .expect(200);
+
+    const fetched = await request(app)
+      .get('/api/conversations/alice-chat-1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    expect(fetched.body.conversation.title).toBe('Greetings');
+    expect(fetched.body.conversation.messages).toHaveLength(1);
+
+    const listed = await request(app)
+      .get('/api/conversations')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    expect(listed.body.conversations.map(c => c.id)).toContain('alice-chat-1');
+
+    await request(app)
+      .delete('/api/conversations/alice-chat-1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(204);
+
+    await request(app)
+      .get('/api/conversations/alice-chat-1')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(404);
+  });
+
+  it('should not let users read or change each other\'s conversations', async () => {
+    await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ id: 'alice-private' })
+      .expect(201);
+
+    await request(app)
+      .get('/api/conversations/alice-private')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(404);
+
+    await request(app)
+      .post('/api/conversations/alice-private/messages')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .send({ role: 'user', content: 'Sneaky' })
+      .expect(404);
+
+    const listed = await request(app)
+      .get('/api/conversations')
+      .set('Authorization', `Bearer ${bobToken}`)
+      .expect(200);
+
+    expect(listed.body.conversations).toEqual([]);
+  });
+
+  it('should reject messages without a role and content', async () => {
+    await request(app)
+      .post('/api/conversations')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ id: 'alice-chat-2' })
+      .expect(201);
+
+    const response = await request(app)
+      .post('/api/conversations/alice-chat-2/messages')
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .send({ role: 'user' })
+      .expect(400);
+
+    expect(response.body).toHaveProperty('error');
+  });
+});
@@ -1,8 +1,19 @@
 // backend/tests/integration/api/proxy.test.js
 const request = require('supertest');
+const axios = require('axios');
 const app = require('../../../src/app');
+const authService = require('../../../src/services/authService');
+const apiKeyController = require('../../../src/controllers/apiKeyController');
+
+jest.mock('axios');
 
 describe('Proxy API Integration', () => {
+  let accessToken;
+
+  beforeAll(() => {
+    ({ accessToken } = authService.register({ username: 'proxy-tester', password: 'password123' }));
+  });
+
   describe('POST /api/proxy/chat/completions', () => {
     it('should require authentication', async () => {
       const response = await request(app)
@@ -18,16 +29,90 @@ describe('Proxy API Integration', () => {
     });
 
     it('should return an error when required fields are missing', async () => {
-      // This test bypasses auth for testing the validation logic
-      // In a real scenario, auth would happen first
       const response = await request(app)
         .post('/api/proxy/chat/completions')
         .send({})
-        .set('Authorization', 'Bearer valid-token') // Assuming this bypasses auth in tests
+        .set('Authorization', `Bearer ${accessToken}`)
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
+
+    it('should reject attachments that are not supported images', async () => {
+      const response = await request(app)
+        .post('/api/proxy/chat/completions')
+        .send({
+          providerId: 'openai',
+          model: 'gpt-4o',
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: 'What is this?' },
+              { type: 'image_url', image_url: { url: 'data:image/bmp;base64,Qk0=' } }
+            ]
+          }]
+        })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(response.body.error).toMatch(/^messages\[0\]\.content\[1\] must be one of image\/png/);
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should reject images for models that cannot read them', async () => {
+      const response = await request(app)
+        .post('/api/proxy/chat/completions')
+        .send({
+          providerId: 'groq',
+          model: 'qwen/qwen3-32b',
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: 'What is this?' },
+              { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+            ]
+          }]
+        })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('qwen/qwen3-32b cannot read images. Choose a model with image support or remove the images.');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should reject linked images for Gemini', async () => {
+      const response = await request(app)
+        .post('/api/proxy/chat/completions')
+        .send({
+          providerId: 'gemini',
+          model: 'gemini-2.5-flash',
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: 'What is this?' },
+              { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }
+            ]
+          }]
+        })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(response.body.error).toBe('Gemini cannot fetch linked images. Send them as base64 data URLs instead.');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should answer 413 with a readable message when the body is over the limit', async () => {
+      const response = await request(app)
+        .post('/api/proxy/chat/completions')
+        .send({
+          providerId: 'openai',
+          messages: [{ role: 'user', content: 'x'.repeat(11 * 1024 * 1024) }]
+        })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(413);
+
+      expect(response.body.error).toMatch(/larger than the 10 MB limit/);
+    });
   });
 
   describe('POST /api/proxy (generic)', () => {
@@ -48,13 +133,147 @@ describe('Proxy API Integration', () => {
       const response = await request(app)
         .post('/api/proxy')
         .send({})
-        .set('Authorization', 'Bearer valid-token') // Assuming this bypasses auth in tests
+        .set('Authorization', `Bearer ${accessToken}`)
         .expect(400);
 
       expect(response.body).toHaveProperty('error');
     });
   });
 
+  describe('POST /api/proxy/audio/transcriptions', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_audio';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    beforeEach(() => {
+      axios.mockReset();
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .post('/api/proxy/audio/transcriptions')
+        .field('providerId', 'groq')
+        .attach('file', Buffer.from('audio'), { filename: 'blob', contentType: 'audio/webm' })
+        .expect(401);
+    });
+
+    it('should require an audio file', async () => {
+      const response = await request(app)
+        .post('/api/proxy/audio/transcriptions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('providerId', 'groq')
+        .expect(400);
+
+      expect(response.body.error).toBe('providerId and file are required');
+    });
+
+    it('should reject JSON bodies', async () => {
+      const response = await request(app)
+        .post('/api/proxy/audio/transcriptions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ providerId: 'groq' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Expected a multipart/form-data upload');
+    });
+
+    it('should reject providers without a transcription model', async () => {
+      const response = await request(app)
+        .post('/api/proxy/audio/transcriptions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('providerId', 'gemini')
+        .attach('file', Buffer.from('audio'), { filename: 'blob', contentType: 'audio/webm' })
+        .expect(400);
+
+      expect(response.body.supportedProviders).toEqual(['openai', 'groq']);
+    });
+
+    it('should forward the recording to the Whisper endpoint as multipart', async () => {
+      axios.mockResolvedValue({ status: 200, data: { text: ' Hello there ', language: 'english', duration: 2.5 }, headers: {} });
+
+      const response = await request(app)
+        .post('/api/proxy/audio/transcriptions')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('providerId', 'groq')
+        .field('language', 'en')
+        .attach('file', Buffer.from('recorded audio'), { filename: 'blob', contentType: 'audio/webm;codecs=opus' })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        text: 'Hello there',
+        language: 'english',
+        duration: 2.5,
+        metadata: { providerId: 'groq', model: 'whisper-large-v3-turbo' }
+      });
+      const sent = axios.mock.calls[0][0];
+      expect(sent.url).toBe('https://api.groq.com/openai/v1/audio/transcriptions');
+      expect(sent.headers).not.toHaveProperty('Content-Type');
+      expect(sent.data.get('model')).toBe('whisper-large-v3-turbo');
+      expect(sent.data.get('language')).toBe('en');
+      expect(sent.data.get('file').name).toBe('audio.webm');
+      expect(Buffer.from(await sent.data.get('file').arrayBuffer()).toString()).toBe('recorded audio');
+    });
+  });
+
+  describe('POST /api/proxy/audio/speech', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_audio';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'openai', apiKey: 'sk-test-key-value' } }, res);
+    });
+
+    beforeEach(() => {
+      axios.mockReset();
+    });
+
+    it('should require input', async () => {
+      const response = await request(app)
+        .post('/api/proxy/audio/speech')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ providerId: 'openai' })
+        .expect(400);
+
+      expect(response.body.error).toBe('providerId and input are required');
+    });
+
+    it('should reject providers without a speech model', async () => {
+      const response = await request(app)
+        .post('/api/proxy/audio/speech')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ providerId: 'groq', input: 'Hello' })
+        .expect(400);
+
+      expect(response.body.supportedProviders).toEqual(['openai']);
+    });
+
+    it('should relay the generated audio', async () => {
+      axios.mockResolvedValue({ status: 200, data: Buffer.from('opus audio'), headers: {} });
+
+      const response = await request(app)
+        .post('/api/proxy/audio/speech')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ providerId: 'openai', input: 'Hello there', response_format: 'opus' })
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('audio/ogg');
+      expect(response.headers['x-served-by-model']).toBe('tts-1');
+      expect(response.body.toString()).toBe('opus audio');
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://api.openai.com/v1/audio/speech',
+        responseType: 'arraybuffer',
+        data: { model: 'tts-1', input: 'Hello there', voice: 'alloy', response_format: 'opus' }
+      }));
+    });
+  });
+
   describe('Invalid routes', () => {
     it('should return 404 for invalid routes', async () => {
       const response = await request(app)
@@ -0,0 +1,78 @@
+// backend/tests/integration/api/usage.test.js
+const request = require('supertest');
+const app = require('../../../src/app');
+const authService = require('../../../src/services/authService');
+const usageService = require('../../../src/services/usageService');
+const { usageRecordRepository } = require('../../../src/repositories');
+
+describe('Usage API Integration', () => {
+  let adminToken;
+  let aliceToken;
+  let aliceId;
+
+  beforeAll(() => {
+    process.env.ADMIN_USERNAMES = 'usage-admin';
+    ({ accessToken: adminToken } = authService.register({ username: 'usage-admin', password: 'password123' }));
+    const alice = authService.register({ username: 'usage-alice', password: 'password123' });
+    aliceToken = alice.accessToken;
+    aliceId = alice.user.id;
+    delete process.env.ADMIN_USERNAMES;
+  });
+
+  beforeEach(() => {
+    usageRecordRepository.clear();
+    usageService.recordUsage({ userId: aliceId, providerId: 'openai', model: 'o4-mini', endpoint: 'chat', promptTokens: 100, completionTokens: 20 });
+    usageService.recordUsage({ userId: 'someone-else', providerId: 'groq', model: 'qwen/qwen3-32b', endpoint: 'chat', promptTokens: 50 });
+  });
+
+  it('should require authentication', async () => {
+    await request(app)
+      .get('/api/usage/summary')
+      .expect(401);
+  });
+
+  it('should only show users their own usage', async () => {
+    const response = await request(app)
+      .get('/api/usage')
+      .query({ userId: 'someone-else' })
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.records[0]).toEqual(expect.objectContaining({ userId: aliceId, promptTokens: 100, completionTokens: 20 }));
+  });
+
+  it('should let admins summarize everyone by provider', async () => {
+    const response = await request(app)
+      .get('/api/usage/summary')
+      .query({ groupBy: 'provider' })
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.totals.requests).toBe(2);
+    expect(response.body.groups.map(group => group.providerId).sort()).toEqual(['groq', 'openai']);
+  });
+
+  it('should accept groupBy given more than once', async () => {
+    const response = await request(app)
+      .get('/api/usage/summary?groupBy=provider&groupBy=model')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.groups[0]).toEqual(expect.objectContaining({ providerId: expect.any(String), model: expect.any(String) }));
+  });
+
+  it('should reject unknown groupings and bad dates', async () => {
+    await request(app)
+      .get('/api/usage/summary')
+      .query({ groupBy: 'provider,country' })
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(400);
+
+    await request(app)
+      .get('/api/usage')
+      .query({ from: 'yesterday' })
+      .set('Authorization', `Bearer ${aliceToken}`)
+      .expect(400);
+  });
+});
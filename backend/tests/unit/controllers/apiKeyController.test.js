@@ -1,6 +1,25 @@
 // backend/tests/unit/controllers/apiKeyController.test.js
 const apiKeyController = require('../../../src/controllers/apiKeyController');
 const APIKey = require('../../../src/models/APIKey');
+const { apiKeyRepository } = require('../../../src/repositories');
+
+function mockResponse() {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn()
+  };
+  return res;
+}
+
+function storeKey(id, providerId, userId) {
+  return apiKeyRepository.save(new APIKey({
+    id,
+    providerId,
+    userId,
+    encryptedKey: JSON.stringify({ encrypted: `encrypted-${id}`, iv: 'iv' }),
+    createdAt: new Date().toISOString()
+  }));
+}
 
 describe('API Key Controller', () => {
   describe('validateApiKey', () => {
@@ -69,4 +88,156 @@ describe('API Key Controller', () => {
       }).toThrow('encryptedKey must be a string with minimum length of 10 characters');
     });
   });
-});
\ No newline at end of file
+
+  describe('resolveApiKey', () => {
+    beforeEach(() => {
+      apiKeyRepository.clear();
+    });
+
+    afterAll(() => {
+      apiKeyRepository.clear();
+    });
+
+    it('should prefer the user\'s own key over the shared key', () => {
+      storeKey('shared-groq', 'groq', null);
+      storeKey('user-groq', 'groq', 'user-1');
+
+      expect(apiKeyController.resolveApiKey('groq', 'user-1').id).toBe('user-groq');
+    });
+
+    it('should fall back to the shared key when the user has none', () => {
+      storeKey('shared-groq', 'groq', null);
+      storeKey('other-groq', 'groq', 'user-2');
+
+      expect(apiKeyController.resolveApiKey('groq', 'user-1').id).toBe('shared-groq');
+    });
+
+    it('should never use another user\'s key', () => {
+      storeKey('other-groq', 'groq', 'user-2');
+
+      expect(apiKeyController.resolveApiKey('groq', 'user-1')).toBeNull();
+      expect(apiKeyController.resolveApiKey('groq')).toBeNull();
+    });
+  });
+
+  describe('user API keys', () => {
+    const originalEncryptionKey = process.env.ENCRYPTION_KEY;
+
+    beforeEach(() => {
+      apiKeyRepository.clear();
+      process.env.ENCRYPTION_KEY = 'a'.repeat(32);
+    });
+
+    afterAll(() => {
+      apiKeyRepository.clear();
+      process.env.ENCRYPTION_KEY = originalEncryptionKey;
+    });
+
+    it('should store an encrypted key for the signed-in user', async () => {
+      const res = mockResponse();
+
+      await apiKeyController.setMyApiKey({
+        user: { id: 'user-1' },
+        params: { providerId: 'groq' },
+        body: { apiKey: 'gsk_user_provided_key' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const stored = apiKeyRepository.findOne(key => key.userId === 'user-1');
+      expect(stored.providerId).toBe('groq');
+      expect(stored.encryptedKey).not.toContain('gsk_user_provided_key');
+    });
+
+    it('should replace an existing key instead of adding another', async () => {
+      const existing = storeKey('user-groq', 'groq', 'user-1');
+      const res = mockResponse();
+
+      await apiKeyController.setMyApiKey({
+        user: { id: 'user-1' },
+        params: { providerId: 'groq' },
+        body: { apiKey: 'gsk_replacement_key' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const keys = apiKeyRepository.findAll(key => key.userId === 'user-1');
+      expect(keys).toHaveLength(1);
+      expect(keys[0].id).toBe(existing.id);
+      expect(keys[0].encryptedKey).not.toBe(existing.encryptedKey);
+    });
+
+    it('should rotate the shared key in place when an admin sets it again', async () => {
+      const existing = storeKey('shared-groq', 'groq', null);
+      const res = mockResponse();
+
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_rotated_shared_key' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const keys = apiKeyRepository.findAll(key => key.providerId === 'groq' && !key.userId);
+      expect(keys).toHaveLength(1);
+      expect(keys[0].id).toBe(existing.id);
+      expect(apiKeyController.resolveApiKey('groq').encryptedKey).not.toBe(existing.encryptedKey);
+    });
+
+    it('should reject unknown providers', async () => {
+      const res = mockResponse();
+
+      await apiKeyController.setMyApiKey({
+        user: { id: 'user-1' },
+        params: { providerId: 'not-a-provider' },
+        body: { apiKey: 'some-long-api-key' }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(apiKeyRepository.count()).toBe(0);
+    });
+
+    it('should list only the user\'s own keys and the providers with a shared key', async () => {
+      storeKey('shared-openai', 'openai', null);
+      storeKey('user-groq', 'groq', 'user-1');
+      storeKey('other-gemini', 'gemini', 'user-2');
+      const res = mockResponse();
+
+      await apiKeyController.getMyApiKeys({ user: { id: 'user-1' } }, res);
+
+      const { apiKeys, sharedProviders } = res.json.mock.calls[0][0];
+      expect(apiKeys.map(key => key.id)).toEqual(['user-groq']);
+      expect(apiKeys[0]).not.toHaveProperty('encryptedKey');
+      expect(sharedProviders).toEqual(['openai']);
+    });
+
+    it('should delete the user\'s key and leave the shared key in place', async () => {
+      storeKey('shared-groq', 'groq', null);
+      storeKey('user-groq', 'groq', 'user-1');
+      const res = mockResponse();
+
+      await apiKeyController.deleteMyApiKey({ user: { id: 'user-1' }, params: { providerId: 'groq' } }, res);
+
+      expect(apiKeyRepository.findById('user-groq')).toBeNull();
+      expect(apiKeyController.resolveApiKey('groq', 'user-1').id).toBe('shared-groq');
+    });
+
+    it('should keep a user\'s key private when an admin updates it', async () => {
+      storeKey('user-openai', 'openai', 'alice');
+      const res = mockResponse();
+
+      await apiKeyController.updateApiKey({
+        params: { id: 'user-openai' },
+        body: { apiKey: 'sk-rotated-user-key' }
+      }, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ id: 'user-openai' }));
+      expect(apiKeyRepository.findById('user-openai').userId).toBe('alice');
+      expect(apiKeyController.resolveApiKey('openai', 'bob')).toBeNull();
+    });
+
+    it('should return 404 when the user has no key for the provider', async () => {
+      storeKey('shared-groq', 'groq', null);
+      const res = mockResponse();
+
+      await apiKeyController.deleteMyApiKey({ user: { id: 'user-1' }, params: { providerId: 'groq' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(apiKeyRepository.findById('shared-groq')).not.toBeNull();
+    });
+  });
+});
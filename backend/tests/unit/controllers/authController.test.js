@@ -0,0 +1,91 @@
+// backend/tests/unit/controllers/authController.test.js
+const authController = require('../../../src/controllers/authController');
+const authMiddleware = require('../../../src/middleware/authMiddleware');
+const authService = require('../../../src/services/authService');
+const { userRepository, refreshTokenRepository } = require('../../../src/repositories');
+
+function createResponse() {
+  const res = {
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    end: jest.fn(() => res)
+  };
+  return res;
+}
+
+describe('Auth Controller', () => {
+  beforeEach(() => {
+    userRepository.clear();
+    refreshTokenRepository.clear();
+  });
+
+  it('should require a username and password to register', async () => {
+    const res = createResponse();
+
+    await authController.register({ body: { username: 'alice' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: 'username and password are required' });
+  });
+
+  it('should register and then log in', async () => {
+    const registerRes = createResponse();
+    await authController.register({ body: { username: 'alice', password: 'password123' } }, registerRes);
+
+    expect(registerRes.status).toHaveBeenCalledWith(201);
+
+    const loginRes = createResponse();
+    await authController.login({ body: { username: 'alice', password: 'password123' } }, loginRes);
+
+    expect(loginRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      accessToken: expect.any(String),
+      refreshToken: expect.any(String)
+    }));
+  });
+
+  it('should answer 401 for wrong credentials', async () => {
+    authService.register({ username: 'alice', password: 'password123' });
+    const res = createResponse();
+
+    await authController.login({ body: { username: 'alice', password: 'wrong-password' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  describe('authMiddleware', () => {
+    it('should reject requests without a valid access token', () => {
+      const next = jest.fn();
+      const missing = createResponse();
+      const invalid = createResponse();
+
+      authMiddleware.authenticate({ headers: {} }, missing, next);
+      authMiddleware.authenticate({ headers: { authorization: 'Bearer not-a-token' } }, invalid, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(missing.status).toHaveBeenCalledWith(401);
+      expect(invalid.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should attach the user from a valid access token', () => {
+      const { accessToken, user } = authService.register({ username: 'alice', password: 'password123' });
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+      const next = jest.fn();
+
+      authMiddleware.authenticate(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toEqual({ id: user.id, username: 'alice', role: 'user' });
+    });
+
+    it('should only let admins through adminAuth', () => {
+      const { accessToken } = authService.register({ username: 'alice', password: 'password123' });
+      const res = createResponse();
+      const next = jest.fn();
+
+      authMiddleware.adminAuth({ headers: { authorization: `Bearer ${accessToken}` } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
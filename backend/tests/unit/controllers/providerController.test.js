@@ -1,6 +1,7 @@
 // backend/tests/unit/controllers/providerController.test.js
 const providerController = require('../../../src/controllers/providerController');
 const ProviderConfiguration = require('../../../src/models/ProviderConfiguration');
+const upstreamRateLimitService = require('../../../src/services/upstreamRateLimitService');
 
 describe('Provider Controller', () => {
   describe('getAvailableProviders', () => {
@@ -21,6 +22,18 @@ describe('Provider Controller', () => {
         ])
       }));
     });
+
+    it('should list the capabilities each provider has a model for', async () => {
+      const res = { json: jest.fn() };
+
+      await providerController.getAvailableProviders({}, res);
+
+      const { providers } = res.json.mock.calls[0][0];
+      const capabilities = providerId => providers.find(provider => provider.id === providerId).capabilities;
+      expect(capabilities('openai')).toEqual(['embeddings', 'images', 'transcription', 'speech']);
+      expect(capabilities('groq')).toEqual(['transcription']);
+      expect(capabilities('openrouter')).toEqual(['embeddings']);
+    });
   });
 
   describe('getProviderStatus', () => {
@@ -50,6 +63,44 @@ describe('Provider Controller', () => {
         name: 'OpenAI'
       }));
     });
+
+    it('should include circuit breaker health for the provider', async () => {
+      const req = { params: { providerId: 'groq' } };
+      const res = {
+        json: jest.fn()
+      };
+
+      await providerController.getProviderStatus(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        health: expect.objectContaining({ circuit: 'closed', errorRate: 0 })
+      }));
+    });
+
+    it('should report our rate limits and the quota the provider last reported', async () => {
+      upstreamRateLimitService.recordHeaders('groq', null, {
+        'x-ratelimit-limit-requests': '1000',
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '5m0s'
+      });
+      const req = { params: { providerId: 'groq' } };
+      const res = {
+        json: jest.fn()
+      };
+
+      await providerController.getProviderStatus(req, res);
+
+      const status = res.json.mock.calls[0][0];
+      expect(status.rateLimits).toEqual(expect.arrayContaining([
+        { name: 'requests', unit: 'requests', windowMs: 60000, limit: 30 },
+        { name: 'tokensPerMinute', unit: 'tokens', windowMs: 60000, limit: 8000 }
+      ]));
+      expect(status.upstreamQuota).toEqual(expect.objectContaining({
+        requests: expect.objectContaining({ limit: 1000, remaining: 0 }),
+        throttledUntil: expect.any(String)
+      }));
+      upstreamRateLimitService.reset();
+    });
   });
 
   describe('selectProvider', () => {
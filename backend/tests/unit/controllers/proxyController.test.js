@@ -1,5 +1,33 @@
 // backend/tests/unit/controllers/proxyController.test.js
+const { EventEmitter, PassThrough } = require('stream');
+const axios = require('axios');
 const proxyController = require('../../../src/controllers/proxyController');
+const apiKeyController = require('../../../src/controllers/apiKeyController');
+const rateLimitMiddleware = require('../../../src/middleware/rateLimitMiddleware');
+const { MemoryRateLimitStore } = require('../../../src/middleware/rateLimitStores');
+const { usageRecordRepository, usageCounterRepository, budgetRepository } = require('../../../src/repositories');
+const budgetService = require('../../../src/services/budgetService');
+
+jest.mock('axios');
+
+// Minimal stand-in for an Express response that records SSE writes
+function createStreamResponse() {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.headersSent = false;
+  res.writableEnded = false;
+  res.writableFinished = false;
+  res.status = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  res.json = jest.fn();
+  res.flushHeaders = jest.fn(() => { res.headersSent = true; });
+  res.write = jest.fn(chunk => { res.chunks.push(chunk); });
+  res.end = jest.fn(() => {
+    res.writableEnded = true;
+    res.writableFinished = true;
+  });
+  return res;
+}
 
 describe('Proxy Controller', () => {
   describe('chatCompletion', () => {
@@ -70,4 +98,517 @@ describe('Proxy Controller', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('chatCompletion streaming', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    it('should relay provider chunks as normalized SSE events', async () => {
+      const upstream = new PassThrough();
+      axios.mockResolvedValue({ status: 200, data: upstream, headers: {} });
+
+      const req = {
+        body: {
+          providerId: 'groq',
+          model: 'openai/gpt-oss-120b',
+          messages: [{ role: 'user', content: 'Hello' }],
+          stream: true
+        }
+      };
+      const res = createStreamResponse();
+
+      await proxyController.chatCompletion(req, res);
+
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({ responseType: 'stream' }));
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+
+      upstream.write('data: {"id":"1","choices":[{"index":0,"delta":{"content":"Hi"}}]}\n\n');
+      upstream.end('data: [DONE]\n\n');
+      await new Promise(resolve => setImmediate(resolve));
+
+      const events = res.chunks.join('');
+      expect(events).toContain('"object":"chat.completion.chunk"');
+      expect(events).toContain('"content":"Hi"');
+      expect(events.trim().endsWith('data: [DONE]')).toBe(true);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should abort the provider request when the client disconnects', async () => {
+      const upstream = new PassThrough();
+      axios.mockResolvedValue({ status: 200, data: upstream, headers: {} });
+
+      const req = {
+        body: {
+          providerId: 'groq',
+          messages: [{ role: 'user', content: 'Hello' }],
+          stream: true
+        }
+      };
+      const res = createStreamResponse();
+
+      await proxyController.chatCompletion(req, res);
+      const { signal } = axios.mock.calls[axios.mock.calls.length - 1][0];
+
+      res.emit('close');
+
+      expect(signal.aborted).toBe(true);
+      expect(upstream.destroyed).toBe(true);
+    });
+  });
+
+  describe('provider rate limiting', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    it('should reject requests over the provider limit for the user', async () => {
+      axios.mockReset();
+      axios.mockResolvedValue({ status: 200, data: { object: 'list', data: [] }, headers: {} });
+      jest.spyOn(rateLimitMiddleware, 'consumeProviderQuota').mockReturnValueOnce({
+        allowed: false,
+        limit: 30,
+        remaining: 0,
+        resetTime: new Date().toISOString(),
+        retryAfter: 12
+      });
+
+      const req = { ip: '127.0.0.1', body: { providerId: 'groq', endpoint: '/models', method: 'GET' } };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.proxyRequest(req, res);
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '12');
+    });
+
+    it('should set provider rate limit headers on allowed requests', async () => {
+      axios.mockReset();
+      axios.mockResolvedValue({ status: 200, data: { object: 'list', data: [] }, headers: {} });
+
+      const req = { ip: '127.0.0.2', body: { providerId: 'groq', endpoint: '/models', method: 'GET' } };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.proxyRequest(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'X-Provider-RateLimit-Limit': expect.any(Number),
+        'X-Provider': 'groq'
+      }));
+      expect(res.json).toHaveBeenCalledWith({ object: 'list', data: [] });
+    });
+
+    it('should count the chat tokens the provider used against its token limits', async () => {
+      const originalStore = rateLimitMiddleware.store;
+      rateLimitMiddleware.setStore(new MemoryRateLimitStore());
+      axios.mockReset();
+      axios.mockResolvedValueOnce({
+        status: 200,
+        data: { id: 'chatcmpl-tokens', choices: [], usage: { prompt_tokens: 12, completion_tokens: 30, total_tokens: 42 } },
+        headers: {}
+      });
+      const req = {
+        user: { id: 'token-user', role: 'user' },
+        body: { providerId: 'groq', messages: [{ role: 'user', content: 'Hello' }], max_tokens: 500, fallback: false, cache: false }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+      await new Promise(resolve => setImmediate(resolve));
+
+      // The estimate includes the room reserved for the reply
+      const [headers] = res.set.mock.calls.find(([value]) => typeof value === 'object' && value['X-Provider'] === 'groq');
+      expect(headers['X-Provider-RateLimit-Remaining-Tokens']).toBeLessThan(8000 - 500);
+      const info = await rateLimitMiddleware.getRateLimitInfo('groq', 'token-user');
+      expect(info.limits.tokensPerMinute.remaining).toBe(8000 - 42);
+      rateLimitMiddleware.setStore(originalStore);
+    });
+  });
+
+  describe('chatCompletion failover', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should retry on the next model in the chain and report who answered', async () => {
+      axios.mockReset();
+      axios
+        .mockRejectedValueOnce({ response: { status: 503, data: { error: { message: 'Overloaded' } } } })
+        .mockResolvedValueOnce({ status: 200, data: { id: 'chatcmpl-1', choices: [] }, headers: {} });
+
+      const req = {
+        body: {
+          providerId: 'groq',
+          model: 'llama-3.1-8b-instant',
+          messages: [{ role: 'user', content: 'Hello' }],
+          fallback: ['groq']
+        }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[1][0].data.model).toBe('openai/gpt-oss-120b');
+      expect(axios.mock.calls[1][0].data).not.toHaveProperty('fallback');
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+        'X-Served-By-Provider': 'groq',
+        'X-Served-By-Model': 'openai/gpt-oss-120b'
+      }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'chatcmpl-1',
+        metadata: expect.objectContaining({ providerId: 'groq', model: 'openai/gpt-oss-120b' })
+      }));
+    });
+
+    it('should not retry when failover is disabled for the request', async () => {
+      axios.mockReset();
+      axios.mockRejectedValueOnce({ response: { status: 429, data: { error: { message: 'Rate limited' } } } });
+
+      const req = {
+        body: {
+          providerId: 'groq',
+          model: 'llama-3.1-8b-instant',
+          messages: [{ role: 'user', content: 'Hello' }],
+          fallback: false
+        }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Rate limited' }));
+    });
+  });
+
+  describe('chatCompletion context window', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    const originalStore = rateLimitMiddleware.store;
+
+    beforeEach(() => {
+      axios.mockReset();
+      axios.mockResolvedValue({ status: 200, data: { id: 'chatcmpl-ctx', choices: [] }, headers: {} });
+      // Each of these conversations alone uses up Groq's token limits
+      rateLimitMiddleware.setStore(new MemoryRateLimitStore());
+    });
+
+    afterAll(() => {
+      rateLimitMiddleware.setStore(originalStore);
+    });
+
+    // About 40k tokens per message, so only three fit the 131072 token window
+    function longConversation() {
+      const text = 'word '.repeat(32000);
+      return [
+        { role: 'system', content: 'Be helpful.' },
+        { role: 'user', content: `1 ${text}` },
+        { role: 'assistant', content: `2 ${text}` },
+        { role: 'user', content: `3 ${text}` },
+        { role: 'assistant', content: `4 ${text}` },
+        { role: 'user', content: 'Latest question' }
+      ];
+    }
+
+    it('should drop the oldest turns that do not fit the model context window', async () => {
+      const req = {
+        body: { providerId: 'groq', model: 'openai/gpt-oss-120b', messages: longConversation(), fallback: false, cache: false }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+
+      const sent = axios.mock.calls[0][0].data.messages;
+      expect(sent[0]).toEqual({ role: 'system', content: 'Be helpful.' });
+      expect(sent[1].role).toBe('user');
+      expect(sent[sent.length - 1].content).toBe('Latest question');
+      expect(sent.length).toBeLessThan(6);
+      expect(res.set).toHaveBeenCalledWith('X-Context-Dropped-Messages', String(6 - sent.length));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({
+          context: expect.objectContaining({ droppedMessages: 6 - sent.length })
+        })
+      }));
+    });
+
+    it('should send the conversation unchanged when trimming is turned off', async () => {
+      const req = {
+        body: { providerId: 'groq', model: 'openai/gpt-oss-120b', messages: longConversation(), fallback: false, cache: false, trimContext: false }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+
+      expect(axios.mock.calls[0][0].data.messages).toHaveLength(6);
+      expect(axios.mock.calls[0][0].data).not.toHaveProperty('trimContext');
+    });
+
+    it('should cap max_tokens at the model output limit', async () => {
+      const req = {
+        body: { providerId: 'groq', model: 'qwen/qwen3-32b', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 1000000, fallback: false, cache: false }
+      };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(req, res);
+
+      expect(axios.mock.calls[0][0].data.max_tokens).toBe(40960);
+    });
+  });
+
+  describe('embeddings', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'gemini', apiKey: 'gemini_test_key_value' } }, res);
+    });
+
+    it('should reject providers without an embedding model', async () => {
+      const req = { body: { providerId: 'groq', input: 'Hello' } };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.embeddings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Embeddings are not supported for provider: groq'
+      }));
+    });
+
+    it('should reject empty texts in the batch', async () => {
+      const req = { body: { providerId: 'gemini', input: ['Hello', ''] } };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.embeddings(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should batch Gemini embeddings and return OpenAI-style vectors', async () => {
+      axios.mockReset();
+      axios.mockResolvedValueOnce({
+        status: 200,
+        data: { embeddings: [{ values: [0.1, 0.2] }, { values: [0.3, 0.4] }] },
+        headers: {}
+      });
+
+      const req = { ip: '127.0.0.3', body: { providerId: 'gemini', input: ['first', 'second'] } };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.embeddings(req, res);
+
+      expect(axios.mock.calls[0][0].url).toContain('/models/gemini-embedding-001:batchEmbedContents');
+      expect(axios.mock.calls[0][0].data.requests).toHaveLength(2);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        object: 'list',
+        data: [
+          { object: 'embedding', index: 0, embedding: [0.1, 0.2] },
+          { object: 'embedding', index: 1, embedding: [0.3, 0.4] }
+        ],
+        model: 'gemini-embedding-001',
+        dimensions: 2,
+        metadata: { providerId: 'gemini', model: 'gemini-embedding-001', cached: false }
+      }));
+    });
+  });
+
+  describe('usage accounting', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    beforeEach(() => {
+      axios.mockReset();
+      usageRecordRepository.clear();
+      usageCounterRepository.clear();
+    });
+
+    function chatRequest(userId) {
+      return {
+        user: { id: userId, role: 'user' },
+        body: { providerId: 'groq', model: 'qwen/qwen3-32b', messages: [{ role: 'user', content: 'Hello' }], fallback: false, cache: false }
+      };
+    }
+
+    it('should record the usage the provider reports', async () => {
+      axios.mockResolvedValueOnce({
+        status: 200,
+        data: { id: 'chatcmpl-usage', choices: [], usage: { prompt_tokens: 12, completion_tokens: 30, total_tokens: 42 } },
+        headers: {}
+      });
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(chatRequest('usage-user-1'), res);
+
+      expect(usageRecordRepository.findAll()).toEqual([expect.objectContaining({
+        userId: 'usage-user-1',
+        providerId: 'groq',
+        model: 'qwen/qwen3-32b',
+        endpoint: 'chat',
+        promptTokens: 12,
+        completionTokens: 30,
+        totalTokens: 42,
+        estimated: false
+      })]);
+    });
+
+    it('should estimate usage when the provider reports none', async () => {
+      axios.mockResolvedValueOnce({
+        status: 200,
+        data: { id: 'chatcmpl-usage', choices: [{ index: 0, message: { role: 'assistant', content: 'Hi there, how can I help?' } }] },
+        headers: {}
+      });
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(chatRequest('usage-user-2'), res);
+
+      const [record] = usageRecordRepository.findAll();
+      expect(record.estimated).toBe(true);
+      expect(record.promptTokens).toBeGreaterThan(0);
+      expect(record.completionTokens).toBeGreaterThan(0);
+    });
+  });
+
+  describe('budgets', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    beforeEach(() => {
+      axios.mockReset();
+      axios.mockResolvedValue({ status: 200, data: { id: 'chatcmpl-budget', choices: [] }, headers: {} });
+      usageRecordRepository.clear();
+      usageCounterRepository.clear();
+      budgetRepository.clear();
+    });
+
+    afterAll(() => {
+      budgetRepository.clear();
+    });
+
+    function chatRequest(userId) {
+      return {
+        user: { id: userId, role: 'user' },
+        body: { providerId: 'groq', model: 'openai/gpt-oss-120b', messages: [{ role: 'user', content: 'Hello' }], fallback: false, cache: false }
+      };
+    }
+
+    it('should answer 402 with the remaining budget once it is used up', async () => {
+      budgetService.createBudget({ userId: 'budget-user-1', metric: 'tokens', limit: 0 });
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(chatRequest('budget-user-1'), res);
+
+      expect(axios).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(402);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        code: 'QUOTA_EXCEEDED',
+        quota: expect.objectContaining({ metric: 'tokens', limit: 0, remaining: 0, resetAt: expect.any(String) })
+      }));
+    });
+
+    it('should switch to a cheaper model when the budget downgrades', async () => {
+      budgetService.createBudget({ providerId: 'groq', metric: 'cost', limit: 0, onExhausted: 'downgrade' });
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.chatCompletion(chatRequest('budget-user-2'), res);
+
+      expect(axios.mock.calls[0][0].data.model).toBe('qwen/qwen3-32b');
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'X-Budget-Downgraded-From': 'openai/gpt-oss-120b' }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ model: 'qwen/qwen3-32b', budget: { downgradedFrom: 'openai/gpt-oss-120b' } })
+      }));
+    });
+
+    it('should answer 402 on embeddings, images and audio once the budget is used up', async () => {
+      budgetService.createBudget({ userId: 'budget-user-3', providerId: 'openai', metric: 'tokens', limit: 0 });
+      const user = { id: 'budget-user-3', role: 'user' };
+      const calls = [
+        ['embeddings', { providerId: 'openai', input: 'Hello' }],
+        ['imageGeneration', { providerId: 'openai', prompt: 'A red fox' }],
+        ['audioSpeech', { providerId: 'openai', input: 'Hello' }]
+      ];
+
+      for (const [handler, body] of calls) {
+        const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+        await proxyController[handler]({ user, body }, res);
+
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'QUOTA_EXCEEDED' }));
+      }
+      expect(axios).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('imageGeneration', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_streaming';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'gemini', apiKey: 'gemini_test_key_value' } }, res);
+    });
+
+    it('should reject providers without an image model', async () => {
+      const req = { body: { providerId: 'groq', prompt: 'A red fox' } };
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.imageGeneration(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Image generation is not supported for provider: groq'
+      }));
+    });
+
+    it('should generate Imagen images and return them as base64 data', async () => {
+      axios.mockReset();
+      axios.mockResolvedValueOnce({
+        status: 200,
+        data: { predictions: [{ bytesBase64Encoded: 'aW1hZ2U=', mimeType: 'image/png' }] },
+        headers: {}
+      });
+
+      const req = { ip: '127.0.0.4', body: { providerId: 'gemini', prompt: 'A red fox', size: '1792x1024' } };
+      const res = { status: jest.fn(() => res), set: jest.fn(() => res), json: jest.fn() };
+
+      await proxyController.imageGeneration(req, res);
+
+      expect(axios.mock.calls[0][0].url).toContain('/models/imagen-4.0-generate-001:predict');
+      expect(axios.mock.calls[0][0].data).toEqual({
+        instances: [{ prompt: 'A red fox' }],
+        parameters: { sampleCount: 1, aspectRatio: '16:9' }
+      });
+      expect(axios.mock.calls[0][0].timeout).toBe(120000);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        data: [{ b64_json: 'aW1hZ2U=', mime_type: 'image/png' }],
+        metadata: { providerId: 'gemini', model: 'imagen-4.0-generate-001' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// backend/tests/unit/middleware/rateLimitMiddleware.test.js
+const rateLimitMiddleware = require('../../../src/middleware/rateLimitMiddleware');
+const { MemoryRateLimitStore } = require('../../../src/middleware/rateLimitStores');
+
+describe('Rate Limit Middleware', () => {
+  const originalStore = rateLimitMiddleware.store;
+
+  beforeEach(() => {
+    rateLimitMiddleware.setStore(new MemoryRateLimitStore());
+  });
+
+  afterAll(() => {
+    rateLimitMiddleware.setStore(originalStore);
+  });
+
+  function createResponse() {
+    const res = { status: jest.fn(() => res), json: jest.fn(), set: jest.fn(() => res) };
+    return res;
+  }
+
+  it('should reject requests over the limit with the time to wait', async () => {
+    const limiter = rateLimitMiddleware.createRateLimiter({ windowMs: 60000, maxRequests: 1 });
+    const next = jest.fn();
+
+    await limiter({ ip: '10.0.0.1' }, createResponse(), next);
+    const res = createResponse();
+    await limiter({ ip: '10.0.0.1' }, res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ retryAfter: 60 }));
+  });
+
+  it('should use a token bucket when a limiter asks for one', async () => {
+    const limiter = rateLimitMiddleware.createRateLimiter({ windowMs: 60000, maxRequests: 4, algorithm: 'token-bucket' });
+    const res = createResponse();
+
+    await limiter({ ip: '10.0.0.2' }, res, jest.fn());
+
+    expect(res.set).toHaveBeenCalledWith(expect.objectContaining({
+      'X-RateLimit-Limit': 4,
+      'X-RateLimit-Remaining': 3
+    }));
+  });
+
+  it('should count each of a provider\'s limits and report them in headers', async () => {
+    const quota = await rateLimitMiddleware.consumeProviderQuota('groq', 'user-1', null, 500);
+
+    expect(quota.allowed).toBe(true);
+    expect(quota.limits).toEqual({
+      requests: expect.objectContaining({ limit: 30, remaining: 29 }),
+      requestsPerDay: expect.objectContaining({ limit: 1000, remaining: 999 }),
+      tokensPerMinute: expect.objectContaining({ limit: 8000, remaining: 7500 }),
+      tokensPerDay: expect.objectContaining({ limit: 200000, remaining: 199500 })
+    });
+    expect(rateLimitMiddleware.getProviderRateLimitHeaders('groq', quota)).toEqual(expect.objectContaining({
+      'X-Provider-RateLimit-Remaining': 29,
+      'X-Provider-RateLimit-Remaining-Requests': 29,
+      'X-Provider-RateLimit-Remaining-Requests-Day': 999,
+      'X-Provider-RateLimit-Remaining-Tokens': 7500,
+      'X-Provider-RateLimit-Remaining-Tokens-Day': 199500
+    }));
+  });
+
+  it('should refuse requests over the token limit without counting them as requests', async () => {
+    await rateLimitMiddleware.consumeProviderQuota('groq', 'user-1', null, 7900);
+    const quota = await rateLimitMiddleware.consumeProviderQuota('groq', 'user-1', null, 200);
+
+    expect(quota).toEqual(expect.objectContaining({
+      allowed: false,
+      exceeded: 'tokensPerMinute',
+      message: 'Token limit per minute reached for groq, please try again later'
+    }));
+    expect(quota.retryAfter).toBeGreaterThan(0);
+    const info = await rateLimitMiddleware.getRateLimitInfo('groq', 'user-1');
+    expect(info.limits.requests.remaining).toBe(29);
+    expect(info.limits.requestsPerDay.remaining).toBe(999);
+  });
+
+  it('should correct the token limits with the tokens actually used', async () => {
+    await rateLimitMiddleware.consumeProviderQuota('groq', 'user-1', null, 1000);
+    await rateLimitMiddleware.reconcileProviderTokens('groq', 'user-1', 1000, 250);
+
+    const info = await rateLimitMiddleware.getRateLimitInfo('groq', 'user-1');
+    expect(info.limits.tokensPerMinute.remaining).toBe(7750);
+    expect(info.limits.tokensPerDay.remaining).toBe(199750);
+  });
+
+  it('should only count configured limits', async () => {
+    const quota = await rateLimitMiddleware.consumeProviderQuota('openai', 'user-1', null, 500);
+
+    expect(Object.keys(quota.limits)).toEqual(['requests']);
+  });
+
+  it('should let requests through when the store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    rateLimitMiddleware.setStore({
+      slidingLog: jest.fn().mockRejectedValue(new Error('Connection refused')),
+      tokenBucket: jest.fn()
+    });
+
+    const quota = await rateLimitMiddleware.consumeProviderQuota('groq', 'user-1');
+
+    expect(quota).toEqual(expect.objectContaining({ allowed: true, limit: 30, remaining: 30 }));
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,190 @@
+// backend/tests/unit/middleware/rateLimitStores.test.js
+const { MemoryRateLimitStore, RedisRateLimitStore } = require('../../../src/middleware/rateLimitStores');
+const { RedisClient } = require('../../../src/utils/redisClient');
+const FakeRedisServer = require('../../helpers/fakeRedisServer');
+
+const WINDOW = { windowMs: 60000, limit: 2 };
+
+// The same behavior is expected from every store
+function describeStore(name, createStore) {
+  describe(name, () => {
+    let store;
+
+    beforeEach(async () => {
+      store = await createStore();
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    it('should allow up to the limit within the window with the sliding log', async () => {
+      const now = Date.now();
+
+      expect(await store.slidingLog('user-1', { ...WINDOW, now })).toEqual({ allowed: true, count: 1, oldest: now });
+      expect(await store.slidingLog('user-1', { ...WINDOW, now: now + 1 })).toEqual(expect.objectContaining({ allowed: true, count: 2 }));
+      expect(await store.slidingLog('user-1', { ...WINDOW, now: now + 2 })).toEqual({ allowed: false, count: 2, oldest: now });
+      // Other keys have their own window
+      expect((await store.slidingLog('user-2', { ...WINDOW, now: now + 2 })).allowed).toBe(true);
+      // Once the first request leaves the window there is room again
+      expect((await store.slidingLog('user-1', { ...WINDOW, now: now + WINDOW.windowMs + 1 })).allowed).toBe(true);
+    });
+
+    it('should check the sliding log without counting the request', async () => {
+      const now = Date.now();
+      await store.slidingLog('user-1', { ...WINDOW, now });
+
+      expect(await store.slidingLog('user-1', { ...WINDOW, now, consume: false })).toEqual(expect.objectContaining({ allowed: true, count: 1 }));
+      expect((await store.slidingLog('user-1', { ...WINDOW, now })).count).toBe(2);
+    });
+
+    it('should allow a burst and then refill the token bucket over time', async () => {
+      const now = Date.now();
+
+      expect(await store.tokenBucket('user-1', { ...WINDOW, now })).toEqual({ allowed: true, tokens: 1 });
+      expect(await store.tokenBucket('user-1', { ...WINDOW, now })).toEqual({ allowed: true, tokens: 0 });
+      expect((await store.tokenBucket('user-1', { ...WINDOW, now })).allowed).toBe(false);
+      // Half a window refills one of the two tokens
+      expect(await store.tokenBucket('user-1', { ...WINDOW, now: now + WINDOW.windowMs / 2 })).toEqual({ allowed: true, tokens: 0 });
+    });
+
+    it('should weigh sliding log hits by their cost', async () => {
+      const now = Date.now();
+      const TOKENS = { windowMs: 60000, limit: 100 };
+
+      expect(await store.slidingLog('tokens', { ...TOKENS, now, cost: 70 })).toEqual({ allowed: true, count: 70, oldest: now });
+      expect(await store.slidingLog('tokens', { ...TOKENS, now, cost: 40 })).toEqual({ allowed: false, count: 70, oldest: now });
+      // Giving back part of an estimate makes room again
+      expect((await store.slidingLog('tokens', { ...TOKENS, now, cost: -20, force: true })).count).toBe(50);
+      expect(await store.slidingLog('tokens', { ...TOKENS, now, cost: 40 })).toEqual(expect.objectContaining({ allowed: true, count: 90 }));
+      // Forced hits count even over the limit
+      expect(await store.slidingLog('tokens', { ...TOKENS, now, cost: 30, force: true })).toEqual(expect.objectContaining({ allowed: true, count: 120 }));
+    });
+
+    it('should let a hit larger than the whole limit through an empty window', async () => {
+      const now = Date.now();
+      const TOKENS = { windowMs: 60000, limit: 100 };
+
+      expect((await store.slidingLog('large', { ...TOKENS, now, cost: 500 })).allowed).toBe(true);
+      expect((await store.slidingLog('large', { ...TOKENS, now, cost: 1 })).allowed).toBe(false);
+      expect((await store.tokenBucket('large-bucket', { ...TOKENS, now, cost: 500 })).allowed).toBe(true);
+      expect((await store.tokenBucket('large-bucket', { ...TOKENS, now, cost: 1 })).allowed).toBe(false);
+    });
+
+    it('should take and give back several tokens from the token bucket', async () => {
+      const now = Date.now();
+      const TOKENS = { windowMs: 60000, limit: 100 };
+
+      expect(await store.tokenBucket('tokens', { ...TOKENS, now, cost: 70 })).toEqual({ allowed: true, tokens: 30 });
+      expect(await store.tokenBucket('tokens', { ...TOKENS, now, cost: 40 })).toEqual({ allowed: false, tokens: 30 });
+      expect(await store.tokenBucket('tokens', { ...TOKENS, now, cost: 50, force: true })).toEqual({ allowed: true, tokens: -20 });
+      // The bucket never holds more than the limit
+      expect(await store.tokenBucket('tokens', { ...TOKENS, now, cost: -500, force: true })).toEqual({ allowed: true, tokens: 100 });
+    });
+  });
+}
+
+describe('Rate limit stores', () => {
+  describeStore('MemoryRateLimitStore', () => new MemoryRateLimitStore());
+
+  describe('MemoryRateLimitStore eviction', () => {
+    it('should drop keys whose window has passed', async () => {
+      const store = new MemoryRateLimitStore();
+      const now = Date.now();
+      await store.slidingLog('idle', { ...WINDOW, now });
+      await store.tokenBucket('busy', { ...WINDOW, now: now + WINDOW.windowMs });
+
+      store.sweep(now + WINDOW.windowMs + 1);
+
+      expect(store.size()).toBe(1);
+      await store.close();
+    });
+  });
+
+  describe('RedisRateLimitStore', () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await new FakeRedisServer().listen();
+    });
+
+    afterAll(async () => {
+      await server.close();
+    });
+
+    beforeEach(() => {
+      server.keys.clear();
+    });
+
+    describeStore('against a Redis stand-in', () => new RedisRateLimitStore({ url: server.url, prefix: 'test:' }));
+
+    it('should count sliding log entries written without a cost as one request', async () => {
+      const store = new RedisRateLimitStore({ url: server.url, prefix: 'test:' });
+      const now = Date.now();
+      server.run(['ZADD', 'test:legacy', String(now), `${now}:abcdef`]);
+
+      expect(await store.slidingLog('legacy', { ...WINDOW, now })).toEqual({ allowed: true, count: 2, oldest: now });
+      await store.close();
+    });
+
+    it('should expire keys with the window', async () => {
+      const store = new RedisRateLimitStore({ url: server.url, prefix: 'test:' });
+      await store.slidingLog('user-1', { ...WINDOW, now: Date.now() });
+
+      const ttl = server.run(['PTTL', 'test:user-1']);
+      expect(ttl).toBeGreaterThan(0);
+      expect(ttl).toBeLessThanOrEqual(WINDOW.windowMs);
+      await store.close();
+    });
+
+    it('should share limits between instances', async () => {
+      const first = new RedisRateLimitStore({ url: server.url });
+      const second = new RedisRateLimitStore({ url: server.url });
+      const now = Date.now();
+
+      await first.slidingLog('shared', { ...WINDOW, now });
+      await second.slidingLog('shared', { ...WINDOW, now });
+
+      expect((await first.slidingLog('shared', { ...WINDOW, now })).allowed).toBe(false);
+      expect((await second.tokenBucket('bucket', { ...WINDOW, now })).tokens).toBe(1);
+      expect((await first.tokenBucket('bucket', { ...WINDOW, now })).tokens).toBe(0);
+
+      await first.close();
+      await second.close();
+    });
+
+    it('should retry the sliding log when its transaction was aborted', async () => {
+      const client = new RedisClient(server.url);
+      const store = new RedisRateLimitStore({ client });
+      const multi = client.multi.bind(client);
+      jest.spyOn(client, 'multi').mockResolvedValueOnce(null).mockImplementation(multi);
+      const now = Date.now();
+
+      expect(await store.slidingLog('aborted', { ...WINDOW, now })).toEqual({ allowed: true, count: 1, oldest: now });
+      expect(client.multi).toHaveBeenCalledTimes(2);
+      await store.close();
+    });
+
+    it('should retry the token bucket when another instance changed it', async () => {
+      const client = new RedisClient(server.url);
+      const store = new RedisRateLimitStore({ client });
+      const command = client.command.bind(client);
+      let interfered = false;
+      // Another instance spends a token right after this one read the bucket
+      jest.spyOn(client, 'command').mockImplementation(async (...args) => {
+        const result = await command(...args);
+        if (args[0] === 'HMGET' && !interfered) {
+          interfered = true;
+          server.run(['HSET', 'ratelimit:contended', 'tokens', '1', 'updatedAt', String(Date.now())]);
+        }
+        return result;
+      });
+
+      const result = await store.tokenBucket('contended', { ...WINDOW, now: Date.now() });
+
+      expect(result).toEqual({ allowed: true, tokens: 0 });
+      expect(server.commands.filter(([name, key]) => name === 'WATCH' && key === 'ratelimit:contended')).toHaveLength(2);
+      await store.close();
+    });
+  });
+});
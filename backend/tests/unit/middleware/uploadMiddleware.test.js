@@ -0,0 +1,36 @@
+// backend/tests/unit/middleware/uploadMiddleware.test.js
+const express = require('express');
+const request = require('supertest');
+const uploadMiddleware = require('../../../src/middleware/uploadMiddleware');
+
+describe('Upload Middleware', () => {
+  function createApp(maxBytes) {
+    const app = express();
+    app.post('/upload', uploadMiddleware.single('file', { maxBytes }), (req, res) => {
+      res.json({ fields: req.body, file: req.file && { name: req.file.originalname, size: req.file.size, type: req.file.mimetype } });
+    });
+    return app;
+  }
+
+  it('should put fields in req.body and the file in req.file', async () => {
+    const response = await request(createApp(1024))
+      .post('/upload')
+      .field('providerId', 'openai')
+      .attach('file', Buffer.from('0123456789'), { filename: 'clip.wav', contentType: 'audio/wav' })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      fields: { providerId: 'openai' },
+      file: { name: 'clip.wav', size: 10, type: 'audio/wav' }
+    });
+  });
+
+  it('should answer 413 for uploads over the limit', async () => {
+    const response = await request(createApp(1024 * 1024))
+      .post('/upload')
+      .attach('file', Buffer.alloc(2 * 1024 * 1024), { filename: 'long.wav', contentType: 'audio/wav' })
+      .expect(413);
+
+    expect(response.body.error).toBe('Upload is larger than the 1 MB limit');
+  });
+});
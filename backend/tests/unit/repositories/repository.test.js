@@ -0,0 +1,147 @@
+// backend/tests/unit/repositories/repository.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Repository = require('../../../src/repositories/Repository');
+const MemoryStore = require('../../../src/repositories/stores/MemoryStore');
+const JsonFileStore = require('../../../src/repositories/stores/JsonFileStore');
+const migrations = require('../../../src/repositories/migrations');
+const APIKey = require('../../../src/models/APIKey');
+
+const latestVersion = migrations[migrations.length - 1].version;
+
+describe('Repository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new Repository(new MemoryStore().init(), 'apiKeys', APIKey);
+  });
+
+  it('should save records and return model instances', () => {
+    repository.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: '{"encrypted":"x"}' }));
+
+    const found = repository.findById('key-1');
+    expect(found).toBeInstanceOf(APIKey);
+    expect(found.providerId).toBe('groq');
+  });
+
+  it('should find records by predicate', () => {
+    repository.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: 'encrypted-1' }));
+    repository.save(new APIKey({ id: 'key-2', providerId: 'gemini', encryptedKey: 'encrypted-2' }));
+
+    expect(repository.findOne(key => key.providerId === 'gemini').id).toBe('key-2');
+    expect(repository.findAll(key => key.providerId === 'openai')).toEqual([]);
+    expect(repository.count()).toBe(2);
+  });
+
+  it('should delete records', () => {
+    repository.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: 'encrypted-1' }));
+
+    expect(repository.delete('key-1')).toBe(true);
+    expect(repository.delete('key-1')).toBe(false);
+    expect(repository.findById('key-1')).toBeNull();
+  });
+
+  it('should drop the oldest records beyond maxEntries', () => {
+    repository = new Repository(new MemoryStore().init(), 'apiKeys', APIKey, { maxEntries: 2 });
+
+    ['key-1', 'key-2', 'key-3'].forEach(id => {
+      repository.save(new APIKey({ id, providerId: 'groq', encryptedKey: `encrypted-${id}` }));
+    });
+
+    expect(repository.findAll().map(key => key.id)).toEqual(['key-2', 'key-3']);
+  });
+});
+
+describe('JsonFileStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-store-'));
+    filePath = path.join(tempDir, 'nested', 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should create the file and apply migrations on first start', () => {
+    new JsonFileStore(filePath).init();
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    expect(data.schemaVersion).toBe(latestVersion);
+    expect(data.collections).toHaveProperty('apiKeys');
+    expect(data.collections).toHaveProperty('providerConfigurations');
+    expect(data.collections).toHaveProperty('rateLimitLogs');
+  });
+
+  it('should keep saved records across restarts', () => {
+    const store = new JsonFileStore(filePath).init();
+    const first = new Repository(store, 'apiKeys', APIKey);
+    first.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: 'encrypted-1' }));
+    store.flush();
+
+    const second = new Repository(new JsonFileStore(filePath).init(), 'apiKeys', APIKey);
+    expect(second.findById('key-1').providerId).toBe('groq');
+  });
+
+  it('should not leave temporary files behind', () => {
+    const store = new JsonFileStore(filePath).init();
+    const repository = new Repository(store, 'apiKeys', APIKey);
+    repository.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: 'encrypted-1' }));
+    store.flush();
+
+    expect(fs.readdirSync(path.dirname(filePath))).toEqual(['store.json']);
+  });
+
+  it('should batch saves into one compact write after the flush delay', () => {
+    jest.useFakeTimers();
+    try {
+      const store = new JsonFileStore(filePath, { flushDelayMs: 1000 }).init();
+      const repository = new Repository(store, 'apiKeys', APIKey);
+      const writeSpy = jest.spyOn(fs, 'writeFileSync');
+
+      repository.save(new APIKey({ id: 'key-1', providerId: 'groq', encryptedKey: 'encrypted-1' }));
+      repository.save(new APIKey({ id: 'key-2', providerId: 'openai', encryptedKey: 'encrypted-2' }));
+      expect(writeSpy).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1000);
+      expect(writeSpy).toHaveBeenCalledTimes(1);
+      writeSpy.mockRestore();
+
+      const contents = fs.readFileSync(filePath, 'utf8');
+      expect(contents).not.toContain('\n');
+      expect(Object.keys(JSON.parse(contents).collections.apiKeys)).toEqual(['key-1', 'key-2']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should backfill the monthly usage counters from the usage records', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const record = (id, createdAt, totalTokens) => ({ id, userId: 'user-1', providerId: 'groq', createdAt, totalTokens, cost: 0.5 });
+    fs.writeFileSync(filePath, JSON.stringify({
+      schemaVersion: 6,
+      collections: {
+        usageRecords: {
+          a: record('a', '2026-01-05T10:00:00.000Z', 100),
+          b: record('b', '2026-01-20T10:00:00.000Z', 50),
+          c: record('c', '2026-02-01T10:00:00.000Z', 10)
+        }
+      }
+    }));
+
+    const data = new JsonFileStore(filePath).init().data;
+
+    expect(data.collections.usageCounters['2026-01:user-1:groq']).toEqual(expect.objectContaining({ totalTokens: 150, cost: 1 }));
+    expect(data.collections.usageCounters['2026-02:user-1:groq']).toEqual(expect.objectContaining({ totalTokens: 10, cost: 0.5 }));
+  });
+
+  it('should refuse to start from a corrupt file', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, '{not json');
+
+    expect(() => new JsonFileStore(filePath).init()).toThrow('Unable to read storage file');
+  });
+});
@@ -1,5 +1,10 @@
 // backend/tests/unit/services/apiProxyService.test.js
+jest.mock('axios');
+
+const axios = require('axios');
 const apiProxyService = require('../../../src/services/apiProxyService');
+const apiKeyController = require('../../../src/controllers/apiKeyController');
+const upstreamRateLimitService = require('../../../src/services/upstreamRateLimitService');
 
 describe('API Proxy Service', () => {
   describe('providerEndpoints', () => {
@@ -45,10 +50,121 @@ describe('API Proxy Service', () => {
 
       const geminiRequest = apiProxyService.formatRequestForProvider('gemini', { 
         url: '/chat/completions',
-        method: 'POST'
+        method: 'POST',
+        data: { model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'Hello' }] }
+      });
+      expect(geminiRequest.url).toBe('/models/gemini-2.5-pro:generateContent');
+      expect(geminiRequest.data).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Hello' }] }]
       });
-      // The actual implementation would modify the URL for Gemini
-      expect(geminiRequest.url).toBe('/chat/completions');
+    });
+
+    it('should use the x-goog-api-key header for Gemini', () => {
+      expect(apiProxyService.getAuthHeaders('gemini', 'key')).toEqual({ 'x-goog-api-key': 'key' });
+      expect(apiProxyService.getAuthHeaders('groq', 'key')).toEqual({ 'Authorization': 'Bearer key' });
+    });
+  });
+
+  describe('makeRequest', () => {
+    beforeAll(async () => {
+      process.env.ENCRYPTION_KEY = 'test_encryption_key_for_proxy';
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      await apiKeyController.createApiKey({ body: { providerId: 'groq', apiKey: 'gsk_test_key_value' } }, res);
+    });
+
+    beforeEach(() => {
+      axios.mockReset();
+      apiProxyService.clearCache();
+    });
+
+    const requestData = {
+      url: '/chat/completions',
+      method: 'POST',
+      data: { model: 'openai/gpt-oss-120b', messages: [{ role: 'user', content: 'Hello' }] }
+    };
+
+    it('should send the decrypted API key to the provider', async () => {
+      axios.mockResolvedValue({ status: 200, data: { id: 'chatcmpl-1' }, headers: {} });
+
+      const response = await apiProxyService.makeRequest('groq', requestData);
+
+      expect(response).toEqual({ status: 200, data: { id: 'chatcmpl-1' }, headers: {} });
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://api.groq.com/openai/v1/chat/completions',
+        headers: expect.objectContaining({ Authorization: 'Bearer gsk_test_key_value' })
+      }));
+    });
+
+    it('should throw provider errors with their status', async () => {
+      axios.mockRejectedValue({ response: { status: 429, data: { error: { message: 'Rate limited' } } } });
+
+      await expect(apiProxyService.makeRequest('groq', requestData)).rejects.toEqual({
+        status: 429,
+        message: 'Rate limited',
+        data: { error: { message: 'Rate limited' } }
+      });
+    });
+
+    it('should return binary bodies and parse their JSON errors', async () => {
+      const speechRequest = { url: '/audio/speech', method: 'POST', data: { model: 'tts-1', input: 'Hi' } };
+      axios.mockResolvedValueOnce({ status: 200, data: Buffer.from('ID3 audio'), headers: {} });
+      axios.mockRejectedValueOnce({ response: { status: 400, data: Buffer.from('{"error":{"message":"Bad voice"}}') } });
+
+      const response = await apiProxyService.makeRequest('groq', speechRequest, { responseType: 'arraybuffer' });
+      expect(axios).toHaveBeenCalledWith(expect.objectContaining({ responseType: 'arraybuffer' }));
+      expect(response.data.toString()).toBe('ID3 audio');
+
+      await expect(apiProxyService.makeRequest('groq', speechRequest, { responseType: 'arraybuffer' })).rejects.toEqual({
+        status: 400,
+        message: 'Bad voice',
+        data: { error: { message: 'Bad voice' } }
+      });
+    });
+
+    it('should serve repeated requests from the cache per user', async () => {
+      axios.mockResolvedValue({ status: 200, data: { id: 'chatcmpl-1' }, headers: {} });
+
+      await apiProxyService.makeCachedRequest('groq', requestData, { userId: 'alice' });
+      const cached = await apiProxyService.makeCachedRequest('groq', requestData, { userId: 'alice' });
+      await apiProxyService.makeCachedRequest('groq', requestData, { userId: 'bob' });
+
+      expect(cached.cached).toBe(true);
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should bypass the cache when asked to', async () => {
+      axios.mockResolvedValue({ status: 200, data: { id: 'chatcmpl-1' }, headers: {} });
+
+      await apiProxyService.makeCachedRequest('groq', requestData, { userId: 'alice' });
+      await apiProxyService.makeCachedRequest('groq', requestData, { userId: 'alice', cache: false });
+
+      expect(axios).toHaveBeenCalledTimes(2);
+    });
+
+    it('should hold requests back once the provider reports its quota used up', async () => {
+      axios.mockResolvedValue({
+        status: 200,
+        data: { id: 'chatcmpl-1' },
+        headers: { 'x-ratelimit-limit-requests': '1000', 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '2m0s' }
+      });
+
+      await apiProxyService.makeRequest('groq', requestData);
+      await expect(apiProxyService.makeRequest('groq', requestData)).rejects.toEqual(expect.objectContaining({
+        status: 429,
+        data: expect.objectContaining({ provider: 'groq', retryAfter: 120, upstream: true })
+      }));
+
+      expect(axios).toHaveBeenCalledTimes(1);
+      upstreamRateLimitService.reset();
+    });
+
+    it('should remember how long a 429 asked to back off', async () => {
+      axios.mockRejectedValue({ response: { status: 429, headers: { 'retry-after': '30' }, data: { error: { message: 'Rate limited' } } } });
+
+      await expect(apiProxyService.makeRequest('groq', requestData)).rejects.toEqual(expect.objectContaining({ message: 'Rate limited' }));
+
+      expect(upstreamRateLimitService.getQuota('groq').throttledUntil).not.toBeNull();
+      upstreamRateLimitService.reset();
     });
   });
 
@@ -0,0 +1,103 @@
+// backend/tests/unit/services/authService.test.js
+const jwt = require('jsonwebtoken');
+const authService = require('../../../src/services/authService');
+const { userRepository, refreshTokenRepository } = require('../../../src/repositories');
+
+describe('Auth Service', () => {
+  beforeEach(() => {
+    userRepository.clear();
+    refreshTokenRepository.clear();
+    delete process.env.ADMIN_USERNAMES;
+  });
+
+  describe('passwords', () => {
+    it('should hash passwords with a random salt and verify them', () => {
+      const first = authService.hashPassword('correct horse');
+      const second = authService.hashPassword('correct horse');
+
+      expect(first).toMatch(/^scrypt\$/);
+      expect(first).not.toBe(second);
+      expect(authService.verifyPassword('correct horse', first)).toBe(true);
+      expect(authService.verifyPassword('wrong horse', first)).toBe(false);
+    });
+  });
+
+  describe('register', () => {
+    it('should create a user and return a token pair without the password hash', () => {
+      const session = authService.register({ username: 'alice', password: 'password123' });
+
+      expect(session.user).toEqual(expect.objectContaining({ username: 'alice', role: 'user' }));
+      expect(session.user).not.toHaveProperty('passwordHash');
+      expect(session.tokenType).toBe('Bearer');
+      expect(authService.verifyAccessToken(session.accessToken)).toEqual({
+        id: session.user.id,
+        username: 'alice',
+        role: 'user'
+      });
+    });
+
+    it('should reject duplicate usernames regardless of case', () => {
+      authService.register({ username: 'alice', password: 'password123' });
+
+      expect(() => authService.register({ username: 'Alice', password: 'password123' }))
+        .toThrow(expect.objectContaining({ status: 409 }));
+    });
+
+    it('should reject short passwords and invalid usernames', () => {
+      expect(() => authService.register({ username: 'alice', password: 'short' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => authService.register({ username: 'a b', password: 'password123' }))
+        .toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    it('should make usernames listed in ADMIN_USERNAMES admins', () => {
+      process.env.ADMIN_USERNAMES = 'root, Ops';
+
+      expect(authService.register({ username: 'ops', password: 'password123' }).user.role).toBe('admin');
+    });
+  });
+
+  describe('login', () => {
+    it('should reject wrong passwords and unknown users with the same error', () => {
+      authService.register({ username: 'alice', password: 'password123' });
+
+      expect(() => authService.login({ username: 'alice', password: 'nope-nope' }))
+        .toThrow('Invalid username or password');
+      expect(() => authService.login({ username: 'bob', password: 'password123' }))
+        .toThrow('Invalid username or password');
+      expect(authService.login({ username: 'alice', password: 'password123' }).user.username).toBe('alice');
+    });
+  });
+
+  describe('tokens', () => {
+    it('should not accept a refresh token as an access token', () => {
+      const session = authService.register({ username: 'alice', password: 'password123' });
+
+      expect(() => authService.verifyAccessToken(session.refreshToken)).toThrow('Invalid or expired token');
+    });
+
+    it('should rotate refresh tokens and revoke every session on reuse', () => {
+      const session = authService.register({ username: 'alice', password: 'password123' });
+      const rotated = authService.refresh(session.refreshToken);
+
+      expect(rotated.refreshToken).not.toBe(session.refreshToken);
+      expect(() => authService.refresh(session.refreshToken)).toThrow('Refresh token has already been used');
+
+      // Reuse of the old token revoked the rotated one as well
+      expect(() => authService.refresh(rotated.refreshToken)).toThrow(expect.objectContaining({ status: 401 }));
+    });
+
+    it('should revoke the refresh token on logout', () => {
+      const session = authService.register({ username: 'alice', password: 'password123' });
+
+      expect(authService.logout(session.refreshToken)).toBe(true);
+      expect(() => authService.refresh(session.refreshToken)).toThrow(expect.objectContaining({ status: 401 }));
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const forged = jwt.sign({ sub: 'x', role: 'admin', type: 'access' }, 'not-the-secret');
+
+      expect(() => authService.verifyAccessToken(forged)).toThrow('Invalid or expired token');
+    });
+  });
+});
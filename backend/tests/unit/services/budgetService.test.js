@@ -0,0 +1,119 @@
+// backend/tests/unit/services/budgetService.test.js
+const budgetService = require('../../../src/services/budgetService');
+const usageService = require('../../../src/services/usageService');
+const { budgetRepository, usageRecordRepository, usageCounterRepository } = require('../../../src/repositories');
+
+describe('Budget Service', () => {
+  beforeEach(() => {
+    budgetRepository.clear();
+    usageRecordRepository.clear();
+    usageCounterRepository.clear();
+  });
+
+  function spend(userId, providerId, model, promptTokens) {
+    usageService.recordUsage({ userId, providerId, model, endpoint: 'chat', promptTokens });
+  }
+
+  it('should reject budgets without a scope or with an unknown metric', () => {
+    expect(() => budgetService.createBudget({ metric: 'tokens', limit: 100 }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => budgetService.createBudget({ userId: 'user-1', metric: 'requests', limit: 100 }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should report this month\'s usage against a budget', () => {
+    const budget = budgetService.createBudget({ userId: 'user-1', metric: 'tokens', limit: 1000 });
+    spend('user-1', 'groq', 'qwen/qwen3-32b', 400);
+    spend('user-2', 'groq', 'qwen/qwen3-32b', 400);
+
+    const [status] = budgetService.getBudgetsFor('user-1');
+
+    expect(status.id).toBe(budget.id);
+    expect(status).toEqual(expect.objectContaining({ used: 400, remaining: 600, exhausted: false }));
+    expect(status.resetAt).toMatch(/^\d{4}-\d{2}-01T00:00:00.000Z$/);
+  });
+
+  it('should only count usage from the current month', () => {
+    const budget = budgetService.createBudget({ userId: 'user-1', metric: 'tokens', limit: 1000 });
+    spend('user-1', 'groq', 'qwen/qwen3-32b', 400);
+
+    const nextMonth = new Date();
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1, 1);
+
+    expect(budgetService.getStatus(budgetRepository.findById(budget.id), nextMonth).used).toBe(0);
+  });
+
+  it('should keep counting usage whose records were pruned', () => {
+    budgetService.createBudget({ userId: 'user-1', metric: 'tokens', limit: 1000 });
+    spend('user-1', 'groq', 'qwen/qwen3-32b', 400);
+    usageRecordRepository.clear();
+    spend('user-1', 'groq', 'qwen/qwen3-32b', 100);
+
+    expect(budgetService.getBudgetsFor('user-1')[0].used).toBe(500);
+  });
+
+  it('should reject requests once a budget is used up', () => {
+    budgetService.createBudget({ userId: 'user-1', providerId: 'groq', metric: 'tokens', limit: 100 });
+    spend('user-1', 'groq', 'qwen/qwen3-32b', 100);
+
+    expect(() => budgetService.checkBudget('user-1', 'groq', 'qwen/qwen3-32b')).toThrow(expect.objectContaining({
+      status: 402,
+      code: 'QUOTA_EXCEEDED',
+      quota: expect.objectContaining({ providerId: 'groq', metric: 'tokens', limit: 100, remaining: 0 })
+    }));
+    // Other providers and users are not covered by the budget
+    expect(budgetService.checkBudget('user-1', 'gemini', 'gemini-2.5-flash')).toEqual({ model: 'gemini-2.5-flash' });
+    expect(budgetService.checkBudget('user-2', 'groq', 'qwen/qwen3-32b')).toEqual({ model: 'qwen/qwen3-32b' });
+
+    // Requests that cannot be downgraded are rejected the same way
+    expect(() => budgetService.assertWithinBudget('user-1', 'groq')).toThrow(expect.objectContaining({ status: 402, code: 'QUOTA_EXCEEDED' }));
+    expect(() => budgetService.assertWithinBudget('user-1', 'gemini')).not.toThrow();
+  });
+
+  it('should downgrade to the cheapest priced model when the budget allows it', () => {
+    budgetService.createBudget({ providerId: 'gemini', metric: 'cost', limit: 0.001, onExhausted: 'downgrade' });
+    spend('user-1', 'gemini', 'gemini-2.5-pro', 10000);
+
+    expect(budgetService.checkBudget('user-1', 'gemini', 'gemini-2.5-pro'))
+      .toEqual({ model: 'gemini-2.5-flash', downgradedFrom: 'gemini-2.5-pro' });
+    // Nothing is cheaper than the cheapest model, so the request is rejected
+    expect(() => budgetService.checkBudget('user-1', 'gemini', 'gemini-2.5-flash'))
+      .toThrow(expect.objectContaining({ status: 402, quota: expect.objectContaining({ currency: 'USD' }) }));
+  });
+
+  it('should reject downgraded requests once the hard limit is reached', () => {
+    budgetService.createBudget({ providerId: 'gemini', metric: 'tokens', limit: 100, onExhausted: 'downgrade', hardLimit: 150 });
+    spend('user-1', 'gemini', 'gemini-2.5-pro', 100);
+
+    expect(budgetService.getBudgetsFor('user-1', 'gemini')[0]).toEqual(expect.objectContaining({ exhausted: true, stopsAt: 150 }));
+    expect(budgetService.checkBudget('user-1', 'gemini', 'gemini-2.5-pro'))
+      .toEqual({ model: 'gemini-2.5-flash', downgradedFrom: 'gemini-2.5-pro' });
+
+    spend('user-1', 'gemini', 'gemini-2.5-flash', 50);
+    expect(() => budgetService.checkBudget('user-1', 'gemini', 'gemini-2.5-pro')).toThrow(expect.objectContaining({
+      status: 402,
+      code: 'QUOTA_EXCEEDED',
+      quota: expect.objectContaining({ limit: 100, hardLimit: 150, used: 150 })
+    }));
+  });
+
+  it('should report downgrade budgets without a hard limit as never stopping', () => {
+    budgetService.createBudget({ providerId: 'gemini', metric: 'tokens', limit: 100, onExhausted: 'downgrade' });
+    budgetService.createBudget({ providerId: 'groq', metric: 'tokens', limit: 100 });
+
+    expect(budgetService.getBudgetsFor('user-1').map(status => status.stopsAt)).toEqual([null, 100]);
+    expect(() => budgetService.createBudget({ providerId: 'groq', metric: 'tokens', limit: 100, hardLimit: 200 }))
+      .toThrow(expect.objectContaining({ status: 400, message: 'hardLimit only applies to budgets that downgrade' }));
+    expect(() => budgetService.createBudget({ providerId: 'gemini', metric: 'tokens', limit: 100, onExhausted: 'downgrade', hardLimit: 50 }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should update and delete budgets', () => {
+    const budget = budgetService.createBudget({ userId: 'user-1', metric: 'tokens', limit: 100 });
+
+    expect(budgetService.updateBudget(budget.id, { limit: 500 })).toEqual(expect.objectContaining({ limit: 500, userId: 'user-1' }));
+
+    budgetService.deleteBudget(budget.id);
+    expect(() => budgetService.getBudget(budget.id)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
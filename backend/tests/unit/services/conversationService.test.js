@@ -0,0 +1,76 @@
+// backend/tests/unit/services/conversationService.test.js
+const conversationService = require('../../../src/services/conversationService');
+const { conversationRepository } = require('../../../src/repositories');
+
+describe('Conversation Service', () => {
+  beforeEach(() => {
+    conversationRepository.clear();
+  });
+
+  it('should create a conversation with a default title', () => {
+    const conversation = conversationService.createConversation('user-1');
+
+    expect(conversation.id).toBeDefined();
+    expect(conversation.userId).toBe('user-1');
+    expect(conversation.title).toBe('New conversation');
+    expect(conversation.messages).toEqual([]);
+  });
+
+  it('should keep a client-supplied id and reject it when taken', () => {
+    conversationService.createConversation('user-1', { id: 'local-123', title: 'Trip plans' });
+
+    expect(conversationService.getConversation('user-1', 'local-123').title).toBe('Trip plans');
+    expect(() => conversationService.createConversation('user-2', { id: 'local-123' }))
+      .toThrow(expect.objectContaining({ status: 409 }));
+  });
+
+  it('should reject invalid initial messages', () => {
+    expect(() => conversationService.createConversation('user-1', { messages: [{ role: 'robot', content: 'hi' }] }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  it('should hide other users\' conversations', () => {
+    const conversation = conversationService.createConversation('user-1');
+
+    expect(() => conversationService.getConversation('user-2', conversation.id))
+      .toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => conversationService.deleteConversation('user-2', conversation.id))
+      .toThrow(expect.objectContaining({ status: 404 }));
+    expect(conversationService.listConversations('user-2')).toEqual([]);
+  });
+
+  it('should append messages and ignore a retried message id', () => {
+    const conversation = conversationService.createConversation('user-1');
+
+    const first = conversationService.appendMessage('user-1', conversation.id, { id: 'msg-1', role: 'user', content: 'Hello' });
+    const retried = conversationService.appendMessage('user-1', conversation.id, { id: 'msg-1', role: 'user', content: 'Hello' });
+    conversationService.appendMessage('user-1', conversation.id, { role: 'assistant', content: 'Hi there' });
+
+    expect(retried).toEqual(first);
+    const stored = conversationService.getConversation('user-1', conversation.id);
+    expect(stored.messages.map(m => m.content)).toEqual(['Hello', 'Hi there']);
+  });
+
+  it('should list conversations most recently updated first', () => {
+    conversationService.createConversation('user-1', { id: 'older' });
+    conversationService.createConversation('user-1', { id: 'newer' });
+    const older = conversationRepository.findById('older');
+    older.updatedAt = '2000-01-01T00:00:00.000Z';
+    conversationRepository.save(older);
+
+    const list = conversationService.listConversations('user-1');
+
+    expect(list.map(c => c.id)).toEqual(['newer', 'older']);
+    expect(list[0]).not.toHaveProperty('messages');
+  });
+
+  it('should rename a conversation', () => {
+    const conversation = conversationService.createConversation('user-1');
+
+    conversationService.renameConversation('user-1', conversation.id, '  Recipes  ');
+
+    expect(conversationService.getConversation('user-1', conversation.id).title).toBe('Recipes');
+    expect(() => conversationService.renameConversation('user-1', conversation.id, 'x'.repeat(201)))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
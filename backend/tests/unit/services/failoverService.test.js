@@ -0,0 +1,109 @@
+// backend/tests/unit/services/failoverService.test.js
+jest.mock('../../../src/controllers/apiKeyController', () => ({
+  validateApiKey: jest.fn()
+}));
+
+const apiKeyController = require('../../../src/controllers/apiKeyController');
+const failoverService = require('../../../src/services/failoverService');
+
+describe('FailoverService', () => {
+  beforeEach(() => {
+    // groq and gemini have keys, openrouter and openai do not
+    apiKeyController.validateApiKey.mockImplementation(providerId =>
+      ['groq', 'gemini'].includes(providerId) ? { id: `${providerId}-key` } : null
+    );
+  });
+
+  describe('buildChain', () => {
+    it('should not fail over unless the configuration or the request asks for it', () => {
+      expect(failoverService.enabled).toBe(false);
+      expect(failoverService.buildChain('groq', 'model-a')).toEqual([
+        { providerId: 'groq', model: 'model-a' }
+      ]);
+    });
+
+    it('should append configured providers that have a key when the request opts in', () => {
+      const chain = failoverService.buildChain('groq', 'llama-3.1-8b-instant', true);
+
+      expect(chain[0]).toEqual({ providerId: 'groq', model: 'llama-3.1-8b-instant' });
+      expect(chain.map(entry => entry.providerId)).toEqual(['groq', 'groq', 'gemini']);
+      expect(chain[2].model).toBeTruthy();
+    });
+
+    it('should use the per-request fallback list when provided', () => {
+      const chain = failoverService.buildChain('groq', 'model-a', [
+        { providerId: 'gemini', model: 'gemini-2.5-flash' },
+        'openai'
+      ]);
+
+      expect(chain).toEqual([
+        { providerId: 'groq', model: 'model-a' },
+        { providerId: 'gemini', model: 'gemini-2.5-flash' }
+      ]);
+    });
+
+    it('should disable failover when fallback is false', () => {
+      expect(failoverService.buildChain('groq', 'model-a', false)).toEqual([
+        { providerId: 'groq', model: 'model-a' }
+      ]);
+    });
+  });
+
+  describe('execute', () => {
+    const chain = [
+      { providerId: 'groq', model: 'model-a' },
+      { providerId: 'gemini', model: 'model-b' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    it('should return the first successful response', async () => {
+      const attemptFn = jest.fn().mockResolvedValue({ status: 200, data: {} });
+
+      const result = await failoverService.execute(chain, attemptFn);
+
+      expect(attemptFn).toHaveBeenCalledTimes(1);
+      expect(result.providerId).toBe('groq');
+      expect(result.attempts).toHaveLength(1);
+    });
+
+    it('should fail over on retryable errors and record every attempt', async () => {
+      const attemptFn = jest.fn()
+        .mockRejectedValueOnce({ status: 429, message: 'Rate limited' })
+        .mockResolvedValueOnce({ status: 200, data: {} });
+
+      const result = await failoverService.execute(chain, attemptFn);
+
+      expect(attemptFn).toHaveBeenLastCalledWith(chain[1]);
+      expect(result.providerId).toBe('gemini');
+      expect(result.model).toBe('model-b');
+      expect(result.attempts.map(attempt => attempt.status)).toEqual([429, 200]);
+    });
+
+    it('should not fail over on non-retryable errors', async () => {
+      const attemptFn = jest.fn().mockRejectedValue({ status: 400, message: 'Bad request' });
+
+      await expect(failoverService.execute(chain, attemptFn)).rejects.toMatchObject({
+        status: 400,
+        attempts: [expect.objectContaining({ providerId: 'groq', status: 400 })]
+      });
+      expect(attemptFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw the last error when every provider fails', async () => {
+      const attemptFn = jest.fn().mockRejectedValue({ status: 503, message: 'Unavailable' });
+
+      await expect(failoverService.execute(chain, attemptFn)).rejects.toMatchObject({
+        status: 503,
+        attempts: expect.arrayContaining([expect.objectContaining({ providerId: 'gemini' })])
+      });
+      expect(attemptFn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
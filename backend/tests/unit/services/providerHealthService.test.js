@@ -0,0 +1,131 @@
+// backend/tests/unit/services/providerHealthService.test.js
+const providerHealthService = require('../../../src/services/providerHealthService');
+
+describe('ProviderHealthService', () => {
+  beforeEach(() => {
+    providerHealthService.reset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+
+  it('should report a closed circuit with no traffic', () => {
+    const health = providerHealthService.getHealth('groq');
+
+    expect(health.circuit).toBe('closed');
+    expect(health.available).toBe(true);
+    expect(health.requestCount).toBe(0);
+    expect(health.averageLatencyMs).toBeNull();
+  });
+
+  it('should track error rate and latency from recorded traffic', () => {
+    providerHealthService.recordSuccess('groq', 100);
+    providerHealthService.recordSuccess('groq', 300);
+    providerHealthService.recordFailure('groq', 200, 500, 'Server error');
+
+    const health = providerHealthService.getHealth('groq');
+
+    expect(health.requestCount).toBe(3);
+    expect(health.failureCount).toBe(1);
+    expect(health.errorRate).toBeCloseTo(1 / 3);
+    expect(health.averageLatencyMs).toBe(200);
+    expect(health.lastError).toEqual({ status: 500, message: 'Server error' });
+  });
+
+  it('should not count client errors or rate limits against the provider', () => {
+    providerHealthService.recordFailure('groq', 50, 400, 'Bad request');
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 50, 429, 'Too many requests');
+    }
+
+    const health = providerHealthService.getHealth('groq');
+    expect(health.failureCount).toBe(0);
+    expect(health.consecutiveFailures).toBe(0);
+    expect(health.circuit).toBe('closed');
+  });
+
+  it('should open the circuit after repeated failures and reject requests', () => {
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 10, 503, 'Unavailable');
+    }
+
+    const health = providerHealthService.getHealth('groq');
+    expect(health.circuit).toBe('open');
+    expect(health.available).toBe(false);
+    expect(health.retryAt).not.toBeNull();
+    expect(providerHealthService.acquire('groq')).toBe(false);
+  });
+
+  it('should half-open after the cool-down and let a single probe through', () => {
+    jest.useFakeTimers();
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 10, 503, 'Unavailable');
+    }
+
+    jest.advanceTimersByTime(providerHealthService.config.openDurationMs);
+
+    expect(providerHealthService.acquire('groq')).toBe(true);
+    expect(providerHealthService.getHealth('groq').circuit).toBe('half_open');
+    expect(providerHealthService.acquire('groq')).toBe(false);
+  });
+
+  it('should close the circuit when the probe succeeds', () => {
+    jest.useFakeTimers();
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 10, 503, 'Unavailable');
+    }
+    jest.advanceTimersByTime(providerHealthService.config.openDurationMs);
+    providerHealthService.acquire('groq');
+
+    providerHealthService.recordSuccess('groq', 120);
+
+    expect(providerHealthService.getHealth('groq').circuit).toBe('closed');
+    expect(providerHealthService.acquire('groq')).toBe(true);
+  });
+
+  it('should re-open the circuit when the probe fails', () => {
+    jest.useFakeTimers();
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 10, 503, 'Unavailable');
+    }
+    jest.advanceTimersByTime(providerHealthService.config.openDurationMs);
+    providerHealthService.acquire('groq');
+
+    providerHealthService.recordFailure('groq', 10, 502, 'Bad gateway');
+
+    expect(providerHealthService.getHealth('groq').circuit).toBe('open');
+  });
+
+  it('should stay half-open when the probe is a client error or rate limited', () => {
+    jest.useFakeTimers();
+    for (let i = 0; i < 3; i++) {
+      providerHealthService.recordFailure('groq', 10, 503, 'Unavailable');
+    }
+    jest.advanceTimersByTime(providerHealthService.config.openDurationMs);
+
+    providerHealthService.acquire('groq');
+    providerHealthService.recordFailure('groq', 10, 400, 'Bad request');
+    expect(providerHealthService.getHealth('groq').circuit).toBe('half_open');
+
+    // The probe slot is free again for the next request
+    expect(providerHealthService.acquire('groq')).toBe(true);
+    providerHealthService.recordFailure('groq', 10, 429, 'Too many requests');
+
+    const health = providerHealthService.getHealth('groq');
+    expect(health.circuit).toBe('half_open');
+    expect(health.requestCount).toBe(3);
+    expect(health.consecutiveFailures).toBe(3);
+  });
+
+  it('should forget samples that fall outside the rolling window', () => {
+    jest.useFakeTimers();
+    providerHealthService.recordFailure('groq', 10, 500, 'Server error');
+
+    jest.advanceTimersByTime(providerHealthService.config.windowMs + 1);
+
+    expect(providerHealthService.getHealth('groq').requestCount).toBe(0);
+  });
+});
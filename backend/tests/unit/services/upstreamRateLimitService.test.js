@@ -0,0 +1,109 @@
+// backend/tests/unit/services/upstreamRateLimitService.test.js
+const upstreamRateLimitService = require('../../../src/services/upstreamRateLimitService');
+
+describe('Upstream Rate Limit Service', () => {
+  const originalMaxWait = upstreamRateLimitService.maxQueueWaitMs;
+
+  afterEach(() => {
+    upstreamRateLimitService.reset();
+    upstreamRateLimitService.maxQueueWaitMs = originalMaxWait;
+  });
+
+  describe('parseReset', () => {
+    const now = 1700000000000;
+
+    it('should read OpenAI and Groq style durations', () => {
+      expect(upstreamRateLimitService.parseReset('6m0s', now)).toBe(now + 360000);
+      expect(upstreamRateLimitService.parseReset('2m59.56s', now)).toBe(now + 179560);
+      expect(upstreamRateLimitService.parseReset('120ms', now)).toBe(now + 120);
+      expect(upstreamRateLimitService.parseReset('1h2s', now)).toBe(now + 3602000);
+    });
+
+    it('should read epoch timestamps and plain seconds', () => {
+      expect(upstreamRateLimitService.parseReset('1700000060000', now)).toBe(1700000060000);
+      expect(upstreamRateLimitService.parseReset('1700000060', now)).toBe(1700000060000);
+      expect(upstreamRateLimitService.parseReset('30', now)).toBe(now + 30000);
+      expect(upstreamRateLimitService.parseReset('soon', now)).toBeNull();
+    });
+  });
+
+  describe('recordHeaders', () => {
+    it('should keep the request and token quotas the provider reports', () => {
+      const now = Date.now();
+      upstreamRateLimitService.recordHeaders('groq', null, {
+        'X-RateLimit-Limit-Requests': '1000',
+        'X-RateLimit-Remaining-Requests': '998',
+        'X-RateLimit-Reset-Requests': '2m0s',
+        'x-ratelimit-limit-tokens': '8000',
+        'x-ratelimit-remaining-tokens': '7500',
+        'x-ratelimit-reset-tokens': '3.75s'
+      }, now);
+
+      expect(upstreamRateLimitService.getQuota('groq', null, now)).toEqual({
+        requests: { limit: 1000, remaining: 998, resetAt: new Date(now + 120000).toISOString() },
+        tokens: { limit: 8000, remaining: 7500, resetAt: new Date(now + 3750).toISOString() },
+        retryAt: null,
+        throttledUntil: null,
+        updatedAt: new Date(now).toISOString()
+      });
+    });
+
+    it('should track quotas per key owner', () => {
+      upstreamRateLimitService.recordHeaders('groq', 'user-1', { 'x-ratelimit-remaining-requests': '0', 'x-ratelimit-reset-requests': '1m0s' });
+
+      expect(upstreamRateLimitService.getWaitMs('groq', 'user-1')).toBeGreaterThan(0);
+      expect(upstreamRateLimitService.getWaitMs('groq')).toBe(0);
+      expect(upstreamRateLimitService.getQuota('groq')).toBeNull();
+    });
+
+    it('should ignore responses without rate limit headers', () => {
+      upstreamRateLimitService.recordHeaders('groq', null, { 'content-type': 'application/json' });
+
+      expect(upstreamRateLimitService.getQuota('groq')).toBeNull();
+    });
+  });
+
+  describe('waitForCapacity', () => {
+    it('should refuse requests that would wait longer than the queue allows', async () => {
+      upstreamRateLimitService.recordHeaders('gemini', null, { 'retry-after': '45' });
+
+      await expect(upstreamRateLimitService.waitForCapacity('gemini')).rejects.toEqual(expect.objectContaining({
+        status: 429,
+        data: expect.objectContaining({ provider: 'gemini', retryAfter: 45, upstream: true })
+      }));
+    });
+
+    it('should queue requests until a short reset has passed', async () => {
+      upstreamRateLimitService.recordHeaders('groq', null, { 'x-ratelimit-remaining-tokens': '0', 'x-ratelimit-reset-tokens': '50ms' });
+      const startedAt = Date.now();
+
+      await upstreamRateLimitService.waitForCapacity('groq');
+
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(40);
+    });
+
+    it('should count requests against the last known quota', async () => {
+      upstreamRateLimitService.recordHeaders('openrouter', null, {
+        'x-ratelimit-limit': '20',
+        'x-ratelimit-remaining': '1',
+        'x-ratelimit-reset': String(Date.now() + 60000)
+      });
+
+      await upstreamRateLimitService.waitForCapacity('openrouter');
+
+      expect(upstreamRateLimitService.getQuota('openrouter').requests.remaining).toBe(0);
+      await expect(upstreamRateLimitService.waitForCapacity('openrouter')).rejects.toEqual(expect.objectContaining({ status: 429 }));
+    });
+
+    it('should stop waiting when the request is cancelled', async () => {
+      upstreamRateLimitService.maxQueueWaitMs = 60000;
+      upstreamRateLimitService.recordHeaders('groq', null, { 'retry-after': '30' });
+      const abortController = new AbortController();
+
+      const waiting = upstreamRateLimitService.waitForCapacity('groq', null, { signal: abortController.signal });
+      abortController.abort();
+
+      await expect(waiting).rejects.toEqual(expect.objectContaining({ code: 'ERR_CANCELED' }));
+    });
+  });
+});
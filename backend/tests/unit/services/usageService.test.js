@@ -0,0 +1,85 @@
+// backend/tests/unit/services/usageService.test.js
+const usageService = require('../../../src/services/usageService');
+const { usageRecordRepository } = require('../../../src/repositories');
+
+describe('Usage Service', () => {
+  beforeEach(() => {
+    usageRecordRepository.clear();
+  });
+
+  it('should price tokens per million, images per image and audio per minute or character', () => {
+    const price = usageService.getPrice('openai', 'o4-mini');
+
+    expect(usageService.calculateCost('openai', 'o4-mini', { promptTokens: 1000000, completionTokens: 500000 }))
+      .toBeCloseTo(price.inputPerMillion + price.outputPerMillion / 2, 6);
+    expect(usageService.calculateCost('openai', 'dall-e-3', { images: 2 }))
+      .toBeCloseTo(usageService.getPrice('openai', 'dall-e-3').perImage * 2, 6);
+    expect(usageService.calculateCost('groq', 'whisper-large-v3-turbo', { audioSeconds: 90 }))
+      .toBeCloseTo(usageService.getPrice('groq', 'whisper-large-v3-turbo').perMinute * 1.5, 6);
+    expect(usageService.calculateCost('openai', 'tts-1', { characters: 2000 }))
+      .toBeCloseTo(usageService.getPrice('openai', 'tts-1').perMillionCharacters * 2000 / 1e6, 6);
+  });
+
+  it('should leave the cost empty for models without a price', () => {
+    expect(usageService.calculateCost('openai', 'unknown-model', { promptTokens: 100 })).toBeNull();
+
+    const record = usageService.recordUsage({
+      userId: 'user-1', providerId: 'openai', model: 'unknown-model', endpoint: 'chat', promptTokens: 100
+    });
+
+    expect(record.cost).toBeNull();
+    expect(record.totalTokens).toBe(100);
+  });
+
+  it('should not throw when a record is invalid', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(usageService.recordUsage({ userId: 'user-1', providerId: 'openai', model: 'o4-mini', endpoint: 'video' })).toBeNull();
+    expect(usageRecordRepository.count()).toBe(0);
+
+    console.error.mockRestore();
+  });
+
+  it('should filter and list records newest first', () => {
+    usageRecordRepository.save({ id: 'a', userId: 'user-1', providerId: 'openai', model: 'o4-mini', createdAt: '2026-01-01T10:00:00.000Z' });
+    usageRecordRepository.save({ id: 'b', userId: 'user-1', providerId: 'groq', model: 'qwen/qwen3-32b', createdAt: '2026-01-02T10:00:00.000Z' });
+    usageRecordRepository.save({ id: 'c', userId: 'user-2', providerId: 'openai', model: 'o4-mini', createdAt: '2026-01-03T10:00:00.000Z' });
+
+    expect(usageService.listUsage({ userId: 'user-1' }).records.map(r => r.id)).toEqual(['b', 'a']);
+    expect(usageService.listUsage({ providerId: 'openai', from: '2026-01-02T00:00:00.000Z' }).records.map(r => r.id)).toEqual(['c']);
+    expect(usageService.listUsage({}, 1)).toEqual(expect.objectContaining({ total: 3, records: [expect.objectContaining({ id: 'c' })] }));
+  });
+
+  it('should summarize usage by user, provider and day', () => {
+    const record = (userId, providerId, createdAt, promptTokens, cost) => usageRecordRepository.save({
+      id: `${userId}-${providerId}-${createdAt}`,
+      userId,
+      providerId,
+      model: 'm',
+      endpoint: 'chat',
+      promptTokens,
+      completionTokens: 0,
+      totalTokens: promptTokens,
+      images: 0,
+      cost,
+      createdAt
+    });
+    record('user-1', 'openai', '2026-01-01T09:00:00.000Z', 100, 0.5);
+    record('user-1', 'openai', '2026-01-01T18:00:00.000Z', 50, 0.25);
+    record('user-1', 'openai', '2026-01-02T09:00:00.000Z', 10, 0.1);
+    record('user-2', 'groq', '2026-01-01T09:00:00.000Z', 20, null);
+
+    const summary = usageService.summarize();
+
+    expect(summary.currency).toBe('USD');
+    expect(summary.totals).toEqual(expect.objectContaining({ requests: 4, promptTokens: 180, cost: 0.85, unpricedRequests: 1 }));
+    expect(summary.groups[0]).toEqual(expect.objectContaining({
+      userId: 'user-1', providerId: 'openai', day: '2026-01-01', requests: 2, promptTokens: 150, cost: 0.75
+    }));
+    expect(summary.groups).toHaveLength(3);
+
+    const byProvider = usageService.summarize({}, ['provider']);
+    expect(byProvider.groups.map(group => [group.providerId, group.requests])).toEqual([['openai', 3], ['groq', 1]]);
+    expect(byProvider.groups[0].userId).toBeUndefined();
+  });
+});
@@ -0,0 +1,76 @@
+// backend/tests/unit/utils/attachmentUtil.test.js
+const {
+  MAX_IMAGE_BYTES,
+  MAX_TOTAL_IMAGE_BYTES,
+  MAX_IMAGES_PER_REQUEST,
+  parseDataUrl,
+  hasImages,
+  hasLinkedImages,
+  validateMessageContent
+} = require('../../../src/utils/attachmentUtil');
+
+const image = (url) => ({ type: 'image_url', image_url: { url } });
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+describe('Attachment Util', () => {
+  describe('parseDataUrl', () => {
+    it('should split base64 data URLs into mime type and data', () => {
+      expect(parseDataUrl('data:Image/PNG;base64,iVBO\nRw0K')).toEqual({ mimeType: 'image/png', data: 'iVBORw0K' });
+      expect(parseDataUrl('https://example.com/a.png')).toBeNull();
+      expect(parseDataUrl('data:text/plain,hello')).toBeNull();
+    });
+  });
+
+  describe('hasImages', () => {
+    it('should find image parts in any message', () => {
+      expect(hasImages([{ role: 'user', content: 'Hi' }, { role: 'user', content: [{ type: 'text', text: 'Look' }, image(PNG)] }])).toBe(true);
+      expect(hasImages([{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }, { role: 'assistant', content: null }])).toBe(false);
+    });
+  });
+
+  describe('hasLinkedImages', () => {
+    it('should only find images linked by URL', () => {
+      expect(hasLinkedImages([{ role: 'user', content: [image(PNG), image('https://example.com/a.jpg')] }])).toBe(true);
+      expect(hasLinkedImages([{ role: 'user', content: [image(PNG)] }, { role: 'user', content: 'https://example.com/a.jpg' }])).toBe(false);
+    });
+  });
+
+  describe('validateMessageContent', () => {
+    it('should accept string, null and content part messages', () => {
+      expect(validateMessageContent([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: [{ type: 'text', text: 'What is this?' }, image(PNG), image('https://example.com/a.jpg')] },
+        { role: 'assistant', content: null, tool_calls: [] }
+      ])).toBeNull();
+    });
+
+    it('should reject unknown parts and images outside user messages', () => {
+      expect(validateMessageContent({})).toBe('messages must be an array');
+      expect(validateMessageContent([{ role: 'user', content: 42 }])).toMatch(/^messages\[0\]\.content must be/);
+      expect(validateMessageContent([{ role: 'user', content: [{ type: 'file' }] }]))
+        .toBe('messages[0].content[0].type must be "text" or "image_url"');
+      expect(validateMessageContent([{ role: 'user', content: [{ type: 'text', text: 1 }] }]))
+        .toBe('messages[0].content[0].text must be a string');
+      expect(validateMessageContent([{ role: 'assistant', content: [image(PNG)] }]))
+        .toMatch(/only user messages can contain images/);
+    });
+
+    it('should reject unsupported, oversized and too many images', () => {
+      expect(validateMessageContent([{ role: 'user', content: [image('ftp://example.com/a.png')] }]))
+        .toMatch(/must be an http\(s\) URL or a base64 data URL$/);
+      expect(validateMessageContent([{ role: 'user', content: [image('data:image/svg+xml;base64,PHN2Zz4=')] }]))
+        .toMatch(/must be one of image\/png/);
+
+      const oversized = `data:image/jpeg;base64,${'A'.repeat(Math.ceil(MAX_IMAGE_BYTES * 4 / 3) + 4)}`;
+      expect(validateMessageContent([{ role: 'user', content: [image(oversized)] }])).toMatch(/can be at most 5 MB$/);
+
+      const large = `data:image/jpeg;base64,${'A'.repeat(Math.floor(MAX_TOTAL_IMAGE_BYTES * 4 / 3 / 2) + 4)}`;
+      expect(validateMessageContent([{ role: 'user', content: [image(large), image(large)] }]))
+        .toBe('the images in a request can be at most 6 MB together');
+
+      const images = Array.from({ length: MAX_IMAGES_PER_REQUEST + 1 }, () => image(PNG));
+      expect(validateMessageContent([{ role: 'user', content: images }]))
+        .toBe(`a request can contain at most ${MAX_IMAGES_PER_REQUEST} images`);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+// backend/tests/unit/utils/audioUtil.test.js
+const audioUtil = require('../../../src/utils/audioUtil');
+
+describe('audioUtil', () => {
+  const file = (overrides = {}) => ({ originalname: 'blob', mimetype: 'audio/webm;codecs=opus', size: 1024, ...overrides });
+
+  describe('getTranscriptionModel', () => {
+    it('should use the configured Whisper model unless one is given', () => {
+      expect(audioUtil.getTranscriptionModel('groq')).toBe('whisper-large-v3-turbo');
+      expect(audioUtil.getTranscriptionModel('groq', 'whisper-large-v3')).toBe('whisper-large-v3');
+      expect(audioUtil.getTranscriptionModel('openai')).toBe('whisper-1');
+    });
+
+    it('should return null for providers that cannot transcribe', () => {
+      expect(audioUtil.getTranscriptionModel('gemini')).toBeNull();
+      expect(audioUtil.getTranscriptionProviders()).toEqual(['openai', 'groq']);
+    });
+  });
+
+  describe('validateAudioFile', () => {
+    it('should accept audio by mime type or extension', () => {
+      expect(audioUtil.validateAudioFile(file())).toBeNull();
+      expect(audioUtil.validateAudioFile(file({ originalname: 'memo.m4a', mimetype: 'application/octet-stream' }))).toBeNull();
+    });
+
+    it('should reject empty, oversized and non-audio files', () => {
+      expect(audioUtil.validateAudioFile(null)).toBe('file must be a non-empty audio file');
+      expect(audioUtil.validateAudioFile(file({ size: 0 }))).toBe('file must be a non-empty audio file');
+      expect(audioUtil.validateAudioFile(file({ size: audioUtil.MAX_AUDIO_BYTES + 1 }))).toBe('file can be at most 25 MB');
+      expect(audioUtil.validateAudioFile(file({ originalname: 'notes.txt', mimetype: 'text/plain' }))).toMatch(/^file must be one of/);
+    });
+  });
+
+  describe('validateTranscriptionRequest', () => {
+    it('should check the language code and temperature', () => {
+      expect(audioUtil.validateTranscriptionRequest({ language: 'de', temperature: '0.2' })).toBeNull();
+      expect(audioUtil.validateTranscriptionRequest({ language: 'german' })).toMatch(/^language must be/);
+      expect(audioUtil.validateTranscriptionRequest({ temperature: '2' })).toBe('temperature must be a number between 0 and 1');
+    });
+  });
+
+  describe('getAudioFilename', () => {
+    it('should give recordings an extension matching their format', () => {
+      expect(audioUtil.getAudioFilename(file())).toBe('audio.webm');
+      expect(audioUtil.getAudioFilename(file({ mimetype: 'audio/mp4' }))).toBe('audio.m4a');
+      expect(audioUtil.getAudioFilename(file({ originalname: 'memo.wav' }))).toBe('memo.wav');
+    });
+  });
+
+  describe('normalizeTranscriptionResponse', () => {
+    it('should keep the text, language and duration', () => {
+      expect(audioUtil.normalizeTranscriptionResponse({ text: ' Hi ', language: 'english', duration: 1.5, segments: [] }))
+        .toEqual({ text: 'Hi', language: 'english', duration: 1.5 });
+      expect(audioUtil.normalizeTranscriptionResponse('plain text\n')).toEqual({ text: 'plain text' });
+    });
+  });
+
+  describe('getSpeechModel', () => {
+    it('should use the configured speech model unless one is given', () => {
+      expect(audioUtil.getSpeechModel('openai')).toBe('tts-1');
+      expect(audioUtil.getSpeechModel('openai', 'tts-1-hd')).toBe('tts-1-hd');
+      expect(audioUtil.getSpeechModel('groq')).toBeNull();
+      expect(audioUtil.getSpeechProviders()).toEqual(['openai']);
+    });
+  });
+
+  describe('validateSpeechRequest', () => {
+    it('should accept text with optional voice, format and speed', () => {
+      expect(audioUtil.validateSpeechRequest({ input: 'Hello', voice: 'nova', response_format: 'opus', speed: 1.25 })).toBeNull();
+    });
+
+    it('should reject empty or long input and unknown options', () => {
+      expect(audioUtil.validateSpeechRequest({ input: '  ' })).toBe('input must be a non-empty string');
+      expect(audioUtil.validateSpeechRequest({ input: 'a'.repeat(audioUtil.MAX_SPEECH_INPUT_CHARS + 1) }))
+        .toBe('input can be at most 4096 characters');
+      expect(audioUtil.validateSpeechRequest({ input: 'Hi', voice: 'robot' })).toMatch(/^voice must be one of/);
+      expect(audioUtil.validateSpeechRequest({ input: 'Hi', response_format: 'ogg' })).toMatch(/^response_format must be one of/);
+      expect(audioUtil.validateSpeechRequest({ input: 'Hi', speed: 5 })).toBe('speed must be a number between 0.25 and 4');
+    });
+  });
+
+  describe('getSpeechContentType', () => {
+    it('should map each format to its Content-Type', () => {
+      expect(audioUtil.getSpeechContentType()).toBe('audio/mpeg');
+      expect(audioUtil.getSpeechContentType('opus')).toBe('audio/ogg');
+      expect(audioUtil.getSpeechContentType('wav')).toBe('audio/wav');
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// backend/tests/unit/utils/contextUtil.test.js
+const { getModelMetadata, fitMessagesToContext } = require('../../../src/utils/contextUtil');
+
+// 400 characters is 100 tokens plus 4 tokens of message overhead with the openai family
+const text = 'a'.repeat(400);
+
+describe('contextUtil', () => {
+  describe('getModelMetadata', () => {
+    it('should read context windows from providers.json', () => {
+      expect(getModelMetadata('gemini', 'gemini-2.5-pro')).toEqual({
+        contextWindow: 1048576,
+        maxOutputTokens: 65536,
+        tokenizer: 'gemini',
+        vision: true,
+        known: true
+      });
+    });
+
+    it('should fall back to conservative defaults for unknown models', () => {
+      const metadata = getModelMetadata('groq', 'llama-3.1-8b-instant');
+      expect(metadata.known).toBe(false);
+      expect(metadata.contextWindow).toBe(8192);
+      expect(metadata.tokenizer).toBe('llama');
+    });
+  });
+
+  describe('fitMessagesToContext', () => {
+    it('should leave conversations that fit untouched', () => {
+      const messages = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }, { role: 'user', content: 'Bye' }];
+
+      const result = fitMessagesToContext(messages, { contextWindow: 8192, tokenizer: 'openai' });
+
+      expect(result.messages).toBe(messages);
+      expect(result.droppedCount).toBe(0);
+      expect(result.fits).toBe(true);
+    });
+
+    it('should keep a conversation that opens with an assistant message when it fits', () => {
+      const messages = [{ role: 'assistant', content: 'How can I help?' }, { role: 'user', content: 'Hi' }];
+
+      const result = fitMessagesToContext(messages, { contextWindow: 8192, tokenizer: 'openai' });
+
+      expect(result.messages).toBe(messages);
+      expect(result.droppedCount).toBe(0);
+    });
+
+    it('should keep the system prompt and drop the oldest turns', () => {
+      const messages = [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: text },
+        { role: 'assistant', content: text },
+        { role: 'user', content: text },
+        { role: 'assistant', content: text },
+        { role: 'user', content: 'Latest' }
+      ];
+
+      // Room for the system prompt, the latest message and roughly three long turns
+      const result = fitMessagesToContext(messages, { contextWindow: 400, reservedOutputTokens: 50, tokenizer: 'openai' });
+
+      expect(result.messages[0].role).toBe('system');
+      expect(result.messages[1].role).toBe('user');
+      expect(result.messages[result.messages.length - 1].content).toBe('Latest');
+      expect(result.droppedCount).toBe(2);
+    });
+
+    it('should drop tool results together with the tool call they answer', () => {
+      const messages = [
+        { role: 'user', content: text },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: text },
+        { role: 'assistant', content: text },
+        { role: 'user', content: 'Latest' }
+      ];
+
+      const result = fitMessagesToContext(messages, { contextWindow: 200, reservedOutputTokens: 50, tokenizer: 'openai' });
+
+      expect(result.messages.some(message => message.role === 'tool')).toBe(false);
+      expect(result.messages).toEqual([{ role: 'user', content: 'Latest' }]);
+    });
+
+    it('should report when even the latest message does not fit', () => {
+      const result = fitMessagesToContext([{ role: 'user', content: text }], { contextWindow: 100, reservedOutputTokens: 50, tokenizer: 'openai' });
+
+      expect(result.fits).toBe(false);
+      expect(result.messages).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// backend/tests/unit/utils/embeddingUtil.test.js
+const {
+  MAX_EMBEDDING_INPUTS,
+  getEmbeddingModel,
+  validateEmbeddingInput,
+  normalizeEmbeddingResponse
+} = require('../../../src/utils/embeddingUtil');
+
+describe('Embedding Util', () => {
+  describe('getEmbeddingModel', () => {
+    it('should use the configured embedding model unless one is requested', () => {
+      expect(getEmbeddingModel('openai')).toBe('text-embedding-3-small');
+      expect(getEmbeddingModel('openai', 'text-embedding-3-large')).toBe('text-embedding-3-large');
+    });
+
+    it('should return null for providers without embeddings', () => {
+      expect(getEmbeddingModel('groq', 'anything')).toBeNull();
+    });
+  });
+
+  describe('validateEmbeddingInput', () => {
+    it('should accept a string or a batch of strings', () => {
+      expect(validateEmbeddingInput('Hello')).toBeNull();
+      expect(validateEmbeddingInput(['Hello', 'World'])).toBeNull();
+    });
+
+    it('should reject empty, non-string and oversized batches', () => {
+      expect(validateEmbeddingInput([])).toBe('input must contain at least one text');
+      expect(validateEmbeddingInput(['ok', 42])).toMatch(/non-empty string/);
+      expect(validateEmbeddingInput(new Array(MAX_EMBEDDING_INPUTS + 1).fill('a'))).toMatch(/at most/);
+    });
+  });
+
+  describe('normalizeEmbeddingResponse', () => {
+    it('should order vectors by input index and fill in usage', () => {
+      const response = normalizeEmbeddingResponse({
+        data: [
+          { object: 'embedding', index: 1, embedding: [3, 4] },
+          { object: 'embedding', index: 0, embedding: [1, 2] }
+        ],
+        usage: { prompt_tokens: 6 }
+      }, 'text-embedding-3-small');
+
+      expect(response).toEqual({
+        object: 'list',
+        data: [
+          { object: 'embedding', index: 0, embedding: [1, 2] },
+          { object: 'embedding', index: 1, embedding: [3, 4] }
+        ],
+        model: 'text-embedding-3-small',
+        dimensions: 2,
+        usage: { prompt_tokens: 6, total_tokens: 6 }
+      });
+    });
+  });
+});
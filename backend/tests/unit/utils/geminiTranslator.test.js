@@ -0,0 +1,231 @@
+// backend/tests/unit/utils/geminiTranslator.test.js
+const {
+  mapFinishReason,
+  getGenerateContentPath,
+  toGeminiRequest,
+  fromGeminiResponse,
+  toGeminiToolConfig,
+  toGeminiEmbeddingRequest,
+  fromGeminiEmbeddingResponse
+} = require('../../../src/utils/geminiTranslator');
+
+describe('Gemini Translator', () => {
+  describe('getGenerateContentPath', () => {
+    it('should build model-scoped paths for regular and streaming calls', () => {
+      expect(getGenerateContentPath('gemini-2.5-flash')).toBe('/models/gemini-2.5-flash:generateContent');
+      expect(getGenerateContentPath('models/gemini-2.5-pro', true))
+        .toBe('/models/gemini-2.5-pro:streamGenerateContent?alt=sse');
+    });
+  });
+
+  describe('toGeminiRequest', () => {
+    it('should map system, user, assistant and tool messages', () => {
+      const request = toGeminiRequest({
+        model: 'gemini-2.5-flash',
+        messages: [
+          { role: 'system', content: 'Be brief.' },
+          { role: 'user', content: 'Weather in Paris?' },
+          {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+            }]
+          },
+          { role: 'tool', tool_call_id: 'call_1', content: '{"temp":21}' },
+          { role: 'user', content: [{ type: 'text', text: 'And tomorrow?' }] }
+        ],
+        temperature: 0.2,
+        max_tokens: 256,
+        top_p: 0.9,
+        stop: 'END'
+      });
+
+      expect(request).toEqual({
+        systemInstruction: { parts: [{ text: 'Be brief.' }] },
+        contents: [
+          { role: 'user', parts: [{ text: 'Weather in Paris?' }] },
+          { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          {
+            role: 'user',
+            parts: [
+              { functionResponse: { name: 'get_weather', response: { temp: 21 } } },
+              { text: 'And tomorrow?' }
+            ]
+          }
+        ],
+        generationConfig: {
+          temperature: 0.2,
+          maxOutputTokens: 256,
+          topP: 0.9,
+          stopSequences: ['END']
+        }
+      });
+    });
+
+    it('should translate image attachments into inlineData parts', () => {
+      const request = toGeminiRequest({
+        messages: [{
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+            { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,/9j/4AAQ' } }
+          ]
+        }]
+      });
+
+      expect(request.contents).toEqual([{
+        role: 'user',
+        parts: [
+          { text: 'Compare these' },
+          { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } },
+          { inlineData: { mimeType: 'image/jpeg', data: '/9j/4AAQ' } }
+        ]
+      }]);
+    });
+
+    it('should translate tools into functionDeclarations and tool_choice into toolConfig', () => {
+      const request = toGeminiRequest({
+        messages: [{ role: 'user', content: 'Weather in Paris?' }],
+        tools: [
+          {
+            type: 'function',
+            function: {
+              name: 'get_weather',
+              description: 'Get the weather for a city',
+              parameters: {
+                type: 'object',
+                additionalProperties: false,
+                properties: { city: { type: 'string', default: 'Paris' } },
+                required: ['city']
+              }
+            }
+          },
+          { type: 'function', function: { name: 'get_time', parameters: { type: 'object', properties: {} } } }
+        ],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } }
+      });
+
+      expect(request.tools).toEqual([{
+        functionDeclarations: [
+          {
+            name: 'get_weather',
+            description: 'Get the weather for a city',
+            parameters: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+          },
+          { name: 'get_time' }
+        ]
+      }]);
+      expect(request.toolConfig).toEqual({
+        functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['get_weather'] }
+      });
+    });
+
+    it('should map string tool_choice values to function calling modes', () => {
+      expect(toGeminiToolConfig('auto')).toEqual({ functionCallingConfig: { mode: 'AUTO' } });
+      expect(toGeminiToolConfig('none')).toEqual({ functionCallingConfig: { mode: 'NONE' } });
+      expect(toGeminiToolConfig('required')).toEqual({ functionCallingConfig: { mode: 'ANY' } });
+      expect(toGeminiToolConfig(undefined)).toBeUndefined();
+    });
+
+    it('should omit generationConfig and systemInstruction when not needed', () => {
+      expect(toGeminiRequest({ messages: [{ role: 'user', content: 'Hi' }] })).toEqual({
+        contents: [{ role: 'user', parts: [{ text: 'Hi' }] }]
+      });
+    });
+  });
+
+  describe('fromGeminiResponse', () => {
+    it('should map candidates, finish reasons and usage metadata', () => {
+      const response = fromGeminiResponse({
+        responseId: 'abc',
+        modelVersion: 'gemini-2.5-flash',
+        candidates: [{
+          index: 0,
+          content: { role: 'model', parts: [{ text: 'thinking', thought: true }, { text: 'Hello' }, { text: ' there' }] },
+          finishReason: 'MAX_TOKENS'
+        }],
+        usageMetadata: { promptTokenCount: 4, candidatesTokenCount: 2, thoughtsTokenCount: 3, totalTokenCount: 9 }
+      }, 'gemini-2.5-flash');
+
+      expect(response).toMatchObject({
+        id: 'gemini-abc',
+        object: 'chat.completion',
+        model: 'gemini-2.5-flash',
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hello there' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 4, completion_tokens: 5, total_tokens: 9 }
+      });
+    });
+
+    it('should return function calls as normalized tool_calls', () => {
+      const response = fromGeminiResponse({
+        candidates: [{
+          content: { role: 'model', parts: [{ functionCall: { name: 'get_weather', args: { city: 'Paris' } } }] },
+          finishReason: 'STOP'
+        }]
+      }, 'gemini-2.5-flash');
+
+      expect(response.choices[0]).toEqual({
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: expect.stringMatching(/^call_/),
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{"city":"Paris"}' }
+          }]
+        },
+        finish_reason: 'tool_calls'
+      });
+    });
+
+    it('should report blocked prompts as content_filter', () => {
+      const response = fromGeminiResponse({ promptFeedback: { blockReason: 'SAFETY' } }, 'gemini-2.5-pro');
+
+      expect(response.model).toBe('gemini-2.5-pro');
+      expect(response.choices).toEqual([
+        { index: 0, message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' }
+      ]);
+    });
+  });
+
+  describe('mapFinishReason', () => {
+    it('should map Gemini finish reasons to OpenAI values', () => {
+      expect(mapFinishReason('STOP')).toBe('stop');
+      expect(mapFinishReason('SAFETY')).toBe('content_filter');
+      expect(mapFinishReason(undefined)).toBeNull();
+    });
+  });
+
+  describe('embeddings', () => {
+    it('should build one batchEmbedContents request per input text', () => {
+      const request = toGeminiEmbeddingRequest({
+        model: 'gemini-embedding-001',
+        input: ['first', 'second'],
+        dimensions: 768
+      });
+
+      expect(request).toEqual({
+        requests: [
+          { model: 'models/gemini-embedding-001', content: { parts: [{ text: 'first' }] }, outputDimensionality: 768 },
+          { model: 'models/gemini-embedding-001', content: { parts: [{ text: 'second' }] }, outputDimensionality: 768 }
+        ]
+      });
+    });
+
+    it('should translate embedding values into an OpenAI embeddings list', () => {
+      const response = fromGeminiEmbeddingResponse({ embeddings: [{ values: [0.5, -0.5] }] }, 'gemini-embedding-001');
+
+      expect(response).toEqual({
+        object: 'list',
+        data: [{ object: 'embedding', index: 0, embedding: [0.5, -0.5] }],
+        model: 'gemini-embedding-001',
+        usage: { prompt_tokens: 0, total_tokens: 0 }
+      });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// backend/tests/unit/utils/imageUtil.test.js
+const {
+  getImageModel,
+  validateImageRequest,
+  normalizeImageResponse
+} = require('../../../src/utils/imageUtil');
+
+describe('Image Util', () => {
+  describe('getImageModel', () => {
+    it('should use the configured image model unless one is requested', () => {
+      expect(getImageModel('openai')).toBe('dall-e-3');
+      expect(getImageModel('openai', 'gpt-image-1')).toBe('gpt-image-1');
+      expect(getImageModel('groq')).toBeNull();
+    });
+  });
+
+  describe('validateImageRequest', () => {
+    it('should accept a prompt with optional count and size', () => {
+      expect(validateImageRequest({ prompt: 'A lighthouse' })).toBeNull();
+      expect(validateImageRequest({ prompt: 'A lighthouse', n: 2, size: '1024x1024' })).toBeNull();
+    });
+
+    it('should reject invalid prompts, counts, sizes and formats', () => {
+      expect(validateImageRequest({ prompt: ' ' })).toBe('prompt must be a non-empty string');
+      expect(validateImageRequest({ prompt: 'x', n: 10 })).toMatch(/^n must be/);
+      expect(validateImageRequest({ prompt: 'x', size: '10x10' })).toMatch(/^size must be/);
+      expect(validateImageRequest({ prompt: 'x', response_format: 'jpeg' })).toMatch(/^response_format/);
+    });
+  });
+
+  describe('normalizeImageResponse', () => {
+    it('should keep url and base64 images and add a mime type', () => {
+      const response = normalizeImageResponse({
+        created: 1700000000,
+        data: [
+          { url: 'https://example.com/a.png', revised_prompt: 'A tall lighthouse' },
+          { b64_json: 'aW1hZ2U=' },
+          {}
+        ]
+      });
+
+      expect(response).toEqual({
+        created: 1700000000,
+        data: [
+          { url: 'https://example.com/a.png', mime_type: 'image/png', revised_prompt: 'A tall lighthouse' },
+          { b64_json: 'aW1hZ2U=', mime_type: 'image/png' }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+// backend/tests/unit/utils/multipartUtil.test.js
+const { getBoundary, parseMultipart } = require('../../../src/utils/multipartUtil');
+
+describe('multipartUtil', () => {
+  const boundary = '----formboundary42';
+
+  function multipartBody(parts) {
+    const chunks = parts.map(part => Buffer.concat([
+      Buffer.from(`--${boundary}\r\n${part.headers.join('\r\n')}\r\n\r\n`),
+      Buffer.isBuffer(part.content) ? part.content : Buffer.from(part.content),
+      Buffer.from('\r\n')
+    ]));
+    return Buffer.concat([...chunks, Buffer.from(`--${boundary}--\r\n`)]);
+  }
+
+  describe('getBoundary', () => {
+    it('should read plain and quoted boundaries', () => {
+      expect(getBoundary(`multipart/form-data; boundary=${boundary}`)).toBe(boundary);
+      expect(getBoundary('multipart/form-data; boundary="a b"; charset=utf-8')).toBe('a b');
+    });
+
+    it('should return null for other content types', () => {
+      expect(getBoundary('application/json')).toBeNull();
+      expect(getBoundary(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseMultipart', () => {
+    it('should split text fields and binary files', () => {
+      const audio = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x0d, 0x0a, 0x2d, 0x2d, 0x00]);
+      const body = multipartBody([
+        { headers: ['Content-Disposition: form-data; name="providerId"'], content: 'groq' },
+        { headers: ['Content-Disposition: form-data; name="prompt"'], content: 'Line one\r\nLine two' },
+        { headers: ['Content-Disposition: form-data; name="file"; filename="note.webm"', 'Content-Type: audio/webm'], content: audio }
+      ]);
+
+      const { fields, files } = parseMultipart(body, boundary);
+
+      expect(fields).toEqual({ providerId: 'groq', prompt: 'Line one\r\nLine two' });
+      expect(files).toHaveLength(1);
+      expect(files[0]).toEqual(expect.objectContaining({
+        fieldName: 'file',
+        originalname: 'note.webm',
+        mimetype: 'audio/webm',
+        size: audio.length
+      }));
+      expect(files[0].buffer.equals(audio)).toBe(true);
+    });
+
+    it('should reject bodies that do not match the boundary', () => {
+      expect(() => parseMultipart(Buffer.from('not multipart'), boundary)).toThrow('does not contain its boundary');
+      expect(() => parseMultipart(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="a"\r\n\r\nno end`), boundary))
+        .toThrow('ends before its closing boundary');
+    });
+  });
+});
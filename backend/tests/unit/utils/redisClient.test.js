@@ -0,0 +1,38 @@
+// backend/tests/unit/utils/redisClient.test.js
+const { RedisClient, encodeCommand, parseReply } = require('../../../src/utils/redisClient');
+
+describe('Redis client', () => {
+  it('should encode commands as arrays of bulk strings', () => {
+    expect(encodeCommand(['ZADD', 'key', 1700000000000, 'é'])).toBe(
+      '*4\r\n$4\r\nZADD\r\n$3\r\nkey\r\n$13\r\n1700000000000\r\n$2\r\né\r\n'
+    );
+  });
+
+  it('should parse nested replies and wait for incomplete ones', () => {
+    const reply = Buffer.from('*3\r\n:2\r\n$-1\r\n*2\r\n$1\r\na\r\n-ERR wrong type\r\n+OK\r\n');
+
+    const parsed = parseReply(reply);
+    expect(parsed.value[0]).toBe(2);
+    expect(parsed.value[1]).toBeNull();
+    expect(parsed.value[2][0]).toBe('a');
+    expect(parsed.value[2][1]).toEqual(expect.objectContaining({ message: 'ERR wrong type', redisError: true }));
+    expect(parseReply(reply, parsed.offset).value).toBe('OK');
+
+    expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    expect(parseReply(Buffer.from('*2\r\n:1\r\n'))).toBeNull();
+  });
+
+  it('should fail waiting commands and drop the connection on a reply it cannot parse', async () => {
+    const client = new RedisClient();
+    const socket = { write: jest.fn(), destroy: jest.fn() };
+    client.socket = socket;
+    const [first, second] = client.sendCommands([['GET', 'a'], ['GET', 'b']]);
+
+    client.onData(Buffer.from('?garbage\r\n'));
+
+    await expect(first).rejects.toThrow('Unexpected Redis reply type: ?');
+    await expect(second).rejects.toThrow('Unexpected Redis reply type: ?');
+    expect(socket.destroy).toHaveBeenCalled();
+    expect(client.socket).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+// backend/tests/unit/utils/streamUtil.test.js
+const { PassThrough } = require('stream');
+const {
+  createSSEParser,
+  normalizeStreamChunk,
+  readStreamBody
+} = require('../../../src/utils/streamUtil');
+
+describe('Stream Utilities', () => {
+  describe('createSSEParser', () => {
+    it('should emit events split across multiple chunks', () => {
+      const events = [];
+      const parse = createSSEParser(event => events.push(event));
+
+      parse('data: {"a":');
+      parse('1}\n\n: keep-alive comment\n\ndata: [DONE]\n\n');
+
+      expect(events).toEqual([
+        { event: 'message', data: '{"a":1}' },
+        { event: 'message', data: '[DONE]' }
+      ]);
+    });
+
+    it('should handle CRLF line endings and named events', () => {
+      const events = [];
+      const parse = createSSEParser(event => events.push(event));
+
+      parse(Buffer.from('event: error\r\ndata: {"error":"boom"}\r\n\r\n'));
+
+      expect(events).toEqual([{ event: 'error', data: '{"error":"boom"}' }]);
+    });
+
+    it('should decode characters whose bytes are split across chunks', () => {
+      const events = [];
+      const parse = createSSEParser(event => events.push(event));
+      const bytes = Buffer.from('data: café 🚀\n\n');
+      const accent = bytes.indexOf(0xc3) + 1; // Between the two bytes of "é"
+      const emoji = bytes.indexOf(0xf0) + 2; // In the middle of the emoji
+
+      parse(bytes.slice(0, accent));
+      parse(bytes.slice(accent, emoji));
+      parse(bytes.slice(emoji));
+
+      expect(events).toEqual([{ event: 'message', data: 'café 🚀' }]);
+    });
+  });
+
+  describe('readStreamBody', () => {
+    it('should decode characters whose bytes are split across chunks', async () => {
+      const stream = new PassThrough();
+      const bytes = Buffer.from('{"error":"límite"}');
+      const split = bytes.indexOf(0xc3) + 1;
+
+      const body = readStreamBody(stream);
+      stream.write(bytes.slice(0, split));
+      stream.end(bytes.slice(split));
+
+      expect(await body).toEqual({ error: 'límite' });
+    });
+  });
+
+  describe('normalizeStreamChunk', () => {
+    const context = { id: 'chatcmpl-test', created: 1700000000, model: 'test-model' };
+
+    it('should pass through OpenAI-style deltas', () => {
+      const chunk = normalizeStreamChunk('groq', {
+        id: 'abc',
+        created: 1,
+        model: 'openai/gpt-oss-120b',
+        choices: [{ index: 0, delta: { content: 'Hi' }, finish_reason: null }],
+        x_groq: { usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 } }
+      }, context);
+
+      expect(chunk).toEqual({
+        id: 'abc',
+        object: 'chat.completion.chunk',
+        created: 1,
+        model: 'openai/gpt-oss-120b',
+        choices: [{ index: 0, delta: { content: 'Hi' }, finish_reason: null }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+      });
+    });
+
+    it('should convert Gemini candidates to OpenAI-style deltas', () => {
+      const chunk = normalizeStreamChunk('gemini', {
+        candidates: [{ content: { parts: [{ text: 'Hel' }, { text: 'lo' }] }, finishReason: 'MAX_TOKENS' }]
+      }, context);
+
+      expect(chunk).toEqual({
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        created: 1700000000,
+        model: 'test-model',
+        choices: [{ index: 0, delta: { role: 'assistant', content: 'Hello' }, finish_reason: 'length' }]
+      });
+    });
+
+    it('should emit Gemini function calls as tool call deltas', () => {
+      const streamContext = { ...context };
+      const chunk = normalizeStreamChunk('gemini', {
+        candidates: [{ content: { parts: [{ functionCall: { name: 'get_time', args: {} } }] }, finishReason: 'STOP' }]
+      }, streamContext);
+
+      expect(chunk.choices[0].delta.tool_calls).toEqual([{
+        index: 0,
+        id: expect.stringMatching(/^call_/),
+        type: 'function',
+        function: { name: 'get_time', arguments: '{}' }
+      }]);
+      expect(chunk.choices[0].finish_reason).toBe('tool_calls');
+    });
+
+    it('should return null for payloads without choices or usage', () => {
+      expect(normalizeStreamChunk('openai', { id: 'x', choices: [] }, context)).toBeNull();
+      expect(normalizeStreamChunk('openai', null, context)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+// backend/tests/unit/utils/tokenEstimator.test.js
+const {
+  getTokenizerFamily,
+  estimateTextTokens,
+  estimateMessageTokens,
+  estimateMessagesTokens
+} = require('../../../src/utils/tokenEstimator');
+
+describe('tokenEstimator', () => {
+  it('should guess the tokenizer family from the model name', () => {
+    expect(getTokenizerFamily('o4-mini')).toBe('openai');
+    expect(getTokenizerFamily('openai/gpt-oss-120b')).toBe('openai');
+    expect(getTokenizerFamily('gemini-2.5-flash')).toBe('gemini');
+    expect(getTokenizerFamily('qwen/qwen3-32b')).toBe('qwen');
+    expect(getTokenizerFamily('llama-3.1-8b-instant')).toBe('llama');
+    expect(getTokenizerFamily('z-ai/glm-4.5-air:free')).toBe('glm');
+    expect(getTokenizerFamily('something-else')).toBe('default');
+  });
+
+  it('should estimate about four characters per token for English text', () => {
+    expect(estimateTextTokens('a'.repeat(400), 'openai')).toBe(100);
+    expect(estimateTextTokens('', 'openai')).toBe(0);
+  });
+
+  it('should count CJK characters separately', () => {
+    expect(estimateTextTokens('你好世界', 'openai')).toBe(4);
+    expect(estimateTextTokens('你好世界', 'qwen')).toBeLessThan(4);
+  });
+
+  it('should count content parts, tool calls and per-message overhead', () => {
+    const withImage = estimateMessageTokens({
+      role: 'user',
+      content: [
+        { type: 'text', text: 'a'.repeat(40) },
+        { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }
+      ]
+    }, 'openai');
+    expect(withImage).toBe(4 + 10 + 765);
+
+    const toolCall = estimateMessageTokens({
+      role: 'assistant',
+      content: null,
+      tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"weather"}' } }]
+    }, 'openai');
+    expect(toolCall).toBeGreaterThan(4);
+  });
+
+  it('should add the prompt overhead once for a message list', () => {
+    const messages = [{ role: 'user', content: 'a'.repeat(40) }];
+    expect(estimateMessagesTokens(messages, 'openai')).toBe(3 + 4 + 10);
+  });
+});
@@ -0,0 +1,83 @@
+// backend/tests/unit/utils/toolUtil.test.js
+const {
+  upgradeLegacyFunctions,
+  validateTools,
+  normalizeChatCompletion
+} = require('../../../src/utils/toolUtil');
+
+const weatherTool = {
+  type: 'function',
+  function: {
+    name: 'get_weather',
+    parameters: { type: 'object', properties: { city: { type: 'string' } } }
+  }
+};
+
+describe('Tool Util', () => {
+  describe('upgradeLegacyFunctions', () => {
+    it('should convert functions and function_call to tools and tool_choice', () => {
+      const upgraded = upgradeLegacyFunctions({
+        temperature: 0.2,
+        functions: [weatherTool.function],
+        function_call: { name: 'get_weather' }
+      });
+
+      expect(upgraded).toEqual({
+        temperature: 0.2,
+        tools: [weatherTool],
+        tool_choice: { type: 'function', function: { name: 'get_weather' } }
+      });
+    });
+  });
+
+  describe('validateTools', () => {
+    it('should accept valid tools and tool_choice values', () => {
+      expect(validateTools(undefined, undefined)).toBeNull();
+      expect(validateTools([weatherTool], 'auto')).toBeNull();
+      expect(validateTools([weatherTool], { type: 'function', function: { name: 'get_weather' } })).toBeNull();
+    });
+
+    it('should reject malformed tools', () => {
+      expect(validateTools({}, undefined)).toBe('tools must be an array');
+      expect(validateTools([{ type: 'retrieval' }])).toMatch(/type "function"/);
+      expect(validateTools([{ type: 'function', function: { name: 'bad name!' } }])).toMatch(/Invalid tool name/);
+    });
+
+    it('should reject tool_choice values that do not match the tools', () => {
+      expect(validateTools(undefined, 'required')).toBe('tool_choice requires tools');
+      expect(validateTools([weatherTool], 'sometimes')).toMatch(/Invalid tool_choice/);
+      expect(validateTools([weatherTool], { type: 'function', function: { name: 'other' } })).toMatch(/unknown tool/);
+    });
+  });
+
+  describe('normalizeChatCompletion', () => {
+    it('should give every tool call an id, a type and string arguments', () => {
+      const response = normalizeChatCompletion({
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: null, tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Oslo' } } }] },
+          finish_reason: 'stop'
+        }]
+      });
+
+      expect(response.choices[0]).toEqual({
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: expect.stringMatching(/^call_/),
+            type: 'function',
+            function: { name: 'get_weather', arguments: '{"city":"Oslo"}' }
+          }]
+        },
+        finish_reason: 'tool_calls'
+      });
+    });
+
+    it('should leave plain responses untouched', () => {
+      const response = { choices: [{ index: 0, message: { role: 'assistant', content: 'Hi' }, finish_reason: 'stop' }] };
+      expect(normalizeChatCompletion(response)).toEqual(response);
+    });
+  });
+});
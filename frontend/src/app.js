@@ -3,10 +3,20 @@
 import ProviderSelector from './components/ProviderSelector/index.js';
 import ModelSelector from './components/ModelSelector/index.js';
 import ChatInterface from './components/ChatInterface/index.js';
+import AuthPanel from './components/AuthPanel/index.js';
+import ProviderConfiguration from './components/providers/ProviderConfiguration/index.js';
+import UsageDashboard from './components/UsageDashboard/index.js';
+import BudgetManager from './components/BudgetManager/index.js';
 
 // Also import services to register them in the app context
 import ProviderService from './services/api/providerService.js';
 import ModelService from './services/api/modelService.js';
+import apiClient from './services/apiClient.js';
+import toolRegistry from './services/tools/toolRegistry.js';
+import authService from './services/auth/authService.js';
+import conversationService from './services/conversationService.js';
+import messageBuilder from './services/chat/messageBuilder.js';
+import attachmentBuilder from './services/chat/attachmentBuilder.js';
 
 // Initialize the application when DOM is loaded
 // Global state for tracking current provider and model
@@ -37,6 +47,67 @@ document.addEventListener('DOMContentLoaded', async () => {
       throw new Error('Missing chat interface container element with ID "chat-interface-container"');
     }
 
+    // Restore the signed-in user; chat requests need an access token
+    await authService.init();
+
+    // Signed-in users manage their own API keys in the configuration panel;
+    // task assignment, usage and budgets stay with developers/administrators.
+    // Each component is created the first time it is shown and refreshed after that.
+    const updateConfigurationPanel = () => {
+      const configurationPanel = document.getElementById('configuration-panel');
+      if (configurationPanel) {
+        configurationPanel.style.display = authService.isAuthenticated() ? '' : 'none';
+      }
+
+      const taskAssignmentContainer = document.getElementById('task-assignment-container');
+      if (taskAssignmentContainer) {
+        taskAssignmentContainer.style.display = authService.isDeveloper() ? '' : 'none';
+      }
+
+      const adminComponents = [
+        ['usage-dashboard-container', 'usageDashboard', UsageDashboard],
+        ['budget-manager-container', 'budgetManager', BudgetManager]
+      ];
+      adminComponents.forEach(([containerId, globalName, Component]) => {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        container.style.display = authService.isDeveloper() ? '' : 'none';
+        if (!authService.isDeveloper()) {
+          // Leave no admin data behind after signing out
+          container.innerHTML = '';
+        } else if (window[globalName]) {
+          window[globalName].refresh();
+        } else {
+          window[globalName] = new Component(containerId);
+        }
+      });
+
+      if (window.providerConfiguration) {
+        window.providerConfiguration.refresh();
+      } else if (authService.isAuthenticated() && document.getElementById('provider-configuration-container')) {
+        window.providerConfiguration = new ProviderConfiguration('provider-configuration-container');
+      }
+    };
+    updateConfigurationPanel();
+
+    if (document.getElementById('auth-container')) {
+      window.authPanel = new AuthPanel('auth-container', {
+        onAuthChange: (user) => {
+          updateConfigurationPanel();
+
+          // Conversations belong to the signed-in user
+          conversationService.reset();
+          if (window.chatInterface) {
+            window.chatInterface.clearHistory();
+            if (user) {
+              window.chatInterface.restoreConversation();
+            }
+          }
+        }
+      });
+    }
+
     // Initialize provider selector component
     const providerSelector = new ProviderSelector('provider-selector-container', {
       displayType: 'dropdown', // Use dropdown UI
@@ -151,7 +222,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize the chat interface
     const chatInterface = new ChatInterface('chat-interface-container', {
-      onSendMessage: async (message) => {
+      onSendMessage: async (message, selectedProviderId, selectedModelId, { signal, attachments = [] } = {}) => {
         // Use the global state variables for provider and model
         const providerId = currentProviderId || 'groq';
         const modelId = currentModelId || 'openai/gpt-oss-120b';
@@ -161,45 +232,72 @@ document.addEventListener('DOMContentLoaded', async () => {
           throw new Error('No provider selected. Please select a provider before sending a message.');
         }
 
+        if (!authService.isAuthenticated()) {
+          throw new Error('Please sign in before sending a message.');
+        }
+
+        // Images only go to models that can read them; text files work with any model
+        attachmentBuilder.checkModelSupport(attachments, providerId, modelId);
+
         console.log('Sending message:', message, 'to provider:', providerId, 'with model:', modelId);
 
-        try {
-          // Make a call to the backend proxy
-          const response = await fetch('http://localhost:3000/api/proxy/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              // Include authentication token if available
-              'Authorization': `Bearer ${localStorage.getItem('access_token') || 'anon'}`
-            },
-            body: JSON.stringify({
-              providerId: providerId,
-              model: modelId,
-              messages: [
-                { role: 'user', content: message }
-              ]
-            })
-          });
-
-          if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`Chat API error: ${response.status} - ${errorData.error || 'Unknown error'}`);
-          }
+        // Send the earlier turns too so the assistant remembers the conversation;
+        // the backend drops the oldest turns when they would not fit the model's context window
+        const { messages } = messageBuilder.buildMessages(
+          [...conversationService.getCurrentMessages(), { role: 'user', content: attachmentBuilder.buildContent(message, attachments) }]
+        );
+
+        const request = {
+          providerId: providerId,
+          model: modelId,
+          messages
+        };
+
+        // With tools registered, tool calls are executed locally and the results
+        // sent back until the model answers with text
+        if (toolRegistry.hasTools()) {
+          return toolRegistry.streamConversation(request, apiClient.streamChatCompletion.bind(apiClient), { signal });
+        }
 
-          const data = await response.json();
+        // Stream the reply through the backend proxy; the chat interface renders
+        // tokens as they arrive and aborts the request through the signal
+        return apiClient.streamChatCompletion(request, { signal });
+      },
+      onGenerateImage: async (prompt) => {
+        const { default: providerRouterService } = await import('./services/ProviderRouterService.js');
+        const assignment = await providerRouterService.getAssignedProvider('image');
+
+        // Use the provider assigned to the image task, or the selected provider
+        if (assignment.providerId) {
+          return providerRouterService.routeRequest('image', { prompt });
+        }
 
-          // Return the assistant's response
-          const botMessage = data.choices && data.choices[0] && data.choices[0].message
-            ? data.choices[0].message.content
-            : data.choices && data.choices[0] && data.choices[0].text  // For some providers that return text directly
-            ? data.choices[0].text
-            : 'Sorry, I could not generate a response.';
+        if (!currentProviderId) {
+          throw new Error('No provider selected. Assign a provider to the Image Generation task or select one.');
+        }
+        return apiClient.createImage({ providerId: currentProviderId, prompt });
+      },
+      onTranscribeAudio: async (audio, { language } = {}) => {
+        if (!authService.isAuthenticated()) {
+          throw new Error('Please sign in before using voice input.');
+        }
 
-          return botMessage;
-        } catch (error) {
-          console.error('Error getting chat response:', error);
-          return 'Sorry, I encountered an error processing your request. Please try again.';
+        // Only providers with a Whisper model can transcribe; fall back to Groq otherwise
+        const providers = await ProviderService.getAvailableProviders();
+        const current = providers.find(provider => provider.id === currentProviderId);
+        const providerId = current && (current.capabilities || []).includes('transcription') ? currentProviderId : 'groq';
+        const result = await apiClient.processVoiceToText(audio, { providerId, language });
+        return result.text;
+      },
+      onSynthesizeSpeech: async (text) => {
+        const { default: providerRouterService } = await import('./services/ProviderRouterService.js');
+        const assignment = await providerRouterService.getAssignedProvider('tts');
+
+        // Without a Text to Speech assignment the browser's own voices read replies
+        if (!assignment.providerId || !authService.isAuthenticated()) {
+          return null;
         }
+        return providerRouterService.routeRequest('tts', { input: text });
       }
     });
 
@@ -208,6 +306,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.modelSelector = modelSelector;
     window.chatInterface = chatInterface;  // Set only once
 
+    // Conversations are stored on the backend, so a reload picks up where the user left off
+    if (authService.isAuthenticated()) {
+      chatInterface.restoreConversation();
+    }
+
     // Voice functionality is now integrated directly in the ChatInterface component
     // No separate initialization needed as it's handled within the component itself
     console.log('Voice functionality integrated directly in ChatInterface component');
@@ -0,0 +1,141 @@
+// frontend/src/components/AuthPanel/index.js
+/**
+ * AuthPanel Component
+ * Lets users sign in, create an account and sign out through the backend auth endpoints
+ */
+import authService from '../../services/auth/authService.js';
+
+class AuthPanel {
+  constructor(containerId, options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+    this.options = {
+      onAuthChange: options.onAuthChange || null, // Called with the user (or null) after sign in/out
+      ...options
+    };
+
+    this.mode = 'login'; // 'login' or 'register'
+    this.error = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) {
+      console.error(`Container with ID ${this.containerId} not found`);
+      return;
+    }
+
+    this.render();
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    const user = authService.getCurrentUser();
+
+    if (user) {
+      // Signed in: show who and a sign out button
+      const wrapper = document.createElement('div');
+      wrapper.className = 'auth-panel auth-panel-signed-in';
+
+      const label = document.createElement('span');
+      label.className = 'auth-user';
+      label.textContent = `Signed in as ${user.username}`;
+      label.style.marginRight = '0.5rem';
+
+      const logoutButton = document.createElement('button');
+      logoutButton.className = 'auth-logout-button';
+      logoutButton.textContent = 'Sign out';
+      logoutButton.addEventListener('click', () => this.handleLogout());
+
+      wrapper.appendChild(label);
+      wrapper.appendChild(logoutButton);
+      this.container.appendChild(wrapper);
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.className = 'auth-panel auth-panel-form';
+    form.style.display = 'flex';
+    form.style.gap = '0.5rem';
+    form.style.alignItems = 'center';
+
+    const usernameInput = document.createElement('input');
+    usernameInput.type = 'text';
+    usernameInput.name = 'username';
+    usernameInput.placeholder = 'Username';
+    usernameInput.autocomplete = 'username';
+    usernameInput.required = true;
+
+    const passwordInput = document.createElement('input');
+    passwordInput.type = 'password';
+    passwordInput.name = 'password';
+    passwordInput.placeholder = 'Password';
+    passwordInput.autocomplete = this.mode === 'login' ? 'current-password' : 'new-password';
+    passwordInput.required = true;
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.textContent = this.mode === 'login' ? 'Sign in' : 'Create account';
+
+    const switchLink = document.createElement('a');
+    switchLink.href = '#';
+    switchLink.className = 'auth-switch-mode';
+    switchLink.textContent = this.mode === 'login' ? 'Create an account' : 'I already have an account';
+    switchLink.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.mode = this.mode === 'login' ? 'register' : 'login';
+      this.error = null;
+      this.render();
+    });
+
+    form.appendChild(usernameInput);
+    form.appendChild(passwordInput);
+    form.appendChild(submitButton);
+    form.appendChild(switchLink);
+
+    if (this.error) {
+      const errorElement = document.createElement('span');
+      errorElement.className = 'auth-error';
+      errorElement.textContent = this.error;
+      errorElement.style.color = '#dc3545';
+      form.appendChild(errorElement);
+    }
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit(usernameInput.value.trim(), passwordInput.value, submitButton);
+    });
+
+    this.container.appendChild(form);
+  }
+
+  async handleSubmit(username, password, submitButton) {
+    submitButton.disabled = true;
+
+    const result = this.mode === 'login'
+      ? await authService.authenticate(username, password)
+      : await authService.register(username, password);
+
+    this.error = result.success ? null : result.message;
+    this.render();
+
+    if (result.success && this.options.onAuthChange) {
+      this.options.onAuthChange(result.user);
+    }
+  }
+
+  async handleLogout() {
+    await authService.logout();
+    this.mode = 'login';
+    this.render();
+
+    if (this.options.onAuthChange) {
+      this.options.onAuthChange(null);
+    }
+  }
+}
+
+export default AuthPanel;
@@ -0,0 +1,243 @@
+// frontend/src/components/BudgetManager/index.js
+/**
+ * BudgetManager Component
+ * Lets developers/administrators set monthly token or spending budgets per
+ * user and per provider, and see how much of each is used
+ */
+import budgetService from '../../services/api/budgetService.js';
+
+class BudgetManager {
+  constructor(containerId, options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+    this.options = {
+      currency: options.currency || 'USD', // Currency of the backend price table
+      ...options
+    };
+
+    this.budgets = [];
+    this.error = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) {
+      console.error(`Container with ID ${this.containerId} not found`);
+      return;
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Reload the budgets and redraw
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      this.budgets = await budgetService.getBudgets();
+      this.error = null;
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+      this.error = error.message;
+    }
+    this.render();
+  }
+
+  /**
+   * Format a budget amount
+   * @param {Object} budget - Budget with its metric
+   * @param {number} amount - Tokens or money
+   * @returns {string} Formatted amount
+   */
+  formatAmount(budget, amount) {
+    if (budget.metric === 'cost') {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: this.options.currency, maximumFractionDigits: 4 }).format(amount);
+    }
+    return `${amount.toLocaleString()} tokens`;
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'budget-manager';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Monthly Budgets';
+    wrapper.appendChild(title);
+
+    if (this.error) {
+      const errorElement = document.createElement('div');
+      errorElement.className = 'budget-error';
+      errorElement.textContent = this.error;
+      errorElement.style.color = '#dc3545';
+      wrapper.appendChild(errorElement);
+    }
+
+    wrapper.appendChild(this.renderBudgets());
+    wrapper.appendChild(this.renderForm());
+
+    this.container.appendChild(wrapper);
+  }
+
+  /**
+   * Build the table of budgets
+   * @returns {HTMLElement} The table, or a note when there are no budgets
+   */
+  renderBudgets() {
+    if (this.budgets.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'help-text';
+      empty.textContent = 'No budgets yet. Requests are not limited by spending.';
+      return empty;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'budget-table';
+
+    const headerRow = document.createElement('tr');
+    ['User', 'Provider', 'Limit', 'Used', 'Remaining', 'When used up', 'Resets', ''].forEach(label => {
+      const th = document.createElement('th');
+      th.textContent = label;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    this.budgets.forEach(budget => {
+      const row = document.createElement('tr');
+      if (budget.exhausted) {
+        row.className = 'budget-exhausted';
+      }
+
+      const onExhausted = budget.onExhausted === 'downgrade'
+        ? `Downgrade${budget.downgradeModel ? ` to ${budget.downgradeModel}` : ''}` +
+          (budget.hardLimit !== null ? `, reject at ${this.formatAmount(budget, budget.hardLimit)}` : ', no hard limit')
+        : 'Reject';
+      [
+        budget.userId || 'All users',
+        budget.providerId || 'All providers',
+        this.formatAmount(budget, budget.limit),
+        this.formatAmount(budget, budget.used),
+        this.formatAmount(budget, budget.remaining),
+        onExhausted,
+        new Date(budget.resetAt).toLocaleDateString()
+      ].forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        row.appendChild(td);
+      });
+
+      const actions = document.createElement('td');
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'budget-delete-button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => this.handleDelete(budget.id));
+      actions.appendChild(deleteButton);
+      row.appendChild(actions);
+
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    return table;
+  }
+
+  /**
+   * Build the form for adding a budget
+   * @returns {HTMLElement} The form
+   */
+  renderForm() {
+    const form = document.createElement('form');
+    form.className = 'budget-form';
+    form.style.display = 'flex';
+    form.style.flexWrap = 'wrap';
+    form.style.gap = '0.5rem';
+    form.style.alignItems = 'center';
+    form.style.marginTop = '1rem';
+
+    const createInput = (name, placeholder, type = 'text') => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.name = name;
+      input.placeholder = placeholder;
+      return input;
+    };
+    const createSelect = (name, options) => {
+      const select = document.createElement('select');
+      select.name = name;
+      options.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      return select;
+    };
+
+    const userInput = createInput('userId', 'User ID (empty for all users)');
+    const providerInput = createInput('providerId', 'Provider ID (empty for all providers)');
+    const metricSelect = createSelect('metric', [['tokens', 'Tokens'], ['cost', `Cost (${this.options.currency})`]]);
+    const limitInput = createInput('limit', 'Monthly limit', 'number');
+    limitInput.min = '0';
+    limitInput.step = 'any';
+    limitInput.required = true;
+    const actionSelect = createSelect('onExhausted', [['reject', 'Reject requests'], ['downgrade', 'Downgrade to a cheaper model']]);
+    const downgradeInput = createInput('downgradeModel', 'Cheaper model (optional)');
+    const hardLimitInput = createInput('hardLimit', 'Reject downgraded requests at (optional)', 'number');
+    hardLimitInput.min = '0';
+    hardLimitInput.step = 'any';
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.textContent = 'Add budget';
+
+    [userInput, providerInput, metricSelect, limitInput, actionSelect, downgradeInput, hardLimitInput, submitButton]
+      .forEach(element => form.appendChild(element));
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleCreate({
+        userId: userInput.value.trim() || undefined,
+        providerId: providerInput.value.trim() || undefined,
+        metric: metricSelect.value,
+        limit: parseFloat(limitInput.value),
+        onExhausted: actionSelect.value,
+        downgradeModel: downgradeInput.value.trim() || undefined,
+        hardLimit: actionSelect.value === 'downgrade' && hardLimitInput.value ? parseFloat(hardLimitInput.value) : undefined
+      });
+    });
+
+    return form;
+  }
+
+  async handleCreate(budget) {
+    try {
+      await budgetService.createBudget(budget);
+      await this.refresh();
+    } catch (error) {
+      console.error('Error creating budget:', error);
+      this.error = error.message;
+      this.render();
+    }
+  }
+
+  async handleDelete(id) {
+    try {
+      await budgetService.deleteBudget(id);
+      await this.refresh();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      this.error = error.message;
+      this.render();
+    }
+  }
+}
+
+export default BudgetManager;
@@ -0,0 +1,54 @@
+// frontend/src/components/ChatInterface/__tests__/ChatInterface.test.js
+import ChatInterface from '../index';
+import conversationService from '../../../services/conversationService';
+
+describe('Chat Interface', () => {
+  let chat;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="chat-interface-container"></div>';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(conversationService, 'addUserMessage').mockImplementation(() => {});
+    jest.spyOn(conversationService, 'addAssistantMessage').mockImplementation(() => {});
+    chat = new ChatInterface('chat-interface-container');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Yields the tokens, then fails the way fetch does when the request is aborted
+  async function* tokens(values, { abort = false } = {}) {
+    yield* values;
+    if (abort) {
+      const error = new Error('The user aborted a request.');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  it('should store and speak a completed reply', async () => {
+    chat.voiceOutputEnabled = true;
+    const speak = jest.spyOn(chat, 'speakMessage').mockImplementation(() => {});
+
+    await chat.renderStreamedResponse('Hi', tokens(['Hello', ' there']));
+
+    expect(conversationService.addUserMessage).toHaveBeenCalledWith('Hi');
+    expect(conversationService.addAssistantMessage).toHaveBeenCalledWith('Hello there');
+    expect(speak).toHaveBeenCalledWith('Hello there', expect.anything());
+  });
+
+  it('should keep a stopped reply on screen without storing or speaking it', async () => {
+    chat.voiceOutputEnabled = true;
+    const speak = jest.spyOn(chat, 'speakMessage').mockImplementation(() => {});
+
+    await chat.renderStreamedResponse('Tell me a story', tokens(['Once upon'], { abort: true }));
+
+    const bubble = document.querySelector('.message-stopped');
+    expect(bubble.querySelector('.message-content').textContent).toBe('Once upon');
+    expect(conversationService.addUserMessage).not.toHaveBeenCalled();
+    expect(conversationService.addAssistantMessage).not.toHaveBeenCalled();
+    expect(speak).not.toHaveBeenCalled();
+  });
+});
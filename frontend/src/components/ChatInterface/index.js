@@ -3,6 +3,35 @@
  * Chat Interface Component
  * Provides the main chat interface for interacting with AI providers
  */
+import conversationService from '../../services/conversationService.js';
+import messageBuilder from '../../services/chat/messageBuilder.js';
+import errorHandler from '../../services/errorHandler.js';
+import preferenceService from '../../services/preferenceService.js';
+import languageDetector from '../../services/voice/languageDetector.js';
+import attachmentBuilder from '../../services/chat/attachmentBuilder.js';
+
+// Languages offered in the voice settings; the user's own choice is added when missing
+const VOICE_LANGUAGES = [
+  { code: 'en-US', name: 'English (US)' },
+  { code: 'en-GB', name: 'English (UK)' },
+  { code: 'es-ES', name: 'Español' },
+  { code: 'fr-FR', name: 'Français' },
+  { code: 'de-DE', name: 'Deutsch' },
+  { code: 'it-IT', name: 'Italiano' },
+  { code: 'pt-BR', name: 'Português (Brasil)' },
+  { code: 'nl-NL', name: 'Nederlands' },
+  { code: 'ru-RU', name: 'Русский' },
+  { code: 'ja-JP', name: '日本語' },
+  { code: 'ko-KR', name: '한국어' },
+  { code: 'zh-CN', name: '中文 (简体)' },
+  { code: 'ar-SA', name: 'العربية' },
+  { code: 'hi-IN', name: 'हिन्दी' }
+];
+
+// Primary language of a BCP 47 tag, e.g. 'pt-BR' -> 'pt'
+function getBaseLanguage(tag) {
+  return String(tag || '').split(/[-_]/)[0].toLowerCase();
+}
 
 class ChatInterface {
   constructor(containerId, options = {}) {
@@ -10,6 +39,10 @@ class ChatInterface {
     this.container = document.getElementById(containerId);
     this.options = {
       onSendMessage: options.onSendMessage || null,
+      onGenerateImage: options.onGenerateImage || null, // Handles "/image <prompt>" messages
+      onTranscribeAudio: options.onTranscribeAudio || null, // Turns recorded audio into text when SpeechRecognition is missing
+      onSynthesizeSpeech: options.onSynthesizeSpeech || null, // Turns reply text into an audio Blob, or null to use browser synthesis
+      conversation: options.conversation || {}, // { wakePhrase, stopPhrase, silenceTimeoutMs } for conversation mode
       onProviderChange: options.onProviderChange || null,
       ...options
     };
@@ -17,6 +50,10 @@ class ChatInterface {
     this.chatHistory = [];
     this.currentProviderId = null;
     this.currentModelId = null;
+    this.abortController = null; // Set while a streamed response is in flight
+    this.messageAudio = new WeakMap(); // Maps message elements to the object URL of their spoken audio
+    this.audioPlayer = null; // Audio element playing provider speech
+    this.attachments = []; // Files attached to the next message (see attachmentBuilder.readFile)
 
     this.init();
   }
@@ -85,12 +122,46 @@ class ChatInterface {
     voiceInputButton.style.cursor = 'pointer';
     voiceInputButton.style.fontSize = '1rem';
 
+    // Create attach button and the hidden file picker it opens
+    const attachButton = document.createElement('button');
+    attachButton.id = 'attach-button';
+    attachButton.className = 'attach-button';
+    attachButton.title = 'Attach images or text files';
+    attachButton.textContent = '📎';
+    attachButton.style.padding = '0.5rem';
+    attachButton.style.marginRight = '0.5rem';
+    attachButton.style.backgroundColor = '#6c757d';
+    attachButton.style.color = 'white';
+    attachButton.style.border = 'none';
+    attachButton.style.borderRadius = '4px';
+    attachButton.style.cursor = 'pointer';
+    attachButton.style.fontSize = '1rem';
+
+    const attachmentInput = document.createElement('input');
+    attachmentInput.type = 'file';
+    attachmentInput.id = 'attachment-input';
+    attachmentInput.multiple = true;
+    attachmentInput.accept = attachmentBuilder.getAcceptedTypes();
+    attachmentInput.style.display = 'none';
+
+    // Create list of files waiting to be sent (shown only when there are some)
+    const attachmentList = document.createElement('div');
+    attachmentList.id = 'attachment-list';
+    attachmentList.className = 'attachment-list';
+    attachmentList.style.display = 'none';
+    attachmentList.style.flexWrap = 'wrap';
+    attachmentList.style.gap = '0.5rem';
+    attachmentList.style.padding = '0.5rem 1rem 0';
+    attachmentList.style.backgroundColor = 'white';
+    attachmentList.style.borderTop = '1px solid #dee2e6';
+
     // Create message input
     const messageInput = document.createElement('input');
     messageInput.type = 'text';
     messageInput.id = 'message-input';
     messageInput.className = 'message-input';
     messageInput.placeholder = 'Type or speak your message here...';
+    messageInput.title = 'Start a message with /image to generate an image';
     messageInput.style.flex = '1';
     messageInput.style.padding = '0.5rem';
     messageInput.style.border = '1px solid #ced4da';
@@ -109,6 +180,20 @@ class ChatInterface {
     sendButton.style.borderRadius = '4px';
     sendButton.style.cursor = 'pointer';
 
+    // Create stop button (shown only while a response is streaming)
+    const stopButton = document.createElement('button');
+    stopButton.id = 'stop-button';
+    stopButton.className = 'stop-button';
+    stopButton.textContent = 'Stop';
+    stopButton.title = 'Stop generating';
+    stopButton.style.display = 'none';
+    stopButton.style.padding = '0.5rem 1rem';
+    stopButton.style.backgroundColor = '#dc3545';
+    stopButton.style.color = 'white';
+    stopButton.style.border = 'none';
+    stopButton.style.borderRadius = '4px';
+    stopButton.style.cursor = 'pointer';
+
     // Create voice output button
     const voiceOutputButton = document.createElement('button');
     voiceOutputButton.id = 'voice-output-btn';  // Use the expected ID
@@ -124,14 +209,80 @@ class ChatInterface {
     voiceOutputButton.style.cursor = 'pointer';
     voiceOutputButton.style.fontSize = '1rem';
 
+    // Create conversation mode button (hands-free listen -> reply -> listen loop)
+    const conversationButton = document.createElement('button');
+    conversationButton.id = 'conversation-mode-btn';
+    conversationButton.className = 'conversation-mode-button';
+    conversationButton.title = 'Start hands-free conversation';
+    conversationButton.textContent = '🗣️';
+    conversationButton.style.padding = '0.5rem';
+    conversationButton.style.marginLeft = '0.5rem';
+    conversationButton.style.backgroundColor = '#6c757d';
+    conversationButton.style.color = 'white';
+    conversationButton.style.border = 'none';
+    conversationButton.style.borderRadius = '4px';
+    conversationButton.style.cursor = 'pointer';
+    conversationButton.style.fontSize = '1rem';
+
+    // Create conversation state indicator (shown only in conversation mode)
+    const voiceModeIndicator = document.createElement('span');
+    voiceModeIndicator.id = 'voice-mode-indicator';
+    voiceModeIndicator.className = 'voice-mode-indicator';
+    voiceModeIndicator.setAttribute('role', 'status');
+    voiceModeIndicator.setAttribute('aria-live', 'polite');
+    voiceModeIndicator.style.display = 'none';
+    voiceModeIndicator.style.alignSelf = 'center';
+    voiceModeIndicator.style.marginLeft = '0.5rem';
+    voiceModeIndicator.style.padding = '0.25rem 0.5rem';
+    voiceModeIndicator.style.borderRadius = '4px';
+    voiceModeIndicator.style.color = 'white';
+    voiceModeIndicator.style.fontSize = '0.8rem';
+    voiceModeIndicator.style.whiteSpace = 'nowrap';
+
+    // Create voice settings button (language, voice, rate, pitch, volume)
+    const voiceSettingsButton = document.createElement('button');
+    voiceSettingsButton.id = 'voice-settings-btn';
+    voiceSettingsButton.className = 'voice-settings-button';
+    voiceSettingsButton.title = 'Voice settings';
+    voiceSettingsButton.textContent = '⚙️';
+    voiceSettingsButton.style.padding = '0.5rem';
+    voiceSettingsButton.style.marginLeft = '0.5rem';
+    voiceSettingsButton.style.backgroundColor = '#6c757d';
+    voiceSettingsButton.style.color = 'white';
+    voiceSettingsButton.style.border = 'none';
+    voiceSettingsButton.style.borderRadius = '4px';
+    voiceSettingsButton.style.cursor = 'pointer';
+    voiceSettingsButton.style.fontSize = '1rem';
+
+    // Create voice settings panel (filled in when opened)
+    const voiceSettingsPanel = document.createElement('div');
+    voiceSettingsPanel.id = 'voice-settings-panel';
+    voiceSettingsPanel.className = 'voice-settings-panel';
+    voiceSettingsPanel.style.display = 'none';
+    voiceSettingsPanel.style.padding = '0.75rem 1rem';
+    voiceSettingsPanel.style.backgroundColor = 'white';
+    voiceSettingsPanel.style.borderTop = '1px solid #dee2e6';
+    voiceSettingsPanel.style.flexWrap = 'wrap';
+    voiceSettingsPanel.style.gap = '0.75rem';
+    voiceSettingsPanel.style.alignItems = 'center';
+    voiceSettingsPanel.style.fontSize = '0.85rem';
+
     // Add elements to input area
     inputArea.appendChild(voiceInputButton);
+    inputArea.appendChild(attachButton);
+    inputArea.appendChild(attachmentInput);
     inputArea.appendChild(messageInput);
     inputArea.appendChild(sendButton);
+    inputArea.appendChild(stopButton);
     inputArea.appendChild(voiceOutputButton);
+    inputArea.appendChild(conversationButton);
+    inputArea.appendChild(voiceSettingsButton);
+    inputArea.appendChild(voiceModeIndicator);
 
     // Add all elements to chat wrapper
     chatWrapper.appendChild(chatHistoryContainer);
+    chatWrapper.appendChild(voiceSettingsPanel);
+    chatWrapper.appendChild(attachmentList);
     chatWrapper.appendChild(inputArea);
 
     // Add to container
@@ -141,6 +292,7 @@ class ChatInterface {
   attachEventListeners() {
     const messageInput = this.container.querySelector('#message-input');
     const sendButton = this.container.querySelector('#send-button');
+    const stopButton = this.container.querySelector('#stop-button');
     // Use the IDs that match the voice components expectation
     const voiceInputButton = this.container.querySelector('#voice-input-btn');
     const voiceOutputButton = this.container.querySelector('#voice-output-btn');
@@ -165,6 +317,13 @@ class ChatInterface {
       });
     }
 
+    // Abort the in-flight streamed response
+    if (stopButton) {
+      stopButton.addEventListener('click', () => {
+        this.stopStreaming();
+      });
+    }
+
     // Send message when pressing Enter in the input (only if element exists)
     if (messageInput) {
       messageInput.addEventListener('keypress', (e) => {
@@ -201,6 +360,32 @@ class ChatInterface {
       // Initial button state update
       this.updateVoiceOutputButtonState();
     }
+
+    const conversationButton = this.container.querySelector('#conversation-mode-btn');
+    if (conversationButton) {
+      conversationButton.addEventListener('click', () => {
+        this.toggleConversationMode();
+      });
+    }
+
+    const voiceSettingsButton = this.container.querySelector('#voice-settings-btn');
+    if (voiceSettingsButton) {
+      voiceSettingsButton.addEventListener('click', () => {
+        this.toggleVoiceSettings();
+      });
+    }
+
+    const attachButton = this.container.querySelector('#attach-button');
+    const attachmentInput = this.container.querySelector('#attachment-input');
+    if (attachButton && attachmentInput) {
+      attachButton.addEventListener('click', () => {
+        attachmentInput.click();
+      });
+      attachmentInput.addEventListener('change', async () => {
+        await this.addAttachments(Array.from(attachmentInput.files || []));
+        attachmentInput.value = ''; // Allow picking the same file again
+      });
+    }
   }
 
   async handleSendMessage() {
@@ -213,7 +398,8 @@ class ChatInterface {
     }
 
     const message = messageInput.value.trim();
-    if (!message) {
+    const attachments = this.attachments;
+    if (!message && attachments.length === 0) {
       return; // Don't send empty messages
     }
 
@@ -223,25 +409,63 @@ class ChatInterface {
     sendButton.textContent = 'Sending...';
 
     try {
+      // "/system <prompt>" sets the system prompt sent with every request
+      const systemPrompt = this.getSystemPromptCommand(message);
+      if (systemPrompt !== null) {
+        messageInput.value = '';
+        messageBuilder.setSystemPrompt(systemPrompt);
+        this.addSystemMessage(systemPrompt ? `System prompt set: ${systemPrompt}` : 'System prompt removed');
+        return;
+      }
+
+      const imagePrompt = this.getImagePrompt(message);
+      const generatesImage = imagePrompt !== null && this.options.onGenerateImage;
+
+      // Refuse images the selected model cannot read while the message and its files are still in the input
+      if (!generatesImage && this.currentProviderId && this.currentModelId) {
+        attachmentBuilder.checkModelSupport(attachments, this.currentProviderId, this.currentModelId);
+      }
+
       // Add user message to UI
-      this.addMessageToUI('user', message);
+      this.addMessageToUI('user', message, { attachments: generatesImage ? [] : attachments });
 
       // Clear input
       messageInput.value = '';
 
-      // Send to backend API via callback
-      if (this.options.onSendMessage) {
+      if (generatesImage) {
+        // "/image <prompt>" generates images instead of a chat reply
+        const result = await this.options.onGenerateImage(imagePrompt);
+        const images = (result && result.data) || [];
+        if (images.length === 0) {
+          throw new Error('No image was returned');
+        }
+        this.addImagesToUI(images, imagePrompt);
+        this.saveExchange(message, `[Generated ${images.length} image${images.length === 1 ? '' : 's'} for: ${imagePrompt}]`);
+      } else if (this.options.onSendMessage) {
+        // Send to backend API via callback
         // Use the current provider and model from component state if available
         const providerId = this.currentProviderId;
         const modelId = this.currentModelId;
 
         console.log(`Sending message using provider: ${providerId}, model: ${modelId}`);
 
-        const response = await this.options.onSendMessage(message, providerId, modelId);
-
-        // Add AI response to UI
-        if (response) {
+        // The files go with this message only; the history keeps their names
+        this.clearAttachments();
+        const storedMessage = attachmentBuilder.describe(message, attachments);
+
+        this.abortController = new AbortController();
+        const response = await this.options.onSendMessage(message, providerId, modelId, {
+          signal: this.abortController.signal,
+          attachments
+        });
+
+        if (response && typeof response[Symbol.asyncIterator] === 'function') {
+          // Streamed response: render tokens into a live message bubble
+          await this.renderStreamedResponse(storedMessage, response);
+        } else if (response) {
+          // Add AI response to UI
           this.addMessageToUI('assistant', response);
+          this.saveExchange(storedMessage, response);
         }
       } else {
         // Fallback response if no callback provided
@@ -250,9 +474,17 @@ class ChatInterface {
     } catch (error) {
       console.error('Error sending message:', error);
 
-      // Add error message to UI
-      this.addMessageToUI('assistant', `Error: ${error.message || 'Failed to send message'}`);
+      // Add error message to UI; an exhausted budget explains what is left and when it resets
+      if (errorHandler.determineErrorType(error) === errorHandler.errorTypes.QUOTA_EXCEEDED && error.quota) {
+        const guidance = errorHandler.formatUserError(error);
+        this.addMessageToUI('assistant', `${guidance.title}: ${guidance.message} ${guidance.userAction}`);
+      } else {
+        this.addMessageToUI('assistant', `Error: ${error.message || 'Failed to send message'}`);
+      }
     } finally {
+      this.abortController = null;
+      this.setStreamingState(false);
+
       // Re-enable input
       messageInput.disabled = false;
       sendButton.disabled = false;
@@ -260,7 +492,196 @@ class ChatInterface {
     }
   }
 
-  addMessageToUI(sender, content) {
+  // Append streamed tokens to a live assistant bubble until the stream ends or is stopped
+  async renderStreamedResponse(userMessage, tokenStream) {
+    const messageElement = this.addMessageToUI('assistant', '', { speak: false });
+    const contentElement = messageElement ? messageElement.querySelector('.message-content') : null;
+    const chatHistoryContainer = this.container.querySelector('#chat-history');
+    let text = '';
+    let stopped = false;
+
+    this.setStreamingState(true);
+
+    try {
+      for await (const token of tokenStream) {
+        text += token;
+        if (contentElement) {
+          contentElement.textContent = text;
+        }
+        if (chatHistoryContainer) {
+          chatHistoryContainer.scrollTop = chatHistoryContainer.scrollHeight;
+        }
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        // Keep whatever arrived before the failure, then surface the error
+        if (!text && messageElement) {
+          messageElement.remove();
+        }
+        throw error;
+      }
+      stopped = true;
+    }
+
+    if (!text) {
+      if (contentElement) {
+        contentElement.textContent = stopped ? '(stopped)' : 'Sorry, I could not generate a response.';
+      }
+      return;
+    }
+
+    // A stopped reply stays on screen but is neither stored nor spoken
+    if (stopped) {
+      if (messageElement) {
+        messageElement.classList.add('message-stopped');
+        messageElement.title = 'Response stopped before completion';
+      }
+      return;
+    }
+
+    this.saveExchange(userMessage, text);
+    if (this.voiceOutputEnabled) {
+      this.speakMessage(text, messageElement);
+    }
+  }
+
+  // Return the prompt of an "/image <prompt>" message, or null for ordinary messages
+  getImagePrompt(message) {
+    const match = message.match(/^\/image\s+([\s\S]+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  // Return the prompt of a "/system <prompt>" message ('' for a bare "/system"), or null for ordinary messages
+  getSystemPromptCommand(message) {
+    const match = message.match(/^\/system(?:\s+([\s\S]*))?$/i);
+    return match ? (match[1] || '').trim() : null;
+  }
+
+  // Build a displayable source for a generated image (remote URL or base64 data)
+  getImageSource(image) {
+    if (image.url) {
+      return image.url;
+    }
+    return `data:${image.mime_type || 'image/png'};base64,${image.b64_json}`;
+  }
+
+  // Render generated images inline in an assistant message, each with a download button
+  addImagesToUI(images, prompt) {
+    const messageElement = this.addMessageToUI('assistant', `Generated image${images.length === 1 ? '' : 's'} for: ${prompt}`, { speak: false });
+    if (!messageElement) return;
+
+    messageElement.classList.add('image-message');
+
+    images.forEach((image, index) => {
+      const figure = document.createElement('figure');
+      figure.className = 'generated-image';
+      figure.style.margin = '0.5rem 0 0';
+
+      const img = document.createElement('img');
+      img.src = this.getImageSource(image);
+      img.alt = image.revised_prompt || prompt;
+      img.style.maxWidth = '100%';
+      img.style.borderRadius = '4px';
+      img.style.display = 'block';
+      img.addEventListener('load', () => {
+        const chatHistoryContainer = this.container.querySelector('#chat-history');
+        if (chatHistoryContainer) {
+          chatHistoryContainer.scrollTop = chatHistoryContainer.scrollHeight;
+        }
+      });
+
+      const downloadButton = document.createElement('button');
+      downloadButton.className = 'image-download-button';
+      downloadButton.textContent = 'Download';
+      downloadButton.style.marginTop = '0.25rem';
+      downloadButton.style.padding = '0.25rem 0.5rem';
+      downloadButton.style.backgroundColor = '#6c757d';
+      downloadButton.style.color = 'white';
+      downloadButton.style.border = 'none';
+      downloadButton.style.borderRadius = '4px';
+      downloadButton.style.cursor = 'pointer';
+      downloadButton.addEventListener('click', () => {
+        this.downloadImage(image, `generated-image-${Date.now()}-${index + 1}`);
+      });
+
+      figure.appendChild(img);
+      figure.appendChild(downloadButton);
+
+      if (image.revised_prompt) {
+        const caption = document.createElement('figcaption');
+        caption.textContent = image.revised_prompt;
+        caption.style.fontSize = '0.8rem';
+        caption.style.color = '#6c757d';
+        figure.appendChild(caption);
+      }
+
+      messageElement.appendChild(figure);
+    });
+  }
+
+  // Save a generated image. Remote URLs are fetched first because browsers
+  // ignore the download attribute on cross-origin links.
+  async downloadImage(image, baseName) {
+    const extension = (image.mime_type || 'image/png').split('/')[1] || 'png';
+    let href = this.getImageSource(image);
+    let objectUrl = null;
+
+    if (image.url) {
+      try {
+        const response = await fetch(image.url);
+        objectUrl = URL.createObjectURL(await response.blob());
+        href = objectUrl;
+      } catch (error) {
+        // The image host does not allow cross-origin reads; open it instead
+        console.warn('Could not fetch image for download, opening it instead:', error);
+        window.open(image.url, '_blank', 'noopener');
+        return;
+      }
+    }
+
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = `${baseName}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    if (objectUrl) {
+      URL.revokeObjectURL(objectUrl);
+    }
+  }
+
+  // Record a completed user/assistant exchange in the conversation store
+  saveExchange(userMessage, assistantMessage) {
+    try {
+      conversationService.addUserMessage(userMessage);
+      conversationService.addAssistantMessage(assistantMessage);
+    } catch (error) {
+      console.error('Error saving conversation messages:', error);
+    }
+  }
+
+  // Abort the response that is currently streaming, if any
+  stopStreaming() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  // Toggle between the Send and Stop buttons while a response streams
+  setStreamingState(isStreaming) {
+    const sendButton = this.container.querySelector('#send-button');
+    const stopButton = this.container.querySelector('#stop-button');
+
+    if (sendButton) {
+      sendButton.style.display = isStreaming ? 'none' : '';
+    }
+    if (stopButton) {
+      stopButton.style.display = isStreaming ? '' : 'none';
+    }
+  }
+
+  addMessageToUI(sender, content, options = {}) {
     const chatHistoryContainer = this.container.querySelector('#chat-history');
     if (!chatHistoryContainer) {
       console.error('Chat history container not found');
@@ -327,6 +748,50 @@ class ChatInterface {
     messageElement.appendChild(senderLabel);
     messageElement.appendChild(contentElement);
 
+    // Show what was attached: images as thumbnails, other files by name
+    (options.attachments || []).forEach(attachment => {
+      if (attachment.kind === 'image') {
+        const img = document.createElement('img');
+        img.className = 'message-attachment';
+        img.src = attachment.dataUrl;
+        img.alt = attachment.name;
+        img.title = attachment.name;
+        img.style.maxWidth = '200px';
+        img.style.maxHeight = '200px';
+        img.style.marginTop = '0.25rem';
+        img.style.borderRadius = '4px';
+        img.style.display = 'block';
+        messageElement.appendChild(img);
+      } else {
+        const file = document.createElement('div');
+        file.className = 'message-attachment';
+        file.textContent = `📄 ${attachment.name}`;
+        file.style.marginTop = '0.25rem';
+        file.style.fontSize = '0.85rem';
+        messageElement.appendChild(file);
+      }
+    });
+
+    // Assistant replies can be played again on demand
+    if (sender === 'assistant' || sender === 'bot') {
+      const replayButton = document.createElement('button');
+      replayButton.className = 'message-replay-button';
+      replayButton.textContent = '▶';
+      replayButton.title = 'Play this message';
+      replayButton.style.marginTop = '0.25rem';
+      replayButton.style.padding = '0.1rem 0.4rem';
+      replayButton.style.backgroundColor = 'transparent';
+      replayButton.style.color = '#6c757d';
+      replayButton.style.border = '1px solid #adb5bd';
+      replayButton.style.borderRadius = '4px';
+      replayButton.style.cursor = 'pointer';
+      replayButton.style.fontSize = '0.75rem';
+      replayButton.addEventListener('click', () => {
+        this.playMessageAudio(contentElement.textContent, messageElement);
+      });
+      messageElement.appendChild(replayButton);
+    }
+
     // Add to chat history
     chatHistoryContainer.appendChild(messageElement);
 
@@ -334,11 +799,90 @@ class ChatInterface {
     chatHistoryContainer.scrollTop = chatHistoryContainer.scrollHeight;
 
     // If it's a bot message and voice output is enabled, speak it
-    if ((sender === 'bot' || sender === 'assistant') && this.voiceOutputEnabled) {
+    if ((sender === 'bot' || sender === 'assistant') && this.voiceOutputEnabled && options.speak !== false) {
       setTimeout(() => {
-        this.speakMessage(content);
+        this.speakMessage(content, messageElement);
       }, 300); // Small delay to allow message to render before speaking
     }
+
+    return messageElement;
+  }
+
+  // Read picked files into attachments for the next message; files that cannot be
+  // read or would not fit in the request are reported and skipped
+  async addAttachments(files) {
+    for (const file of files) {
+      try {
+        const attachment = await attachmentBuilder.readFile(file);
+        attachmentBuilder.checkLimits([...this.attachments, attachment]);
+        this.attachments.push(attachment);
+      } catch (error) {
+        this.addSystemMessage(error.message);
+      }
+    }
+    this.renderAttachments();
+  }
+
+  removeAttachment(index) {
+    this.attachments.splice(index, 1);
+    this.renderAttachments();
+  }
+
+  clearAttachments() {
+    this.attachments = [];
+    this.renderAttachments();
+  }
+
+  // Show the files waiting to be sent, each with a button to remove it
+  renderAttachments() {
+    const attachmentList = this.container.querySelector('#attachment-list');
+    if (!attachmentList) {
+      return;
+    }
+
+    attachmentList.innerHTML = '';
+    attachmentList.style.display = this.attachments.length > 0 ? 'flex' : 'none';
+
+    this.attachments.forEach((attachment, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'attachment-chip';
+      chip.title = `${attachment.name} (${attachmentBuilder.formatSize(attachment.size)})`;
+      chip.style.display = 'inline-flex';
+      chip.style.alignItems = 'center';
+      chip.style.gap = '0.25rem';
+      chip.style.padding = '0.25rem 0.5rem';
+      chip.style.backgroundColor = '#e9ecef';
+      chip.style.borderRadius = '4px';
+      chip.style.fontSize = '0.8rem';
+
+      if (attachment.kind === 'image') {
+        const thumbnail = document.createElement('img');
+        thumbnail.src = attachment.dataUrl;
+        thumbnail.alt = '';
+        thumbnail.style.width = '24px';
+        thumbnail.style.height = '24px';
+        thumbnail.style.objectFit = 'cover';
+        thumbnail.style.borderRadius = '2px';
+        chip.appendChild(thumbnail);
+      } else {
+        chip.appendChild(document.createTextNode('📄'));
+      }
+      chip.appendChild(document.createTextNode(attachment.name));
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'attachment-remove-button';
+      removeButton.textContent = '×';
+      removeButton.title = `Remove ${attachment.name}`;
+      removeButton.style.border = 'none';
+      removeButton.style.background = 'transparent';
+      removeButton.style.cursor = 'pointer';
+      removeButton.addEventListener('click', () => {
+        this.removeAttachment(index);
+      });
+      chip.appendChild(removeButton);
+
+      attachmentList.appendChild(chip);
+    });
   }
 
   // Method to set the current provider (called when provider changes)
@@ -377,6 +921,24 @@ class ChatInterface {
     this.chatHistory = [];
   }
 
+  // Show the signed-in user's most recent conversation after a page load
+  async restoreConversation() {
+    try {
+      const conversations = await conversationService.loadConversations();
+      if (conversations.length === 0) {
+        return;
+      }
+
+      const conversation = await conversationService.loadConversation(conversations[0].id);
+      this.clearHistory();
+      conversation.messages.forEach(message => {
+        this.addMessageToUI(message.role, message.content, { speak: false });
+      });
+    } catch (error) {
+      console.error('Error restoring conversation:', error);
+    }
+  }
+
   // Method to add a system message to the chat
   addSystemMessage(content) {
     this.addMessageToUI('system', content);
@@ -390,10 +952,16 @@ class ChatInterface {
       this.recognition = new SpeechRecognition();
       this.recognition.continuous = false;
       this.recognition.interimResults = false;
-      this.recognition.lang = 'en-US';
+      this.recognition.lang = this.getVoiceSettings().language;
 
       this.recognition.onresult = (event) => {
-        const transcript = event.results[0][0].transcript;
+        // The newest result; in conversation mode recognition is continuous
+        const transcript = event.results[event.resultIndex][0].transcript;
+        if (this.conversationState) {
+          this.handleConversationTranscript(transcript);
+          return;
+        }
+
         const messageInput = this.container.querySelector('#message-input');
         if (messageInput) {
           messageInput.value = transcript;
@@ -410,6 +978,16 @@ class ChatInterface {
       };
 
       this.recognition.onerror = (event) => {
+        if (this.conversationState) {
+          // Silence and our own restarts are expected; anything else ends the mode
+          if (event.error === 'not-allowed' || event.error === 'service-not-allowed' || event.error === 'audio-capture') {
+            this.stopConversationMode('Conversation mode needs access to the microphone.');
+          } else if (event.error !== 'no-speech' && event.error !== 'aborted') {
+            console.error('Speech recognition error', event.error);
+          }
+          return;
+        }
+
         console.error('Speech recognition error', event.error);
         this.isListening = false;
         this.updateVoiceButtonState(); // Update button state to reflect stopped listening
@@ -424,10 +1002,28 @@ class ChatInterface {
       this.recognition.onend = () => {
         this.isListening = false;
         this.updateVoiceButtonState(); // Update button state when stopped
+
+        // Recognition stops on its own now and then; keep listening while the
+        // conversation waits for the user (or for a barge-in while speaking)
+        if (this.conversationState && this.conversationState !== 'thinking') {
+          setTimeout(() => this.listenForConversation(), 250);
+        }
+      };
+
+      this.recognition.onspeechstart = () => {
+        if (this.conversationState) {
+          this.handleConversationSpeechStart();
+        }
       };
     } else {
-      console.warn('Speech recognition not supported in this browser');
       this.recognition = null;
+      // Without native recognition (e.g. Firefox), record audio and have the
+      // backend transcribe it
+      this.canRecordAudio = !!(this.options.onTranscribeAudio && window.MediaRecorder &&
+        navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+      if (!this.canRecordAudio) {
+        console.warn('Speech recognition not supported in this browser');
+      }
     }
 
     // Initialize speech synthesis (if supported)
@@ -438,7 +1034,8 @@ class ChatInterface {
       if (this.synthesis.getVoices().length === 0) {
         // Some browsers need to wait for voices to be loaded
         this.synthesis.onvoiceschanged = () => {
-          // Voices are loaded, no additional action needed here
+          // Voices are loaded; offer them in the settings if they are open
+          this.renderVoiceSettings();
         };
       }
     } else {
@@ -447,7 +1044,12 @@ class ChatInterface {
     }
 
     this.isListening = false;
+    this.isTranscribing = false;
+    this.mediaRecorder = null;
     this.isSpeaking = false;
+    this.speechId = 0; // Identifies the latest playback so stale end events are ignored
+    this.conversationState = null; // null, or 'listening', 'standby', 'thinking' or 'speaking' in conversation mode
+    this.silenceTimer = null;
     this.voiceOutputEnabled = true; // Default to enabled
   }
 
@@ -460,6 +1062,10 @@ class ChatInterface {
         voiceInputButton.textContent = '🔴'; // Change to red dot when recording
         voiceInputButton.style.backgroundColor = '#dc3545'; // Red background when listening
         voiceInputButton.title = 'Click to stop listening';
+      } else if (this.isTranscribing) {
+        voiceInputButton.textContent = '⏳';
+        voiceInputButton.style.backgroundColor = '#6c757d';
+        voiceInputButton.title = 'Transcribing...';
       } else {
         // Back to default state
         voiceInputButton.textContent = '🎤';
@@ -485,6 +1091,20 @@ class ChatInterface {
 
   // Method to toggle voice input (speech-to-text)
   toggleVoiceInput() {
+    if (this.conversationState) {
+      this.stopConversationMode();
+      return;
+    }
+
+    if (!this.recognition && this.canRecordAudio) {
+      if (this.isListening) {
+        this.mediaRecorder.stop();
+      } else if (!this.isTranscribing) {
+        this.startAudioRecording();
+      }
+      return;
+    }
+
     if (!this.recognition) {
       alert('Speech recognition is not supported in your browser. Please try Chrome or Edge.');
       return;
@@ -497,6 +1117,7 @@ class ChatInterface {
       // Start listening
       try {
         // Request microphone permission
+        this.recognition.lang = this.getVoiceSettings().language;
         this.recognition.start();
       } catch (error) {
         console.error('Error starting speech recognition:', error);
@@ -505,9 +1126,282 @@ class ChatInterface {
     }
   }
 
+  // Record from the microphone until the voice button is clicked again,
+  // then transcribe the recording through onTranscribeAudio
+  async startAudioRecording() {
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+      console.error('Error accessing the microphone:', error);
+      alert('Could not start recording. Please check microphone permissions.');
+      return;
+    }
+
+    const chunks = [];
+    this.mediaRecorder = new MediaRecorder(stream);
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    };
+
+    this.mediaRecorder.onstop = () => {
+      // Release the microphone
+      stream.getTracks().forEach(track => track.stop());
+      const audio = new Blob(chunks, { type: this.mediaRecorder.mimeType || 'audio/webm' });
+      this.mediaRecorder = null;
+      this.isListening = false;
+      this.transcribeRecording(audio);
+    };
+
+    this.mediaRecorder.start();
+    this.isListening = true;
+    this.updateVoiceButtonState();
+  }
+
+  // Send a recording to the backend and submit the transcript like native recognition does
+  async transcribeRecording(audio) {
+    if (audio.size === 0) {
+      this.updateVoiceButtonState();
+      return;
+    }
+
+    this.isTranscribing = true;
+    this.updateVoiceButtonState();
+
+    try {
+      const transcript = (await this.options.onTranscribeAudio(audio, {
+        language: getBaseLanguage(this.getVoiceSettings().language)
+      })).trim();
+      const messageInput = this.container.querySelector('#message-input');
+      if (transcript && messageInput) {
+        messageInput.value = transcript;
+        messageInput.dispatchEvent(new Event('input'));
+        setTimeout(() => {
+          this.handleSendMessage();
+        }, 500); // Small delay to ensure UI updates
+      }
+    } catch (error) {
+      console.error('Error transcribing audio:', error);
+      this.addMessageToUI('assistant', `Error: ${error.message || 'Failed to transcribe audio'}`);
+    } finally {
+      this.isTranscribing = false;
+      this.updateVoiceButtonState();
+    }
+  }
+
+  // Conversation mode settings: options.conversation overrides window.CONFIG
+  getConversationSettings() {
+    const config = window.CONFIG || {};
+    const settings = this.options.conversation;
+    const phrase = value => (value ? String(value).trim().toLowerCase() : null);
+
+    return {
+      wakePhrase: phrase(settings.wakePhrase !== undefined ? settings.wakePhrase : config.VOICE_WAKE_PHRASE),
+      stopPhrase: phrase(settings.stopPhrase !== undefined ? settings.stopPhrase : config.VOICE_STOP_PHRASE),
+      silenceTimeoutMs: settings.silenceTimeoutMs || config.VOICE_SILENCE_TIMEOUT || 15000
+    };
+  }
+
+  // Start or end hands-free conversation mode
+  toggleConversationMode() {
+    if (this.conversationState) {
+      this.stopConversationMode();
+    } else {
+      this.startConversationMode();
+    }
+  }
+
+  // Loop listen -> send -> speak -> listen until the stop phrase is said or the
+  // user stays silent for silenceTimeoutMs. Needs native speech recognition,
+  // which can keep listening while a reply is spoken so the user can barge in.
+  startConversationMode() {
+    if (!this.recognition) {
+      alert('Conversation mode needs speech recognition. Please try Chrome or Edge.');
+      return;
+    }
+
+    const { stopPhrase } = this.getConversationSettings();
+    this.recognition.continuous = true;
+    this.setConversationState('listening');
+    this.addSystemMessage(stopPhrase
+      ? `Conversation mode on. Say "${stopPhrase}" to end it.`
+      : 'Conversation mode on.');
+    this.listenForConversation();
+  }
+
+  // End conversation mode, optionally telling the user why
+  stopConversationMode(reason = null) {
+    if (!this.conversationState) {
+      return;
+    }
+
+    this.clearSilenceTimer();
+    this.setConversationState(null);
+    this.recognition.continuous = false;
+    this.recognition.abort();
+    this.stopSpeaking();
+    this.addSystemMessage(reason || 'Conversation mode off.');
+  }
+
+  setConversationState(state) {
+    this.conversationState = state;
+    this.updateConversationIndicator();
+  }
+
+  // Make sure recognition is running, and give the user silenceTimeoutMs to start talking
+  listenForConversation() {
+    if (!this.conversationState || this.conversationState === 'thinking') {
+      return;
+    }
+
+    if (!this.isListening) {
+      try {
+        this.recognition.lang = this.getVoiceSettings().language;
+        this.recognition.start();
+      } catch (error) {
+        // Already starting; onstart will follow
+      }
+    }
+
+    if (this.conversationState === 'listening' && !this.silenceTimer) {
+      const { silenceTimeoutMs } = this.getConversationSettings();
+      this.silenceTimer = setTimeout(() => {
+        this.silenceTimer = null;
+        this.handleConversationSilence();
+      }, silenceTimeoutMs);
+    }
+  }
+
+  clearSilenceTimer() {
+    if (this.silenceTimer) {
+      clearTimeout(this.silenceTimer);
+      this.silenceTimer = null;
+    }
+  }
+
+  // Nobody spoke in time: wait for the wake phrase when there is one, otherwise stop
+  handleConversationSilence() {
+    if (this.conversationState !== 'listening') {
+      return;
+    }
+
+    const { wakePhrase, silenceTimeoutMs } = this.getConversationSettings();
+    if (wakePhrase) {
+      this.setConversationState('standby');
+    } else {
+      this.stopConversationMode(`Conversation mode ended after ${Math.round(silenceTimeoutMs / 1000)} seconds of silence.`);
+    }
+  }
+
+  // The user started talking: stop the silence timer, and barge in on a reply being spoken
+  handleConversationSpeechStart() {
+    if (this.conversationState === 'speaking') {
+      this.stopSpeaking();
+    }
+    this.clearSilenceTimer();
+  }
+
+  // Act on one recognized utterance in conversation mode
+  async handleConversationTranscript(transcript) {
+    const { wakePhrase, stopPhrase } = this.getConversationSettings();
+    let text = transcript.trim();
+    const spoken = text.toLowerCase();
+
+    if (stopPhrase && spoken.includes(stopPhrase)) {
+      this.stopConversationMode();
+      return;
+    }
+
+    if (this.conversationState === 'standby') {
+      const wakeIndex = wakePhrase ? spoken.indexOf(wakePhrase) : -1;
+      if (wakeIndex === -1) {
+        return; // Keep waiting for the wake phrase
+      }
+      // Anything said after the wake phrase is the next message
+      text = text.slice(wakeIndex + wakePhrase.length).replace(/^[\s,.!?]+/, '');
+      this.setConversationState('listening');
+      if (!text) {
+        this.listenForConversation();
+        return;
+      }
+    }
+
+    if (!text || this.conversationState === 'thinking') {
+      return;
+    }
+
+    const messageInput = this.container.querySelector('#message-input');
+    if (!messageInput) {
+      return;
+    }
+
+    // Stop listening while the reply is on its way
+    this.clearSilenceTimer();
+    this.setConversationState('thinking');
+    this.recognition.abort();
+
+    messageInput.value = text;
+    messageInput.dispatchEvent(new Event('input'));
+    await this.handleSendMessage();
+
+    // Listen again unless the reply is being spoken; then that happens when it ends
+    setTimeout(() => {
+      if (this.conversationState === 'thinking' && !this.isSpeaking) {
+        this.setConversationState('listening');
+        this.listenForConversation();
+      }
+    }, 500); // Replies start speaking after a short delay
+  }
+
+  // A reply started playing
+  handleSpeechStart() {
+    this.isSpeaking = true;
+    if (this.conversationState && this.conversationState !== 'standby') {
+      this.clearSilenceTimer();
+      this.setConversationState('speaking');
+      // Listen while speaking so the user can barge in
+      this.listenForConversation();
+    }
+  }
+
+  // A reply finished playing (or could not be played)
+  handleSpeechEnd() {
+    this.isSpeaking = false;
+    if (this.conversationState === 'speaking') {
+      this.setConversationState('listening');
+      this.listenForConversation();
+    }
+  }
+
+  // Show the conversation state next to the voice controls
+  updateConversationIndicator() {
+    const indicator = this.container.querySelector('#voice-mode-indicator');
+    const conversationButton = this.container.querySelector('#conversation-mode-btn');
+    const states = {
+      listening: { label: 'Listening…', color: '#dc3545' },
+      standby: { label: `Say "${this.getConversationSettings().wakePhrase}"`, color: '#6c757d' },
+      thinking: { label: 'Thinking…', color: '#fd7e14' },
+      speaking: { label: 'Speaking…', color: '#28a745' }
+    };
+    const state = states[this.conversationState];
+
+    if (indicator) {
+      indicator.style.display = state ? '' : 'none';
+      indicator.textContent = state ? state.label : '';
+      indicator.style.backgroundColor = state ? state.color : 'transparent';
+    }
+    if (conversationButton) {
+      conversationButton.style.backgroundColor = state ? '#0d6efd' : '#6c757d';
+      conversationButton.title = state ? 'End hands-free conversation' : 'Start hands-free conversation';
+    }
+  }
+
   // Method to toggle voice output (text-to-speech)
   toggleVoiceOutput() {
-    if (!this.synthesis) {
+    if (!this.synthesis && !this.options.onSynthesizeSpeech) {
       alert('Text-to-speech is not supported in your browser.');
       return;
     }
@@ -515,6 +1409,9 @@ class ChatInterface {
     // Toggle the voice output enabled state
     this.voiceOutputEnabled = !this.voiceOutputEnabled;
     this.updateVoiceOutputButtonState();
+    if (!this.voiceOutputEnabled) {
+      this.stopSpeaking();
+    }
 
     // Provide feedback to the user
     const status = this.voiceOutputEnabled ? 'enabled' : 'disabled';
@@ -522,50 +1419,298 @@ class ChatInterface {
   }
 
   // Method to speak a message using text-to-speech
-  speakMessage(text) {
-    if (!this.synthesis || !this.voiceOutputEnabled || !text) {
-      return; // Don't speak if not supported, disabled, or no text
+  speakMessage(text, messageElement = null) {
+    if (!this.voiceOutputEnabled || !text) {
+      return; // Don't speak if disabled or no text
+    }
+    this.playMessageAudio(text, messageElement);
+  }
+
+  // Play a message with the provider voice assigned to the Text to Speech task,
+  // or with browser synthesis when none is assigned or the provider fails.
+  // Audio is kept per message element so replays do not generate it again.
+  async playMessageAudio(text, messageElement = null) {
+    if (!text) {
+      return;
+    }
+    this.stopSpeaking();
+    const speechId = ++this.speechId;
+    const finished = () => {
+      if (speechId === this.speechId) {
+        this.handleSpeechEnd();
+      }
+    };
+    this.handleSpeechStart();
+
+    let audioUrl = messageElement ? this.messageAudio.get(messageElement) : null;
+    if (!audioUrl && this.options.onSynthesizeSpeech) {
+      try {
+        const audio = await this.options.onSynthesizeSpeech(text);
+        if (audio) {
+          audioUrl = URL.createObjectURL(audio);
+          if (messageElement) {
+            this.messageAudio.set(messageElement, audioUrl);
+          }
+        }
+      } catch (error) {
+        console.error('Provider text-to-speech failed, using browser synthesis:', error);
+      }
+    }
+
+    if (speechId !== this.speechId) {
+      return; // Stopped (or barged in on) while the audio was being generated
+    }
+
+    if (!audioUrl) {
+      this.speakWithBrowser(text, finished);
+      return;
     }
 
-    // Stop any currently speaking utterances
-    if (this.synthesis.speaking) {
+    const player = new Audio(audioUrl);
+    this.audioPlayer = player;
+    player.onended = () => {
+      if (!messageElement) {
+        URL.revokeObjectURL(audioUrl);
+      }
+      finished();
+    };
+
+    try {
+      await player.play();
+    } catch (error) {
+      // e.g. autoplay blocked before the user interacted with the page
+      console.error('Could not play speech audio:', error);
+      finished();
+    }
+  }
+
+  // Stop provider audio and browser synthesis that is still playing
+  stopSpeaking() {
+    this.speechId++;
+    if (this.audioPlayer) {
+      this.audioPlayer.pause();
+      this.audioPlayer = null;
+    }
+    if (this.synthesis && this.synthesis.speaking) {
       this.synthesis.cancel();
     }
+    this.isSpeaking = false;
+
+    // A conversation goes back to listening when its reply is cut short
+    if (this.conversationState === 'speaking') {
+      this.setConversationState('listening');
+      this.listenForConversation();
+    }
+  }
+
+  // Speak a message with the browser's own speech synthesis; onDone runs when it has been spoken
+  speakWithBrowser(text, onDone = () => {}) {
+    if (!this.synthesis || !text) {
+      onDone();
+      return; // Don't speak if not supported or no text
+    }
 
     // Create and speak the message
     const utterance = new SpeechSynthesisUtterance(text);
+    utterance.onend = onDone;
+    utterance.onerror = onDone;
+
+    // Use the user's voice settings, with a voice that speaks the reply's language
+    const settings = this.getVoiceSettings();
+    utterance.rate = settings.rate;
+    utterance.pitch = settings.pitch;
+    utterance.volume = settings.volume;
+
+    const speak = () => {
+      const voice = this.chooseVoice(text, settings);
+      if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+      } else {
+        utterance.lang = settings.language;
+      }
+      this.synthesis.speak(utterance);
+    };
 
-    // Use default values with fallbacks
-    const config = window.CONFIG || {};
-    utterance.rate = config.VOICE_DEFAULT_RATE || 1.0;
-    utterance.pitch = config.VOICE_DEFAULT_PITCH || 1.0;
-    utterance.volume = config.VOICE_DEFAULT_VOLUME || 1.0;
-
-    // Get voice based on language from config
-    const voices = this.synthesis.getVoices();
-    if (voices.length === 0) {
+    if (this.synthesis.getVoices().length === 0) {
       // If no voices are loaded yet, wait a bit and try again
-      setTimeout(() => {
-        const updatedVoices = this.synthesis.getVoices();
-        const englishVoice = updatedVoices.find(voice =>
-          voice.lang.includes('en') || voice.lang.includes('us') || voice.name.includes('English')
-        );
-
-        if (englishVoice) {
-          utterance.voice = englishVoice;
-        }
-        this.synthesis.speak(utterance);
-      }, 100);
+      setTimeout(speak, 100);
     } else {
-      const englishVoice = voices.find(voice =>
-        voice.lang.includes('en') || voice.lang.includes('us') || voice.name.includes('English')
-      );
+      speak();
+    }
+  }
 
-      if (englishVoice) {
-        utterance.voice = englishVoice;
-      }
-      this.synthesis.speak(utterance);
+  // The current user's voice settings
+  getVoiceSettings() {
+    return preferenceService.getVoiceSettings();
+  }
+
+  // Pick a synthesis voice for a text: the user's chosen voice when it speaks the
+  // text's language, otherwise a voice for that language (the user's region first)
+  chooseVoice(text, settings) {
+    const voices = this.synthesis ? this.synthesis.getVoices() : [];
+    const language = languageDetector.detect(text) || getBaseLanguage(settings.language);
+    const preferred = voices.find(voice => voice.name === settings.voiceName) || null;
+
+    if (preferred && getBaseLanguage(preferred.lang) === language) {
+      return preferred;
+    }
+
+    const matches = voices.filter(voice => getBaseLanguage(voice.lang) === language);
+    const userTag = settings.language.toLowerCase();
+    return matches.find(voice => voice.lang.replace('_', '-').toLowerCase() === userTag) ||
+      matches.find(voice => voice.default) ||
+      matches[0] ||
+      preferred;
+  }
+
+  // Show or hide the voice settings panel
+  toggleVoiceSettings() {
+    const panel = this.container.querySelector('#voice-settings-panel');
+    if (!panel) {
+      return;
+    }
+
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'flex' : 'none';
+    if (open) {
+      this.renderVoiceSettings();
+    }
+  }
+
+  // Fill the voice settings panel from the user's stored settings; every change is saved
+  renderVoiceSettings() {
+    const panel = this.container.querySelector('#voice-settings-panel');
+    if (!panel || panel.style.display === 'none') {
+      return;
     }
+
+    const settings = this.getVoiceSettings();
+    panel.innerHTML = '';
+
+    const field = (labelText, control) => {
+      const label = document.createElement('label');
+      label.style.display = 'flex';
+      label.style.alignItems = 'center';
+      label.style.gap = '0.25rem';
+      label.textContent = labelText;
+      label.appendChild(control);
+      panel.appendChild(label);
+      return label;
+    };
+
+    const save = (changes) => {
+      try {
+        preferenceService.updateVoiceSettings(changes);
+      } catch (error) {
+        console.error('Error saving voice settings:', error);
+      }
+    };
+
+    // Language for recognition and the preferred voice
+    const languageSelect = document.createElement('select');
+    languageSelect.id = 'voice-language-select';
+    const languages = VOICE_LANGUAGES.some(language => language.code === settings.language)
+      ? VOICE_LANGUAGES
+      : [{ code: settings.language, name: settings.language }, ...VOICE_LANGUAGES];
+    languages.forEach(language => {
+      const option = document.createElement('option');
+      option.value = language.code;
+      option.textContent = language.name;
+      option.selected = language.code === settings.language;
+      languageSelect.appendChild(option);
+    });
+    languageSelect.addEventListener('change', () => {
+      // A voice for another language no longer fits
+      const voice = (this.synthesis ? this.synthesis.getVoices() : []).find(v => v.name === settings.voiceName);
+      const keepVoice = voice && getBaseLanguage(voice.lang) === getBaseLanguage(languageSelect.value);
+      save({ language: languageSelect.value, ...(keepVoice ? {} : { voiceName: null }) });
+      this.renderVoiceSettings();
+    });
+    field('Language', languageSelect);
+
+    // Voices installed for that language
+    const voiceSelect = document.createElement('select');
+    voiceSelect.id = 'voice-name-select';
+    const automatic = document.createElement('option');
+    automatic.value = '';
+    automatic.textContent = 'Automatic';
+    voiceSelect.appendChild(automatic);
+    const voices = (this.synthesis ? this.synthesis.getVoices() : [])
+      .filter(voice => getBaseLanguage(voice.lang) === getBaseLanguage(settings.language));
+    voices.forEach(voice => {
+      const option = document.createElement('option');
+      option.value = voice.name;
+      option.textContent = `${voice.name} (${voice.lang})`;
+      option.selected = voice.name === settings.voiceName;
+      voiceSelect.appendChild(option);
+    });
+    voiceSelect.disabled = voices.length === 0;
+    voiceSelect.addEventListener('change', () => {
+      save({ voiceName: voiceSelect.value || null });
+    });
+    field('Voice', voiceSelect);
+
+    // Rate, pitch and volume sliders
+    [
+      { name: 'rate', label: 'Rate', min: 0.5, max: 2 },
+      { name: 'pitch', label: 'Pitch', min: 0, max: 2 },
+      { name: 'volume', label: 'Volume', min: 0, max: 1 }
+    ].forEach(({ name, label, min, max }) => {
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = `voice-${name}-input`;
+      slider.min = String(min);
+      slider.max = String(max);
+      slider.step = '0.1';
+      slider.value = String(settings[name]);
+      slider.style.width = '5rem';
+      const value = document.createElement('span');
+      value.textContent = Number(settings[name]).toFixed(1);
+      slider.addEventListener('input', () => {
+        value.textContent = Number(slider.value).toFixed(1);
+      });
+      slider.addEventListener('change', () => {
+        save({ [name]: Number(slider.value) });
+      });
+      field(label, slider).appendChild(value);
+    });
+
+    // Hear the current settings
+    const testButton = document.createElement('button');
+    testButton.textContent = 'Test';
+    testButton.style.padding = '0.25rem 0.5rem';
+    testButton.style.backgroundColor = '#6c757d';
+    testButton.style.color = 'white';
+    testButton.style.border = 'none';
+    testButton.style.borderRadius = '4px';
+    testButton.style.cursor = 'pointer';
+    testButton.disabled = !this.synthesis;
+    testButton.addEventListener('click', () => {
+      this.stopSpeaking();
+      this.speakWithBrowser(this.getVoiceSample(this.getVoiceSettings().language));
+    });
+    panel.appendChild(testButton);
+  }
+
+  // A short sentence in the given language for trying out a voice
+  getVoiceSample(language) {
+    const samples = {
+      en: 'Hello! This is how I will sound.',
+      es: '¡Hola! Así es como voy a sonar.',
+      fr: 'Bonjour ! Voici ma voix.',
+      de: 'Hallo! So werde ich klingen.',
+      it: 'Ciao! Questa è la mia voce.',
+      pt: 'Olá! É assim que eu vou soar.',
+      nl: 'Hallo! Zo ga ik klinken.',
+      ru: 'Привет! Вот так я буду звучать.',
+      ja: 'こんにちは。この声でお話しします。',
+      ko: '안녕하세요! 이런 목소리로 말할게요.',
+      zh: '你好！我的声音听起来是这样的。',
+      ar: 'مرحبا! هكذا سيبدو صوتي.',
+      hi: 'नमस्ते! मेरी आवाज़ ऐसी होगी।'
+    };
+    return samples[getBaseLanguage(language)] || samples.en;
   }
 
   // Method to display a message (compatible with voice components)
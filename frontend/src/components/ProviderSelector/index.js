@@ -11,6 +11,7 @@ class ProviderSelector {
       showModelSelector: options.showModelSelector !== false, // Default to true
       onProviderChange: options.onProviderChange || null,
       onModelChange: options.onModelChange || null,
+      healthRefreshInterval: options.healthRefreshInterval || 30000, // Re-check provider health every 30s
       ...options
     };
     
@@ -18,6 +19,7 @@ class ProviderSelector {
     this.selectedProviderId = null;
     this.selectedModelId = null;
     this.providerService = null;
+    this.healthTimer = null;
     
     this.init();
   }
@@ -33,6 +35,48 @@ class ProviderSelector {
     // Render the component
     this.render();
     this.attachEventListeners();
+
+    // Keep availability in sync with the backend circuit breakers
+    if (!this.healthTimer && this.options.healthRefreshInterval > 0) {
+      this.healthTimer = setInterval(this.refreshHealth, this.options.healthRefreshInterval);
+    }
+  }
+
+  // Re-render only when a provider's availability changed
+  refreshHealth = async () => {
+    try {
+      const providers = await this.providerService.getAvailableProviders();
+      const signature = list => list.map(provider => `${provider.id}:${this.isProviderAvailable(provider)}`).join(',');
+
+      if (signature(providers) !== signature(this.providers)) {
+        this.providers = providers;
+        this.render();
+        this.attachEventListeners();
+      }
+    } catch (error) {
+      console.error('Error refreshing provider health:', error);
+    }
+  }
+
+  // Providers with an open circuit on the backend are reported as unavailable
+  isProviderAvailable = (provider) => {
+    return provider.available !== false;
+  }
+
+  // Tooltip explaining why a provider is greyed out
+  getUnavailableReason = (provider) => {
+    const retryAt = provider.health && provider.health.retryAt
+      ? ` Retrying after ${new Date(provider.health.retryAt).toLocaleTimeString()}.`
+      : '';
+    return `${provider.name} is failing right now and has been paused.${retryAt}`;
+  }
+
+  // Stop polling for provider health
+  destroy = () => {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
   }
 
   loadProviders = async () => {
@@ -133,6 +177,13 @@ class ProviderSelector {
       const option = document.createElement('option');
       option.value = provider.id; // Use 'id' instead of 'providerId' to match backend API
       option.textContent = provider.name; // Use 'name' instead of 'providerName' to match backend API
+      if (!this.isProviderAvailable(provider)) {
+        // Grey out providers whose circuit is open; keep the current selection visible
+        option.disabled = provider.id !== this.selectedProviderId;
+        option.textContent = `${provider.name} (unavailable)`;
+        option.title = this.getUnavailableReason(provider);
+        option.style.color = '#6c757d';
+      }
       if (provider.id === this.selectedProviderId) {
         option.selected = true;
       }
@@ -166,6 +217,13 @@ class ProviderSelector {
       label.style.marginLeft = '0.5rem';
       label.textContent = provider.name;
 
+      if (!this.isProviderAvailable(provider)) {
+        radio.disabled = provider.id !== this.selectedProviderId;
+        label.textContent = `${provider.name} (unavailable)`;
+        radioWrapper.title = this.getUnavailableReason(provider);
+        radioWrapper.style.opacity = '0.5';
+      }
+
       radioWrapper.appendChild(radio);
       radioWrapper.appendChild(label);
       radioContainer.appendChild(radioWrapper);
@@ -262,6 +320,8 @@ class ProviderSelector {
 
       if (isNotAvailable) {
         this.showError(`Error: ${status.id} is currently unavailable. Please select a different provider or try again later.`);
+      } else if (status.status === 'degraded') {
+        this.showError(`${status.id} is recovering from errors; responses may fail until it is healthy again.`);
       }
 
       // Call the API to select the provider
@@ -0,0 +1,241 @@
+// frontend/src/components/UsageDashboard/index.js
+/**
+ * UsageDashboard Component
+ * Shows developers/administrators token usage and cost per user, provider,
+ * model and day, with a date range filter
+ */
+import usageService from '../../services/api/usageService.js';
+
+const GROUP_OPTIONS = [
+  { value: 'user,provider,day', label: 'User, provider and day' },
+  { value: 'user', label: 'User' },
+  { value: 'provider,model', label: 'Provider and model' },
+  { value: 'day', label: 'Day' }
+];
+
+// Column headings for each grouping dimension
+const GROUP_COLUMNS = {
+  user: { field: 'userId', label: 'User' },
+  provider: { field: 'providerId', label: 'Provider' },
+  model: { field: 'model', label: 'Model' },
+  day: { field: 'day', label: 'Day' }
+};
+
+class UsageDashboard {
+  constructor(containerId, options = {}) {
+    this.containerId = containerId;
+    this.container = document.getElementById(containerId);
+    this.options = {
+      days: options.days || 30, // Default date range, ending today
+      ...options
+    };
+
+    const today = new Date();
+    const start = new Date(today.getTime() - (this.options.days - 1) * 24 * 60 * 60 * 1000);
+    this.filters = {
+      from: start.toISOString().slice(0, 10),
+      to: today.toISOString().slice(0, 10)
+    };
+    this.groupBy = GROUP_OPTIONS[0].value;
+    this.summary = null;
+    this.error = null;
+
+    this.init();
+  }
+
+  init() {
+    if (!this.container) {
+      console.error(`Container with ID ${this.containerId} not found`);
+      return;
+    }
+
+    this.refresh();
+  }
+
+  /**
+   * Load the summary for the current filters and redraw
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    try {
+      this.summary = await usageService.getSummary(this.filters, this.groupBy.split(','));
+      this.error = null;
+    } catch (error) {
+      console.error('Error loading usage:', error);
+      this.summary = null;
+      this.error = error.message;
+    }
+    this.render();
+  }
+
+  /**
+   * Format a cost in the summary currency
+   * @param {number} cost - Cost to format
+   * @returns {string} Formatted cost
+   */
+  formatCost(cost) {
+    const currency = (this.summary && this.summary.currency) || 'USD';
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 4 }).format(cost);
+    } catch (error) {
+      return `${cost.toFixed(4)} ${currency}`;
+    }
+  }
+
+  render() {
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'usage-dashboard';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Usage and Costs';
+    wrapper.appendChild(title);
+
+    wrapper.appendChild(this.renderFilters());
+
+    if (this.error) {
+      const errorElement = document.createElement('div');
+      errorElement.className = 'usage-error';
+      errorElement.textContent = this.error;
+      errorElement.style.color = '#dc3545';
+      wrapper.appendChild(errorElement);
+    } else if (this.summary) {
+      wrapper.appendChild(this.renderTotals());
+      wrapper.appendChild(this.renderGroups());
+    }
+
+    this.container.appendChild(wrapper);
+  }
+
+  /**
+   * Build the date range and grouping controls
+   * @returns {HTMLElement} The filter form
+   */
+  renderFilters() {
+    const form = document.createElement('form');
+    form.className = 'usage-filters';
+    form.style.display = 'flex';
+    form.style.gap = '0.5rem';
+    form.style.alignItems = 'center';
+    form.style.marginBottom = '1rem';
+
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.value = this.filters.from;
+
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.value = this.filters.to;
+
+    const groupSelect = document.createElement('select');
+    GROUP_OPTIONS.forEach(option => {
+      const optionElement = document.createElement('option');
+      optionElement.value = option.value;
+      optionElement.textContent = option.label;
+      optionElement.selected = option.value === this.groupBy;
+      groupSelect.appendChild(optionElement);
+    });
+
+    const submitButton = document.createElement('button');
+    submitButton.type = 'submit';
+    submitButton.textContent = 'Refresh';
+
+    form.appendChild(document.createTextNode('From '));
+    form.appendChild(fromInput);
+    form.appendChild(document.createTextNode(' to '));
+    form.appendChild(toInput);
+    form.appendChild(groupSelect);
+    form.appendChild(submitButton);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.filters = { from: fromInput.value, to: toInput.value };
+      this.groupBy = groupSelect.value;
+      this.refresh();
+    });
+
+    return form;
+  }
+
+  /**
+   * Build the line with the overall totals
+   * @returns {HTMLElement} The totals element
+   */
+  renderTotals() {
+    const { totals } = this.summary;
+    const element = document.createElement('p');
+    element.className = 'usage-totals';
+
+    let text = `${totals.requests} requests, ${totals.totalTokens.toLocaleString()} tokens ` +
+      `(${totals.promptTokens.toLocaleString()} prompt, ${totals.completionTokens.toLocaleString()} completion)`;
+    if (totals.images > 0) {
+      text += `, ${totals.images} images`;
+    }
+    text += `, ${this.formatCost(totals.cost)}`;
+    if (totals.unpricedRequests > 0) {
+      text += ` (${totals.unpricedRequests} requests to unpriced models not included)`;
+    }
+
+    element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Build the table with one row per group
+   * @returns {HTMLElement} The table, or a note when there is no usage
+   */
+  renderGroups() {
+    if (this.summary.groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'help-text';
+      empty.textContent = 'No usage in this period.';
+      return empty;
+    }
+
+    const columns = [
+      ...this.summary.groupBy.map(dimension => GROUP_COLUMNS[dimension]),
+      { field: 'requests', label: 'Requests' },
+      { field: 'promptTokens', label: 'Prompt tokens' },
+      { field: 'completionTokens', label: 'Completion tokens' },
+      { field: 'images', label: 'Images' },
+      { field: 'cost', label: 'Cost' }
+    ];
+
+    const table = document.createElement('table');
+    table.className = 'usage-table';
+
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column.label;
+      headerRow.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    this.summary.groups.forEach(group => {
+      const row = document.createElement('tr');
+      columns.forEach(column => {
+        const td = document.createElement('td');
+        const value = group[column.field];
+        if (column.field === 'cost') {
+          td.textContent = this.formatCost(value);
+        } else {
+          td.textContent = typeof value === 'number' ? value.toLocaleString() : value;
+        }
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+
+    return table;
+  }
+}
+
+export default UsageDashboard;
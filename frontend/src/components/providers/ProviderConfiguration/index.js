@@ -1,6 +1,7 @@
 /**
  * ProviderConfiguration Component
- * Allows developers/administrators to configure new AI providers
+ * Allows developers/administrators to configure new AI providers, and every
+ * signed-in user to manage their own provider API keys
  */
 class ProviderConfiguration {
   constructor(containerId, options = {}) {
@@ -13,8 +14,11 @@ class ProviderConfiguration {
     };
     
     this.providers = [];
+    this.userApiKeys = [];
+    this.sharedProviders = [];
     this.providerService = null;
     this.authService = null;
+    this.apiKeyManager = null;
     
     this.init();
   }
@@ -23,18 +27,40 @@ class ProviderConfiguration {
     // Import services
     const { default: providerService } = await import('../../services/api/providerService.js');
     const { default: authService } = await import('../../services/auth/authService.js');
+    const { default: apiKeyManager } = await import('../../services/auth/apiKeyManager.js');
     
     this.providerService = providerService;
     this.authService = authService;
+    this.apiKeyManager = apiKeyManager;
     
-    // Check if user has admin privileges
-    if (!this.authService.isDeveloper()) {
-      this.showError('Access denied: Only developers and administrators can configure providers');
+    await this.refresh();
+  }
+
+  /**
+   * Reload the providers and the signed-in user's keys and redraw, e.g. after
+   * the user signs in or out
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    // Still importing the services; init() loads once they are there
+    if (!this.authService) {
+      return;
+    }
+    
+    // Any signed-in user can manage their own keys; provider setup is for admins
+    if (!this.authService.isAuthenticated()) {
+      this.userApiKeys = [];
+      this.sharedProviders = [];
+      if (this.container) {
+        this.container.innerHTML = '';
+        this.showError('Sign in to manage your API keys');
+      }
       return;
     }
     
-    // Load existing providers
+    // Load existing providers and the user's own keys
     await this.loadProviders();
+    await this.loadUserApiKeys();
     
     // Render the component
     this.render();
@@ -50,6 +76,17 @@ class ProviderConfiguration {
     }
   }
 
+  async loadUserApiKeys() {
+    try {
+      const { apiKeys, sharedProviders } = await this.apiKeyManager.getMyApiKeys();
+      this.userApiKeys = apiKeys || [];
+      this.sharedProviders = sharedProviders || [];
+    } catch (error) {
+      console.error('Error loading API keys:', error);
+      this.showError('Failed to load your API keys. Please try again later.');
+    }
+  }
+
   render() {
     if (!this.container) {
       console.error(`Container with ID ${this.containerId} not found`);
@@ -65,9 +102,116 @@ class ProviderConfiguration {
     
     // Create title
     const title = document.createElement('h3');
-    title.textContent = 'Provider Configuration';
+    title.textContent = this.authService.isDeveloper() ? 'Provider Configuration' : 'API Keys';
     wrapper.appendChild(title);
     
+    // Every signed-in user can bring their own keys
+    wrapper.appendChild(this.renderUserApiKeys());
+    
+    if (this.authService.isDeveloper()) {
+      this.renderAdminConfiguration(wrapper);
+    }
+    
+    // Add to container
+    this.container.appendChild(wrapper);
+  }
+
+  /**
+   * Build the section where a user manages their own API keys
+   * @returns {HTMLElement} The section element
+   */
+  renderUserApiKeys() {
+    const section = document.createElement('div');
+    section.id = 'user-api-keys';
+    
+    const sectionTitle = document.createElement('h4');
+    sectionTitle.textContent = 'My API Keys';
+    section.appendChild(sectionTitle);
+    
+    const description = document.createElement('p');
+    description.className = 'help-text';
+    description.textContent = 'Your own key is used for your requests instead of the shared key.';
+    section.appendChild(description);
+    
+    const providerIds = this.providers.map(provider => provider.providerId || provider.id);
+    
+    // Form for adding or replacing a key
+    const form = document.createElement('form');
+    form.id = 'user-api-key-form';
+    
+    const providerDiv = document.createElement('div');
+    providerDiv.className = 'form-group';
+    providerDiv.innerHTML = `
+      <label for="userKeyProvider">Provider*:</label>
+      <select id="userKeyProvider" name="providerId" required>
+        ${providerIds.map(id => `<option value="${id}">${this.getProviderName(id)}</option>`).join('')}
+      </select>
+    `;
+    form.appendChild(providerDiv);
+    
+    const keyDiv = document.createElement('div');
+    keyDiv.className = 'form-group';
+    keyDiv.innerHTML = `
+      <label for="userApiKey">API Key*:</label>
+      <input type="password" id="userApiKey" name="apiKey" required autocomplete="off" placeholder="Enter your API key">
+    `;
+    form.appendChild(keyDiv);
+    
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = 'Save Key';
+    saveBtn.className = 'save-user-key-btn';
+    form.appendChild(saveBtn);
+    
+    section.appendChild(form);
+    
+    // Which key each provider will use for this user
+    const list = document.createElement('ul');
+    list.className = 'user-keys-ul';
+    
+    providerIds.forEach(providerId => {
+      const ownKey = this.userApiKeys.find(key => key.providerId === providerId);
+      const hasSharedKey = this.sharedProviders.includes(providerId);
+      
+      let keySource = 'No key configured';
+      if (ownKey) {
+        keySource = 'Using your key';
+      } else if (hasSharedKey) {
+        keySource = 'Using the shared key';
+      }
+      
+      const listItem = document.createElement('li');
+      listItem.className = 'user-key-item';
+      listItem.innerHTML = `
+        <div class="provider-info">
+          <strong>${this.getProviderName(providerId)}</strong>
+          <span class="key-source">${keySource}</span>
+        </div>
+        ${ownKey ? `<button type="button" class="remove-user-key-btn" data-provider-id="${providerId}">Remove my key</button>` : ''}
+      `;
+      list.appendChild(listItem);
+    });
+    
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Get a display name for a provider
+   * @param {string} providerId - ID of the provider
+   * @returns {string} Provider name
+   */
+  getProviderName(providerId) {
+    const provider = this.providers.find(p => (p.providerId || p.id) === providerId);
+    return (provider && (provider.providerName || provider.name)) || providerId;
+  }
+
+  /**
+   * Add the admin-only provider form and provider list
+   * @param {HTMLElement} wrapper - Element to render into
+   * @returns {void}
+   */
+  renderAdminConfiguration(wrapper) {
     // Create form for adding new provider
     const form = document.createElement('form');
     form.id = 'provider-config-form';
@@ -179,12 +323,27 @@ class ProviderConfiguration {
       providersList.appendChild(list);
       wrapper.appendChild(providersList);
     }
-    
-    // Add to container
-    this.container.appendChild(wrapper);
   }
 
   attachEventListeners() {
+    // Save the user's own key
+    const userKeyForm = this.container.querySelector('#user-api-key-form');
+    if (userKeyForm) {
+      userKeyForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.handleSaveUserKey(e);
+      });
+    }
+    
+    // Remove the user's own key
+    const removeKeyButtons = this.container.querySelectorAll('.remove-user-key-btn');
+    removeKeyButtons.forEach(button => {
+      button.addEventListener('click', (e) => {
+        const providerId = e.target.getAttribute('data-provider-id');
+        this.handleRemoveUserKey(providerId);
+      });
+    });
+    
     // Form submission
     const form = this.container.querySelector('#provider-config-form');
     if (form) {
@@ -204,6 +363,50 @@ class ProviderConfiguration {
     });
   }
 
+  async handleSaveUserKey(event) {
+    const formData = new FormData(event.target);
+    const providerId = formData.get('providerId');
+    const apiKey = formData.get('apiKey');
+    
+    try {
+      if (!providerId || !apiKey) {
+        throw new Error('Provider and API Key are required');
+      }
+      
+      await this.apiKeyManager.saveMyApiKey(providerId, apiKey);
+      
+      // Reload the keys and re-render
+      await this.loadUserApiKeys();
+      this.render();
+      this.attachEventListeners();
+      
+      this.showMessage(`Your ${this.getProviderName(providerId)} key was saved`, 'success');
+    } catch (error) {
+      console.error('Error saving API key:', error);
+      this.showError(`Failed to save API key: ${error.message}`);
+    }
+  }
+
+  async handleRemoveUserKey(providerId) {
+    try {
+      if (!confirm(`Remove your ${this.getProviderName(providerId)} key? Requests will use the shared key, if there is one.`)) {
+        return;
+      }
+      
+      await this.apiKeyManager.removeMyApiKey(providerId);
+      
+      // Reload the keys and re-render
+      await this.loadUserApiKeys();
+      this.render();
+      this.attachEventListeners();
+      
+      this.showMessage(`Your ${this.getProviderName(providerId)} key was removed`, 'success');
+    } catch (error) {
+      console.error('Error removing API key:', error);
+      this.showError(`Failed to remove API key: ${error.message}`);
+    }
+  }
+
   async handleAddProvider(event) {
     const formData = new FormData(event.target);
     
@@ -53,7 +53,9 @@ class ProviderTaskAssignment {
       { taskTypeId: 'chat', taskTypeName: 'Chat', description: 'Text-based conversations' },
       { taskTypeId: 'image', taskTypeName: 'Image Generation', description: 'Creating images from text prompts' },
       { taskTypeId: 'text', taskTypeName: 'Text Processing', description: 'Text analysis and transformation' },
-      { taskTypeId: 'code', taskTypeName: 'Code Generation', description: 'Writing and reviewing code' }
+      { taskTypeId: 'code', taskTypeName: 'Code Generation', description: 'Writing and reviewing code' },
+      { taskTypeId: 'embedding', taskTypeName: 'Embeddings', description: 'Turning text into vectors for search and similarity' },
+      { taskTypeId: 'tts', taskTypeName: 'Text to Speech', description: 'Reading replies aloud with a provider voice' }
     ];
   }
 
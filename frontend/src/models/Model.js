@@ -9,6 +9,8 @@ class Model {
     this.providerId = data.providerId || '';
     this.capabilities = Array.isArray(data.capabilities) ? [...data.capabilities] : [];
     this.pricing = data.pricing || {};
+    this.contextWindow = data.contextWindow || null; // Prompt plus reply, in tokens
+    this.maxOutputTokens = data.maxOutputTokens || null; // Longest reply the model can produce
     this.isDefault = data.isDefault === true;
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
@@ -48,6 +50,14 @@ class Model {
       errors.push('pricing must be an object');
     }
 
+    if (this.contextWindow !== null && (!Number.isInteger(this.contextWindow) || this.contextWindow <= 0)) {
+      errors.push('contextWindow must be a positive integer');
+    }
+
+    if (this.maxOutputTokens !== null && (!Number.isInteger(this.maxOutputTokens) || this.maxOutputTokens <= 0)) {
+      errors.push('maxOutputTokens must be a positive integer');
+    }
+
     if (typeof this.isDefault !== 'boolean') {
       errors.push('isDefault must be a boolean');
     }
@@ -109,6 +119,8 @@ class Model {
       providerId: this.providerId,
       capabilities: [...this.capabilities],
       pricing: { ...this.pricing },
+      contextWindow: this.contextWindow,
+      maxOutputTokens: this.maxOutputTokens,
       isDefault: this.isDefault,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -1,13 +1,32 @@
 /**
  * UserPreference Model
- * Settings that allow users to select which provider/model to use for their requests
+ * Settings that allow users to select which provider/model to use for their requests,
+ * and how voice input and output sound to them
  */
+
+// Voice settings used until the user picks their own
+export const DEFAULT_VOICE_SETTINGS = {
+  language: 'en-US', // BCP 47 tag used for speech recognition and preferred for synthesis
+  voiceName: null, // Name of the preferred speechSynthesis voice, null for the browser's choice
+  rate: 1.0,
+  pitch: 1.0,
+  volume: 1.0
+};
+
+// Allowed ranges, as accepted by SpeechSynthesisUtterance
+const VOICE_RANGES = {
+  rate: [0.1, 10],
+  pitch: [0, 2],
+  volume: [0, 1]
+};
+
 class UserPreference {
   constructor(data = {}) {
     this.userId = data.userId || '';
     this.selectedProviderId = data.selectedProviderId || '';
     this.selectedModelId = data.selectedModelId || '';
     this.taskTypePreferences = data.taskTypePreferences || {};
+    this.voiceSettings = { ...DEFAULT_VOICE_SETTINGS, ...(data.voiceSettings || {}) };
     this.lastUsed = data.lastUsed || new Date().toISOString();
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
@@ -36,6 +55,8 @@ class UserPreference {
       errors.push('taskTypePreferences must be an object');
     }
 
+    errors.push(...UserPreference.validateVoiceSettings(this.voiceSettings));
+
     if (this.lastUsed) {
       const date = new Date(this.lastUsed);
       if (isNaN(date.getTime())) {
@@ -134,6 +155,48 @@ class UserPreference {
     return true;
   }
 
+  /**
+   * Update the voice settings; fields left out keep their current value
+   * @param {Object} settings - Any of language, voiceName, rate, pitch and volume
+   * @returns {void}
+   */
+  setVoiceSettings(settings) {
+    const voiceSettings = { ...this.voiceSettings, ...settings };
+    const errors = UserPreference.validateVoiceSettings(voiceSettings);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    this.voiceSettings = voiceSettings;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Check voice settings
+   * @param {Object} settings - Voice settings to check
+   * @returns {Array<string>} Error messages, empty when the settings are valid
+   */
+  static validateVoiceSettings(settings) {
+    const errors = [];
+
+    if (!settings.language || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(settings.language)) {
+      errors.push('voiceSettings.language must be a language tag such as "en-US"');
+    }
+
+    if (settings.voiceName !== null && typeof settings.voiceName !== 'string') {
+      errors.push('voiceSettings.voiceName must be a string or null');
+    }
+
+    Object.entries(VOICE_RANGES).forEach(([field, [min, max]]) => {
+      const value = settings[field];
+      if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+        errors.push(`voiceSettings.${field} must be a number between ${min} and ${max}`);
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Get user preference as a plain object
    * @returns {Object} Plain user preference object
@@ -144,6 +207,7 @@ class UserPreference {
       selectedProviderId: this.selectedProviderId,
       selectedModelId: this.selectedModelId,
       taskTypePreferences: { ...this.taskTypePreferences },
+      voiceSettings: { ...this.voiceSettings },
       lastUsed: this.lastUsed,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -2,6 +2,15 @@
  * Provider Router Service
  * Handles routing requests to the appropriate provider based on task type
  */
+
+// Tasks that need a provider capability reported by /api/providers/available;
+// other tasks work with every provider
+const TASK_CAPABILITIES = {
+  embedding: { capability: 'embeddings', action: 'create embeddings' },
+  image: { capability: 'images', action: 'generate images' },
+  tts: { capability: 'speech', action: 'generate speech' }
+};
+
 class ProviderRouterService {
   constructor() {
     this.taskTypeService = null;
@@ -79,7 +88,8 @@ class ProviderRouterService {
       
       // Get provider details from the provider service
       const providers = await this.providerService.getAvailableProviders();
-      const provider = providers.find(p => p.providerId === assignment.providerId);
+      // The backend lists providers by id
+      const provider = providers.find(p => (p.providerId || p.id) === assignment.providerId);
       
       if (!provider) {
         throw new Error(`Provider ${assignment.providerId} not found or not available`);
@@ -89,9 +99,14 @@ class ProviderRouterService {
       if (!provider.isActive) {
         throw new Error(`Provider ${assignment.providerId} is not active`);
       }
+
+      if (!this.providerSupportsTask(provider, taskType)) {
+        throw new Error(`Provider ${assignment.providerId} cannot ${TASK_CAPABILITIES[taskType].action}`);
+      }
       
-      // Check rate limits before making request
-      const rateLimiter = await import('./utils/rateLimiter.js').then(m => m.default);
+      // Check rate limits before making request; token limits are enforced by the backend,
+      // which estimates the prompt itself
+      const rateLimiter = await import('../utils/rateLimiter.js').then(m => m.default);
       const rateLimitCheck = await rateLimiter.isRequestAllowed(assignment.providerId, requestData.tokens || 0);
       
       if (!rateLimitCheck.allowed) {
@@ -99,6 +114,22 @@ class ProviderRouterService {
         throw new Error(`Rate limit exceeded. Try again in ${seconds} seconds.`);
       }
       
+      // Embeddings, images and speech have their own endpoints on the backend proxy
+      if (taskType === 'embedding') {
+        const { default: apiClient } = await import('./apiClient.js');
+        return await apiClient.createEmbeddings({ ...requestData, providerId: assignment.providerId });
+      }
+      
+      if (taskType === 'image') {
+        const { default: apiClient } = await import('./apiClient.js');
+        return await apiClient.createImage({ ...requestData, providerId: assignment.providerId });
+      }
+      
+      if (taskType === 'tts') {
+        const { default: apiClient } = await import('./apiClient.js');
+        return await apiClient.createSpeech({ ...requestData, providerId: assignment.providerId });
+      }
+      
       // For this implementation, we'll return a mock response
       // In a real implementation, this would call the specific provider's API
       return await this.callProvider(provider, requestData);
@@ -195,7 +226,7 @@ class ProviderRouterService {
     };
     
     // Return the appropriate mock response based on the provider ID
-    const providerKey = Object.keys(mockResponses).find(key => provider.providerId.includes(key.split(':')[0]));
+    const providerKey = Object.keys(mockResponses).find(key => (provider.providerId || provider.id).includes(key.split(':')[0]));
     
     return Promise.resolve(mockResponses[providerKey] || {
       error: { message: `Mock response for ${provider.providerName} not configured` }
@@ -219,6 +250,17 @@ class ProviderRouterService {
     localStorage.setItem('providerTaskAssignments', JSON.stringify(assignments));
   }
 
+  /**
+   * Whether a provider has the capability a task type needs
+   * @param {Object} provider - Provider from /api/providers/available
+   * @param {string} taskType - Task type to check
+   * @returns {boolean} True when the task needs no capability or the provider reports it
+   */
+  providerSupportsTask(provider, taskType) {
+    const task = TASK_CAPABILITIES[taskType];
+    return !task || (provider.capabilities || []).includes(task.capability);
+  }
+
   /**
    * Validate that a provider supports a particular task type
    * @param {string} providerId - ID of the provider
@@ -229,15 +271,13 @@ class ProviderRouterService {
     try {
       // Get the provider details
       const providers = await this.providerService.getAvailableProviders();
-      const provider = providers.find(p => p.providerId === providerId);
+      const provider = providers.find(p => (p.providerId || p.id) === providerId);
       
       if (!provider) {
         return false;
       }
       
-      // In a real implementation, we would check the provider's capabilities
-      // For this mock, we'll allow all providers to handle all task types
-      return true;
+      return this.providerSupportsTask(provider, taskType);
     } catch (error) {
       console.error('Error validating provider support:', error);
       return false;
@@ -275,7 +315,7 @@ class ProviderRouterService {
         } else {
           // Check if the assigned provider exists
           const providers = await this.providerService.getAvailableProviders();
-          const providerExists = providers.some(p => p.providerId === assignment.providerId);
+          const providerExists = providers.some(p => (p.providerId || p.id) === assignment.providerId);
 
           if (!providerExists) {
             validation.isValid = false;
@@ -56,6 +56,24 @@ class TaskTypeService {
         defaultModelId: null,
         createdAt: '2025-11-23T10:00:00Z',
         updatedAt: '2025-11-23T10:00:00Z'
+      },
+      { 
+        taskTypeId: 'embedding', 
+        taskTypeName: 'Embeddings', 
+        description: 'Turning text into vectors for search and similarity', 
+        defaultProviderId: null, 
+        defaultModelId: null,
+        createdAt: '2025-11-23T10:00:00Z',
+        updatedAt: '2025-11-23T10:00:00Z'
+      },
+      { 
+        taskTypeId: 'tts', 
+        taskTypeName: 'Text to Speech', 
+        description: 'Reading replies aloud with a provider voice', 
+        defaultProviderId: null, 
+        defaultModelId: null,
+        createdAt: '2025-11-23T10:00:00Z',
+        updatedAt: '2025-11-23T10:00:00Z'
       }
     ];
     
@@ -0,0 +1,89 @@
+// frontend/src/services/api/budgetService.js
+/**
+ * Budget Service
+ * Manages monthly token and spending budgets through the backend /api/budgets
+ * endpoints. Administrators manage every budget; users can read their own.
+ */
+import authService from '../auth/authService.js';
+
+class BudgetService {
+  constructor() {
+    this.baseURL = 'http://localhost:3000'; // Our backend server
+  }
+
+  /**
+   * Send a request to the budgets API
+   * @param {string} path - Path below /api/budgets
+   * @param {Object} options - fetch options; an object body is sent as JSON
+   * @returns {Promise<Object|null>} Parsed response body, or null for 204 responses
+   */
+  async request(path, options = {}) {
+    const response = await authService.authorizedFetch(`${this.baseURL}/api/budgets${path}`, {
+      method: options.method || 'GET',
+      headers: { 'Content-Type': 'application/json' },
+      ...(options.body ? { body: JSON.stringify(options.body) } : {})
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Budget request failed: ${response.status} - ${errorData.error || response.statusText}`);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * List every budget with this month's usage (administrators only)
+   * @returns {Promise<Array>} Budgets with used, remaining, exhausted and resetAt
+   */
+  async getBudgets() {
+    const { budgets } = await this.request('');
+    return budgets;
+  }
+
+  /**
+   * List the budgets that apply to the signed-in user
+   * @returns {Promise<Array>} Budgets with used, remaining, exhausted and resetAt
+   */
+  async getMyBudgets() {
+    const { budgets } = await this.request('/me');
+    return budgets;
+  }
+
+  /**
+   * Create a monthly budget (administrators only)
+   * @param {Object} budget - userId and/or providerId, metric ('tokens' or 'cost'), limit,
+   *   onExhausted ('reject' or 'downgrade') and, for downgrade budgets, an optional
+   *   downgradeModel and a hardLimit at which requests are rejected anyway
+   * @returns {Promise<Object>} The created budget
+   */
+  async createBudget(budget) {
+    const { budget: created } = await this.request('', { method: 'POST', body: budget });
+    return created;
+  }
+
+  /**
+   * Update a budget (administrators only)
+   * @param {string} id - Budget ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} The updated budget
+   */
+  async updateBudget(id, changes) {
+    const { budget } = await this.request(`/${encodeURIComponent(id)}`, { method: 'PUT', body: changes });
+    return budget;
+  }
+
+  /**
+   * Delete a budget (administrators only)
+   * @param {string} id - Budget ID
+   * @returns {Promise<void>}
+   */
+  async deleteBudget(id) {
+    await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  }
+}
+
+// Export a singleton instance
+const budgetService = new BudgetService();
+export default budgetService;
+export { BudgetService };
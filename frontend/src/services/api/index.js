@@ -3,6 +3,8 @@
 
 export { default as ProviderService } from './providerService.js';
 export { default as ModelService } from './modelService.js';
+export { default as UsageService } from './usageService.js';
+export { default as BudgetService } from './budgetService.js';
 
 // Additional services can be exported here as they are implemented
 // export { default as ChatService } from './chatService.js';
@@ -31,7 +31,9 @@ class ModelService {
       if (modelId.includes('gpt-5')) {
         capabilities.push('reasoning', 'advanced-context', 'multimodal');
       } else if (modelId.includes('o4')) {
-        capabilities.push('reasoning', 'fast-response');
+        capabilities.push('reasoning', 'fast-response', 'image-analysis');
+      } else if (modelId.includes('gpt-4o') || modelId.includes('gpt-4.1')) {
+        capabilities.push('multimodal');
       }
 
       if (modelId.includes('dall-e')) {
@@ -54,7 +56,8 @@ class ModelService {
         capabilities.push('multilingual', 'reasoning');
       }
     } else if (providerId === 'gemini') {
-      if (modelId.includes('vision')) {
+      // Every Gemini generation since 1.5 reads images
+      if (modelId.includes('vision') || /^(models\/)?gemini-(1\.5|[2-9])/.test(modelId)) {
         capabilities.push('image-analysis');
       }
 
@@ -109,14 +112,20 @@ class ModelService {
         throw new Error(`Provider ${providerId} not found`);
       }
 
-      return provider.models.map(modelId => ({
-        id: modelId,
-        name: modelId,
-        providerId: provider.id,
-        capabilities: this.getCapabilitiesForModel(modelId, provider.id),
-        description: `${modelId} model from ${provider.name}`,
-        isAvailable: true
-      }));
+      return provider.models.map(modelId => {
+        const metadata = (provider.modelMetadata || {})[modelId] || {};
+        return {
+          id: modelId,
+          name: modelId,
+          providerId: provider.id,
+          capabilities: this.getCapabilitiesForModel(modelId, provider.id),
+          description: `${modelId} model from ${provider.name}`,
+          contextWindow: metadata.contextWindow || null,
+          maxOutputTokens: metadata.maxOutputTokens || null,
+          tokenizer: metadata.tokenizer || null,
+          isAvailable: true
+        };
+      });
     } catch (error) {
       console.error(`Error getting models for provider ${providerId}:`, error);
       // Re-throw the error for the caller to handle appropriately
@@ -0,0 +1,74 @@
+// frontend/src/services/api/usageService.js
+/**
+ * Usage Service
+ * Reads token usage and cost accounting from the backend /api/usage endpoints.
+ * Users see their own usage; administrators see everyone's.
+ */
+import authService from '../auth/authService.js';
+
+class UsageService {
+  constructor() {
+    this.baseURL = 'http://localhost:3000'; // Our backend server
+  }
+
+  /**
+   * Build a query string from the defined filter values
+   * @param {Object} params - Query parameters
+   * @returns {string} Query string, including the leading "?" when not empty
+   */
+  buildQuery(params = {}) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, Array.isArray(value) ? value.join(',') : String(value));
+      }
+    });
+    const queryString = query.toString();
+    return queryString ? `?${queryString}` : '';
+  }
+
+  /**
+   * Send a GET request to the usage API
+   * @param {string} path - Path below /api/usage
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async request(path, params) {
+    const response = await authService.authorizedFetch(`${this.baseURL}/api/usage${path}${this.buildQuery(params)}`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Failed to load usage: ${response.status} - ${errorData.error || response.statusText}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get token and cost totals, grouped by any of user, provider, model and day
+   * @param {Object} filters - Optional userId (admins only), providerId, model, from and to (YYYY-MM-DD)
+   * @param {string[]} groupBy - Dimensions to group by; the backend defaults to user, provider and day
+   * @returns {Promise<Object>} Summary with currency, totals and groups
+   */
+  async getSummary(filters = {}, groupBy = null) {
+    return this.request('/summary', { ...filters, groupBy });
+  }
+
+  /**
+   * List individual usage records, newest first
+   * @param {Object} filters - Optional userId (admins only), providerId, model, from and to (YYYY-MM-DD)
+   * @param {number} limit - Maximum number of records
+   * @returns {Promise<Object>} Object with total and records
+   */
+  async getRecords(filters = {}, limit = 100) {
+    return this.request('', { ...filters, limit });
+  }
+}
+
+// Export a singleton instance
+const usageService = new UsageService();
+export default usageService;
+export { UsageService };
@@ -1,4 +1,6 @@
 // frontend/src/services/apiClient.js
+import authService from './auth/authService.js';
+
 /**
  * API Client Service
  * Handles direct communication with AI provider APIs through the backend proxy
@@ -18,6 +20,26 @@ class ApiClient {
     this.apiKey = key;
   }
 
+  /**
+   * Build an error for a failed backend response
+   * Keeps the status, error code and quota details so the error handler can
+   * explain them (e.g. the remaining budget and reset date for QUOTA_EXCEEDED)
+   * @param {Response} response - The failed fetch response
+   * @param {Object} errorData - Parsed error body
+   * @returns {Error} Error with status, code and quota
+   */
+  createResponseError(response, errorData = {}) {
+    const error = new Error(`API request failed: ${response.status} - ${errorData.error || response.statusText}`);
+    error.status = response.status;
+    if (errorData.code) {
+      error.code = errorData.code;
+    }
+    if (errorData.quota) {
+      error.quota = errorData.quota;
+    }
+    return error;
+  }
+
   /**
    * Make a chat completion request through the backend proxy
    * @param {Object} requestData - Request data including providerId, model, and messages
@@ -38,12 +60,11 @@ class ApiClient {
       const model = requestData.model || 'llama3-70b-8192'; // Default to Groq's Llama3 model
 
       // Make the request to our backend proxy
-      const response = await fetch(`${this.baseURL}/api/proxy/chat/completions`, {
+      // The access token is attached (and refreshed when expired) by the auth service
+      const response = await authService.authorizedFetch(`${this.baseURL}/api/proxy/chat/completions`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          // Include authentication token if available
-          'Authorization': `Bearer ${localStorage.getItem('access_token') || 'anon'}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           providerId: requestData.providerId,
@@ -52,13 +73,15 @@ class ApiClient {
           temperature: requestData.temperature || 0.7,
           max_tokens: requestData.max_tokens || 1024,
           top_p: requestData.top_p || 1.0,
-          stream: requestData.stream || false
+          stream: requestData.stream || false,
+          tools: requestData.tools,
+          tool_choice: requestData.tool_choice
         })
       });
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API request failed: ${response.status} - ${errorData.error || response.statusText}`);
+        throw this.createResponseError(response, errorData);
       }
 
       return await response.json();
@@ -68,6 +91,295 @@ class ApiClient {
     }
   }
 
+  /**
+   * Create embeddings for one text or a batch of texts through the backend proxy
+   * @param {Object} requestData - Request data including providerId, input and an optional model
+   * @param {string|Array<string>} requestData.input - Text or texts to embed
+   * @param {number} requestData.dimensions - Optional size of the output vectors
+   * @returns {Promise<Object>} Embeddings list with one vector per input, in input order
+   */
+  async createEmbeddings(requestData) {
+    if (!requestData.providerId) {
+      throw new Error('providerId is required for embedding requests');
+    }
+
+    if (!requestData.input || (Array.isArray(requestData.input) && requestData.input.length === 0)) {
+      throw new Error('input is required for embedding requests');
+    }
+
+    return await this.makeRequest('/api/proxy/embeddings', {
+      method: 'POST',
+      body: {
+        providerId: requestData.providerId,
+        model: requestData.model,
+        input: requestData.input,
+        dimensions: requestData.dimensions
+      }
+    });
+  }
+
+  /**
+   * Generate images from a text prompt through the backend proxy
+   * @param {Object} requestData - Request data including providerId, prompt and an optional model
+   * @param {number} requestData.n - Number of images to generate
+   * @param {string} requestData.size - Image size such as '1024x1024'
+   * @returns {Promise<Object>} Images response; each image has a url or b64_json and a mime_type
+   */
+  async createImage(requestData) {
+    if (!requestData.providerId) {
+      throw new Error('providerId is required for image requests');
+    }
+
+    if (!requestData.prompt || !requestData.prompt.trim()) {
+      throw new Error('prompt is required for image requests');
+    }
+
+    return await this.makeRequest('/api/proxy/images/generations', {
+      method: 'POST',
+      body: {
+        providerId: requestData.providerId,
+        model: requestData.model,
+        prompt: requestData.prompt,
+        n: requestData.n,
+        size: requestData.size,
+        response_format: requestData.response_format
+      }
+    });
+  }
+
+  /**
+   * Turn text into speech through the backend proxy
+   * @param {Object} requestData - Request data including providerId, input and an optional model
+   * @param {string} requestData.voice - Optional provider voice such as 'alloy'
+   * @param {string} requestData.response_format - Optional audio format such as 'mp3' or 'opus'
+   * @param {AbortSignal} requestData.signal - Signal used to abort the request
+   * @returns {Promise<Blob>} The generated audio
+   */
+  async createSpeech(requestData) {
+    if (!requestData.providerId) {
+      throw new Error('providerId is required for speech requests');
+    }
+
+    if (!requestData.input || !requestData.input.trim()) {
+      throw new Error('input is required for speech requests');
+    }
+
+    // The reply is audio rather than JSON, so makeRequest cannot be used
+    const response = await authService.authorizedFetch(`${this.baseURL}/api/proxy/audio/speech`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        providerId: requestData.providerId,
+        model: requestData.model,
+        input: requestData.input,
+        voice: requestData.voice,
+        response_format: requestData.response_format,
+        speed: requestData.speed
+      }),
+      signal: requestData.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createResponseError(response, errorData);
+    }
+
+    return await response.blob();
+  }
+
+  /**
+   * Transcribe recorded speech through the backend proxy (OpenAI or Groq Whisper)
+   * @param {Blob} audio - Recorded audio such as a MediaRecorder webm or ogg blob
+   * @param {Object} options - Transcription options
+   * @param {string} options.providerId - Provider with a transcription model
+   * @param {string} options.model - Optional transcription model
+   * @param {string} options.language - Optional ISO-639-1 code of the spoken language
+   * @param {AbortSignal} options.signal - Signal used to abort the upload
+   * @returns {Promise<Object>} { text, language, duration, metadata }
+   */
+  async processVoiceToText(audio, options = {}) {
+    if (!options.providerId) {
+      throw new Error('providerId is required for transcription requests');
+    }
+
+    if (!audio || audio.size === 0) {
+      throw new Error('audio is required for transcription requests');
+    }
+
+    const form = new FormData();
+    form.append('providerId', options.providerId);
+    if (options.model) {
+      form.append('model', options.model);
+    }
+    if (options.language) {
+      form.append('language', options.language);
+    }
+    // The browser sets the multipart Content-Type with its boundary
+    form.append('file', audio, audio.name || 'recording');
+
+    const response = await authService.authorizedFetch(`${this.baseURL}/api/proxy/audio/transcriptions`, {
+      method: 'POST',
+      body: form,
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createResponseError(response, errorData);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Stream a chat completion through the backend proxy
+   * Yields content tokens as they arrive from the provider's Server-Sent Events stream
+   * @param {Object} requestData - Request data including providerId, model, and messages
+   * @param {Object} options - Stream options
+   * @param {AbortSignal} options.signal - Signal used to abort the underlying fetch
+   * @param {Function} options.onToolCalls - Called with the assembled tool calls when the stream ends
+   * @returns {AsyncGenerator<string>} Async iterator of content tokens
+   */
+  async *streamChatCompletion(requestData, options = {}) {
+    if (!requestData.providerId) {
+      throw new Error('providerId is required for chat completion requests');
+    }
+
+    if (!requestData.messages || !Array.isArray(requestData.messages) || requestData.messages.length === 0) {
+      throw new Error('messages array is required for chat completion requests');
+    }
+
+    const response = await authService.authorizedFetch(`${this.baseURL}/api/proxy/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        providerId: requestData.providerId,
+        model: requestData.model,
+        messages: requestData.messages,
+        temperature: requestData.temperature,
+        max_tokens: requestData.max_tokens,
+        tools: requestData.tools,
+        tool_choice: requestData.tool_choice,
+        stream: true
+      }),
+      signal: options.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw this.createResponseError(response, errorData);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const toolCalls = [];
+    let buffer = '';
+    let finished = false;
+
+    try {
+      while (!finished) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+        // Events are separated by a blank line
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+          const event = this.parseServerSentEvent(buffer.slice(0, boundary));
+          buffer = buffer.slice(boundary + 2);
+          boundary = buffer.indexOf('\n\n');
+
+          if (!event) {
+            continue;
+          }
+
+          if (event.data === '[DONE]') {
+            finished = true;
+            break;
+          }
+
+          const payload = JSON.parse(event.data);
+          if (event.event === 'error' || payload.error) {
+            throw new Error(`Stream error: ${payload.error || 'Unknown error'}`);
+          }
+
+          const delta = payload.choices && payload.choices[0] && payload.choices[0].delta;
+          if (!delta) {
+            continue;
+          }
+
+          if (delta.tool_calls) {
+            this.mergeToolCallDeltas(toolCalls, delta.tool_calls);
+          }
+
+          if (delta.content) {
+            yield delta.content;
+          }
+        }
+      }
+
+      if (toolCalls.length > 0 && options.onToolCalls) {
+        options.onToolCalls(toolCalls.filter(Boolean));
+      }
+    } finally {
+      // Cancelling the reader also closes the connection if the consumer stopped early
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  /**
+   * Assemble streamed tool call fragments into complete tool calls
+   * Each fragment carries an index; the id and name arrive first and the
+   * arguments JSON arrives in pieces
+   * @param {Array} toolCalls - Tool calls assembled so far (mutated)
+   * @param {Array} deltas - Tool call fragments from one chunk
+   */
+  mergeToolCallDeltas(toolCalls, deltas) {
+    deltas.forEach((delta, position) => {
+      const index = delta.index !== undefined ? delta.index : position;
+      const toolCall = toolCalls[index] || (toolCalls[index] = {
+        id: null,
+        type: 'function',
+        function: { name: '', arguments: '' }
+      });
+
+      if (delta.id) toolCall.id = delta.id;
+      if (delta.function && delta.function.name) toolCall.function.name += delta.function.name;
+      if (delta.function && delta.function.arguments) toolCall.function.arguments += delta.function.arguments;
+    });
+  }
+
+  /**
+   * Parse a single raw Server-Sent Event block
+   * @param {string} rawEvent - Event text without the trailing blank line
+   * @returns {Object|null} Object with event name and data, or null for comments
+   */
+  parseServerSentEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split('\n').forEach(line => {
+      if (!line || line.startsWith(':')) return;
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') event = value;
+      if (field === 'data') dataLines.push(value);
+    });
+
+    return dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+  }
+
   /**
    * Make a general API request through the backend proxy
    * @param {string} endpoint - API endpoint path
@@ -89,8 +401,6 @@ class ApiClient {
         method,
         headers: {
           'Content-Type': 'application/json',
-          // Include authentication token if available
-          'Authorization': `Bearer ${localStorage.getItem('access_token') || 'anon'}`,
           ...headers
         }
       };
@@ -101,11 +411,11 @@ class ApiClient {
         requestOptions.body = body;
       }
 
-      const response = await fetch(url, requestOptions);
+      const response = await authService.authorizedFetch(url, requestOptions);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(`API request failed: ${response.status} - ${errorData.error || response.statusText}`);
+        throw this.createResponseError(response, errorData);
       }
 
       return await response.json();
@@ -4,6 +4,8 @@
  * Handles secure API key management (interacts with backend for actual storage)
  */
 
+import authService from './authService.js';
+
 class APIKeyManager {
   constructor() {
     this.baseURL = this.getBaseURL();
@@ -197,6 +199,86 @@ class APIKeyManager {
       throw error;
     }
   }
+
+  /**
+   * Get the signed-in user's own API keys
+   * @returns {Promise<Object>} Object with apiKeys (the user's keys, without the key values)
+   *   and sharedProviders (provider IDs that have a shared key)
+   */
+  async getMyApiKeys() {
+    try {
+      const response = await authService.authorizedFetch(`${this.baseURL}/api/apikeys/me`, {
+        method: 'GET',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Failed to get API keys: ${response.status} - ${errorData.error || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error getting user API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the signed-in user's own API key for a provider, replacing any previous one
+   * @param {string} providerId - ID of the provider
+   * @param {string} apiKey - API key for the provider
+   * @returns {Promise<Object>} Response from the backend
+   */
+  async saveMyApiKey(providerId, apiKey) {
+    try {
+      const response = await authService.authorizedFetch(`${this.baseURL}/api/apikeys/me/${encodeURIComponent(providerId)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ apiKey })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Failed to save API key: ${response.status} - ${errorData.error || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Error saving API key for ${providerId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the signed-in user's own API key for a provider; the shared key applies again
+   * @param {string} providerId - ID of the provider
+   * @returns {Promise<Object>} Response from the backend
+   */
+  async removeMyApiKey(providerId) {
+    try {
+      const response = await authService.authorizedFetch(`${this.baseURL}/api/apikeys/me/${encodeURIComponent(providerId)}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Failed to remove API key: ${response.status} - ${errorData.error || response.statusText}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Error removing API key for ${providerId}:`, error);
+      throw error;
+    }
+  }
 }
 
 // Export a singleton instance
@@ -1,15 +1,23 @@
 /**
  * Authentication Service
  * Handles user authentication and role management for the AI chatbot
- * Specifically manages developer/administrator vs regular user roles
+ * Signs users in through the backend /api/auth endpoints and keeps the
+ * access/refresh token pair in localStorage
  */
 class AuthService {
   constructor() {
+    this.baseURL = 'http://localhost:3000'; // Our backend server
     this.currentUser = null;
+    this.refreshPromise = null; // Shared by concurrent requests that need a new token
     this.roles = {
       USER: 'user',
       DEVELOPER: 'developer'
     };
+    this.storageKeys = {
+      user: 'currentUser',
+      accessToken: 'access_token',
+      refreshToken: 'refresh_token'
+    };
   }
 
   /**
@@ -17,7 +25,7 @@ class AuthService {
    * @returns {Promise<void>}
    */
   async init() {
-    // Check if user is already authenticated (from session storage, etc.)
+    // Restore the signed-in user from a previous visit
     this.currentUser = this.loadCurrentUser();
   }
 
@@ -27,8 +35,8 @@ class AuthService {
    */
   loadCurrentUser() {
     try {
-      const userData = localStorage.getItem('currentUser');
-      if (userData) {
+      const userData = localStorage.getItem(this.storageKeys.user);
+      if (userData && localStorage.getItem(this.storageKeys.refreshToken)) {
         return JSON.parse(userData);
       }
       return null;
@@ -40,44 +48,61 @@ class AuthService {
 
   /**
    * Authenticate a user with credentials
-   * In a real implementation, this would validate against a backend
-   * @param {string} username - Username or identifier
-   * @param {string} password - Password or token
+   * @param {string} username - Username
+   * @param {string} password - Password
    * @returns {Promise<Object>} Authentication result
    */
   async authenticate(username, password) {
+    return this.requestSession('/api/auth/login', { username, password }, 'Authentication successful');
+  }
+
+  /**
+   * Create an account and sign in
+   * @param {string} username - Username (3-64 letters, digits, ".", "_" or "-")
+   * @param {string} password - Password (at least 8 characters)
+   * @returns {Promise<Object>} Registration result
+   */
+  async register(username, password) {
+    return this.requestSession('/api/auth/register', { username, password }, 'Registration successful');
+  }
+
+  /**
+   * Send credentials to the backend and store the returned session
+   * @param {string} endpoint - Auth endpoint to call
+   * @param {Object} credentials - Username and password
+   * @param {string} successMessage - Message returned on success
+   * @returns {Promise<Object>} Result with success, user and message
+   */
+  async requestSession(endpoint, credentials, successMessage) {
     try {
-      // In a client-side only application, this would typically involve
-      // validating credentials against a backend API
-      // For this implementation, we'll simulate authentication
-      
-      // This is a simplified implementation - in a real application,
-      // authentication would be handled securely by a backend service
-      const isValid = this.validateCredentials(username, password);
-      
-      if (isValid) {
-        this.currentUser = {
-          id: username,
-          username: username,
-          role: this.determineRole(username), // Could be 'user' or 'developer'
-          authenticated: true,
-          lastLogin: new Date().toISOString()
-        };
-        
-        // Store user data locally
-        localStorage.setItem('currentUser', JSON.stringify(this.currentUser));
-        
+      if (!credentials.username || !credentials.password) {
         return {
-          success: true,
-          user: this.currentUser,
-          message: 'Authentication successful'
+          success: false,
+          message: 'Username and password are required'
         };
-      } else {
+      }
+
+      const response = await fetch(`${this.baseURL}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(credentials)
+      });
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
         return {
           success: false,
-          message: 'Invalid credentials'
+          message: data.error || 'Invalid credentials'
         };
       }
+
+      this.storeSession(data);
+
+      return {
+        success: true,
+        user: this.currentUser,
+        message: successMessage
+      };
     } catch (error) {
       console.error('Authentication error:', error);
       return {
@@ -88,39 +113,96 @@ class AuthService {
   }
 
   /**
-   * Validate user credentials
-   * @param {string} username - Username to validate
-   * @param {string} password - Password to validate
-   * @returns {boolean} True if credentials are valid
+   * Store a session returned by the backend
+   * @param {Object} session - Session with user, accessToken and refreshToken
+   * @returns {void}
+   */
+  storeSession(session) {
+    this.currentUser = {
+      id: session.user.id,
+      username: session.user.username,
+      // Backend admins manage providers, which the UI calls developers
+      role: session.user.role === 'admin' ? this.roles.DEVELOPER : this.roles.USER,
+      authenticated: true,
+      lastLogin: session.user.lastLoginAt || new Date().toISOString()
+    };
+
+    localStorage.setItem(this.storageKeys.user, JSON.stringify(this.currentUser));
+    localStorage.setItem(this.storageKeys.accessToken, session.accessToken);
+    localStorage.setItem(this.storageKeys.refreshToken, session.refreshToken);
+  }
+
+  /**
+   * Get the current access token
+   * @returns {string|null} Access token or null if not signed in
    */
-  validateCredentials(username, password) {
-    // In a real implementation, this would validate against a backend service
-    // For this client-side example, we'll use a simple check
-    // Note: This is for demonstration only - real credentials should never be stored client-side
-    if (!username || !password) {
+  getAccessToken() {
+    return localStorage.getItem(this.storageKeys.accessToken);
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * Concurrent callers share a single refresh request
+   * @returns {Promise<boolean>} True if a new access token was obtained
+   */
+  async refreshAccessToken() {
+    const refreshToken = localStorage.getItem(this.storageKeys.refreshToken);
+    if (!refreshToken) {
       return false;
     }
-    
-    // In a real application, you would send credentials to a backend for validation
-    // This is just a placeholder implementation
-    return username.length > 0 && password.length > 0;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.baseURL}/api/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+          });
+
+          if (!response.ok) {
+            // The session is over; make the user sign in again
+            this.clearSession();
+            return false;
+          }
+
+          this.storeSession(await response.json());
+          return true;
+        } catch (error) {
+          console.error('Error refreshing access token:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
   }
 
   /**
-   * Determine user role based on username or other factors
-   * @param {string} username - Username to determine role for
-   * @returns {string} Role ('user' or 'developer')
+   * Fetch with the access token attached, refreshing it once if it has expired
+   * @param {string} url - URL to fetch
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} fetch response
    */
-  determineRole(username) {
-    // In a real implementation, role would be determined by a backend service
-    // For now, we'll hardcode some users as developers based on naming convention
-    
-    // For demo purposes, any username starting with 'dev_' or 'admin_' is considered a developer
-    if (username.startsWith('dev_') || username.startsWith('admin_')) {
-      return this.roles.DEVELOPER;
+  async authorizedFetch(url, options = {}) {
+    const send = () => {
+      const token = this.getAccessToken();
+      return fetch(url, {
+        ...options,
+        headers: {
+          ...(options.headers || {}),
+          ...(token ? { 'Authorization': `Bearer ${token}` } : {})
+        }
+      });
+    };
+
+    const response = await send();
+    if (response.status === 401 && await this.refreshAccessToken()) {
+      return send();
     }
-    
-    return this.roles.USER;
+    return response;
   }
 
   /**
@@ -136,7 +218,7 @@ class AuthService {
    * @returns {boolean} True if user has developer privileges
    */
   isDeveloper() {
-    return this.isAuthenticated() && 
+    return this.isAuthenticated() &&
            this.currentUser.role === this.roles.DEVELOPER;
   }
 
@@ -149,12 +231,36 @@ class AuthService {
   }
 
   /**
-   * Logout the current user
+   * Logout the current user and revoke the refresh token on the backend
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = localStorage.getItem(this.storageKeys.refreshToken);
+    this.clearSession();
+
+    if (refreshToken) {
+      try {
+        await fetch(`${this.baseURL}/api/auth/logout`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refreshToken })
+        });
+      } catch (error) {
+        // The local session is already gone; the token will expire on its own
+        console.error('Error revoking refresh token:', error);
+      }
+    }
+  }
+
+  /**
+   * Forget the local session
    * @returns {void}
    */
-  logout() {
+  clearSession() {
     this.currentUser = null;
-    localStorage.removeItem('currentUser');
+    localStorage.removeItem(this.storageKeys.user);
+    localStorage.removeItem(this.storageKeys.accessToken);
+    localStorage.removeItem(this.storageKeys.refreshToken);
   }
 
   /**
@@ -168,4 +274,4 @@ class AuthService {
 
 // Export a singleton instance
 const authService = new AuthService();
-export default authService;
\ No newline at end of file
+export default authService;
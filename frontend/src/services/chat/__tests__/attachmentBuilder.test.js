@@ -0,0 +1,73 @@
+// frontend/src/services/chat/__tests__/attachmentBuilder.test.js
+import { AttachmentBuilder } from '../attachmentBuilder';
+
+describe('Attachment Builder', () => {
+  let builder;
+  const image = { name: 'cat.png', kind: 'image', mimeType: 'image/png', size: 8, dataUrl: 'data:image/png;base64,iVBORw0KGgo=' };
+  const notes = { name: 'notes.md', kind: 'text', mimeType: 'text/markdown', size: 5, text: '# Todo' };
+
+  beforeEach(() => {
+    builder = new AttachmentBuilder();
+  });
+
+  it('should attach images and text files and nothing else', () => {
+    expect(builder.getKind({ name: 'cat.png', type: 'image/png' })).toBe('image');
+    expect(builder.getKind({ name: 'data.csv', type: 'text/csv' })).toBe('text');
+    expect(builder.getKind({ name: 'main.PY', type: '' })).toBe('text');
+    expect(builder.getKind({ name: 'drawing.svg', type: 'image/svg+xml' })).toBeNull();
+    expect(builder.getKind({ name: 'report.pdf', type: 'application/pdf' })).toBeNull();
+  });
+
+  it('should reject unsupported and oversized files before reading them', async () => {
+    await expect(builder.readFile({ name: 'report.pdf', type: 'application/pdf', size: 10 }))
+      .rejects.toThrow('report.pdf cannot be attached');
+    await expect(builder.readFile({ name: 'huge.png', type: 'image/png', size: 6 * 1024 * 1024 }))
+      .rejects.toThrow('Images can be at most 5 MB');
+  });
+
+  it('should read images as data URLs and text files as text', async () => {
+    const photo = new File(['abc'], 'cat.png', { type: 'image/png' });
+    await expect(builder.readFile(photo)).resolves.toEqual({
+      name: 'cat.png', kind: 'image', mimeType: 'image/png', size: 3, dataUrl: 'data:image/png;base64,YWJj'
+    });
+
+    const script = { name: 'main.py', type: '', size: 12, text: async () => 'print("hi")' };
+    await expect(builder.readFile(script)).resolves.toEqual({
+      name: 'main.py', kind: 'text', mimeType: 'text/plain', size: 12, text: 'print("hi")'
+    });
+  });
+
+  it('should keep the attachments of a message within one request body', () => {
+    const notesFiles = Array.from({ length: 11 }, () => notes);
+    expect(() => builder.checkLimits(notesFiles)).toThrow('at most 10 attachments');
+
+    const photo = { ...image, size: 4 * 1024 * 1024 };
+    expect(() => builder.checkLimits([photo, notes])).not.toThrow();
+    expect(() => builder.checkLimits([photo, photo])).toThrow('The images of a message can be at most 6 MB together.');
+  });
+
+  it('should keep plain text messages as strings', () => {
+    expect(builder.buildContent('Hello', [])).toBe('Hello');
+    expect(builder.describe('Hello', [])).toBe('Hello');
+  });
+
+  it('should build text files, the message and images as content parts', () => {
+    expect(builder.buildContent('What is this?', [image, notes])).toEqual([
+      { type: 'text', text: 'File: notes.md\n```\n# Todo\n```' },
+      { type: 'text', text: 'What is this?' },
+      { type: 'image_url', image_url: { url: image.dataUrl } }
+    ]);
+    expect(builder.buildContent('', [image])).toEqual([{ type: 'image_url', image_url: { url: image.dataUrl } }]);
+    expect(builder.describe('What is this?', [image, notes])).toBe('What is this?\n[Attached: cat.png, notes.md]');
+  });
+
+  it('should only send images to models that can read them', () => {
+    expect(builder.supportsImages('openai', 'gpt-5')).toBe(true);
+    expect(builder.supportsImages('gemini', 'gemini-2.5-flash')).toBe(true);
+    expect(builder.supportsImages('groq', 'qwen/qwen3-32b')).toBe(false);
+
+    expect(() => builder.checkModelSupport([notes], 'groq', 'qwen/qwen3-32b')).not.toThrow();
+    expect(() => builder.checkModelSupport([image], 'groq', 'qwen/qwen3-32b'))
+      .toThrow('qwen/qwen3-32b cannot read images. Choose a model with image support (multimodal or image analysis), or remove cat.png.');
+  });
+});
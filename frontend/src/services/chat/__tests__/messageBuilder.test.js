@@ -0,0 +1,71 @@
+// frontend/src/services/chat/__tests__/messageBuilder.test.js
+import { MessageBuilder } from '../messageBuilder';
+
+describe('Message Builder', () => {
+  let builder;
+
+  beforeEach(() => {
+    builder = new MessageBuilder();
+    localStorage.clear();
+  });
+
+  it('should send the whole history after the system prompt', () => {
+    const history = [
+      { id: '1', role: 'user', content: 'Hi', timestamp: '2026-01-01T00:00:00Z' },
+      { id: '2', role: 'assistant', content: 'Hello!' },
+      { id: '3', role: 'user', content: 'What did I just say?' }
+    ];
+
+    const { messages } = builder.buildMessages(history, { systemPrompt: 'Be brief.' });
+
+    expect(messages).toEqual([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello!' },
+      { role: 'user', content: 'What did I just say?' }
+    ]);
+  });
+
+  it('should use the saved system prompt by default', () => {
+    builder.setSystemPrompt('  You are a pirate.  ');
+
+    const { messages } = builder.buildMessages([{ role: 'user', content: 'Ahoy' }]);
+
+    expect(messages[0]).toEqual({ role: 'system', content: 'You are a pirate.' });
+  });
+
+  it('should send no system message once the prompt is cleared', () => {
+    builder.setSystemPrompt('Be brief.');
+    builder.setSystemPrompt('   ');
+
+    const { messages } = builder.buildMessages([{ role: 'user', content: 'Hi' }]);
+
+    expect(builder.getSystemPrompt()).toBe('');
+    expect(messages).toEqual([{ role: 'user', content: 'Hi' }]);
+  });
+
+  it('should pass content parts and a leading assistant turn through for the backend to fit', () => {
+    const parts = [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }];
+    const history = [
+      { role: 'assistant', content: 'How can I help?' },
+      { role: 'user', content: parts }
+    ];
+
+    const { messages } = builder.buildMessages(history, { systemPrompt: '' });
+
+    expect(messages).toEqual(history);
+    expect(messages[1].content).toBe(parts);
+  });
+
+  it('should leave trimming to the context window to the backend', () => {
+    const history = [];
+    for (let i = 0; i < 10; i++) {
+      history.push({ role: 'user', content: `${i} ${'x'.repeat(4000)}` });
+      history.push({ role: 'assistant', content: `${i} ${'x'.repeat(4000)}` });
+    }
+
+    const { messages } = builder.buildMessages(history, { systemPrompt: '' });
+
+    expect(messages).toHaveLength(20);
+  });
+});
@@ -0,0 +1,191 @@
+// frontend/src/services/chat/attachmentBuilder.js
+/**
+ * Attachment Builder
+ * Reads images and text files attached to a chat message and turns them into
+ * OpenAI-style content parts, which the backend forwards to every provider
+ * (Gemini gets them as inlineData). Images are only sent to models whose
+ * capabilities include 'multimodal' or 'image-analysis'.
+ */
+import modelService from '../api/modelService.js';
+
+// Limits match the backend's attachment checks. Images travel base64-encoded in
+// the JSON body, which the backend caps at 10 MB, so all images of a message
+// together stay under 6 MB (8 MB once encoded)
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_TOTAL_IMAGE_BYTES = 6 * 1024 * 1024;
+const MAX_TEXT_BYTES = 200 * 1024;
+const MAX_ATTACHMENTS = 10;
+
+// Files read as text when the browser reports no text/* mime type for them
+const TEXT_EXTENSIONS = ['txt', 'md', 'csv', 'json', 'xml', 'yaml', 'yml', 'html', 'css', 'js', 'ts', 'py', 'java', 'c', 'cpp', 'h', 'go', 'rs', 'rb', 'php', 'sh', 'sql', 'log'];
+
+const IMAGE_CAPABILITIES = ['multimodal', 'image-analysis'];
+
+class AttachmentBuilder {
+  /**
+   * Value for the file input's accept attribute
+   * @returns {string} Accepted mime types and extensions
+   */
+  getAcceptedTypes() {
+    return [...IMAGE_MIME_TYPES, 'text/*', ...TEXT_EXTENSIONS.map(extension => `.${extension}`)].join(',');
+  }
+
+  /**
+   * Whether a file is attached as an image, as text, or not at all
+   * @param {File} file - Selected file
+   * @returns {string|null} 'image', 'text', or null when the type is not supported
+   */
+  getKind(file) {
+    if (IMAGE_MIME_TYPES.includes(file.type)) {
+      return 'image';
+    }
+    const extension = (String(file.name).match(/\.([a-z0-9]+)$/i) || [])[1];
+    if ((file.type || '').startsWith('text/') || TEXT_EXTENSIONS.includes(String(extension).toLowerCase())) {
+      return 'text';
+    }
+    return null;
+  }
+
+  /**
+   * Read a selected file into an attachment
+   * @param {File} file - Selected file
+   * @returns {Promise<Object>} { name, kind, mimeType, size, dataUrl } for images, { ..., text } for text files
+   * @throws {Error} When the file type is not supported or the file is too large
+   */
+  async readFile(file) {
+    const kind = this.getKind(file);
+    if (!kind) {
+      throw new Error(`${file.name} cannot be attached. Attach PNG, JPEG, WebP or GIF images, or text files.`);
+    }
+
+    const limit = kind === 'image' ? MAX_IMAGE_BYTES : MAX_TEXT_BYTES;
+    if (file.size > limit) {
+      throw new Error(`${file.name} is too large. ${kind === 'image' ? 'Images' : 'Text files'} can be at most ${this.formatSize(limit)}.`);
+    }
+
+    const attachment = { name: file.name, kind, mimeType: file.type || 'text/plain', size: file.size };
+    if (kind === 'image') {
+      attachment.dataUrl = await this.readAsDataURL(file);
+    } else {
+      attachment.text = await file.text();
+    }
+    return attachment;
+  }
+
+  /**
+   * Read a file as a base64 data URL
+   * @param {File} file - File to read
+   * @returns {Promise<string>} Data URL
+   */
+  readAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  }
+
+  /**
+   * Check that the attachments of one message fit in a single request
+   * @param {Array<Object>} attachments - Attachments the message would have
+   * @throws {Error} When there are too many, or the images are too large together
+   */
+  checkLimits(attachments) {
+    if (attachments.length > MAX_ATTACHMENTS) {
+      throw new Error(`A message can have at most ${MAX_ATTACHMENTS} attachments.`);
+    }
+
+    const imageBytes = attachments
+      .filter(attachment => attachment.kind === 'image')
+      .reduce((total, attachment) => total + attachment.size, 0);
+    if (imageBytes > MAX_TOTAL_IMAGE_BYTES) {
+      throw new Error(`The images of a message can be at most ${this.formatSize(MAX_TOTAL_IMAGE_BYTES)} together.`);
+    }
+  }
+
+  /**
+   * Whether a model can read images
+   * @param {string} providerId - ID of the provider
+   * @param {string} modelId - ID of the model
+   * @returns {boolean} True for multimodal and image-analysis models
+   */
+  supportsImages(providerId, modelId) {
+    if (!providerId || !modelId) {
+      return false;
+    }
+    const capabilities = modelService.getCapabilitiesForModel(modelId, providerId);
+    return IMAGE_CAPABILITIES.some(capability => capabilities.includes(capability));
+  }
+
+  /**
+   * Make sure the model can take the attachments; text files work everywhere
+   * @param {Array<Object>} attachments - Attachments from readFile
+   * @param {string} providerId - ID of the provider
+   * @param {string} modelId - ID of the model
+   * @throws {Error} When there are images and the model cannot read them
+   */
+  checkModelSupport(attachments, providerId, modelId) {
+    const images = attachments.filter(attachment => attachment.kind === 'image');
+    if (images.length > 0 && !this.supportsImages(providerId, modelId)) {
+      throw new Error(`${modelId || 'The selected model'} cannot read images. Choose a model with image support (multimodal or image analysis), or remove ${images.map(image => image.name).join(', ')}.`);
+    }
+  }
+
+  /**
+   * Build the content of a user message
+   * @param {string} text - Typed message
+   * @param {Array<Object>} attachments - Attachments from readFile
+   * @returns {string|Array<Object>} The text alone without attachments, otherwise content parts:
+   *   the text files, the typed message, then the images
+   */
+  buildContent(text, attachments = []) {
+    if (attachments.length === 0) {
+      return text;
+    }
+
+    const parts = attachments
+      .filter(attachment => attachment.kind === 'text')
+      .map(attachment => ({ type: 'text', text: `File: ${attachment.name}\n\`\`\`\n${attachment.text}\n\`\`\`` }));
+
+    if (text) {
+      parts.push({ type: 'text', text });
+    }
+
+    attachments
+      .filter(attachment => attachment.kind === 'image')
+      .forEach(attachment => parts.push({ type: 'image_url', image_url: { url: attachment.dataUrl } }));
+
+    return parts;
+  }
+
+  /**
+   * Text stored in the conversation history for a message with attachments;
+   * the files themselves are only sent with the message they were attached to
+   * @param {string} text - Typed message
+   * @param {Array<Object>} attachments - Attachments from readFile
+   * @returns {string} The text followed by the attachment names
+   */
+  describe(text, attachments = []) {
+    if (attachments.length === 0) {
+      return text;
+    }
+    const names = `[Attached: ${attachments.map(attachment => attachment.name).join(', ')}]`;
+    return text ? `${text}\n${names}` : names;
+  }
+
+  /**
+   * Human-readable file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string} e.g. "200 KB" or "5 MB"
+   */
+  formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${Math.round(bytes / (1024 * 1024))} MB` : `${Math.round(bytes / 1024)} KB`;
+  }
+}
+
+// Export a singleton instance
+const attachmentBuilder = new AttachmentBuilder();
+export { AttachmentBuilder };
+export default attachmentBuilder;
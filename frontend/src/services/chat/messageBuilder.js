@@ -0,0 +1,58 @@
+// frontend/src/services/chat/messageBuilder.js
+/**
+ * Message Builder
+ * Turns the stored conversation into the message list sent with each chat request:
+ * an optional system prompt followed by the conversation. The backend estimates
+ * tokens and drops the oldest turns that would not fit the model's context window.
+ */
+
+class MessageBuilder {
+  constructor() {
+    this.storageKey = 'chatSystemPrompt';
+  }
+
+  /**
+   * Get the saved system prompt
+   * @returns {string} System prompt, or an empty string when none is set
+   */
+  getSystemPrompt() {
+    return localStorage.getItem(this.storageKey) || '';
+  }
+
+  /**
+   * Save the system prompt sent at the start of every chat request
+   * @param {string} prompt - System prompt; empty to remove it
+   * @returns {void}
+   */
+  setSystemPrompt(prompt) {
+    const trimmed = (prompt || '').trim();
+    if (trimmed) {
+      localStorage.setItem(this.storageKey, trimmed);
+    } else {
+      localStorage.removeItem(this.storageKey);
+    }
+  }
+
+  /**
+   * Build the messages for a chat request
+   * Only role and content are sent; trimming to the context window happens on
+   * the backend, which reports dropped turns in X-Context-Dropped-Messages.
+   * @param {Array<Object>} history - Conversation messages, oldest first, ending with the new user message
+   * @param {Object} options - Build options
+   * @param {string} options.systemPrompt - System prompt (defaults to the saved one)
+   * @returns {Object} { messages }
+   */
+  buildMessages(history, options = {}) {
+    const { systemPrompt = this.getSystemPrompt() } = options;
+
+    const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    const turns = history.map(message => ({ role: message.role, content: message.content }));
+
+    return { messages: [...systemMessages, ...turns] };
+  }
+}
+
+// Export a singleton instance
+const messageBuilder = new MessageBuilder();
+export { MessageBuilder };
+export default messageBuilder;
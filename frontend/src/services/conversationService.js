@@ -2,12 +2,18 @@
 /**
  * Conversation Service
  * Manages the conversation history and state
+ * Changes are applied locally right away and then synced to the backend
+ * /api/conversations endpoints for signed-in users, in order
  */
+import authService from './auth/authService.js';
 
 class ConversationService {
   constructor() {
+    this.baseURL = 'http://localhost:3000'; // Our backend server
     this.conversations = new Map(); // Store conversations by ID
     this.currentConversationId = null;
+    this.pendingOperations = []; // Backend calls waiting to be sent, oldest first
+    this.syncPromise = null; // Set while the queue is being sent
   }
 
   /**
@@ -20,6 +26,7 @@ class ConversationService {
     const id = conversationId || this.generateId();
     const conversation = {
       id,
+      title: options.title || 'New conversation',
       createdAt: new Date().toISOString(),
       messages: [],
       metadata: { ...options },
@@ -29,6 +36,8 @@ class ConversationService {
     this.conversations.set(id, conversation);
     this.currentConversationId = id;
 
+    this.queueSync('POST', '/api/conversations', { id, title: conversation.title });
+
     return conversation;
   }
 
@@ -80,6 +89,14 @@ class ConversationService {
     conversation.messages.push(messageWithTimestamp);
     conversation.lastModified = new Date().toISOString();
 
+    // The message id lets the backend ignore a retried append
+    this.queueSync('POST', `/api/conversations/${encodeURIComponent(conversationId)}/messages`, {
+      id: messageWithTimestamp.id,
+      role: messageWithTimestamp.role,
+      content: messageWithTimestamp.content,
+      ...(message.metadata ? { metadata: message.metadata } : {})
+    });
+
     // Update the conversation in the map
     this.conversations.set(conversationId, conversation);
 
@@ -155,6 +172,10 @@ class ConversationService {
       conversation.messages = [];
       conversation.lastModified = new Date().toISOString();
       this.conversations.set(conversationId, conversation);
+
+      // The backend has no clear operation; replace the conversation with an empty one
+      this.queueSync('DELETE', `/api/conversations/${encodeURIComponent(conversationId)}`);
+      this.queueSync('POST', '/api/conversations', { id: conversationId, title: conversation.title });
     }
     return conversation;
   }
@@ -172,9 +193,180 @@ class ConversationService {
       this.currentConversationId = null;
     }
 
+    if (wasDeleted) {
+      this.queueSync('DELETE', `/api/conversations/${encodeURIComponent(conversationId)}`);
+    }
+
     return wasDeleted;
   }
 
+  /**
+   * Rename a conversation
+   * @param {string} conversationId - ID of the conversation to rename
+   * @param {string} title - New title
+   * @returns {Object} The renamed conversation object
+   */
+  renameConversation(conversationId, title) {
+    const conversation = this.getConversation(conversationId);
+    if (!conversation) {
+      throw new Error(`Conversation with ID ${conversationId} not found`);
+    }
+
+    if (!title || !title.trim()) {
+      throw new Error('Conversation title cannot be empty');
+    }
+
+    conversation.title = title.trim();
+    conversation.lastModified = new Date().toISOString();
+
+    this.queueSync('PATCH', `/api/conversations/${encodeURIComponent(conversationId)}`, { title: conversation.title });
+
+    return conversation;
+  }
+
+  /**
+   * Load the signed-in user's conversation list from the backend
+   * Messages are fetched separately with loadConversation
+   * @returns {Promise<Array>} Conversation summaries, most recently updated first
+   */
+  async loadConversations() {
+    if (!authService.isAuthenticated()) {
+      return [];
+    }
+
+    // Send local changes first so the list includes them
+    await this.flushSync();
+
+    const { conversations } = await this.request('GET', '/api/conversations');
+    conversations.forEach(summary => {
+      if (!this.conversations.has(summary.id)) {
+        this.conversations.set(summary.id, {
+          id: summary.id,
+          title: summary.title,
+          createdAt: summary.createdAt,
+          messages: [],
+          metadata: {},
+          lastModified: summary.updatedAt,
+          loaded: false // Messages have not been fetched yet
+        });
+      }
+    });
+
+    return conversations;
+  }
+
+  /**
+   * Load a conversation with its messages from the backend and make it current
+   * @param {string} conversationId - ID of the conversation to load
+   * @returns {Promise<Object>} The conversation object
+   */
+  async loadConversation(conversationId) {
+    await this.flushSync();
+
+    const { conversation: stored } = await this.request('GET', `/api/conversations/${encodeURIComponent(conversationId)}`);
+    const conversation = {
+      id: stored.id,
+      title: stored.title,
+      createdAt: stored.createdAt,
+      messages: stored.messages.map(message => ({ ...message, timestamp: message.createdAt })),
+      metadata: {},
+      lastModified: stored.updatedAt,
+      loaded: true
+    };
+
+    this.conversations.set(conversation.id, conversation);
+    this.currentConversationId = conversation.id;
+
+    return conversation;
+  }
+
+  /**
+   * Forget all local conversations and unsent changes (e.g. after signing out)
+   * @returns {void}
+   */
+  reset() {
+    this.conversations.clear();
+    this.currentConversationId = null;
+    this.pendingOperations = [];
+  }
+
+  /**
+   * Queue a backend call for a local change and start sending the queue
+   * Nothing is synced while signed out
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @returns {void}
+   */
+  queueSync(method, path, body = null) {
+    if (!authService.isAuthenticated()) {
+      return;
+    }
+
+    this.pendingOperations.push({ method, path, body });
+    this.flushSync().catch(error => {
+      // The operation stays queued and is retried with the next change
+      console.error('Error syncing conversations:', error);
+    });
+  }
+
+  /**
+   * Send queued backend calls one at a time, in order
+   * Stops at the first network or server error and keeps the rest queued;
+   * calls the backend rejects (4xx) are dropped
+   * @returns {Promise<void>}
+   */
+  async flushSync() {
+    if (!this.syncPromise) {
+      this.syncPromise = (async () => {
+        try {
+          while (this.pendingOperations.length > 0) {
+            const operation = this.pendingOperations[0];
+            try {
+              await this.request(operation.method, operation.path, operation.body);
+            } catch (error) {
+              if (!error.status || error.status >= 500) {
+                throw error;
+              }
+              console.warn(`Conversation sync rejected (${error.status}):`, error.message);
+            }
+            this.pendingOperations.shift();
+          }
+        } finally {
+          this.syncPromise = null;
+        }
+      })();
+    }
+
+    return this.syncPromise;
+  }
+
+  /**
+   * Call a conversations endpoint with the access token attached
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} body - Request body
+   * @returns {Promise<Object>} Parsed response body (empty for 204)
+   */
+  async request(method, path, body = null) {
+    const response = await authService.authorizedFetch(`${this.baseURL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(errorData.error || response.statusText);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? {} : response.json();
+  }
+
   /**
    * Get all conversation IDs
    * @returns {Array} Array of conversation IDs
@@ -25,6 +25,11 @@ class ErrorHandler {
   determineErrorType(error) {
     if (!error) return null;
     
+    // Budgets exhausted on the backend are reported with a code and 402
+    if (error.code === this.errorTypes.QUOTA_EXCEEDED || error.status === 402) {
+      return this.errorTypes.QUOTA_EXCEEDED;
+    }
+    
     // Check for specific error properties
     if (error.status === 429 || error.message.toLowerCase().includes('rate limit')) {
       return this.errorTypes.RATE_LIMIT_EXCEEDED;
@@ -171,6 +176,13 @@ class ErrorHandler {
         guidance.title = 'Usage Quota Exceeded';
         guidance.message = `You've exceeded your usage quota for the selected provider. This could be a daily, monthly, or overall limit.`;
         guidance.userAction = 'Please check your usage limits or switch to a different provider.';
+        if (context.originalError?.quota) {
+          const quota = context.originalError.quota;
+          guidance.message = `You've used up the monthly ${quota.metric === 'cost' ? 'spending' : 'token'} budget` +
+            `${quota.providerId ? ` for ${quota.providerId}` : ''}: ${this.formatQuotaAmount(quota.used, quota)} of ${this.formatQuotaAmount(quota.limit, quota)} used, ` +
+            `${this.formatQuotaAmount(quota.remaining, quota)} remaining.`;
+          guidance.userAction = `The budget resets on ${new Date(quota.resetAt).toLocaleDateString()}. Until then, switch to a different provider or ask an administrator to raise it.`;
+        }
         guidance.suggestions = [
           'Check your provider account for usage limits',
           'Consider upgrading to a higher tier',
@@ -239,6 +251,19 @@ class ErrorHandler {
     return guidance;
   }
 
+  /**
+   * Format a budget amount for display
+   * @param {number} amount - Tokens or money
+   * @param {Object} quota - Quota details with metric and currency
+   * @returns {string} Formatted amount
+   */
+  formatQuotaAmount(amount, quota) {
+    if (quota.metric === 'cost') {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency: quota.currency || 'USD', maximumFractionDigits: 4 }).format(amount);
+    }
+    return `${amount.toLocaleString()} tokens`;
+  }
+
   /**
    * Format an error message for display to the user
    * @param {Error|Object} error - The error object
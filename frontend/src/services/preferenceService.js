@@ -0,0 +1,105 @@
+// frontend/src/services/preferenceService.js
+/**
+ * Preference Service
+ * Keeps each user's UserPreference in localStorage so settings such as the voice
+ * language survive page reloads. Visitors who are not signed in share one
+ * anonymous entry.
+ */
+import authService from './auth/authService.js';
+import UserPreference from '../models/UserPreference.js';
+
+class PreferenceService {
+  constructor() {
+    this.storagePrefix = 'userPreferences:';
+    this.listeners = new Set(); // Called with the preferences after every change
+  }
+
+  /**
+   * ID the preferences are stored under
+   * @returns {string} The signed-in user's ID, or 'anonymous'
+   */
+  getUserId() {
+    const user = authService.getCurrentUser();
+    return (user && user.id) || 'anonymous';
+  }
+
+  /**
+   * Load the current user's preferences
+   * @returns {UserPreference} Stored preferences, or defaults when none were saved
+   */
+  getPreferences() {
+    const userId = this.getUserId();
+    const configured = this.getConfiguredVoiceSettings();
+    try {
+      const stored = localStorage.getItem(this.storagePrefix + userId);
+      if (stored) {
+        const data = JSON.parse(stored);
+        return UserPreference.fromObject({ ...data, userId, voiceSettings: { ...configured, ...data.voiceSettings } });
+      }
+    } catch (error) {
+      console.error('Error loading user preferences:', error);
+    }
+    return new UserPreference({ userId, voiceSettings: configured });
+  }
+
+  /**
+   * Voice defaults set in window.CONFIG, used until the user changes them
+   * @returns {Object} Any of language, rate, pitch and volume
+   */
+  getConfiguredVoiceSettings() {
+    const config = window.CONFIG || {};
+    const settings = {
+      language: config.VOICE_DEFAULT_LANGUAGE,
+      rate: config.VOICE_DEFAULT_RATE,
+      pitch: config.VOICE_DEFAULT_PITCH,
+      volume: config.VOICE_DEFAULT_VOLUME
+    };
+    Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+    return settings;
+  }
+
+  /**
+   * Save the current user's preferences
+   * @param {UserPreference} preferences - Preferences to store
+   * @returns {void}
+   */
+  savePreferences(preferences) {
+    localStorage.setItem(this.storagePrefix + preferences.userId, JSON.stringify(preferences.toObject()));
+    this.listeners.forEach(listener => listener(preferences));
+  }
+
+  /**
+   * Get the current user's voice settings
+   * @returns {Object} { language, voiceName, rate, pitch, volume }
+   */
+  getVoiceSettings() {
+    return this.getPreferences().voiceSettings;
+  }
+
+  /**
+   * Change some of the current user's voice settings
+   * @param {Object} settings - Any of language, voiceName, rate, pitch and volume
+   * @returns {Object} The updated voice settings
+   * @throws {Error} When a setting is out of range
+   */
+  updateVoiceSettings(settings) {
+    const preferences = this.getPreferences();
+    preferences.setVoiceSettings(settings);
+    this.savePreferences(preferences);
+    return preferences.voiceSettings;
+  }
+
+  /**
+   * Get notified whenever preferences are saved
+   * @param {Function} listener - Called with the saved UserPreference
+   * @returns {Function} Call to stop listening
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export a singleton instance
+const preferenceService = new PreferenceService();
+export default preferenceService;
@@ -46,12 +46,7 @@ class GeminiProvider extends BaseProvider {
         },
         body: JSON.stringify({
           providerId: this.providerId,
-          model: geminiRequest.model,
-          messages: geminiRequest.messages, // This will be transformed in the backend
-          temperature: geminiRequest.temperature,
-          maxOutputTokens: geminiRequest.maxOutputTokens,
-          topP: geminiRequest.topP,
-          topK: geminiRequest.topK
+          ...geminiRequest // OpenAI-style body, translated to generateContent by the backend
         })
       });
 
@@ -75,63 +70,63 @@ class GeminiProvider extends BaseProvider {
   }
 
   /**
-   * Transform a standard request to Gemini's specific format
+   * Transform a standard request for Gemini
+   * The backend proxy translates OpenAI-style requests (including tools) to Gemini's
+   * generateContent format, so this only fills in Gemini defaults
    * @param {Object} requestData - Standard request data
-   * @returns {Object} Gemini-specific request data
+   * @returns {Object} Request data for the backend proxy
    */
   transformRequest(requestData) {
     // Default model if not specified
-    const model = requestData.model || this.providerConfig.defaultModel || 'gemini-pro';
+    const model = requestData.model || this.providerConfig.defaultModel || 'gemini-2.5-flash';
     
-    // Construct the request body according to Gemini's API specification
     const geminiRequest = {
-      contents: [{
-        parts: [{
-          text: requestData.prompt || requestData.content || (requestData.messages && requestData.messages.length > 0 
-            ? requestData.messages[requestData.messages.length - 1].content 
-            : '')
-        }]
-      }],
-      generationConfig: {
-        temperature: requestData.temperature !== undefined ? requestData.temperature : 0.9,
-        maxOutputTokens: requestData.max_tokens,
-        topP: requestData.top_p,
-        topK: requestData.top_k
-      }
+      model: model,
+      messages: requestData.messages || [
+        { role: 'user', content: requestData.prompt || requestData.content || '' }
+      ],
+      temperature: requestData.temperature !== undefined ? requestData.temperature : 0.9,
+      max_tokens: requestData.max_tokens,
+      top_p: requestData.top_p,
+      top_k: requestData.top_k,
+      ...(requestData.tools && { tools: requestData.tools }),
+      ...(requestData.tool_choice && { tool_choice: requestData.tool_choice })
     };
 
     // Only include properties that have actual values
-    if (!geminiRequest.generationConfig.maxOutputTokens) delete geminiRequest.generationConfig.maxOutputTokens;
-    if (!geminiRequest.generationConfig.topP) delete geminiRequest.generationConfig.topP;
-    if (!geminiRequest.generationConfig.topK) delete geminiRequest.generationConfig.topK;
+    Object.keys(geminiRequest).forEach(key => {
+      if (geminiRequest[key] === undefined) {
+        delete geminiRequest[key];
+      }
+    });
     
     return geminiRequest;
   }
 
   /**
-   * Transform the Gemini API response to standard format
-   * @param {Object} geminiResponse - Gemini API response
+   * Transform the proxied Gemini response to standard format
+   * @param {Object} geminiResponse - Chat completion returned by the backend proxy
    * @returns {Object} Standard response format
    */
   transformResponse(geminiResponse) {
-    // Transform Gemini response to standard format
     return {
-      id: `gemini-${Date.now()}`, // Create an ID since Gemini doesn't return one in this format
-      object: 'generateContentResponse',
-      created: Math.floor(Date.now() / 1000),
-      model: 'gemini-unknown', // Gemini doesn't return the model in the response for this endpoint
-      choices: geminiResponse.candidates ? geminiResponse.candidates.map((candidate, index) => ({
-        index: index,
+      id: geminiResponse.id || `gemini-${Date.now()}`,
+      object: geminiResponse.object || 'chat.completion',
+      created: geminiResponse.created || Math.floor(Date.now() / 1000),
+      model: geminiResponse.model || 'gemini-unknown',
+      choices: (geminiResponse.choices || []).map(choice => ({
+        index: choice.index,
         message: {
-          role: 'model', // Gemini's role
-          content: candidate.content.parts ? candidate.content.parts.map(part => part.text).join('') : ''
+          role: choice.message.role,
+          content: choice.message.content,
+          ...(choice.message.tool_calls && { tool_calls: choice.message.tool_calls })
         },
-        finish_reason: candidate.finishReason || 'unknown'
-      })) : [],
-      usage: geminiResponse.usageMetadata ? {
-        prompt_tokens: geminiResponse.usageMetadata.promptTokenCount || 0,
-        completion_tokens: geminiResponse.usageMetadata.candidatesTokenCount || 0,
-        total_tokens: geminiResponse.usageMetadata.totalTokenCount || 0
+        finish_reason: choice.finish_reason
+      })),
+      usage: geminiResponse.usage ? {
+        prompt_tokens: geminiResponse.usage.prompt_tokens || 0,
+        completion_tokens: geminiResponse.usage.completion_tokens || 0,
+        total_tokens: geminiResponse.usage.total_tokens || 0
       } : null,
       provider_specific: {
         raw_response: geminiResponse
@@ -51,7 +51,9 @@ class GroqProvider extends BaseProvider {
           max_tokens: groqRequest.max_tokens,
           top_p: groqRequest.top_p,
           stream: groqRequest.stream,
-          stop: groqRequest.stop
+          stop: groqRequest.stop,
+          tools: groqRequest.tools,
+          tool_choice: groqRequest.tool_choice
         })
       });
 
@@ -93,7 +95,9 @@ class GroqProvider extends BaseProvider {
       max_tokens: requestData.max_tokens || 1024,
       top_p: requestData.top_p || 1.0,
       stream: requestData.stream || false,
-      stop: requestData.stop || null
+      stop: requestData.stop || null,
+      ...(requestData.tools && { tools: requestData.tools }),
+      ...(requestData.tool_choice && { tool_choice: requestData.tool_choice })
     };
   }
 
@@ -113,7 +117,8 @@ class GroqProvider extends BaseProvider {
         index: choice.index,
         message: {
           role: choice.message.role,
-          content: choice.message.content
+          content: choice.message.content,
+          ...(choice.message.tool_calls && { tool_calls: choice.message.tool_calls })
         },
         finish_reason: choice.finish_reason
       })),
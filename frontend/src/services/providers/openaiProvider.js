@@ -54,7 +54,9 @@ class OpenAIProvider extends BaseProvider {
           frequency_penalty: openaiRequest.frequency_penalty,
           presence_penalty: openaiRequest.presence_penalty,
           stream: openaiRequest.stream,
-          stop: openaiRequest.stop
+          stop: openaiRequest.stop,
+          tools: openaiRequest.tools,
+          tool_choice: openaiRequest.tool_choice
         })
       });
 
@@ -98,7 +100,9 @@ class OpenAIProvider extends BaseProvider {
       frequency_penalty: requestData.frequency_penalty,
       presence_penalty: requestData.presence_penalty,
       stream: requestData.stream || false,
-      stop: requestData.stop
+      stop: requestData.stop,
+      ...(requestData.tools && { tools: requestData.tools }),
+      ...(requestData.tool_choice && { tool_choice: requestData.tool_choice })
     };
 
     // Only include properties that have actual values
@@ -127,7 +131,8 @@ class OpenAIProvider extends BaseProvider {
         index: choice.index,
         message: {
           role: choice.message.role,
-          content: choice.message.content
+          content: choice.message.content,
+          ...(choice.message.tool_calls && { tool_calls: choice.message.tool_calls })
         },
         finish_reason: choice.finish_reason
       })),
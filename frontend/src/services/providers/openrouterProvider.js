@@ -129,7 +129,8 @@ class OpenRouterProvider extends BaseProvider {
         index: choice.index,
         message: {
           role: choice.message.role,
-          content: choice.message.content
+          content: choice.message.content,
+          ...(choice.message.tool_calls && { tool_calls: choice.message.tool_calls })
         },
         finish_reason: choice.finish_reason
       })),
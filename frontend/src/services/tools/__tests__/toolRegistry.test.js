@@ -0,0 +1,119 @@
+// frontend/src/services/tools/__tests__/toolRegistry.test.js
+import { ToolRegistry } from '../toolRegistry';
+
+describe('Tool Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ToolRegistry();
+    registry.register({
+      name: 'add',
+      description: 'Add two numbers',
+      parameters: {
+        type: 'object',
+        properties: { a: { type: 'number' }, b: { type: 'number' } },
+        required: ['a', 'b']
+      },
+      execute: ({ a, b }) => ({ sum: a + b })
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should expose registered tools in the OpenAI tools format', () => {
+    expect(registry.getToolDefinitions()).toEqual([{
+      type: 'function',
+      function: {
+        name: 'add',
+        description: 'Add two numbers',
+        parameters: {
+          type: 'object',
+          properties: { a: { type: 'number' }, b: { type: 'number' } },
+          required: ['a', 'b']
+        }
+      }
+    }]);
+  });
+
+  it('should reject invalid tool definitions', () => {
+    expect(() => registry.register({ name: 'bad name', execute: () => {} })).toThrow('Invalid tool name');
+    expect(() => registry.register({ name: 'no_execute' })).toThrow('must provide an execute function');
+  });
+
+  it('should execute a tool call and build the tool message', async () => {
+    const message = await registry.executeToolCall({
+      id: 'call_1',
+      type: 'function',
+      function: { name: 'add', arguments: '{"a":2,"b":3}' }
+    });
+
+    expect(message).toEqual({ role: 'tool', tool_call_id: 'call_1', name: 'add', content: '{"sum":5}' });
+  });
+
+  it('should report unknown tools and tool errors back to the model', async () => {
+    registry.register({ name: 'fail', execute: () => { throw new Error('boom'); } });
+
+    const unknown = await registry.executeToolCall({ id: 'call_1', function: { name: 'missing', arguments: '{}' } });
+    const failed = await registry.executeToolCall({ id: 'call_2', function: { name: 'fail', arguments: '{}' } });
+
+    expect(JSON.parse(unknown.content)).toEqual({ error: 'Unknown tool: missing' });
+    expect(JSON.parse(failed.content)).toEqual({ error: 'boom' });
+  });
+
+  it('should loop tool results back until the model replies with content', async () => {
+    const send = jest.fn()
+      .mockResolvedValueOnce({
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'add', arguments: '{"a":1,"b":1}' } }]
+          }
+        }]
+      })
+      .mockResolvedValueOnce({ choices: [{ message: { role: 'assistant', content: 'The sum is 2' } }] });
+
+    const { message, messages } = await registry.runConversation({
+      providerId: 'groq',
+      messages: [{ role: 'user', content: 'What is 1 + 1?' }]
+    }, send);
+
+    expect(message.content).toBe('The sum is 2');
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0].messages).toEqual([
+      { role: 'user', content: 'What is 1 + 1?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'add', arguments: '{"a":1,"b":1}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', name: 'add', content: '{"sum":2}' }
+    ]);
+    expect(messages).toHaveLength(3);
+  });
+
+  it('should stream tokens from every round of a tool conversation', async () => {
+    let round = 0;
+    const stream = async function* (request, { onToolCalls }) {
+      round++;
+      if (round === 1) {
+        onToolCalls([{ id: 'call_1', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":2}' } }]);
+        return;
+      }
+      expect(request.messages[request.messages.length - 1].content).toBe('{"sum":4}');
+      yield 'It is ';
+      yield '4';
+    };
+
+    const tokens = [];
+    for await (const token of registry.streamConversation({ messages: [{ role: 'user', content: '2 + 2?' }] }, stream)) {
+      tokens.push(token);
+    }
+
+    expect(tokens.join('')).toBe('It is 4');
+    expect(round).toBe(2);
+  });
+});
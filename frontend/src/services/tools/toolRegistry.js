@@ -0,0 +1,170 @@
+// frontend/src/services/tools/toolRegistry.js
+/**
+ * Tool Registry
+ * Holds JavaScript tools the model may call, advertises them to the backend proxy in
+ * the provider-neutral OpenAI `tools` format and loops tool results back into the
+ * conversation until the model answers with plain content
+ */
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+    this.maxIterations = 5; // Guard against models that keep calling tools forever
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Unique tool name (letters, digits, _ and -)
+   * @param {string} tool.description - What the tool does, shown to the model
+   * @param {Object} tool.parameters - JSON Schema describing the tool arguments
+   * @param {Function} tool.execute - Async function receiving the parsed arguments
+   */
+  register({ name, description = '', parameters = { type: 'object', properties: {} }, execute }) {
+    if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error(`Invalid tool name: ${name}`);
+    }
+    if (typeof execute !== 'function') {
+      throw new Error(`Tool ${name} must provide an execute function`);
+    }
+
+    this.tools.set(name, { name, description, parameters, execute });
+  }
+
+  /**
+   * Remove a registered tool
+   * @param {string} name - Tool name
+   * @returns {boolean} True if the tool was registered
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Check whether any tools are registered
+   * @returns {boolean}
+   */
+  hasTools() {
+    return this.tools.size > 0;
+  }
+
+  /**
+   * Get the registered tools in the OpenAI `tools` request format
+   * @returns {Array} Tool definitions for the chat completion request
+   */
+  getToolDefinitions() {
+    return Array.from(this.tools.values()).map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }));
+  }
+
+  /**
+   * Execute a single tool call and build the tool result message
+   * Failures are reported back to the model instead of aborting the conversation
+   * @param {Object} toolCall - Tool call from the assistant message
+   * @returns {Promise<Object>} Message with role 'tool'
+   */
+  async executeToolCall(toolCall) {
+    const name = toolCall.function && toolCall.function.name;
+    const tool = this.tools.get(name);
+    let result;
+
+    if (!tool) {
+      result = { error: `Unknown tool: ${name}` };
+    } else {
+      try {
+        const args = toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {};
+        result = await tool.execute(args);
+      } catch (error) {
+        console.error(`Error executing tool ${name}:`, error);
+        result = { error: error.message };
+      }
+    }
+
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      name,
+      content: typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result)
+    };
+  }
+
+  /**
+   * Execute every tool call from an assistant turn
+   * @param {Array} toolCalls - Tool calls from the assistant message
+   * @returns {Promise<Array>} Tool result messages in the same order
+   */
+  async executeToolCalls(toolCalls) {
+    return Promise.all(toolCalls.map(toolCall => this.executeToolCall(toolCall)));
+  }
+
+  /**
+   * Run a non-streaming conversation, executing tool calls until the model replies
+   * @param {Object} requestData - Chat completion request (providerId, model, messages)
+   * @param {Function} send - Async function sending a request and returning a chat completion
+   * @returns {Promise<Object>} Final assistant message and the full message list
+   */
+  async runConversation(requestData, send) {
+    const messages = [...requestData.messages];
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      const response = await send({ ...requestData, messages, tools: this.getToolDefinitions() });
+      const message = response.choices && response.choices[0] && response.choices[0].message;
+
+      if (!message || !message.tool_calls || message.tool_calls.length === 0) {
+        return { message, messages };
+      }
+
+      messages.push({ role: 'assistant', content: message.content || null, tool_calls: message.tool_calls });
+      messages.push(...await this.executeToolCalls(message.tool_calls));
+    }
+
+    throw new Error(`Stopped after ${this.maxIterations} rounds of tool calls`);
+  }
+
+  /**
+   * Stream a conversation, executing tool calls between rounds
+   * Yields content tokens from every round so the UI can render them as they arrive
+   * @param {Object} requestData - Chat completion request (providerId, model, messages)
+   * @param {Function} stream - Function (request, { signal, onToolCalls }) returning an async iterator of tokens
+   * @param {Object} options - Stream options passed through to every round (e.g. signal)
+   * @returns {AsyncGenerator<string>} Async iterator of content tokens
+   */
+  async *streamConversation(requestData, stream, options = {}) {
+    const messages = [...requestData.messages];
+
+    for (let iteration = 0; iteration < this.maxIterations; iteration++) {
+      let toolCalls = [];
+      let content = '';
+
+      const tokens = stream(
+        { ...requestData, messages, tools: this.getToolDefinitions() },
+        { ...options, onToolCalls: calls => { toolCalls = calls; } }
+      );
+
+      for await (const token of tokens) {
+        content += token;
+        yield token;
+      }
+
+      if (toolCalls.length === 0) {
+        return;
+      }
+
+      messages.push({ role: 'assistant', content: content || null, tool_calls: toolCalls });
+      messages.push(...await this.executeToolCalls(toolCalls));
+    }
+
+    throw new Error(`Stopped after ${this.maxIterations} rounds of tool calls`);
+  }
+}
+
+// Export a singleton instance
+const toolRegistry = new ToolRegistry();
+export { ToolRegistry };
+export default toolRegistry;
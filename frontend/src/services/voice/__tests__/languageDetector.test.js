@@ -0,0 +1,33 @@
+// frontend/src/services/voice/__tests__/languageDetector.test.js
+import { LanguageDetector } from '../languageDetector';
+
+describe('Language Detector', () => {
+  let detector;
+
+  beforeEach(() => {
+    detector = new LanguageDetector();
+  });
+
+  it('should recognize Latin-script languages by their common words', () => {
+    expect(detector.detect('Hello, how are you? This is the answer to your question.')).toBe('en');
+    expect(detector.detect('Das ist nicht so einfach, aber ich kann dir mit der Aufgabe helfen.')).toBe('de');
+    expect(detector.detect('Hola, es muy fácil con una buena guía para el examen.')).toBe('es');
+    expect(detector.detect('Bonjour, je suis là pour vous aider avec les questions.')).toBe('fr');
+  });
+
+  it('should recognize languages by their script', () => {
+    expect(detector.detect('Привет, как дела?')).toBe('ru');
+    expect(detector.detect('안녕하세요, 반갑습니다')).toBe('ko');
+    expect(detector.detect('你好，今天天气很好。')).toBe('zh');
+  });
+
+  it('should tell Japanese from Chinese by its kana', () => {
+    expect(detector.detect('今日は東京で会議があります')).toBe('ja');
+  });
+
+  it('should return null when unsure', () => {
+    expect(detector.detect('')).toBeNull();
+    expect(detector.detect('12345')).toBeNull();
+    expect(detector.detect('OK')).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+// frontend/src/services/voice/languageDetector.js
+/**
+ * Language Detector
+ * Guesses the language of a reply so it can be read aloud with a matching voice.
+ * Scripts such as Cyrillic or Hangul identify a language (or a small group) on
+ * their own; Latin-script text is scored by its most common short words. Good
+ * enough to pick a voice, not meant as general language identification.
+ */
+
+// Characters unique to a script, checked in order
+const SCRIPTS = [
+  // Japanese mixes a little kana into Han characters, so a little decides
+  { language: 'ja', pattern: /[\u3040-\u30ff]/g, minShare: 0.05 },
+  { language: 'ko', pattern: /[\u1100-\u11ff\uac00-\ud7af]/g },
+  { language: 'zh', pattern: /[\u3400-\u4dbf\u4e00-\u9fff]/g },
+  { language: 'ru', pattern: /[\u0400-\u04ff]/g },
+  { language: 'el', pattern: /[\u0370-\u03ff]/g },
+  { language: 'ar', pattern: /[\u0600-\u06ff]/g },
+  { language: 'he', pattern: /[\u0590-\u05ff]/g },
+  { language: 'hi', pattern: /[\u0900-\u097f]/g },
+  { language: 'th', pattern: /[\u0e00-\u0e7f]/g }
+];
+
+// Frequent words that are rare in the other listed languages
+const STOPWORDS = {
+  en: ['the', 'and', 'is', 'are', 'you', 'that', 'with', 'this', 'for', 'have', 'it', 'of', 'to', 'was', 'not'],
+  es: ['el', 'los', 'las', 'es', 'que', 'con', 'para', 'una', 'por', 'como', 'pero', 'del', 'muy', 'está', 'y'],
+  fr: ['le', 'les', 'est', 'et', 'des', 'une', 'dans', 'pour', 'pas', 'vous', 'avec', 'sur', 'du', 'je', 'ce'],
+  de: ['der', 'die', 'und', 'ist', 'nicht', 'das', 'ein', 'eine', 'mit', 'sie', 'ich', 'zu', 'auf', 'für', 'den'],
+  it: ['il', 'gli', 'che', 'è', 'per', 'una', 'sono', 'con', 'non', 'della', 'di', 'questo', 'anche', 'come', 'nel'],
+  pt: ['o', 'os', 'que', 'não', 'uma', 'com', 'para', 'você', 'são', 'do', 'da', 'em', 'mas', 'isso', 'é'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'van', 'dat', 'ik', 'je', 'met', 'voor', 'zijn', 'op', 'maar']
+};
+
+class LanguageDetector {
+  constructor() {
+    this.minimumScore = 2; // Stopword hits needed before trusting a Latin-script guess
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - Text to inspect
+   * @returns {string|null} ISO 639-1 code such as 'de', or null when unsure
+   */
+  detect(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) {
+      return null;
+    }
+
+    // A script that makes up a good part of the letters decides
+    for (const { language, pattern, minShare = 0.3 } of SCRIPTS) {
+      const count = (text.match(pattern) || []).length;
+      if (count > 0 && count / letters >= minShare) {
+        return language;
+      }
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = null;
+    let bestScore = 0;
+    Object.entries(STOPWORDS).forEach(([language, stopwords]) => {
+      const score = words.filter(word => stopwords.includes(word)).length;
+      if (score > bestScore) {
+        best = language;
+        bestScore = score;
+      }
+    });
+
+    return bestScore >= this.minimumScore ? best : null;
+  }
+}
+
+// Export a singleton instance
+const languageDetector = new LanguageDetector();
+export { LanguageDetector };
+export default languageDetector;
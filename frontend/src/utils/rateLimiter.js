@@ -1,58 +1,110 @@
 // frontend/src/utils/rateLimiter.js
+import providerService from '../services/api/providerService.js';
+
 /**
  * Rate Limiter Utility
  * Tracks API usage by provider and enforces client-side rate limits
+ * Limits come from the backend's provider status, together with the quota the
+ * provider itself last reported, so the client stops before the backend says no
  */
 
 class RateLimiter {
   constructor() {
     // Initialize tracking data structure
     this.requests = new Map(); // Maps providerId to request history
-    this.limits = this.getDefaultLimits();
+    this.limits = {}; // Maps providerId to { windowMs, maxRequests } from the backend
+    this.upstream = {}; // Maps providerId to the provider's last reported quota
+    this.syncedAt = new Map(); // Maps providerId to when its status was last fetched
+    this.syncInterval = 30 * 1000;
   }
 
   /**
-   * Get default rate limits for each provider
-   * @returns {Object} Default limits for each provider
+   * Fetch a provider's limits and upstream quota from the backend
+   * @param {string} providerId - ID of the provider
+   * @returns {Promise<void>}
    */
-  getDefaultLimits() {
-    return {
-      // Free tier limits (per minute)
-      'openai': { windowMs: 60 * 1000, maxRequests: 3 },      // Very low for testing
-      'groq': { windowMs: 60 * 1000, maxRequests: 30 },       // 30 requests per minute (free tier)
-      'gemini': { windowMs: 60 * 1000, maxRequests: 15 },     // 15 requests per minute (free tier)
-      'openrouter': { windowMs: 60 * 1000, maxRequests: 20 }  // 20 requests per minute (free tier)
-    };
+  async sync(providerId) {
+    const status = await providerService.getProviderStatus(providerId);
+    this.applyStatus(providerId, status);
   }
 
   /**
-   * Record an API request for rate limiting purposes
+   * Fetch a provider's status unless it was fetched recently. Failures are
+   * logged and the last known limits are kept.
    * @param {string} providerId - ID of the provider
-   * @returns {Promise<boolean>} Whether the request was allowed
+   * @returns {Promise<void>}
    */
-  async recordAPIRequest(providerId) {
-    const now = Date.now();
-    const windowStart = now - this.limits[providerId].windowMs;
+  async syncIfStale(providerId) {
+    const syncedAt = this.syncedAt.get(providerId);
+    if (syncedAt && Date.now() - syncedAt < this.syncInterval) {
+      return;
+    }
+
+    try {
+      await this.sync(providerId);
+    } catch (error) {
+      console.error(`Error syncing rate limits for ${providerId}:`, error);
+      // Do not ask again on every request while the backend is unreachable
+      this.syncedAt.set(providerId, Date.now());
+    }
+  }
+
+  /**
+   * Take in a provider status returned by GET /api/providers/:providerId/status
+   * @param {string} providerId - ID of the provider
+   * @param {Object} status - Status with rateLimits and upstreamQuota
+   */
+  applyStatus(providerId, status) {
+    const requestLimit = (status.rateLimits || []).find(limit => limit.name === 'requests');
+    if (requestLimit) {
+      this.limits[providerId] = { windowMs: requestLimit.windowMs, maxRequests: requestLimit.limit };
+    }
+    this.upstream[providerId] = status.upstreamQuota || null;
+    this.syncedAt.set(providerId, Date.now());
+  }
+
+  /**
+   * Get the request limit for a provider
+   * @param {string} providerId - ID of the provider
+   * @returns {Object|null} { windowMs, maxRequests }, or null before the backend reported one
+   */
+  getLimits(providerId) {
+    return this.limits[providerId] || null;
+  }
 
-    // Initialize request history for this provider if needed
-    if (!this.requests.has(providerId)) {
-      this.requests.set(providerId, []);
+  /**
+   * Get the requests made to a provider in its current window
+   * @param {string} providerId - ID of the provider
+   * @returns {number[]} Request timestamps
+   */
+  getRecentRequests(providerId) {
+    const limits = this.getLimits(providerId);
+    const history = this.requests.get(providerId) || [];
+    if (!limits) {
+      return history;
     }
 
-    // Get the request history for this provider
-    const history = this.requests.get(providerId);
+    const windowStart = Date.now() - limits.windowMs;
+    return history.filter(timestamp => timestamp > windowStart);
+  }
+
+  /**
+   * Record an API request for rate limiting purposes
+   * @param {string} providerId - ID of the provider
+   * @returns {Promise<boolean>} Whether the request was allowed
+   */
+  async recordAPIRequest(providerId) {
+    const limits = this.getLimits(providerId);
+    const recentRequests = this.getRecentRequests(providerId);
 
-    // Remove requests outside the current window
-    const recentRequests = history.filter(timestamp => timestamp > windowStart);
-    
     // Check if we've exceeded the limit
-    if (recentRequests.length >= this.limits[providerId].maxRequests) {
+    if (limits && recentRequests.length >= limits.maxRequests) {
       // Rate limit exceeded
       return false;
     }
 
     // Add the current request to the history
-    recentRequests.push(now);
+    recentRequests.push(Date.now());
     this.requests.set(providerId, recentRequests);
 
     return true;
@@ -64,39 +116,73 @@ class RateLimiter {
    * @returns {Promise<boolean>} Whether the request would be allowed
    */
   async wouldAllowRequest(providerId) {
-    const now = Date.now();
-    const windowStart = now - this.limits[providerId].windowMs;
+    const limits = this.getLimits(providerId);
+    return !limits || this.getRecentRequests(providerId).length < limits.maxRequests;
+  }
 
-    // Get the request history for this provider
-    const history = this.requests.get(providerId) || [];
+  /**
+   * Check a request against the provider's limits and its upstream quota,
+   * syncing them from the backend first when they are stale
+   * @param {string} providerId - ID of the provider
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {Promise<Object>} { allowed, timeToReset } with timeToReset in seconds
+   */
+  async isRequestAllowed(providerId, tokens = 0) {
+    await this.syncIfStale(providerId);
+
+    const upstreamWait = this.getUpstreamWaitMs(providerId, tokens);
+    if (upstreamWait > 0) {
+      return { allowed: false, timeToReset: Math.ceil(upstreamWait / 1000) };
+    }
 
-    // Count requests in the current window
-    const recentRequests = history.filter(timestamp => timestamp > windowStart);
+    if (!await this.wouldAllowRequest(providerId)) {
+      return { allowed: false, timeToReset: Math.ceil(this.getTimeUntilReset(providerId) / 1000) };
+    }
 
-    return recentRequests.length < this.limits[providerId].maxRequests;
+    return { allowed: true, timeToReset: 0 };
   }
 
   /**
-   * Get rate limiting information for a provider
+   * Time until the provider's own quota allows a request
    * @param {string} providerId - ID of the provider
-   * @returns {Object} Rate limiting information
+   * @param {number} tokens - Estimated tokens of the request
+   * @returns {number} Milliseconds to wait, 0 when the request can go now
    */
-  getRateLimitInfo(providerId) {
+  getUpstreamWaitMs(providerId, tokens = 0) {
+    const quota = this.upstream[providerId];
+    if (!quota) {
+      return 0;
+    }
+
     const now = Date.now();
-    const windowStart = now - this.limits[providerId].windowMs;
+    const waits = [];
+    if (quota.throttledUntil) {
+      waits.push(Date.parse(quota.throttledUntil) - now);
+    }
+    const tokenQuota = quota.tokens;
+    if (tokenQuota && tokenQuota.remaining !== null && tokenQuota.resetAt && tokens > tokenQuota.remaining) {
+      waits.push(Date.parse(tokenQuota.resetAt) - now);
+    }
 
-    // Get the request history for this provider
-    const history = this.requests.get(providerId) || [];
+    return Math.max(0, ...waits);
+  }
 
-    // Count requests in the current window
-    const recentRequests = history.filter(timestamp => timestamp > windowStart);
+  /**
+   * Get rate limiting information for a provider
+   * @param {string} providerId - ID of the provider
+   * @returns {Object} Rate limiting information
+   */
+  getRateLimitInfo(providerId) {
+    const limits = this.getLimits(providerId);
+    const recentRequests = this.getRecentRequests(providerId);
 
     return {
       providerId,
-      limit: this.limits[providerId].maxRequests,
-      remaining: this.limits[providerId].maxRequests - recentRequests.length,
-      resetTime: new Date(windowStart + this.limits[providerId].windowMs).toISOString(),
-      currentRequests: recentRequests.length
+      limit: limits ? limits.maxRequests : null,
+      remaining: limits ? limits.maxRequests - recentRequests.length : null,
+      resetTime: new Date(Date.now() + this.getTimeUntilReset(providerId)).toISOString(),
+      currentRequests: recentRequests.length,
+      upstream: this.upstream[providerId] || null
     };
   }
 
@@ -106,31 +192,29 @@ class RateLimiter {
    * @returns {number} Milliseconds until reset
    */
   getTimeUntilReset(providerId) {
-    const now = Date.now();
-    const windowStart = now - this.limits[providerId].windowMs;
-
-    // Get the request history for this provider
-    const history = this.requests.get(providerId) || [];
+    const limits = this.getLimits(providerId);
+    if (!limits) {
+      return 0;
+    }
 
-    // Count requests in the current window
-    const recentRequests = history.filter(timestamp => timestamp > windowStart);
+    const recentRequests = this.getRecentRequests(providerId);
 
-    if (recentRequests.length < this.limits[providerId].maxRequests) {
-      // Not at limit, so time until the next window starts
-      return this.limits[providerId].windowMs - (now - windowStart);
+    if (recentRequests.length < limits.maxRequests) {
+      // Not at limit, so a request can be made now
+      return 0;
     } else {
       // At limit, so time until the oldest request falls out of the window
       const oldestRequest = Math.min(...recentRequests);
-      return oldestRequest + this.limits[providerId].windowMs - now;
+      return oldestRequest + limits.windowMs - Date.now();
     }
   }
 
   /**
    * Update rate limits from the backend
-   * @param {Object} limits - Limits from the backend
+   * @param {Object} limits - Limits by providerId
    */
   updateLimits(limits) {
-    this.limits = { ...this.getDefaultLimits(), ...limits };
+    this.limits = { ...this.limits, ...limits };
   }
 
   /**
@@ -143,4 +227,4 @@ class RateLimiter {
 
 // Export a singleton instance
 const rateLimiter = new RateLimiter();
-export default rateLimiter;
\ No newline at end of file
+export default rateLimiter;
@@ -1,5 +1,4 @@
 module.exports = {
-  testEnvironment: 'node',
   collectCoverageFrom: [
     'backend/src/**/*.js',
     '!backend/src/server.js',
@@ -7,10 +6,33 @@ module.exports = {
   ],
   coverageDirectory: 'coverage',
   coverageReporters: ['text', 'lcov', 'html'],
-  setupFilesAfterEnv: ['<rootDir>/tests/config/setupJest.js'],
-  testMatch: [
-    '<rootDir>/tests/unit/**/*.test.js',
-    '<rootDir>/tests/integration/**/*.test.js',
-    '<rootDir>/backend/tests/**/*.test.js'
-  ],
-};
\ No newline at end of file
+  projects: [
+    {
+      displayName: 'backend',
+      testEnvironment: 'node',
+      setupFilesAfterEnv: ['<rootDir>/tests/config/setupJest.js'],
+      testMatch: [
+        '<rootDir>/tests/unit/**/*.test.js',
+        '<rootDir>/tests/integration/**/*.test.js',
+        '<rootDir>/backend/tests/**/*.test.js'
+      ]
+    },
+    {
+      // The frontend is written as browser ES modules; Babel turns them into
+      // CommonJS for jest and jsdom stands in for the browser. The older suites
+      // elsewhere in frontend/src were written against an earlier API and are
+      // not run yet.
+      displayName: 'frontend',
+      testEnvironment: 'jsdom',
+      transform: {
+        '\\.js$': ['babel-jest', { presets: [['@babel/preset-env', { targets: { node: 'current' } }]] }]
+      },
+      testMatch: [
+        '<rootDir>/frontend/src/services/tools/__tests__/*.test.js',
+        '<rootDir>/frontend/src/services/chat/__tests__/*.test.js',
+        '<rootDir>/frontend/src/services/voice/__tests__/*.test.js',
+        '<rootDir>/frontend/src/components/ChatInterface/__tests__/*.test.js'
+      ]
+    }
+  ]
+};
@@ -136,14 +136,33 @@ class ApiClient {
     }
   }
 
-  // Process voice to text (in a real app this would call a different API)
-  // For this implementation, we'll simulate it since browsers handle speech recognition client-side
-  async processVoiceToText(audioFile) {
-    // This is a placeholder for the actual voice-to-text processing
-    // In a real implementation, you might either:
-    // 1. Use the browser's SpeechRecognition API (which is client-side)
-    // 2. Send audio to a specialized service if needed
-    throw new Error('Voice to text processing is handled client-side via browser APIs in this implementation');
+  // Transcribe recorded audio through the backend's Whisper route, for browsers
+  // without the SpeechRecognition API. options: { providerId, language, accessToken }
+  async processVoiceToText(audioFile, options = {}) {
+    if (!audioFile || audioFile.size === 0) {
+      throw new Error('No audio recorded');
+    }
+
+    const form = new FormData();
+    form.append('providerId', options.providerId || CONFIG.TRANSCRIPTION_PROVIDER);
+    if (options.language) {
+      form.append('language', options.language);
+    }
+    form.append('file', audioFile, audioFile.name || 'recording');
+
+    const response = await fetch(`${CONFIG.BACKEND_BASE_URL}/api/proxy/audio/transcriptions`, {
+      method: 'POST',
+      headers: options.accessToken ? { 'Authorization': `Bearer ${options.accessToken}` } : {},
+      body: form
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Transcription failed: ${response.status} - ${errorData.error || response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.text;
   }
 }
 
@@ -15,6 +15,15 @@ const CONFIG = {
   VOICE_DEFAULT_VOLUME: 1.0,
   VOICE_DEFAULT_LANGUAGE: 'en-US',
 
+  // Hands-free conversation mode
+  VOICE_WAKE_PHRASE: 'hey assistant', // Resumes the conversation after a silence timeout (null ends it instead)
+  VOICE_STOP_PHRASE: 'stop conversation', // Ends conversation mode
+  VOICE_SILENCE_TIMEOUT: 15000, // ms to wait for the user to speak
+
+  // Speech-to-text fallback for browsers without SpeechRecognition
+  BACKEND_BASE_URL: 'http://localhost:3000',
+  TRANSCRIPTION_PROVIDER: 'groq', // Provider with a Whisper model on the backend
+
   // Error handling
   RETRY_ATTEMPTS: 3,
   RETRY_DELAY_BASE: 1000,      // Base delay in ms for retries